@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  authenticate,
+  guardResolvers,
+  hasRole,
+  hashPassword,
+  readSessionToken,
+  requireRole,
+  signSessionToken,
+  verifyPassword,
+  verifySessionToken
+} from '../src/auth.js';
+
+const SECRET = 'test-secret-that-is-long-enough-for-hs256';
+const reviewer = { id: 'user-1', email: 'rev@example.com', role: 'reviewer' };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  return res;
+};
+
+describe('Authentication', () => {
+  it('should rank roles from observer up to admin', () => {
+    expect(hasRole(reviewer, 'validator')).toBe(true);
+    expect(hasRole(reviewer, 'reviewer')).toBe(true);
+    expect(hasRole(reviewer, 'admin')).toBe(false);
+    expect(hasRole({ role: 'observer' }, 'validator')).toBe(false);
+    expect(hasRole({ role: 'superuser' }, 'observer')).toBe(false);
+    expect(hasRole(null, 'observer')).toBe(false);
+  });
+
+  it('should verify passwords against their scrypt hash', async () => {
+    const stored = await hashPassword('correct horse');
+
+    expect(stored).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(await verifyPassword('correct horse', stored)).toBe(true);
+    expect(await verifyPassword('wrong horse', stored)).toBe(false);
+    expect(await verifyPassword('correct horse', null)).toBe(false);
+  });
+
+  it('should sign session tokens that only verify with the same secret', async () => {
+    const token = await signSessionToken(reviewer, { secret: SECRET, ttlSeconds: 60 });
+
+    expect(await verifySessionToken(token, { secret: SECRET })).toMatchObject({
+      sub: 'user-1',
+      email: 'rev@example.com',
+      role: 'reviewer'
+    });
+    expect(await verifySessionToken(token, { secret: 'another-secret' })).toBeNull();
+    expect(await verifySessionToken('not-a-token', { secret: SECRET })).toBeNull();
+  });
+
+  it('should read the token from a bearer header or the session cookie', () => {
+    expect(readSessionToken({ headers: { authorization: 'Bearer abc.def' } })).toBe('abc.def');
+    expect(readSessionToken({ headers: { cookie: 'theme=dark; session=xyz%3D' } })).toBe('xyz=');
+    expect(readSessionToken({ headers: {} })).toBeNull();
+  });
+
+  it('should load req.user from the database for a valid token', async () => {
+    const prisma = { user: { findUnique: vi.fn(async () => ({ ...reviewer, role: 'observer' })) } };
+    const token = await signSessionToken(reviewer, { secret: SECRET, ttlSeconds: 60 });
+    const middleware = authenticate(prisma, { secret: SECRET });
+
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const next = vi.fn();
+    await middleware(req, {}, next);
+
+    // The stored role wins over the one in the token
+    expect(prisma.user.findUnique).toHaveBeenCalledWith({ where: { id: 'user-1' } });
+    expect(req.user.role).toBe('observer');
+    expect(next).toHaveBeenCalledWith();
+
+    const anonymous = { headers: { authorization: 'Bearer tampered' } };
+    await middleware(anonymous, {}, next);
+    expect(anonymous.user).toBeNull();
+  });
+
+  it('should reject REST requests without a user or below the required role', () => {
+    const next = vi.fn();
+
+    const anonymous = mockResponse();
+    requireRole('observer')({ user: null }, anonymous, next);
+    expect(anonymous.status).toHaveBeenCalledWith(401);
+
+    const forbidden = mockResponse();
+    requireRole('admin')({ user: reviewer }, forbidden, next);
+    expect(forbidden.status).toHaveBeenCalledWith(403);
+
+    expect(next).not.toHaveBeenCalled();
+    requireRole('validator')({ user: reviewer }, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should guard root resolvers by role and leave public fields open', async () => {
+    const resolvers = guardResolvers({
+      Query: { health: () => 'OK', labelProjects: () => [] },
+      Mutation: { deleteUser: () => true },
+      User: { createdAt: () => 'unguarded' }
+    }, { 'Query.health': null, 'Mutation.deleteUser': 'admin' });
+
+    expect(resolvers.Query.health(null, {}, { user: null })).toBe('OK');
+    expect(resolvers.Query.labelProjects(null, {}, { user: { role: 'observer' } })).toEqual([]);
+    expect(() => resolvers.Query.labelProjects(null, {}, { user: null }))
+      .toThrow(expect.objectContaining({ extensions: expect.objectContaining({ code: 'UNAUTHENTICATED' }) }));
+    expect(() => resolvers.Mutation.deleteUser(null, {}, { user: reviewer }))
+      .toThrow(expect.objectContaining({ extensions: expect.objectContaining({ code: 'FORBIDDEN' }) }));
+    expect(resolvers.Mutation.deleteUser(null, {}, { user: { role: 'admin' } })).toBe(true);
+    expect(resolvers.User.createdAt()).toBe('unguarded');
+  });
+});
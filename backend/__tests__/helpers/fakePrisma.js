@@ -0,0 +1,36 @@
+import { vi } from 'vitest';
+
+// Minimal in-memory stand-in for the Prisma client used by the persistence helpers (equality filters only)
+export const createFakePrisma = () => {
+  let nextId = 1;
+  const rows = {
+    validatorAgent: [], labelProject: [], labelComponent: [], validationIssue: [], labelRevision: [], issueCard: [],
+    user: [], comment: [], commentMention: [], approval: []
+  };
+  const matches = (where = {}) => (row) => Object.entries(where).every(([key, value]) => row[key] === value);
+  const model = (name) => ({
+    findFirst: vi.fn(async ({ where }) => rows[name].find(matches(where)) || null),
+    findUnique: vi.fn(async ({ where }) => rows[name].find(matches(where)) || null),
+    findMany: vi.fn(async ({ where } = {}) => rows[name].filter(matches(where))),
+    update: vi.fn(async ({ where, data }) => Object.assign(rows[name].find(matches(where)), data)),
+    updateMany: vi.fn(async ({ where, data }) => {
+      const updated = rows[name].filter(matches(where));
+      updated.forEach(row => Object.assign(row, data));
+      return { count: updated.length };
+    }),
+    create: vi.fn(async ({ data }) => {
+      const row = { id: `${name}-${nextId++}`, ...data };
+      rows[name].push(row);
+      return row;
+    })
+  });
+
+  const tx = Object.fromEntries(Object.keys(rows).map(name => [name, model(name)]));
+  // Models are reachable both inside and outside transactions, sharing the same rows
+  return {
+    ...tx,
+    rows,
+    tx,
+    $transaction: vi.fn(async (fn) => fn(tx))
+  };
+};
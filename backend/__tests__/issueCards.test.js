@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+  addCardComment,
+  buildActivityFeed,
+  canTransition,
+  extractMentionHandles,
+  matchMentionedUsers,
+  recordCardDecision
+} from '../src/issueCards.js';
+import { createFakePrisma } from './helpers/fakePrisma.js';
+
+const users = [
+  { id: 'u-jane', email: 'jane.smith@example.com', role: 'reviewer' },
+  { id: 'u-john', email: 'john@example.com', role: 'validator' }
+];
+
+const seed = () => {
+  const prisma = createFakePrisma();
+  prisma.rows.user.push(...users.map(user => ({ ...user })));
+  prisma.rows.validationIssue.push({ id: 'issue-1', status: 'resolved' });
+  prisma.rows.issueCard.push({ id: 'card-1', issueId: 'issue-1', status: 'revised', revisions: [] });
+  return prisma;
+};
+
+describe('Issue cards', () => {
+  it('should extract @mention handles but not plain email addresses', () => {
+    expect(extractMentionHandles('@Jane.Smith can you check this? cc @john@example.com and @jane.smith.'))
+      .toEqual(['jane.smith', 'john@example.com']);
+    expect(extractMentionHandles('Send it to qa@example.com')).toEqual([]);
+  });
+
+  it('should match handles to users by email or email name', () => {
+    expect(matchMentionedUsers(['jane.smith', 'nobody'], users).map(user => user.id)).toEqual(['u-jane']);
+    expect(matchMentionedUsers(['john@example.com'], users).map(user => user.id)).toEqual(['u-john']);
+  });
+
+  it('should store a comment with a mention per named user', async () => {
+    const prisma = seed();
+
+    const { comment, mentions } = await addCardComment(prisma, {
+      cardId: 'card-1',
+      authorId: 'u-john',
+      body: '@jane.smith the sodium line is fixed, @ghost please ignore'
+    });
+
+    expect(comment).toMatchObject({ cardId: 'card-1', authorId: 'u-john' });
+    expect(mentions.map(user => user.id)).toEqual(['u-jane']);
+    expect(prisma.rows.commentMention).toEqual([expect.objectContaining({ commentId: comment.id, userId: 'u-jane' })]);
+    expect(await addCardComment(prisma, { cardId: 'missing', authorId: 'u-john', body: 'hi' })).toBeNull();
+  });
+
+  it('should record decisions and move the card and its issue', async () => {
+    const prisma = seed();
+
+    const approved = await recordCardDecision(prisma, { cardId: 'card-1', reviewerId: 'u-jane', decision: 'approved' });
+    expect(approved.approval).toMatchObject({ decision: 'approved', reviewerId: 'u-jane', note: null });
+    expect(approved.card.status).toBe('approved');
+    expect(prisma.rows.validationIssue[0].status).toBe('approved');
+
+    const sentBack = await recordCardDecision(prisma, {
+      cardId: 'card-1',
+      reviewerId: 'u-jane',
+      decision: 'changes_requested',
+      note: 'Allergen statement still missing'
+    });
+    expect(sentBack.card.status).toBe('investigating');
+    expect(prisma.rows.validationIssue[0].status).toBe('investigating');
+    expect(prisma.rows.approval.map(approval => approval.decision)).toEqual(['approved', 'changes_requested']);
+  });
+
+  it('should only allow approving revised cards', () => {
+    expect(canTransition('revised', 'approved')).toBe(true);
+    expect(canTransition('open', 'approved')).toBe(false);
+    expect(canTransition('unknown', 'open')).toBe(false);
+  });
+
+  it('should merge comments, decisions and revision entries oldest first', () => {
+    const feed = buildActivityFeed({
+      card: {
+        id: 'card-1',
+        createdAt: new Date('2025-01-01T09:00:00Z'),
+        revisions: [{ revisionNumber: 2, action: 'carried_forward', reason: 'Reported again', at: '2025-01-02T09:00:00.000Z' }]
+      },
+      comments: [
+        { id: 'c2', body: 'Looks good now', author: users[0], createdAt: new Date('2025-01-03T09:00:00Z') },
+        { id: 'c1', body: 'Fixed in rev 2', author: users[1], createdAt: new Date('2025-01-02T09:00:00Z') }
+      ],
+      approvals: [{ id: 'a1', decision: 'approved', note: null, reviewer: users[0], createdAt: new Date('2025-01-03T09:00:00Z') }]
+    });
+
+    expect(feed.map(event => [event.type, event.actor?.id ?? null])).toEqual([
+      ['created', null],
+      ['comment', 'u-john'],
+      ['revision', null],
+      ['approved', 'u-jane'],
+      ['comment', 'u-jane']
+    ]);
+    expect(feed[2]).toMatchObject({ revisionNumber: 2, action: 'carried_forward', body: 'Reported again' });
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import AdmZip from 'adm-zip';
+import {
+  MAX_BATCH_CONCURRENCY,
+  MAX_BATCH_ITEMS,
+  MAX_LABEL_FILE_SIZE,
+  attachProjectStatuses,
+  batchConcurrency,
+  batchReportToCSV,
+  expandBatchUploads
+} from '../src/labelBatches.js';
+import { createFakePrisma } from './helpers/fakePrisma.js';
+
+const upload = (originalname, mimetype, buffer = Buffer.from('label')) => ({ originalname, mimetype, buffer, size: buffer.length });
+
+const zipUpload = (originalname, entries) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.addFile(name, Buffer.isBuffer(content) ? content : Buffer.from(content));
+  }
+  return upload(originalname, 'application/zip', zip.toBuffer());
+};
+
+// Overwrite a field of the first central directory header, as a crafted archive would
+const CENTRAL_CRC = 16;
+const CENTRAL_SIZE = 24;
+const patchEntryHeader = (file, offset, value) => {
+  const header = file.buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  file.buffer.writeUInt32LE(value, header + offset);
+  return file;
+};
+
+describe('Label batches', () => {
+  describe('expandBatchUploads', () => {
+    it('should take label files as they are and expand zip archives', async () => {
+      const { files, skipped } = await expandBatchUploads([
+        upload('front.png', 'image/png'),
+        zipUpload('labels.zip', {
+          'cereal/back.JPG': 'jpeg',
+          'spec.pdf': 'pdf',
+          'notes.txt': 'not a label',
+          '__MACOSX/cereal/._back.JPG': 'resource fork',
+          '.DS_Store': 'finder'
+        })
+      ]);
+
+      expect(files.map(file => [file.originalname, file.mimetype])).toEqual([
+        ['front.png', 'image/png'],
+        ['labels.zip/cereal/back.JPG', 'image/jpeg'],
+        ['labels.zip/spec.pdf', 'application/pdf']
+      ]);
+      expect(files[1].buffer.toString()).toBe('jpeg');
+      expect(skipped).toEqual([{ filename: 'labels.zip/notes.txt', reason: 'Not a label image or PDF' }]);
+    });
+
+    it('should skip unreadable archives, oversized labels and labels past the batch limit', async () => {
+      const oversized = Buffer.alloc(MAX_LABEL_FILE_SIZE + 1);
+      const tooMany = Array.from({ length: MAX_BATCH_ITEMS + 1 }, (_, index) => upload(`label-${index}.png`, 'image/png'));
+
+      const { files, skipped } = await expandBatchUploads([
+        upload('broken.zip', 'application/zip', Buffer.from('not a zip')),
+        zipUpload('big.zip', { 'huge.png': oversized }),
+        ...tooMany
+      ]);
+
+      expect(files).toHaveLength(MAX_BATCH_ITEMS);
+      expect(skipped.map(entry => entry.filename)).toEqual(['broken.zip', 'big.zip/huge.png', `label-${MAX_BATCH_ITEMS}.png`]);
+      expect(skipped[0].reason).toMatch(/^Not a readable zip archive/);
+      expect(skipped[1].reason).toBe('Larger than 10MB');
+    });
+
+    it('should not trust the sizes and checksums archive entries declare', async () => {
+      const bomb = Buffer.alloc(MAX_LABEL_FILE_SIZE + 1);
+
+      const { files, skipped } = await expandBatchUploads([
+        patchEntryHeader(zipUpload('small.zip', { 'bomb.png': bomb }), CENTRAL_SIZE, 1024),
+        patchEntryHeader(zipUpload('empty.zip', { 'bomb.png': bomb }), CENTRAL_SIZE, 0),
+        patchEntryHeader(zipUpload('corrupt.zip', { 'label.png': 'png' }), CENTRAL_CRC, 0)
+      ]);
+
+      expect(files).toEqual([]);
+      expect(skipped).toEqual([
+        { filename: 'small.zip/bomb.png', reason: 'Larger than 10MB' },
+        { filename: 'empty.zip/bomb.png', reason: 'Archive entry declares no size for its data' },
+        { filename: 'corrupt.zip/label.png', reason: 'Unreadable archive entry: bad CRC' }
+      ]);
+    });
+  });
+
+  describe('batchConcurrency', () => {
+    it('should clamp the requested concurrency and fall back on invalid values', () => {
+      expect(batchConcurrency('5')).toBe(5);
+      expect(batchConcurrency(undefined, '4')).toBe(4);
+      expect(batchConcurrency('0')).toBe(1);
+      expect(batchConcurrency('50')).toBe(MAX_BATCH_CONCURRENCY);
+      expect(batchConcurrency('many', '2')).toBe(2);
+      expect(batchConcurrency(undefined)).toBe(3);
+    });
+  });
+
+  describe('attachProjectStatuses', () => {
+    it('should report the status of each item\'s project', async () => {
+      const prisma = createFakePrisma();
+      prisma.rows.labelProject.push(
+        { id: 'project-1', workflowId: 'batch-item-1', status: 'reviewing' },
+        { id: 'project-2', workflowId: 'batch-item-2', status: 'processing' }
+      );
+
+      const items = await attachProjectStatuses(prisma, {
+        items: [
+          { itemId: '1', projectId: 'project-1', workflowId: 'batch-item-1', status: 'needs_review', error: null },
+          { itemId: '2', projectId: 'project-2', workflowId: 'batch-item-2', status: 'running', error: null },
+          { itemId: '3', projectId: null, workflowId: 'batch-item-3', status: 'failed', error: 'Image could not be decoded' }
+        ]
+      });
+
+      expect(items.map(item => item.projectStatus)).toEqual(['reviewing', 'processing', null]);
+      expect(items[2].error).toBe('Image could not be decoded');
+    });
+  });
+
+  describe('batchReportToCSV', () => {
+    it('should write one row per label with its outcome', () => {
+      const csv = batchReportToCSV({
+        batchId: 'batch-1',
+        passed: [{ itemId: '1', filename: 'front.png', projectId: 'project-1', attempts: 1, result: { complianceScore: 100, violations: 0, validatorIssues: 0 } }],
+        needsReview: [{ itemId: '2', filename: 'labels.zip/back, v2.png', projectId: 'project-2', attempts: 1, result: { complianceScore: 70, violations: 2, validatorIssues: 1 } }],
+        failed: [{ itemId: '3', filename: 'broken.png', projectId: 'project-3', attempts: 2, error: 'Image "broken.png" could not be decoded' }],
+        pending: []
+      });
+
+      expect(csv.split('\n')).toEqual([
+        'item,filename,outcome,project,attempts,compliance_score,issues,error',
+        '1,front.png,passed,project-1,1,100,0,',
+        '2,"labels.zip/back, v2.png",needs_review,project-2,1,70,3,',
+        '3,broken.png,failed,project-3,2,,,"Image ""broken.png"" could not be decoded"',
+        ''
+      ]);
+    });
+  });
+});
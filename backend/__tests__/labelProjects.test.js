@@ -0,0 +1,255 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildComponentRows,
+  buildIssueDrafts,
+  persistValidationRun,
+  FULL_LABEL_COMPONENT
+} from '../src/labelProjects.js';
+import { createFakePrisma } from './helpers/fakePrisma.js';
+
+describe('Label project persistence', () => {
+  const ocrResult = {
+    text: 'INGREDIENTS: Water, Sugar, Milk\nWARNING: Contains milk',
+    confidence: 0.9,
+    detectedSections: {
+      ingredients: 'water, sugar, milk',
+      warnings: 'contains milk',
+      caution: 'keep refrigerated',
+      unknownSection: 'ignored'
+    }
+  };
+
+  describe('buildComponentRows', () => {
+    it('should create a full label component plus one per known section type', () => {
+      const rows = buildComponentRows(ocrResult);
+      const types = rows.map(row => row.type);
+
+      expect(types).toEqual([FULL_LABEL_COMPONENT, 'ingredient_list', 'warning_statement']);
+      expect(rows[0].extractedText).toBe(ocrResult.text);
+    });
+
+    it('should merge sections that map to the same component type', () => {
+      const rows = buildComponentRows(ocrResult);
+      const warning = rows.find(row => row.type === 'warning_statement');
+
+      expect(warning.extractedText).toBe('contains milk\nkeep refrigerated');
+    });
+
+    it('should carry section bounding boxes onto components', () => {
+      const rows = buildComponentRows({
+        ...ocrResult,
+        boundingBox: { x: 0, y: 0, width: 400, height: 300 },
+        sectionBoundingBoxes: {
+          ingredients: { x: 10, y: 10, width: 200, height: 20 },
+          warnings: { x: 10, y: 40, width: 100, height: 20 },
+          caution: { x: 50, y: 70, width: 150, height: 20 }
+        }
+      });
+
+      expect(rows[0].boundingBox).toEqual({ x: 0, y: 0, width: 400, height: 300 });
+      expect(rows.find(row => row.type === 'ingredient_list').boundingBox).toEqual({ x: 10, y: 10, width: 200, height: 20 });
+      expect(rows.find(row => row.type === 'warning_statement').boundingBox).toEqual({ x: 10, y: 40, width: 190, height: 50 });
+    });
+
+    it('should not merge boxes from different PDF pages', () => {
+      const rows = buildComponentRows({
+        ...ocrResult,
+        sectionBoundingBoxes: {
+          warnings: { x: 10, y: 40, width: 100, height: 20, page: 1 },
+          caution: { x: 50, y: 70, width: 150, height: 20, page: 2 }
+        }
+      });
+
+      expect(rows.find(row => row.type === 'warning_statement').boundingBox).toEqual({ x: 10, y: 40, width: 100, height: 20, page: 1 });
+    });
+  });
+
+  describe('buildIssueDrafts', () => {
+    it('should map AI compliance issues and FDA issues to validation issues', () => {
+      const drafts = buildIssueDrafts({
+        aiValidation: { complianceIssues: ['Missing net quantity statement'] },
+        fdaValidation: {
+          issues: [
+            { type: 'FDA_INGREDIENT_WARNING', severity: 'WARNING', message: 'Contains milk', sourceTag: 'FDA-INGREDIENT', ingredient: 'milk' },
+            { type: 'FDA_INVALID_CLAIM', severity: 'COMPLIANCE', message: 'Low fat claim invalid', sourceTag: 'FDA-CLAIMS' }
+          ]
+        }
+      });
+
+      expect(drafts).toHaveLength(3);
+      expect(drafts[0]).toMatchObject({ validator: 'ai', issueType: 'AI_COMPLIANCE', severity: 'medium', componentType: FULL_LABEL_COMPONENT });
+      expect(drafts[0].sourceTag).toBe('AI-CLAUDE');
+      expect(drafts[1]).toMatchObject({ validator: 'fda', severity: 'medium', componentType: 'ingredient_list', sourceTag: 'FDA-INGREDIENT', notes: 'Contains milk' });
+      expect(drafts[2]).toMatchObject({ validator: 'fda', severity: 'high', componentType: 'nutrition_panel' });
+    });
+
+    it('should map compliance violations and warnings with their citations', () => {
+      const drafts = buildIssueDrafts({
+        complianceResult: {
+          violations: [{ ruleId: 'ingredient-statement', regulation: 'general', citation: '21 CFR 101.4', message: 'Ingredient statement not found' }],
+          warnings: [{ ruleId: 'net-quantity-dual-units', regulation: 'general', citation: '21 CFR 101.105(j)', message: 'Missing metric units' }]
+        }
+      });
+
+      expect(drafts).toEqual([
+        {
+          validator: 'compliance',
+          componentType: 'ingredient_list',
+          issueType: 'RULE_INGREDIENT_STATEMENT',
+          severity: 'high',
+          sourceTag: 'GENERAL-RULES',
+          notes: 'Ingredient statement not found (21 CFR 101.4)'
+        },
+        {
+          validator: 'compliance',
+          componentType: FULL_LABEL_COMPONENT,
+          issueType: 'RULE_NET_QUANTITY_DUAL_UNITS',
+          severity: 'low',
+          sourceTag: 'GENERAL-RULES',
+          notes: 'Missing metric units (21 CFR 101.105(j))'
+        }
+      ]);
+    });
+
+    it('should file registry validator issues under their agent and component', () => {
+      const drafts = buildIssueDrafts({
+        validatorRuns: [
+          { validatorId: 'agent-nutrition', componentType: 'nutrition_panel', status: 'failed', issues: [{
+            issueType: 'NUTRITION_DV_MISMATCH',
+            severity: 'medium',
+            sourceTag: 'NUTRITION-FACTS',
+            notes: 'sodium: declared 20% DV but 160mg of a 2300 mg Daily Value is 7% (21 CFR 101.9(d)(7)(ii))'
+          }] },
+          { validatorId: 'agent-chemical', componentType: 'ingredient_list', status: 'error', issues: [], error: 'boom' }
+        ]
+      });
+
+      expect(drafts).toEqual([{
+        validatorId: 'agent-nutrition',
+        componentType: 'nutrition_panel',
+        issueType: 'NUTRITION_DV_MISMATCH',
+        severity: 'medium',
+        sourceTag: 'NUTRITION-FACTS',
+        notes: 'sodium: declared 20% DV but 160mg of a 2300 mg Daily Value is 7% (21 CFR 101.9(d)(7)(ii))'
+      }]);
+    });
+
+    it('should file failed vision layout checks and OCR disagreements', () => {
+      const drafts = buildIssueDrafts({
+        aiValidation: {
+          visualValidation: {
+            layoutChecks: [
+              { check: 'nutritionFactsBox', status: 'pass', observation: 'Boxed panel' },
+              { check: 'typeSizeHierarchy', status: 'fail', observation: '"Calories" is no larger than the nutrient rows', severity: 'high' },
+              { check: 'principalDisplayPanel', status: 'not_visible', observation: 'Back panel only' }
+            ],
+            disagreements: [{ field: 'sodium', ocrText: '16mg', observedText: '160mg', location: 'Nutrition Facts' }]
+          }
+        }
+      });
+
+      expect(drafts).toEqual([
+        {
+          validator: 'ai',
+          componentType: 'nutrition_panel',
+          issueType: 'VISION_TYPE_SIZE_HIERARCHY',
+          severity: 'high',
+          sourceTag: 'AI-VISION',
+          notes: '"Calories" is no larger than the nutrient rows'
+        },
+        {
+          validator: 'ai',
+          componentType: FULL_LABEL_COMPONENT,
+          issueType: 'VISION_OCR_MISMATCH',
+          severity: 'low',
+          sourceTag: 'AI-VISION',
+          notes: 'sodium: OCR read "16mg" but the label shows "160mg" (Nutrition Facts)'
+        }
+      ]);
+    });
+
+    it('should handle runs without AI or FDA results', () => {
+      expect(buildIssueDrafts({ aiValidation: null, fdaValidation: null })).toEqual([]);
+    });
+  });
+
+  describe('persistValidationRun', () => {
+    it('should write the project, components and issues in one transaction', async () => {
+      const prisma = createFakePrisma();
+
+      const result = await persistValidationRun(prisma, {
+        name: 'label.png',
+        clientId: null,
+        ocrResult,
+        aiValidation: { complianceIssues: ['Missing net quantity statement'] },
+        fdaValidation: { issues: [{ type: 'FDA_NO_CLAIMS', severity: 'INFO', message: 'x', sourceTag: 'FDA-CLAIMS' }] }
+      });
+
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(result.project.status).toBe('reviewing');
+      expect(result.components).toHaveLength(3);
+      expect(result.issues).toHaveLength(2);
+
+      // FDA-CLAIMS issue falls back to the full label when there is no nutrition panel
+      const fullLabel = result.components.find(c => c.type === FULL_LABEL_COMPONENT);
+      expect(result.issues[1].componentId).toBe(fullLabel.id);
+      expect(result.issues[1].cards).toEqual({ create: [{}] });
+
+      // The first run is revision 1 of the project
+      expect(result.revision).toMatchObject({
+        labelId: result.project.id,
+        revisionNumber: 1,
+        text: ocrResult.text,
+        componentTexts: { [FULL_LABEL_COMPONENT]: ocrResult.text, ingredient_list: 'water, sugar, milk', warning_statement: 'contains milk\nkeep refrigerated' }
+      });
+    });
+
+    it('should reuse existing built-in validator agents', async () => {
+      const prisma = createFakePrisma();
+      const run = { name: 'label.png', ocrResult, aiValidation: null, fdaValidation: null };
+
+      await persistValidationRun(prisma, run);
+      await persistValidationRun(prisma, run);
+
+      // ai, fda and compliance plus nutrition, allergen, claims and chemical
+      expect(prisma.rows.validatorAgent).toHaveLength(7);
+      expect(prisma.rows.labelProject).toHaveLength(2);
+    });
+
+    it('should drop issues from disabled validator agents', async () => {
+      const prisma = createFakePrisma();
+      prisma.rows.validatorAgent.push({ id: 'agent-allergen', name: 'Allergen Declaration Checker', type: 'allergen', isActive: false, createdAt: new Date() });
+
+      const result = await persistValidationRun(prisma, {
+        name: 'label.png',
+        ocrResult,
+        validatorRuns: [{ validatorId: 'agent-allergen', componentType: 'ingredient_list', status: 'failed', issues: [
+          { issueType: 'ALLERGEN_UNDECLARED', severity: 'high', sourceTag: 'ALLERGEN-RULES', notes: 'Milk not declared' }
+        ] }]
+      });
+
+      expect(result.issues).toHaveLength(0);
+      expect(result.project.status).toBe('approved');
+      expect(prisma.rows.validatorAgent.filter(agent => agent.type === 'allergen')).toHaveLength(1);
+    });
+
+    it('should fill in a processing project exactly once', async () => {
+      const prisma = createFakePrisma();
+      prisma.rows.labelProject.push({ id: 'project-1', name: 'label.png', workflowId: 'wf-1', status: 'processing' });
+      const run = {
+        projectId: 'project-1',
+        ocrResult,
+        complianceResult: { violations: [{ ruleId: 'net-quantity', regulation: 'general', message: 'Net quantity missing' }], warnings: [] }
+      };
+
+      const first = await persistValidationRun(prisma, run);
+      const second = await persistValidationRun(prisma, run);
+
+      expect(first.project).toMatchObject({ id: 'project-1', workflowId: 'wf-1', status: 'reviewing' });
+      expect(first.issues).toHaveLength(1);
+      expect(second).toBeNull();
+      expect(prisma.rows.labelProject).toHaveLength(1);
+      expect(prisma.rows.validationIssue).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest';
+import { issueReviewSignal, notifyIssueReview, recordLabelApproval, recordReviewRound } from '../src/labelReview.js';
+import { createFakePrisma } from './helpers/fakePrisma.js';
+
+const roundResult = (ingredients) => ({
+  filename: 'label.png',
+  ocrResult: {
+    text: `INGREDIENTS: ${ingredients}`,
+    confidence: 0.9,
+    detectedSections: { ingredients }
+  },
+  validationResult: {
+    extractedInformation: { productName: 'Oat Bar', ingredients: ingredients.split(', ') },
+    complianceIssues: []
+  },
+  complianceResult: { violations: [{ ruleId: 'net-quantity', regulation: 'general', message: 'Net quantity missing' }], warnings: [] },
+  validatorRuns: []
+});
+
+const createClient = () => ({
+  signalLabelReview: vi.fn(async () => {})
+});
+
+describe('Label review', () => {
+  describe('issueReviewSignal', () => {
+    it('should approve closed issues and reject reopened ones', () => {
+      expect(issueReviewSignal('open', 'approved')).toBe('approveIssue');
+      expect(issueReviewSignal('investigating', 'resolved')).toBe('approveIssue');
+      expect(issueReviewSignal('approved', 'investigating')).toBe('rejectIssue');
+      expect(issueReviewSignal('open', 'open')).toBeNull();
+    });
+  });
+
+  describe('recordReviewRound', () => {
+    it('should fill in the project for the first round and return its issues', async () => {
+      const prisma = createFakePrisma();
+      prisma.rows.labelProject.push({ id: 'project-1', name: 'label.png', workflowId: 'wf-1', status: 'processing' });
+
+      const issues = await recordReviewRound(prisma, { projectId: 'project-1', round: 1, result: roundResult('Oats, Honey') });
+
+      expect(prisma.rows.labelProject[0].status).toBe('reviewing');
+      expect(issues.map(issue => issue.id)).toEqual([prisma.rows.validationIssue[0].id]);
+    });
+
+    it('should record later rounds as revisions once', async () => {
+      const prisma = createFakePrisma();
+      prisma.rows.labelProject.push({ id: 'project-1', name: 'label.png', workflowId: 'wf-1', status: 'processing' });
+
+      await recordReviewRound(prisma, { projectId: 'project-1', round: 1, result: roundResult('Oats, Honey') });
+      await recordReviewRound(prisma, { projectId: 'project-1', round: 2, result: roundResult('Oats, Maple syrup') });
+      // A retried activity records the same round again
+      await recordReviewRound(prisma, { projectId: 'project-1', round: 2, result: roundResult('Oats, Maple syrup') });
+
+      expect(prisma.rows.labelRevision.map(revision => revision.revisionNumber)).toEqual([1, 2]);
+    });
+
+    it('should record a round after revisions uploaded outside the workflow', async () => {
+      const prisma = createFakePrisma();
+      prisma.rows.labelProject.push({ id: 'project-1', name: 'label.png', workflowId: 'wf-1', status: 'processing' });
+
+      await recordReviewRound(prisma, { projectId: 'project-1', round: 1, result: roundResult('Oats, Honey') });
+      prisma.rows.labelRevision.push({ id: 'revision-upload', labelId: 'project-1', revisionNumber: 2, text: '', reviewRound: null });
+      await recordReviewRound(prisma, { projectId: 'project-1', round: 2, result: roundResult('Oats, Maple syrup') });
+
+      expect(prisma.rows.labelRevision.map(revision => [revision.revisionNumber, revision.reviewRound])).toEqual([
+        [1, undefined],
+        [2, null],
+        [3, 2]
+      ]);
+    });
+  });
+
+  describe('recordLabelApproval', () => {
+    it('should mark the project approved', async () => {
+      const prisma = createFakePrisma();
+      prisma.rows.labelProject.push({ id: 'project-1', workflowId: 'wf-1', status: 'reviewing' });
+
+      const project = await recordLabelApproval(prisma, { projectId: 'project-1' });
+
+      expect(project.status).toBe('approved');
+    });
+  });
+
+  describe('notifyIssueReview', () => {
+    it('should signal the status change to the project\'s workflow', async () => {
+      const prisma = createFakePrisma();
+      prisma.rows.labelProject.push({ id: 'project-1', workflowId: 'wf-1' }, { id: 'project-2', workflowId: null });
+      const client = createClient();
+
+      const signal = await notifyIssueReview(prisma, client, {
+        issue: { id: 'issue-1', labelId: 'project-1', status: 'approved' },
+        previousStatus: 'investigating',
+        reviewer: 'rita@example.com',
+        note: 'Fixed in v2 artwork'
+      });
+      const withoutWorkflow = await notifyIssueReview(prisma, client, {
+        issue: { id: 'issue-2', labelId: 'project-2', status: 'approved' },
+        previousStatus: 'open'
+      });
+
+      expect(signal).toBe('approveIssue');
+      expect(withoutWorkflow).toBeNull();
+      expect(client.signalLabelReview).toHaveBeenCalledTimes(1);
+      expect(client.signalLabelReview).toHaveBeenCalledWith('wf-1', 'approveIssue', {
+        issueId: 'issue-1',
+        status: 'approved',
+        reviewer: 'rita@example.com',
+        note: 'Fixed in v2 artwork'
+      });
+    });
+  });
+});
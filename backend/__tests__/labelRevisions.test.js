@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import { persistValidationRun } from '../src/labelProjects.js';
+import {
+  diffFields,
+  diffLines,
+  persistLabelRevision,
+  reconcileIssues,
+  toSideBySide
+} from '../src/labelRevisions.js';
+import { createFakePrisma } from './helpers/fakePrisma.js';
+
+const run = ({ ingredients, warnings, correctedText, nutritionalInfo, complianceIssues = [] }) => ({
+  ocrResult: {
+    text: `INGREDIENTS: ${ingredients}\nWARNING: ${warnings}`,
+    confidence: 0.9,
+    detectedSections: { ingredients, warnings }
+  },
+  aiValidation: {
+    correctedText,
+    extractedInformation: { productName: 'Oat Bar', ingredients: ingredients.split(', '), nutritionalInfo },
+    complianceIssues
+  }
+});
+
+// The fake applies no column defaults or nested creates, so fill in issue statuses and cards
+const applyIssueDefaults = (prisma) => {
+  for (const issue of prisma.rows.validationIssue) {
+    issue.status ??= 'open';
+    if (!prisma.rows.issueCard.some(card => card.issueId === issue.id)) {
+      prisma.rows.issueCard.push({ id: `card-${issue.id}`, issueId: issue.id, status: 'open', revisions: [] });
+    }
+  }
+};
+
+describe('Label revisions', () => {
+  describe('diffLines and toSideBySide', () => {
+    it('should pair replaced lines and keep unchanged ones', () => {
+      const ops = diffLines('Oat Bar\nSodium 16Omg\nNet Wt 2 oz', 'Oat Bar\nSodium 160mg\nNet Wt 2 oz (57g)\nMade in USA');
+
+      expect(toSideBySide(ops)).toEqual([
+        { type: 'equal', before: 'Oat Bar', after: 'Oat Bar' },
+        { type: 'changed', before: 'Sodium 16Omg', after: 'Sodium 160mg' },
+        { type: 'changed', before: 'Net Wt 2 oz', after: 'Net Wt 2 oz (57g)' },
+        { type: 'added', before: null, after: 'Made in USA' }
+      ]);
+    });
+
+    it('should ignore whitespace-only differences', () => {
+      expect(diffLines('Net  Wt 2 oz\n\n', '  Net Wt 2 oz')).toEqual([{ type: 'equal', text: 'Net Wt 2 oz' }]);
+    });
+  });
+
+  describe('diffFields', () => {
+    it('should report added, removed and changed nested fields', () => {
+      expect(diffFields(
+        { productName: 'Oat Bar', allergens: ['milk'], nutritionalInfo: { sodium: '16mg', protein: null } },
+        { productName: 'Oat Bar', allergens: [], nutritionalInfo: { sodium: '160mg', protein: '4g' } }
+      )).toEqual([
+        { field: 'allergens', change: 'removed', before: 'milk', after: null },
+        { field: 'nutritionalInfo.protein', change: 'added', before: null, after: '4g' },
+        { field: 'nutritionalInfo.sodium', change: 'changed', before: '16mg', after: '160mg' }
+      ]);
+    });
+  });
+
+  describe('reconcileIssues', () => {
+    const issue = (id, issueType, componentType, status = 'open') => ({ id, issueType, componentType, status, validatorId: 'agent-ai' });
+    const draft = (issueType, componentType) => ({ validatorId: 'agent-ai', issueType, componentType });
+
+    it('should carry forward re-reported issues, auto-resolve fixed ones and file new ones', () => {
+      const result = reconcileIssues(
+        [
+          issue('reported-again', 'MISSING_ALLERGEN', 'ingredient_list'),
+          issue('fixed', 'AI_COMPLIANCE', 'warning_statement'),
+          issue('untouched', 'AI_COMPLIANCE', 'nutrition_panel'),
+          issue('already-resolved', 'OLD', 'warning_statement', 'resolved')
+        ],
+        [draft('MISSING_ALLERGEN', 'ingredient_list'), draft('VISION_OCR_MISMATCH', 'full_label')],
+        ['full_label', 'warning_statement']
+      );
+
+      expect(result.carriedForward.map(({ issue, draft }) => [issue.id, !!draft])).toEqual([['reported-again', true], ['untouched', false]]);
+      expect(result.autoResolved.map(issue => issue.id)).toEqual(['fixed']);
+      expect(result.created).toEqual([draft('VISION_OCR_MISMATCH', 'full_label')]);
+    });
+  });
+
+  describe('persistLabelRevision', () => {
+    it('should diff against the previous revision and update issues in one transaction', async () => {
+      const prisma = createFakePrisma();
+      const first = await persistValidationRun(prisma, {
+        name: 'oat-bar.png',
+        ...run({
+          ingredients: 'Oats, Honey, Almonds',
+          warnings: 'Contains nuts',
+          correctedText: 'INGREDIENTS: Oats, Honey, Almonds\nWARNING: Contains nuts',
+          nutritionalInfo: { sodium: '16mg' },
+          complianceIssues: [
+            { type: 'ALLERGEN_FORMAT', componentType: 'warning_statement', message: 'Use "Contains: Tree Nuts (Almonds)"' },
+            { type: 'NET_QUANTITY', message: 'Net quantity missing' }
+          ]
+        })
+      });
+      applyIssueDefaults(prisma);
+
+      const result = await persistLabelRevision(prisma, {
+        projectId: first.project.id,
+        filename: 'oat-bar-v2.png',
+        contentHash: 'abc',
+        ...run({
+          ingredients: 'Oats, Honey, Almonds',
+          warnings: 'Contains: Tree Nuts (Almonds)',
+          correctedText: 'INGREDIENTS: Oats, Honey, Almonds\nWARNING: Contains: Tree Nuts (Almonds)',
+          nutritionalInfo: { sodium: '160mg' },
+          complianceIssues: [{ type: 'NET_QUANTITY', message: 'Net quantity still missing' }, { type: 'DV_FOOTNOTE', componentType: 'nutrition_panel', message: 'Footnote missing' }]
+        })
+      });
+
+      expect(prisma.$transaction).toHaveBeenCalledTimes(2);
+      expect(result.revision).toMatchObject({ revisionNumber: 2, filename: 'oat-bar-v2.png', contentHash: 'abc' });
+      expect(result.diff).toMatchObject({
+        fromRevision: 1,
+        toRevision: 2,
+        text: { stats: { unchanged: 1, changed: 1, added: 0, removed: 0 } },
+        fields: [{ field: 'nutritionalInfo.sodium', change: 'changed', before: '16mg', after: '160mg' }],
+        changedComponents: ['full_label', 'warning_statement']
+      });
+
+      const [allergenIssue, netQuantityIssue] = first.issues;
+      expect(result.issueChanges.autoResolved).toEqual([allergenIssue.id]);
+      expect(result.issueChanges.carriedForward).toEqual([netQuantityIssue.id]);
+      expect(result.issueChanges.created).toHaveLength(1);
+
+      expect(prisma.rows.validationIssue.find(issue => issue.id === allergenIssue.id).status).toBe('resolved');
+      expect(prisma.rows.validationIssue.find(issue => issue.id === netQuantityIssue.id).notes).toBe('Net quantity still missing');
+      expect(prisma.rows.issueCard.find(card => card.issueId === allergenIssue.id)).toMatchObject({
+        status: 'revised',
+        revisions: [expect.objectContaining({ revisionNumber: 2, action: 'auto_resolved' })]
+      });
+
+      // Components are updated in place so issues stay pinned to the same rows
+      const warning = prisma.rows.labelComponent.find(component => component.type === 'warning_statement');
+      expect(warning.extractedText).toBe('Contains: Tree Nuts (Almonds)');
+      expect(prisma.rows.labelComponent).toHaveLength(3);
+    });
+
+    it('should return null for unknown projects', async () => {
+      const prisma = createFakePrisma();
+      expect(await persistLabelRevision(prisma, { projectId: 'missing', ...run({ ingredients: 'Oats', warnings: 'None' }) })).toBeNull();
+    });
+  });
+});
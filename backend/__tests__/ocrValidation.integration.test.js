@@ -1,22 +1,58 @@
 import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
 import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
 import app from '../src/server.js';
+import { hashPassword } from '../src/auth.js';
 import fs from 'fs';
 import path from 'path';
 
+// Every route but /health requires a session; the tests sign in as this admin
+const TEST_USER = { email: 'integration-test@example.com', password: 'integration-test-password' };
+
 describe('OCR + AI Validation Integration Tests', () => {
   let server;
+  let prisma;
+  let api;
 
   beforeAll(async () => {
     // Start server for testing
     const port = process.env.TEST_PORT || 4001;
     server = app.listen(port);
+
+    prisma = new PrismaClient();
+    const passwordHash = await hashPassword(TEST_USER.password);
+    await prisma.user.upsert({
+      where: { email: TEST_USER.email },
+      create: { email: TEST_USER.email, role: 'admin', passwordHash },
+      update: { role: 'admin', passwordHash }
+    });
+
+    // The agent keeps the session cookie set by /auth/login
+    api = request.agent(app);
+    await api.post('/auth/login').send(TEST_USER).expect(200);
   });
 
   afterAll(async () => {
     if (server) {
       server.close();
     }
+    await prisma?.$disconnect();
+  });
+
+  describe('Authentication', () => {
+    it('should reject requests without a session', async () => {
+      await request(app)
+        .post('/ocr-validate')
+        .field('type', 'food-label')
+        .expect(401);
+
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: '{ labelProjects { id } }' })
+        .expect(200);
+
+      expect(response.body.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+    });
   });
 
   describe('POST /ocr-validate', () => {
@@ -27,7 +63,7 @@ describe('OCR + AI Validation Integration Tests', () => {
         'base64'
       );
 
-      const response = await request(app)
+      const response = await api
         .post('/ocr-validate')
         .attach('file', testImageBuffer, 'test-label.png')
         .field('type', 'food-label')
@@ -58,7 +94,7 @@ describe('OCR + AI Validation Integration Tests', () => {
     }, 30000); // 30 second timeout for AI processing
 
     it('should handle missing file upload', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/ocr-validate')
         .field('type', 'food-label')
         .expect(400);
@@ -70,7 +106,7 @@ describe('OCR + AI Validation Integration Tests', () => {
     it('should handle invalid file types', async () => {
       const textBuffer = Buffer.from('This is not an image', 'utf8');
 
-      const response = await request(app)
+      const response = await api
         .post('/ocr-validate')
         .attach('file', textBuffer, 'test.txt')
         .field('type', 'food-label')
@@ -83,7 +119,7 @@ describe('OCR + AI Validation Integration Tests', () => {
       // Create a large buffer (simulate large image)
       const largeBuf = Buffer.alloc(15 * 1024 * 1024); // 15MB
 
-      const response = await request(app)
+      const response = await api
         .post('/ocr-validate')
         .attach('file', largeBuf, 'large-image.jpg')
         .field('type', 'food-label');
@@ -104,7 +140,7 @@ describe('OCR + AI Validation Integration Tests', () => {
 
       const startTime = Date.now();
       
-      const response = await request(app)
+      const response = await api
         .post('/ocr-validate')
         .attach('file', testImageBuffer, 'test-label.png')
         .field('type', 'food-label')
@@ -120,7 +156,7 @@ describe('OCR + AI Validation Integration Tests', () => {
 
   describe('Health check endpoints', () => {
     it('should return system health status', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/health')
         .expect(200);
 
@@ -130,7 +166,7 @@ describe('OCR + AI Validation Integration Tests', () => {
     });
 
     it('should check environment variables', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/env-check')
         .expect(200);
 
@@ -155,7 +191,7 @@ describe('OCR + AI Validation Integration Tests', () => {
         }
       `;
 
-      const response = await request(app)
+      const response = await api
         .post('/graphql')
         .send({ query })
         .expect(200);
@@ -171,7 +207,7 @@ describe('OCR + AI Validation Integration Tests', () => {
         }
       `;
 
-      const response = await request(app)
+      const response = await api
         .post('/graphql')
         .send({ query: invalidQuery })
         .expect(200);
@@ -181,6 +217,64 @@ describe('OCR + AI Validation Integration Tests', () => {
     });
   });
 
+  describe('Label project GraphQL operations', () => {
+    const gql = (query, variables) => api
+      .post('/graphql')
+      .send({ query, variables })
+      .expect(200);
+
+    it('should create a project, file an issue and move its card forward', async () => {
+      const project = await gql(`
+        mutation ($input: CreateLabelProjectInput!) {
+          createLabelProject(input: $input) { id name status }
+        }
+      `, { input: { name: 'Integration Test Label' } });
+
+      const labelId = project.body.data.createLabelProject.id;
+      expect(project.body.data.createLabelProject.status).toBe('pending');
+
+      const component = await gql(`
+        mutation ($input: CreateLabelComponentInput!) {
+          createLabelComponent(input: $input) { id boundingBox { x y width height } }
+        }
+      `, { input: { labelId, type: 'nutrition_panel', boundingBox: { x: 10, y: 20, width: 100, height: 200 } } });
+
+      const componentId = component.body.data.createLabelComponent.id;
+      expect(component.body.data.createLabelComponent.boundingBox.width).toBe(100);
+
+      const validators = await gql('query { validatorAgents { id } }');
+      const validatorId = validators.body.data.validatorAgents[0]?.id;
+      if (!validatorId) return;
+
+      const issue = await gql(`
+        mutation ($input: CreateValidationIssueInput!) {
+          createValidationIssue(input: $input) { id status cards { id status } }
+        }
+      `, { input: { labelId, componentId, validatorId, issueType: 'MISSING_DV', severity: 'high', notes: 'Missing %DV' } });
+
+      const card = issue.body.data.createValidationIssue.cards[0];
+      expect(card.status).toBe('open');
+
+      const moved = await gql(`
+        mutation ($id: ID!) { moveIssueCard(id: $id, status: "investigating") { status issue { status } } }
+      `, { id: card.id });
+
+      expect(moved.body.data.moveIssueCard.status).toBe('investigating');
+      expect(moved.body.data.moveIssueCard.issue.status).toBe('investigating');
+
+      await gql('mutation ($id: ID!) { deleteLabelProject(id: $id) }', { id: labelId });
+    });
+
+    it('should return NOT_FOUND when moving an unknown issue card', async () => {
+      const response = await gql(`
+        mutation { moveIssueCard(id: "missing-card", status: "approved") { id } }
+      `);
+
+      expect(response.body).toHaveProperty('errors');
+      expect(response.body.errors[0].extensions.code).toBe('NOT_FOUND');
+    });
+  });
+
   describe('File upload functionality', () => {
     it('should upload files to S3 successfully', async () => {
       const testImageBuffer = Buffer.from(
@@ -188,7 +282,7 @@ describe('OCR + AI Validation Integration Tests', () => {
         'base64'
       );
 
-      const response = await request(app)
+      const response = await api
         .post('/upload')
         .attach('file', testImageBuffer, 'test-upload.png')
         .field('type', 'test')
@@ -203,7 +297,7 @@ describe('OCR + AI Validation Integration Tests', () => {
     it('should validate file types on upload', async () => {
       const textBuffer = Buffer.from('Not an image', 'utf8');
 
-      const response = await request(app)
+      const response = await api
         .post('/upload')
         .attach('file', textBuffer, 'test.txt')
         .field('type', 'test')
@@ -216,7 +310,7 @@ describe('OCR + AI Validation Integration Tests', () => {
 
   describe('Database connectivity', () => {
     it('should connect to database successfully', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/health')
         .expect(200);
 
@@ -226,7 +320,7 @@ describe('OCR + AI Validation Integration Tests', () => {
 
   describe('Error handling', () => {
     it('should handle 404 routes gracefully', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/nonexistent-route')
         .expect(404);
 
@@ -234,7 +328,7 @@ describe('OCR + AI Validation Integration Tests', () => {
     });
 
     it('should handle malformed requests', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/ocr-validate')
         .send('invalid json data')
         .expect(400);
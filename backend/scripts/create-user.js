@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv'
+import { PrismaClient } from '@prisma/client'
+import { ROLES, hashPassword } from '../src/auth.js'
+
+/**
+ * Create a user, or reset an existing user's role and password
+ * Usage: npm run user:create -- <email> <password> [role]
+ * This is how the first admin is created; after that admins manage users
+ * through the createUser and updateUser GraphQL mutations.
+ */
+
+dotenv.config({ path: '../.env' })
+
+const [email, password, role = 'admin'] = process.argv.slice(2)
+
+if (!email || !password || !ROLES.includes(role)) {
+  console.error(`Usage: npm run user:create -- <email> <password> [${ROLES.join('|')}]`)
+  process.exit(1)
+}
+
+const prisma = new PrismaClient()
+
+try {
+  const normalizedEmail = email.trim().toLowerCase()
+  const passwordHash = await hashPassword(password)
+  const user = await prisma.user.upsert({
+    where: { email: normalizedEmail },
+    create: { email: normalizedEmail, role, passwordHash },
+    update: { role, passwordHash }
+  })
+  console.log(`✅ ${user.email} can now sign in as ${user.role}`)
+} catch (error) {
+  console.error('❌ Failed to create user:', error.message)
+  process.exitCode = 1
+} finally {
+  await prisma.$disconnect()
+}
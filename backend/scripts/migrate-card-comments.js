@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv'
+import { Prisma, PrismaClient } from '@prisma/client'
+
+/**
+ * Copy issue card comment threads from the legacy IssueCard.comments JSON
+ * column into Comment rows
+ * Usage: npm run comments:migrate
+ * Run once after deploying the Comment model and before the column is
+ * dropped. Each card's entries are copied and its legacy column cleared in
+ * one transaction, so the script can be re-run after a failure without
+ * duplicating comments. Authors are matched to users by email; comments from
+ * unknown authors are kept without one, their name prefixed to the body.
+ */
+
+dotenv.config({ path: '../.env' })
+
+// Legacy entries were free-form; these are the field names they used
+const entryBody = (entry) => typeof entry === 'string'
+  ? entry
+  : entry?.body ?? entry?.text ?? entry?.content ?? entry?.comment ?? entry?.message ?? null
+const entryAuthor = (entry) => {
+  const author = entry?.authorEmail ?? entry?.author ?? entry?.user ?? null
+  const name = typeof author === 'object' ? author?.email ?? author?.name : author
+  return typeof name === 'string' && name.trim() ? name.trim() : null
+}
+const entryDate = (entry) => {
+  const date = new Date(entry?.createdAt ?? entry?.at ?? entry?.timestamp ?? NaN)
+  return Number.isNaN(date.getTime()) ? undefined : date
+}
+
+const prisma = new PrismaClient()
+
+try {
+  const cards = await prisma.issueCard.findMany({
+    where: { legacyComments: { not: Prisma.DbNull } },
+    select: { id: true, legacyComments: true }
+  })
+  const users = await prisma.user.findMany({ select: { id: true, email: true } })
+  const userIds = new Map(users.map(user => [user.email, user.id]))
+
+  let copied = 0
+  let skipped = 0
+  for (const card of cards) {
+    const entries = Array.isArray(card.legacyComments) ? card.legacyComments : []
+    const rows = []
+    for (const entry of entries) {
+      const body = entryBody(entry)
+      if (typeof body !== 'string' || !body.trim()) {
+        console.warn(`⚠️ Card ${card.id}: skipping comment without text: ${JSON.stringify(entry)}`)
+        skipped += 1
+        continue
+      }
+
+      const author = entryAuthor(entry)
+      const authorId = author ? userIds.get(author.toLowerCase()) ?? null : null
+      rows.push({
+        cardId: card.id,
+        authorId,
+        body: authorId || !author ? body : `${author}: ${body}`,
+        createdAt: entryDate(entry)
+      })
+    }
+
+    await prisma.$transaction([
+      ...rows.map(data => prisma.comment.create({ data })),
+      prisma.issueCard.update({ where: { id: card.id }, data: { legacyComments: Prisma.DbNull } })
+    ])
+    copied += rows.length
+  }
+
+  console.log(`✅ Copied ${copied} comments from ${cards.length} cards${skipped ? ` (${skipped} entries without text skipped)` : ''}`)
+} catch (error) {
+  console.error('❌ Failed to migrate card comments:', error.message)
+  process.exitCode = 1
+} finally {
+  await prisma.$disconnect()
+}
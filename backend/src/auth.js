@@ -0,0 +1,186 @@
+import { randomBytes, scrypt as scryptCallback, timingSafeEqual } from 'crypto'
+import { promisify } from 'util'
+import { SignJWT, jwtVerify } from 'jose'
+import { createGraphQLError } from 'graphql-yoga'
+
+const scrypt = promisify(scryptCallback)
+
+// Lowest to highest; each role can do everything the roles below it can
+export const ROLES = ['observer', 'validator', 'reviewer', 'admin']
+
+export const SESSION_COOKIE = 'session'
+const SESSION_ISSUER = 'regulate.ai'
+const DEFAULT_SESSION_TTL_HOURS = 12
+const SCRYPT_KEY_LENGTH = 64
+
+/**
+ * Whether a user holds at least the given role
+ */
+export function hasRole(user, minRole) {
+  if (!user) return false
+  const rank = ROLES.indexOf(user.role)
+  return rank >= 0 && rank >= ROLES.indexOf(minRole)
+}
+
+/**
+ * Hash a password as scrypt$<salt>$<hash> (hex)
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex')
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH)
+  return `scrypt$${salt}$${hash.toString('hex')}`
+}
+
+/**
+ * Check a password against a stored hashPassword value; unset or malformed hashes never match
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$')
+  if (scheme !== 'scrypt' || !salt || !hash) return false
+
+  const expected = Buffer.from(hash, 'hex')
+  const actual = await scrypt(password, salt, expected.length)
+  return timingSafeEqual(actual, expected)
+}
+
+function secretKey(secret) {
+  if (!secret) {
+    const error = new Error('AUTH_SECRET is not configured')
+    error.code = 'AUTH_NOT_CONFIGURED'
+    throw error
+  }
+  return new TextEncoder().encode(secret)
+}
+
+export function sessionTtlSeconds(env = process.env) {
+  return (Number(env.AUTH_SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS) * 3600
+}
+
+/**
+ * Sign an HS256 session token for a user ({ sub, email, role })
+ */
+export async function signSessionToken(user, { secret = process.env.AUTH_SECRET, ttlSeconds = sessionTtlSeconds() } = {}) {
+  return new SignJWT({ email: user.email, role: user.role })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(user.id)
+    .setIssuer(SESSION_ISSUER)
+    .setIssuedAt()
+    .setExpirationTime(`${ttlSeconds}s`)
+    .sign(secretKey(secret))
+}
+
+/**
+ * Verify a session token, returning its claims or null when it is invalid or expired
+ */
+export async function verifySessionToken(token, { secret = process.env.AUTH_SECRET } = {}) {
+  try {
+    const { payload } = await jwtVerify(token, secretKey(secret), { issuer: SESSION_ISSUER, algorithms: ['HS256'] })
+    return payload
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Session token from an `Authorization: Bearer` header or the session cookie
+ */
+export function readSessionToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ')
+  if (scheme?.toLowerCase() === 'bearer' && token) return token
+
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = pair.trim().split('=')
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='))
+  }
+  return null
+}
+
+/**
+ * Express middleware setting req.user from the request's session token
+ * The user is reloaded from the database on every request so role changes and
+ * deleted accounts take effect before the token expires. Requests without a
+ * valid token get req.user = null; routes decide whether that is allowed.
+ */
+export function authenticate(prisma, { secret = process.env.AUTH_SECRET } = {}) {
+  return async (req, res, next) => {
+    req.user = null
+
+    const token = readSessionToken(req)
+    if (!token || !secret) return next()
+
+    try {
+      const claims = await verifySessionToken(token, { secret })
+      if (claims?.sub) {
+        req.user = await prisma.user.findUnique({ where: { id: claims.sub } })
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+/**
+ * Express middleware rejecting requests without a user (401) or below minRole (403)
+ */
+export function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+    if (!hasRole(req.user, minRole)) {
+      return res.status(403).json({ error: `Requires the ${minRole} role` })
+    }
+    next()
+  }
+}
+
+/**
+ * GraphQL counterpart of requireRole: throws UNAUTHENTICATED or FORBIDDEN
+ */
+export function assertRole(user, minRole) {
+  if (!user) {
+    throw createGraphQLError('Authentication required', {
+      extensions: { code: 'UNAUTHENTICATED' }
+    })
+  }
+  if (!hasRole(user, minRole)) {
+    throw createGraphQLError(`Requires the ${minRole} role`, {
+      extensions: { code: 'FORBIDDEN', requiredRole: minRole }
+    })
+  }
+}
+
+/**
+ * Wrap root Query and Mutation resolvers with role checks
+ * `roles` maps `Type.field` to the minimum role, or to null for public fields;
+ * fields not listed need `defaultRole`. Nested type resolvers are only reachable
+ * through a root field, so they are left as they are.
+ */
+export function guardResolvers(resolvers, roles, { defaultRole = 'observer' } = {}) {
+  const guarded = { ...resolvers }
+
+  for (const type of ['Query', 'Mutation']) {
+    if (!resolvers[type]) continue
+    guarded[type] = Object.fromEntries(Object.entries(resolvers[type]).map(([field, resolve]) => {
+      const minRole = `${type}.${field}` in roles ? roles[`${type}.${field}`] : defaultRole
+      if (!minRole) return [field, resolve]
+
+      return [field, (parent, args, context, info) => {
+        assertRole(context.user, minRole)
+        return resolve(parent, args, context, info)
+      }]
+    }))
+  }
+
+  return guarded
+}
+
+/**
+ * Public view of a user; never exposes the password hash
+ */
+export function toPublicUser(user) {
+  if (!user) return null
+  const { passwordHash, ...rest } = user
+  return rest
+}
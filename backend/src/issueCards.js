@@ -0,0 +1,145 @@
+// Issue card workflow: open → investigating → revised → approved.
+// Cards may be sent back one step for rework; approved cards can be reopened.
+export const ISSUE_CARD_TRANSITIONS = {
+  open: ['investigating'],
+  investigating: ['open', 'revised'],
+  revised: ['investigating', 'approved'],
+  approved: ['investigating']
+}
+
+// Card status → parent ValidationIssue status
+export const CARD_TO_ISSUE_STATUS = {
+  open: 'open',
+  investigating: 'investigating',
+  revised: 'resolved',
+  approved: 'approved'
+}
+
+// Reviewer decision → the card status it moves the card to
+export const APPROVAL_DECISIONS = {
+  approved: 'approved',
+  changes_requested: 'investigating'
+}
+
+export const MAX_COMMENT_LENGTH = 5000
+
+// "@jane", "@jane.smith" or "@jane@example.com", not preceded by a word character (so emails in text are skipped)
+const MENTION_PATTERN = /(?<![\w@.])@([a-z0-9._%+-]+(?:@[a-z0-9.-]+\.[a-z]{2,})?)/gi
+
+/**
+ * Whether a card may move from one status to another
+ */
+export function canTransition(from, to) {
+  return (ISSUE_CARD_TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * Lowercased @mention handles in a comment, without duplicates or trailing punctuation
+ */
+export function extractMentionHandles(body = '') {
+  const handles = [...body.matchAll(MENTION_PATTERN)].map(match => match[1].replace(/[.]+$/, '').toLowerCase())
+  return [...new Set(handles.filter(Boolean))]
+}
+
+/**
+ * Users a comment's handles refer to
+ * A handle matches a user's full email, or the part of it before the @.
+ */
+export function matchMentionedUsers(handles, users) {
+  return users.filter(user => {
+    const email = user.email.toLowerCase()
+    return handles.some(handle => handle === email || handle === email.split('@')[0])
+  })
+}
+
+/**
+ * Add a comment to a card, recording a mention for every @handle that names a user
+ * Returns { comment, mentions: [user] }, or null when the card does not exist.
+ */
+export async function addCardComment(prisma, { cardId, authorId, body }) {
+  return prisma.$transaction(async (tx) => {
+    const card = await tx.issueCard.findUnique({ where: { id: cardId } })
+    if (!card) return null
+
+    const handles = extractMentionHandles(body)
+    const mentioned = handles.length > 0 ? matchMentionedUsers(handles, await tx.user.findMany()) : []
+
+    const comment = await tx.comment.create({ data: { cardId, authorId, body } })
+    for (const user of mentioned) {
+      await tx.commentMention.create({ data: { commentId: comment.id, userId: user.id } })
+    }
+
+    return { comment, mentions: mentioned }
+  })
+}
+
+/**
+ * Record a reviewer's decision on a card and move the card (and its issue) accordingly
+ * Approving requires a card the workflow allows to be approved (see
+ * canTransition); callers check that first. Returns { approval, card }, or null
+ * when the card does not exist.
+ */
+export async function recordCardDecision(prisma, { cardId, reviewerId, decision, note }) {
+  const status = APPROVAL_DECISIONS[decision]
+
+  return prisma.$transaction(async (tx) => {
+    const card = await tx.issueCard.findUnique({ where: { id: cardId } })
+    if (!card) return null
+
+    const approval = await tx.approval.create({
+      data: { cardId, reviewerId, decision, note: note || null }
+    })
+    const updatedCard = await tx.issueCard.update({ where: { id: cardId }, data: { status } })
+    await tx.validationIssue.update({
+      where: { id: card.issueId },
+      data: { status: CARD_TO_ISSUE_STATUS[status] }
+    })
+
+    return { approval, card: updatedCard }
+  })
+}
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value))
+
+/**
+ * Chronological activity feed for a card
+ * Merges the card's creation, its comments (with author and mentions loaded),
+ * reviewer decisions (with reviewer loaded) and the label-revision entries in
+ * card.revisions into [{ id, type, at, actor, body, ... }], oldest first.
+ * Events at the same instant are ordered by id so the feed is stable.
+ */
+export function buildActivityFeed({ card, comments = [], approvals = [] }) {
+  const events = [
+    { id: `created:${card.id}`, type: 'created', at: toDate(card.createdAt), actor: null, body: null },
+
+    ...comments.map(comment => ({
+      id: `comment:${comment.id}`,
+      type: 'comment',
+      at: toDate(comment.createdAt),
+      actor: comment.author || null,
+      body: comment.body,
+      comment
+    })),
+
+    ...approvals.map(approval => ({
+      id: `approval:${approval.id}`,
+      type: approval.decision,
+      at: toDate(approval.createdAt),
+      actor: approval.reviewer || null,
+      body: approval.note || null,
+      approval
+    })),
+
+    ...(card.revisions || []).map((entry, index) => ({
+      id: `revision:${card.id}:${index}`,
+      type: 'revision',
+      at: toDate(entry.at),
+      actor: null,
+      body: entry.reason || null,
+      revisionNumber: entry.revisionNumber,
+      action: entry.action
+    }))
+  ]
+
+  return events.sort((a, b) => a.at - b.at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+}
@@ -0,0 +1,219 @@
+import path from 'path'
+import zlib from 'zlib'
+import AdmZip from 'adm-zip'
+
+/**
+ * Batch uploads
+ * A batch is many label files, zip archives of label files, or both. Archives
+ * are expanded here; every label then becomes one item of a
+ * batchValidationWorkflow (temporal/workflows/batchValidation.js).
+ */
+
+// Label file extension → content type, for files taken out of zip archives
+export const LABEL_FILE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+}
+
+export const ZIP_CONTENT_TYPES = ['application/zip', 'application/x-zip-compressed']
+
+export const MAX_BATCH_ITEMS = 100
+export const MAX_LABEL_FILE_SIZE = 10 * 1024 * 1024
+export const MAX_BATCH_UPLOAD_SIZE = 200 * 1024 * 1024
+export const MAX_BATCH_CONCURRENCY = 10
+
+// Archive entries that are never labels: folders, macOS resource forks and hidden files
+const isIgnoredEntry = (entry) => entry.isDirectory ||
+  entry.entryName.startsWith('__MACOSX/') ||
+  path.posix.basename(entry.entryName).startsWith('.')
+
+const isZip = (file) => ZIP_CONTENT_TYPES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip'
+
+const ZIP_STORED = 0
+const ZIP_DEFLATED = 8
+
+// CRC-32 as zip archives use it; zlib.crc32 needs Node 20.15, the engines field allows 20.0
+const CRC_TABLE = Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte
+  for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1
+  return crc >>> 0
+})
+const crc32 = (data) => {
+  let crc = 0xffffffff
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// Inflate raw deflate data, stopping once it grows past MAX_LABEL_FILE_SIZE;
+// resolves to null then
+const inflateCapped = (compressed) => new Promise((resolve, reject) => {
+  const inflater = zlib.createInflateRaw()
+  const chunks = []
+  let size = 0
+
+  inflater.on('data', (chunk) => {
+    size += chunk.length
+    if (size > MAX_LABEL_FILE_SIZE) {
+      inflater.destroy()
+      resolve(null)
+    } else {
+      chunks.push(chunk)
+    }
+  })
+  inflater.on('error', reject)
+  inflater.on('end', () => resolve(Buffer.concat(chunks)))
+  inflater.end(compressed)
+})
+
+/**
+ * Contents of an archive entry, or null when it is larger than MAX_LABEL_FILE_SIZE
+ * The sizes in entry headers are whatever the archive claims, so the cap is
+ * enforced on the inflated bytes. Throws for entries that cannot be read.
+ */
+async function readArchiveEntry(entry) {
+  const { method, encrypted, crc } = entry.header
+  if (encrypted) throw new Error('encrypted entries are not supported')
+
+  const compressed = entry.getCompressedData()
+  let data
+  if (method === ZIP_STORED) {
+    data = compressed.length > MAX_LABEL_FILE_SIZE ? null : compressed
+  } else if (method === ZIP_DEFLATED) {
+    data = await inflateCapped(compressed)
+  } else {
+    throw new Error(`unsupported compression method ${method}`)
+  }
+
+  if (data && crc32(data) !== crc) throw new Error('bad CRC')
+  return data
+}
+
+/**
+ * Turn uploaded files into label files, expanding zip archives
+ * files are multer files ({ originalname, mimetype, buffer, size }). Returns
+ * { files, skipped } where skipped are { filename, reason } for entries that
+ * are not labels, are too large, cannot be read or exceed MAX_BATCH_ITEMS.
+ */
+export async function expandBatchUploads(files) {
+  const labels = []
+  const skipped = []
+  const tooLarge = `Larger than ${MAX_LABEL_FILE_SIZE / (1024 * 1024)}MB`
+
+  const add = (file) => {
+    if (file.size > MAX_LABEL_FILE_SIZE) {
+      skipped.push({ filename: file.originalname, reason: tooLarge })
+    } else if (labels.length >= MAX_BATCH_ITEMS) {
+      skipped.push({ filename: file.originalname, reason: `Batches are limited to ${MAX_BATCH_ITEMS} labels` })
+    } else {
+      labels.push(file)
+    }
+  }
+
+  for (const file of files) {
+    if (!isZip(file)) {
+      add(file)
+      continue
+    }
+
+    let entries
+    try {
+      entries = new AdmZip(file.buffer).getEntries()
+    } catch (error) {
+      skipped.push({ filename: file.originalname, reason: `Not a readable zip archive: ${error.message}` })
+      continue
+    }
+
+    for (const entry of entries.filter(entry => !isIgnoredEntry(entry))) {
+      const filename = `${file.originalname}/${entry.entryName}`
+      const mimetype = LABEL_FILE_TYPES[path.posix.extname(entry.entryName).toLowerCase()]
+      if (!mimetype) {
+        skipped.push({ filename, reason: 'Not a label image or PDF' })
+        continue
+      }
+
+      // Entries that claim to be too large are not inflated at all
+      if (entry.header.size > MAX_LABEL_FILE_SIZE) {
+        add({ originalname: filename, mimetype, buffer: null, size: entry.header.size })
+        continue
+      }
+      if (entry.header.size === 0 && entry.header.compressedSize > 0) {
+        skipped.push({ filename, reason: 'Archive entry declares no size for its data' })
+        continue
+      }
+
+      let buffer
+      try {
+        buffer = await readArchiveEntry(entry)
+      } catch (error) {
+        skipped.push({ filename, reason: `Unreadable archive entry: ${error.message}` })
+        continue
+      }
+      if (!buffer) {
+        skipped.push({ filename, reason: tooLarge })
+        continue
+      }
+      add({ originalname: filename, mimetype, buffer, size: buffer.length })
+    }
+  }
+
+  return { files: labels, skipped }
+}
+
+/**
+ * Labels a batch validates at once: the requested number, else the fallback,
+ * clamped to 1..MAX_BATCH_CONCURRENCY
+ */
+export function batchConcurrency(requested, fallback = 3) {
+  const value = Number.parseInt(requested ?? fallback, 10)
+  if (Number.isNaN(value)) return batchConcurrency(fallback)
+  return Math.min(Math.max(value, 1), MAX_BATCH_CONCURRENCY)
+}
+
+/**
+ * Batch items with the status of their LabelProject
+ * Each item's workflow saves its own result (and points the project at a
+ * retried attempt), so this only reads the projects.
+ */
+export async function attachProjectStatuses(prisma, batch) {
+  const items = []
+
+  for (const item of batch.items) {
+    const project = item.projectId && await prisma.labelProject.findUnique({ where: { id: item.projectId } })
+    items.push({ ...item, projectStatus: project?.status ?? null })
+  }
+
+  return items
+}
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Batch summary report (see buildBatchReport) as CSV, one row per label
+ */
+export function batchReportToCSV(report) {
+  const rows = [['item', 'filename', 'outcome', 'project', 'attempts', 'compliance_score', 'issues', 'error']]
+  const sections = [['passed', report.passed], ['needs_review', report.needsReview], ['failed', report.failed], ['pending', report.pending]]
+
+  for (const [outcome, items] of sections) {
+    for (const item of items) {
+      rows.push([
+        item.itemId,
+        item.filename,
+        outcome,
+        item.projectId,
+        item.attempts,
+        item.result?.complianceScore,
+        item.result ? item.result.violations + item.result.validatorIssues : '',
+        item.error
+      ])
+    }
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n'
+}
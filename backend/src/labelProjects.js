@@ -0,0 +1,302 @@
+import { FULL_LABEL_COMPONENT, buildComponentRows } from '../../temporal/activities/segmentation.js'
+import { VALIDATOR_MODULES } from '../../temporal/validators/index.js'
+
+/**
+ * Label project persistence
+ * Turns an OCR + AI + FDA validation run into LabelProject, LabelComponent
+ * and ValidationIssue rows so results can be reopened and audited later.
+ */
+
+// Segmentation is shared with the workflow, which validates the same components
+export { FULL_LABEL_COMPONENT, SECTION_COMPONENT_TYPES, buildComponentRows } from '../../temporal/activities/segmentation.js'
+
+// Validators that validation runs file issues under: the pipeline's AI, FDA and
+// compliance steps, plus one agent per registry module. Registry agents start
+// with empty sourceRules, which means their module's default rules.
+export const BUILTIN_VALIDATORS = {
+  ai: {
+    name: 'AI Label Validator',
+    type: 'ai',
+    sourceRules: { provider: 'anthropic', source: 'aiValidation.complianceIssues' }
+  },
+  fda: {
+    name: 'FDA MCP Validator',
+    type: 'fda',
+    sourceRules: { provider: 'fda-validation-mcp', source: 'fdaValidation.issues' }
+  },
+  compliance: {
+    name: 'Compliance Rule Engine',
+    type: 'compliance',
+    sourceRules: { provider: 'rule-engine', source: 'complianceResult' }
+  },
+  ...Object.fromEntries(Object.values(VALIDATOR_MODULES).map(module => [
+    module.type,
+    { name: module.name, type: module.type, sourceRules: {} }
+  ]))
+}
+
+// Compliance rule id → component its findings are pinned to
+const COMPLIANCE_RULE_COMPONENTS = {
+  'ingredient-statement': 'ingredient_list',
+  'nutrition-facts-panel': 'nutrition_panel',
+  'mandatory-nutrients': 'nutrition_panel',
+  'daily-value-footnote': 'nutrition_panel'
+}
+
+// Vision layout check → component its failures are pinned to
+const LAYOUT_CHECK_COMPONENTS = {
+  nutritionFactsBox: 'nutrition_panel',
+  typeSizeHierarchy: 'nutrition_panel',
+  principalDisplayPanel: FULL_LABEL_COMPONENT
+}
+
+// FDA issue severities (COMPLIANCE/ERROR/WARNING/INFO) → ValidationIssue.severity
+const FDA_SEVERITY_MAP = {
+  COMPLIANCE: 'high',
+  ERROR: 'high',
+  WARNING: 'medium',
+  INFO: 'low'
+}
+
+/**
+ * Find a built-in validator agent by type, creating it on first use
+ * The oldest agent of a type is the built-in one, so admins can rename it or
+ * add further agents of the same type.
+ */
+async function ensureValidatorAgent(db, { name, type, sourceRules }) {
+  const existing = await db.validatorAgent.findFirst({ where: { type }, orderBy: { createdAt: 'asc' } })
+  if (existing) return existing
+
+  return db.validatorAgent.create({ data: { name, type, sourceRules } })
+}
+
+/**
+ * Built-in validator agents keyed like BUILTIN_VALIDATORS (ai, fda, ...), created on first use
+ */
+export async function ensureBuiltinValidators(db) {
+  const validators = {}
+  for (const [key, definition] of Object.entries(BUILTIN_VALIDATORS)) {
+    validators[key] = await ensureValidatorAgent(db, definition)
+  }
+  return validators
+}
+
+/**
+ * Pick the component an FDA issue should be pinned to
+ */
+function componentTypeForFDAIssue(issue) {
+  if (issue.ingredient || issue.sourceTag === 'FDA-INGREDIENT' || issue.sourceTag === 'FDA-ALLERGEN') {
+    return 'ingredient_list'
+  }
+  if (issue.sourceTag === 'FDA-CLAIMS') {
+    return 'nutrition_panel'
+  }
+  return FULL_LABEL_COMPONENT
+}
+
+/**
+ * Build ValidationIssue drafts (without ids) from AI (including vision layout
+ * checks and OCR disagreements), FDA and compliance results and registry
+ * validator runs. Pipeline drafts name their built-in validator (`validator`);
+ * registry drafts carry the agent's `validatorId` and the component it ran on.
+ */
+export function buildIssueDrafts({ aiValidation, fdaValidation, complianceResult, validatorRuns } = {}) {
+  const drafts = []
+
+  for (const complianceIssue of aiValidation?.complianceIssues || []) {
+    const notes = typeof complianceIssue === 'string'
+      ? complianceIssue
+      : complianceIssue.message || JSON.stringify(complianceIssue)
+
+    drafts.push({
+      validator: 'ai',
+      componentType: complianceIssue.componentType || FULL_LABEL_COMPONENT,
+      issueType: complianceIssue.type || 'AI_COMPLIANCE',
+      severity: complianceIssue.severity || 'medium',
+      sourceTag: complianceIssue.sourceTag || 'AI-CLAUDE',
+      notes
+    })
+  }
+
+  const visualValidation = aiValidation?.visualValidation
+  for (const layoutCheck of visualValidation?.layoutChecks || []) {
+    if (layoutCheck.status !== 'fail') continue
+
+    drafts.push({
+      validator: 'ai',
+      componentType: LAYOUT_CHECK_COMPONENTS[layoutCheck.check] || FULL_LABEL_COMPONENT,
+      issueType: `VISION_${layoutCheck.check.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`,
+      severity: layoutCheck.severity || 'medium',
+      sourceTag: 'AI-VISION',
+      notes: layoutCheck.observation
+    })
+  }
+
+  for (const disagreement of visualValidation?.disagreements || []) {
+    const location = disagreement.location ? ` (${disagreement.location})` : ''
+    drafts.push({
+      validator: 'ai',
+      componentType: FULL_LABEL_COMPONENT,
+      issueType: 'VISION_OCR_MISMATCH',
+      severity: disagreement.severity || 'low',
+      sourceTag: 'AI-VISION',
+      notes: `${disagreement.field}: OCR read "${disagreement.ocrText ?? ''}" but the label shows "${disagreement.observedText}"${location}`
+    })
+  }
+
+  for (const issue of fdaValidation?.issues || []) {
+    drafts.push({
+      validator: 'fda',
+      componentType: componentTypeForFDAIssue(issue),
+      issueType: issue.type || 'FDA_ISSUE',
+      severity: FDA_SEVERITY_MAP[issue.severity] || 'medium',
+      sourceTag: issue.sourceTag || 'FDA',
+      notes: issue.message
+    })
+  }
+
+  const complianceFindings = [
+    ...(complianceResult?.violations || []).map(finding => ({ ...finding, severity: 'high' })),
+    ...(complianceResult?.warnings || []).map(finding => ({ ...finding, severity: 'low' }))
+  ]
+  for (const finding of complianceFindings) {
+    drafts.push({
+      validator: 'compliance',
+      componentType: COMPLIANCE_RULE_COMPONENTS[finding.ruleId] || FULL_LABEL_COMPONENT,
+      issueType: `RULE_${finding.ruleId.toUpperCase().replace(/-/g, '_')}`,
+      severity: finding.severity,
+      sourceTag: finding.regulation ? `${finding.regulation.toUpperCase()}-RULES` : 'RULES',
+      notes: finding.citation ? `${finding.message} (${finding.citation})` : finding.message
+    })
+  }
+
+  for (const run of validatorRuns || []) {
+    for (const issue of run.issues) {
+      drafts.push({
+        validatorId: run.validatorId,
+        componentType: run.componentType,
+        issueType: issue.issueType,
+        severity: issue.severity,
+        sourceTag: issue.sourceTag,
+        notes: issue.notes
+      })
+    }
+  }
+
+  return drafts
+}
+
+/**
+ * Give every draft a validatorId and drop drafts from disabled agents
+ * `validators` are the built-in agents from ensureBuiltinValidators.
+ */
+export async function resolveDraftValidators(db, drafts, validators) {
+  const agents = new Map(Object.values(validators).map(agent => [agent.id, agent]))
+  const resolved = []
+
+  for (const draft of drafts) {
+    const validatorId = draft.validatorId ?? validators[draft.validator].id
+    if (!agents.has(validatorId)) {
+      agents.set(validatorId, await db.validatorAgent.findUnique({ where: { id: validatorId } }))
+    }
+    if (agents.get(validatorId)?.isActive === false) continue
+
+    resolved.push({ ...draft, validatorId })
+  }
+
+  return resolved
+}
+
+/**
+ * What a LabelRevision records about a validation run: the label text (AI
+ * corrected when available), the extracted fields and each component's text
+ */
+export function buildRevisionSnapshot({ ocrResult = {}, aiValidation, componentRows = buildComponentRows(ocrResult) }) {
+  return {
+    text: aiValidation?.correctedText || ocrResult.text || '',
+    extractedFields: aiValidation?.extractedInformation || {},
+    componentTexts: Object.fromEntries(componentRows.map(row => [row.type, row.extractedText || '']))
+  }
+}
+
+/**
+ * Persist a validation run as a LabelProject with components and issues
+ * Runs in a single transaction so a failed write leaves no partial project behind.
+ * The run is recorded as revision 1 of the project. When projectId is given,
+ * that 'processing' project (created when an async workflow was started) is
+ * filled in instead; returns null if another request already did so.
+ */
+export async function persistValidationRun(prisma, { projectId, name, clientId, workflowId, contentHash, ocrResult, aiValidation, fdaValidation, complianceResult, validatorRuns }) {
+  const componentRows = buildComponentRows(ocrResult)
+  const drafts = buildIssueDrafts({ aiValidation, fdaValidation, complianceResult, validatorRuns })
+
+  return prisma.$transaction(async (tx) => {
+    const validators = await ensureBuiltinValidators(tx)
+    const issueDrafts = await resolveDraftValidators(tx, drafts, validators)
+    // A run without issues has nothing to review
+    const status = issueDrafts.length === 0 ? 'approved' : 'reviewing'
+
+    let project
+    if (projectId) {
+      // Conditional update claims the project so concurrent status polls persist it once
+      const claimed = await tx.labelProject.updateMany({
+        where: { id: projectId, status: 'processing' },
+        data: { status }
+      })
+      if (claimed.count === 0) return null
+
+      project = await tx.labelProject.findUnique({ where: { id: projectId } })
+    } else {
+      project = await tx.labelProject.create({
+        data: {
+          name,
+          clientId,
+          workflowId,
+          status
+        }
+      })
+    }
+
+    const componentsByType = {}
+    for (const row of componentRows) {
+      componentsByType[row.type] = await tx.labelComponent.create({
+        data: { ...row, labelId: project.id }
+      })
+    }
+
+    const issues = []
+    for (const draft of issueDrafts) {
+      const component = componentsByType[draft.componentType] || componentsByType[FULL_LABEL_COMPONENT]
+
+      issues.push(await tx.validationIssue.create({
+        data: {
+          labelId: project.id,
+          componentId: component.id,
+          validatorId: draft.validatorId,
+          issueType: draft.issueType,
+          severity: draft.severity,
+          notes: draft.notes,
+          sourceTag: draft.sourceTag,
+          cards: { create: [{}] }
+        }
+      }))
+    }
+
+    const revision = await tx.labelRevision.create({
+      data: {
+        labelId: project.id,
+        revisionNumber: 1,
+        filename: ocrResult?.filename || name || null,
+        contentHash: contentHash || null,
+        ...buildRevisionSnapshot({ ocrResult, aiValidation, componentRows })
+      }
+    })
+
+    return {
+      project,
+      components: Object.values(componentsByType),
+      issues,
+      revision
+    }
+  })
+}
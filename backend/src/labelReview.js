@@ -0,0 +1,80 @@
+import { persistValidationRun } from './labelProjects.js'
+import { OPEN_ISSUE_STATUSES, persistLabelRevision } from './labelRevisions.js'
+
+/**
+ * Human review of workflow validation runs
+ * A label validation workflow waits for review after each round. Its
+ * activities record the round's issues (recordReviewRound) and, once all
+ * issues are resolved or approved, the final approval (recordLabelApproval,
+ * the "Green Check"); the backend signals every issue status change in
+ * between. `client` is the Temporal OCR client (temporal/clients/ocrClient.js),
+ * passed in so these helpers can be used without a Temporal connection.
+ */
+
+/**
+ * Review signal for an issue status change: approveIssue when the issue is
+ * closed (resolved or approved), rejectIssue when it is sent back to an open
+ * status, null when nothing changed
+ */
+export function issueReviewSignal(previousStatus, status) {
+  if (!status || status === previousStatus) return null
+  return OPEN_ISSUE_STATUSES.includes(status) ? 'rejectIssue' : 'approveIssue'
+}
+
+/**
+ * Record a validation round the workflow is about to have reviewed
+ * The first round fills in the project's placeholder; later rounds
+ * (revalidations) are recorded as new revisions tagged with their round, so
+ * repeating a round that is already recorded does nothing. Returns the project's issues as
+ * [{ id, status }] for the workflow to track.
+ */
+export async function recordReviewRound(prisma, { projectId, round, result }) {
+  const run = {
+    projectId,
+    ocrResult: result.ocrResult,
+    aiValidation: result.validationResult,
+    complianceResult: result.complianceResult,
+    validatorRuns: result.validatorRuns
+  }
+
+  if (round === 1) {
+    // Null when the project was already filled in
+    await persistValidationRun(prisma, run)
+  } else {
+    const recorded = await prisma.labelRevision.findFirst({ where: { labelId: projectId, reviewRound: round } })
+    if (!recorded) {
+      await persistLabelRevision(prisma, { ...run, filename: result.filename, reviewRound: round })
+    }
+  }
+
+  const issues = await prisma.validationIssue.findMany({ where: { labelId: projectId } })
+  return issues.map(issue => ({ id: issue.id, status: issue.status }))
+}
+
+/**
+ * Mark a project approved once its workflow sees every issue closed
+ * Returns the updated project.
+ */
+export async function recordLabelApproval(prisma, { projectId }) {
+  return prisma.labelProject.update({ where: { id: projectId }, data: { status: 'approved' } })
+}
+
+/**
+ * Tell the project's review workflow, if any, that an issue changed status
+ * Returns the signal sent, or null when there was nothing to send.
+ */
+export async function notifyIssueReview(prisma, client, { issue, previousStatus, reviewer, note }) {
+  const signal = issueReviewSignal(previousStatus, issue.status)
+  if (!signal) return null
+
+  const project = await prisma.labelProject.findUnique({ where: { id: issue.labelId } })
+  if (!project?.workflowId) return null
+
+  await client.signalLabelReview(project.workflowId, signal, {
+    issueId: issue.id,
+    status: issue.status,
+    reviewer: reviewer || null,
+    note: note || null
+  })
+  return signal
+}
@@ -0,0 +1,313 @@
+import {
+  FULL_LABEL_COMPONENT,
+  buildComponentRows,
+  buildIssueDrafts,
+  buildRevisionSnapshot,
+  ensureBuiltinValidators,
+  resolveDraftValidators
+} from './labelProjects.js'
+
+// Issues still under review; resolved and approved issues are left alone by new revisions
+export const OPEN_ISSUE_STATUSES = ['open', 'investigating']
+
+const normalizeLine = (line) => line.trim().replace(/\s+/g, ' ')
+const toLines = (text = '') => text.split('\n').map(normalizeLine).filter(Boolean)
+
+/**
+ * Line diff of two texts as [{ type: 'equal' | 'removed' | 'added', text }]
+ * Lines are compared with whitespace collapsed, using a longest common
+ * subsequence table (labels are a few hundred lines at most).
+ */
+export function diffLines(before = '', after = '') {
+  const a = toLines(before)
+  const b = toLines(after)
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const ops = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', text: a[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'removed', text: a[i++] })
+    } else {
+      ops.push({ type: 'added', text: b[j++] })
+    }
+  }
+  while (i < a.length) ops.push({ type: 'removed', text: a[i++] })
+  while (j < b.length) ops.push({ type: 'added', text: b[j++] })
+
+  return ops
+}
+
+/**
+ * Pair a line diff into side-by-side rows [{ type, before, after }]
+ * Removed lines directly followed by added lines become 'changed' rows.
+ */
+export function toSideBySide(ops) {
+  const rows = []
+  let removed = []
+  let added = []
+
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const before = removed[k] ?? null
+      const after = added[k] ?? null
+      rows.push({ type: before === null ? 'added' : after === null ? 'removed' : 'changed', before, after })
+    }
+    removed = []
+    added = []
+  }
+
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      flush()
+      rows.push({ type: 'equal', before: op.text, after: op.text })
+    } else if (op.type === 'removed') {
+      if (added.length > 0) flush()
+      removed.push(op.text)
+    } else {
+      added.push(op.text)
+    }
+  }
+  flush()
+
+  return rows
+}
+
+/**
+ * Flatten extracted fields to { 'nutritionalInfo.sodium': '160mg', ingredients: 'Water, Sugar' }
+ * Empty values are dropped so null and missing fields compare equal.
+ */
+function flattenFields(value, prefix = '', fields = {}) {
+  if (value === null || value === undefined || value === '') return fields
+
+  if (Array.isArray(value)) {
+    if (value.length > 0) fields[prefix] = value.join(', ')
+  } else if (typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      flattenFields(child, prefix ? `${prefix}.${key}` : key, fields)
+    }
+  } else {
+    fields[prefix] = String(value)
+  }
+  return fields
+}
+
+/**
+ * Field-level changes between two extracted-information objects
+ * Returns [{ field, change: 'added' | 'removed' | 'changed', before, after }] sorted by field.
+ */
+export function diffFields(before = {}, after = {}) {
+  const a = flattenFields(before)
+  const b = flattenFields(after)
+
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .sort()
+    .filter(field => a[field] !== b[field])
+    .map(field => ({
+      field,
+      change: a[field] === undefined ? 'added' : b[field] === undefined ? 'removed' : 'changed',
+      before: a[field] ?? null,
+      after: b[field] ?? null
+    }))
+}
+
+/**
+ * Component types whose text differs between two { type: text } snapshots
+ * The full label counts as changed whenever any text changed.
+ */
+export function changedComponentTypes(before = {}, after = {}) {
+  const normalize = (text) => toLines(text).join('\n')
+  const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(type => normalize(before[type]) !== normalize(after[type]))
+
+  if (changed.length > 0 && !changed.includes(FULL_LABEL_COMPONENT)) {
+    changed.push(FULL_LABEL_COMPONENT)
+  }
+  return changed.sort()
+}
+
+/**
+ * Diff two revision snapshots ({ revisionNumber, text, extractedFields, componentTexts })
+ */
+export function diffRevisions(previous, current) {
+  const rows = toSideBySide(diffLines(previous.text, current.text))
+  const count = (type) => rows.filter(row => row.type === type).length
+
+  return {
+    fromRevision: previous.revisionNumber,
+    toRevision: current.revisionNumber,
+    text: {
+      rows,
+      stats: { unchanged: count('equal'), changed: count('changed'), added: count('added'), removed: count('removed') }
+    },
+    fields: diffFields(previous.extractedFields, current.extractedFields),
+    changedComponents: changedComponentTypes(previous.componentTexts, current.componentTexts)
+  }
+}
+
+/**
+ * Decide what happens to a project's issues when a new revision is validated
+ * previousIssues are { id, status, issueType, validatorId, componentType } and
+ * drafts have their validatorId resolved. An open issue the new run reports
+ * again (same validator, issue type and component) is carried forward with the new draft. One the run no longer
+ * reports is auto-resolved if its component's text changed, and carried
+ * forward otherwise. Drafts matching no open issue become new issues.
+ * Returns { carriedForward: [{ issue, draft }], autoResolved: [issue], created: [draft] }.
+ */
+export function reconcileIssues(previousIssues, drafts, changedComponents) {
+  const keyOf = ({ validatorId, issueType, componentType }) => `${validatorId}|${issueType}|${componentType}`
+  const remaining = [...drafts]
+  const result = { carriedForward: [], autoResolved: [], created: [] }
+
+  for (const issue of previousIssues.filter(issue => OPEN_ISSUE_STATUSES.includes(issue.status))) {
+    const key = keyOf(issue)
+    const index = remaining.findIndex(draft => keyOf(draft) === key)
+
+    if (index >= 0) {
+      result.carriedForward.push({ issue, draft: remaining.splice(index, 1)[0] })
+    } else if (changedComponents.includes(issue.componentType)) {
+      result.autoResolved.push(issue)
+    } else {
+      result.carriedForward.push({ issue, draft: null })
+    }
+  }
+
+  result.created = remaining
+  return result
+}
+
+/**
+ * Record a new revision of an existing LabelProject from a validation run
+ * Diffs the run against the latest revision, updates the project's components
+ * to the new text, carries forward or auto-resolves open issues (see
+ * reconcileIssues) and files new ones, all in one transaction. Every touched
+ * issue card gets a { revisionNumber, action, reason, at } entry in its
+ * revisions log. reviewRound is set when a review workflow records the run.
+ * Returns { project, revision, diff, issueChanges }, or null when the project
+ * does not exist.
+ */
+export async function persistLabelRevision(prisma, { projectId, filename, contentHash, ocrResult, aiValidation, fdaValidation, complianceResult, validatorRuns, reviewRound }) {
+  const componentRows = buildComponentRows(ocrResult)
+  const drafts = buildIssueDrafts({ aiValidation, fdaValidation, complianceResult, validatorRuns })
+  const snapshot = buildRevisionSnapshot({ ocrResult, aiValidation, componentRows })
+
+  return prisma.$transaction(async (tx) => {
+    const project = await tx.labelProject.findUnique({ where: { id: projectId } })
+    if (!project) return null
+
+    const revisions = await tx.labelRevision.findMany({ where: { labelId: projectId }, orderBy: { revisionNumber: 'asc' } })
+    const components = await tx.labelComponent.findMany({ where: { labelId: projectId } })
+    const previous = revisions[revisions.length - 1] || {
+      // Projects created before revisions were tracked start from their stored components
+      revisionNumber: 0,
+      text: components.find(component => component.type === FULL_LABEL_COMPONENT)?.extractedText || '',
+      extractedFields: {},
+      componentTexts: Object.fromEntries(components.map(component => [component.type, component.extractedText || '']))
+    }
+    const revisionNumber = previous.revisionNumber + 1
+    const diff = diffRevisions(previous, { ...snapshot, revisionNumber })
+
+    // Components keep their ids so carried-forward issues stay pinned to them
+    const componentsByType = Object.fromEntries(components.map(component => [component.type, component]))
+    for (const row of componentRows) {
+      const existing = componentsByType[row.type]
+      componentsByType[row.type] = existing
+        ? await tx.labelComponent.update({ where: { id: existing.id }, data: row })
+        : await tx.labelComponent.create({ data: { ...row, labelId: projectId } })
+    }
+    for (const component of components) {
+      if (!componentRows.some(row => row.type === component.type)) {
+        await tx.labelComponent.update({ where: { id: component.id }, data: { extractedText: null, boundingBox: {} } })
+      }
+    }
+
+    const validators = await ensureBuiltinValidators(tx)
+    const componentTypes = Object.fromEntries(components.map(component => [component.id, component.type]))
+    const issues = await tx.validationIssue.findMany({ where: { labelId: projectId } })
+
+    const reconciled = reconcileIssues(
+      issues.map(issue => ({ ...issue, componentType: componentTypes[issue.componentId] })),
+      await resolveDraftValidators(tx, drafts, validators),
+      diff.changedComponents
+    )
+
+    const at = new Date().toISOString()
+    const logOnCards = async (issueId, entry, data = {}) => {
+      for (const card of await tx.issueCard.findMany({ where: { issueId } })) {
+        await tx.issueCard.update({
+          where: { id: card.id },
+          data: { ...data, revisions: [...(card.revisions || []), { revisionNumber, ...entry, at }] }
+        })
+      }
+    }
+
+    for (const { issue, draft } of reconciled.carriedForward) {
+      if (draft) {
+        await tx.validationIssue.update({ where: { id: issue.id }, data: { severity: draft.severity, notes: draft.notes } })
+      }
+      await logOnCards(issue.id, {
+        action: 'carried_forward',
+        reason: draft ? 'Reported again by the new revision' : `${issue.componentType} text unchanged`
+      })
+    }
+
+    for (const issue of reconciled.autoResolved) {
+      await tx.validationIssue.update({ where: { id: issue.id }, data: { status: 'resolved' } })
+      await logOnCards(issue.id, {
+        action: 'auto_resolved',
+        reason: `${issue.componentType} text changed and the issue was not reported again`
+      }, { status: 'revised' })
+    }
+
+    const created = []
+    for (const draft of reconciled.created) {
+      const component = componentsByType[draft.componentType] || componentsByType[FULL_LABEL_COMPONENT]
+      created.push(await tx.validationIssue.create({
+        data: {
+          labelId: projectId,
+          componentId: component.id,
+          validatorId: draft.validatorId,
+          issueType: draft.issueType,
+          severity: draft.severity,
+          notes: draft.notes,
+          sourceTag: draft.sourceTag,
+          cards: { create: [{ revisions: [{ revisionNumber, action: 'created', reason: 'First reported in this revision', at }] }] }
+        }
+      }))
+    }
+
+    const issueChanges = {
+      carriedForward: reconciled.carriedForward.map(({ issue }) => issue.id),
+      autoResolved: reconciled.autoResolved.map(issue => issue.id),
+      created: created.map(issue => issue.id)
+    }
+
+    const revision = await tx.labelRevision.create({
+      data: {
+        labelId: projectId,
+        revisionNumber,
+        filename: filename || null,
+        contentHash: contentHash || null,
+        ...snapshot,
+        diff,
+        issueChanges,
+        reviewRound: reviewRound ?? null
+      }
+    })
+
+    const updatedProject = await tx.labelProject.update({ where: { id: projectId }, data: { status: 'reviewing' } })
+
+    return { project: updatedProject, revision, diff, issueChanges }
+  })
+}
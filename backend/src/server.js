@@ -1,10 +1,11 @@
-import { createYoga } from 'graphql-yoga'
+import { createYoga, createGraphQLError } from 'graphql-yoga'
 import { createServer } from 'http'
 import cors from 'cors'
 import express from 'express'
 import dotenv from 'dotenv'
 import { PrismaClient } from '@prisma/client'
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3'
+import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
 import Anthropic from '@anthropic-ai/sdk'
 import { fileURLToPath } from 'url'
 import path from 'path'
@@ -12,7 +13,49 @@ import pino from 'pino'
 import { makeExecutableSchema } from '@graphql-tools/schema'
 import multer from 'multer'
 import fetch from 'node-fetch'
-import { spawn } from 'child_process'
+import rateLimit from 'express-rate-limit'
+import { buildComponentRows, ensureBuiltinValidators, persistValidationRun } from './labelProjects.js'
+import { notifyIssueReview } from './labelReview.js'
+import { diffRevisions, persistLabelRevision } from './labelRevisions.js'
+import {
+  LABEL_FILE_TYPES,
+  MAX_BATCH_ITEMS,
+  MAX_BATCH_UPLOAD_SIZE,
+  ZIP_CONTENT_TYPES,
+  attachProjectStatuses,
+  batchConcurrency,
+  batchReportToCSV,
+  expandBatchUploads
+} from './labelBatches.js'
+import {
+  CARD_TO_ISSUE_STATUS,
+  ISSUE_CARD_TRANSITIONS,
+  MAX_COMMENT_LENGTH,
+  addCardComment,
+  buildActivityFeed,
+  canTransition,
+  recordCardDecision
+} from './issueCards.js'
+import {
+  ROLES,
+  SESSION_COOKIE,
+  assertRole,
+  authenticate,
+  guardResolvers,
+  hashPassword,
+  requireRole,
+  sessionTtlSeconds,
+  signSessionToken,
+  toPublicUser,
+  verifyPassword
+} from './auth.js'
+import {
+  VALIDATOR_MODULES,
+  dispatchValidators,
+  getValidatorModule,
+  resolveAgentConfig,
+  validateAgentConfig
+} from '../../temporal/validators/index.js'
 
 // ES module __dirname equivalent
 const __filename = fileURLToPath(import.meta.url)
@@ -48,10 +91,58 @@ const typeDefs = /* GraphQL */ `
     health: HealthStatus!
     systemStatus: SystemStatus!
     systemTestRuns(limit: Int = 50): [SystemTestRun!]!
+    labelProjects(status: String, batchId: String, limit: Int = 50): [LabelProject!]!
+    labelProject(id: ID!): LabelProject
+    labelComponents(labelId: ID!, type: String): [LabelComponent!]!
+    validationIssues(labelId: ID!, status: String, severity: String): [ValidationIssue!]!
+    validationIssue(id: ID!): ValidationIssue
+    issueCards(issueId: ID, status: String): [IssueCard!]!
+    issueCard(id: ID!): IssueCard
+    issueCardActivity(cardId: ID!): [ActivityEvent!]!
+    myMentions(limit: Int = 20): [Comment!]!
+    validatorAgents(activeOnly: Boolean = false): [ValidatorAgent!]!
+    validatorModules: [ValidatorModule!]!
+    labelRevisions(labelId: ID!): [LabelRevision!]!
+    labelRevisionDiff(labelId: ID!, fromRevision: Int!, toRevision: Int!): String
+    ocrValidationStatus(workflowId: ID!): OCRValidationStatus
+    me: User
+    users: [User!]!
   }
 
   type Mutation {
     saveTestRun(input: SaveTestRunInput!): SystemTestRun!
+    createLabelProject(input: CreateLabelProjectInput!): LabelProject!
+    updateLabelProject(id: ID!, input: UpdateLabelProjectInput!): LabelProject!
+    deleteLabelProject(id: ID!): Boolean!
+    createLabelComponent(input: CreateLabelComponentInput!): LabelComponent!
+    updateLabelComponent(id: ID!, input: UpdateLabelComponentInput!): LabelComponent!
+    deleteLabelComponent(id: ID!): Boolean!
+    createValidationIssue(input: CreateValidationIssueInput!): ValidationIssue!
+    updateValidationIssue(id: ID!, input: UpdateValidationIssueInput!): ValidationIssue!
+    createIssueCard(input: CreateIssueCardInput!): IssueCard!
+    assignIssueCard(id: ID!, assignee: String): IssueCard!
+    moveIssueCard(id: ID!, status: String!): IssueCard!
+    addComment(cardId: ID!, body: String!): Comment!
+    approveIssueCard(id: ID!, note: String): IssueCard!
+    requestIssueCardChanges(id: ID!, note: String!): IssueCard!
+    updateValidatorAgent(id: ID!, input: UpdateValidatorAgentInput!): ValidatorAgent!
+    createValidatorAgent(input: CreateValidatorAgentInput!): ValidatorAgent!
+    enableValidatorAgent(id: ID!): ValidatorAgent!
+    disableValidatorAgent(id: ID!): ValidatorAgent!
+    configureValidatorAgent(id: ID!, config: String!): ValidatorAgent!
+    revalidateLabelProject(id: ID!, reason: String): LabelReview!
+    createUser(input: CreateUserInput!): User!
+    updateUser(id: ID!, input: UpdateUserInput!): User!
+    deleteUser(id: ID!): Boolean!
+  }
+
+  type User {
+    id: ID!
+    email: String!
+    name: String
+    role: String!
+    createdAt: String!
+    updatedAt: String!
   }
 
   type HealthStatus {
@@ -96,6 +187,257 @@ const typeDefs = /* GraphQL */ `
     createdAt: String!
   }
 
+  type LabelProject {
+    id: ID!
+    name: String!
+    clientId: String
+    status: String!
+    # Batch upload the label came in with (see /ocr-validate/batch)
+    batchId: String
+    uploadDate: String!
+    components: [LabelComponent!]!
+    issues: [ValidationIssue!]!
+    revisions: [LabelRevision!]!
+    review: LabelReview
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  # Review state of the project's validation workflow. phase is validating,
+  # review, approved, expired or unrecorded (no project to review in);
+  # openIssues and totalIssues are null until the round's issues are
+  # registered with the workflow.
+  type LabelReview {
+    phase: String!
+    round: Int!
+    openIssues: Int
+    totalIssues: Int
+    decisions: Int!
+    revalidationRequested: Boolean!
+  }
+
+  # JSON columns (extractedFields, componentTexts, diff, issueChanges) are serialized as strings
+  type LabelRevision {
+    id: ID!
+    labelId: ID!
+    revisionNumber: Int!
+    filename: String
+    contentHash: String
+    text: String!
+    extractedFields: String!
+    componentTexts: String!
+    diff: String
+    issueChanges: String
+    createdAt: String!
+  }
+
+  type OCRValidationStatus {
+    workflowId: ID!
+    status: String!
+    currentStep: String
+    completedSteps: [String!]!
+    totalSteps: Int!
+    projectId: ID
+    startTime: String
+    result: String
+    error: String
+  }
+
+  type BoundingBox {
+    x: Float!
+    y: Float!
+    width: Float!
+    height: Float!
+    page: Int
+  }
+
+  type LabelComponent {
+    id: ID!
+    labelId: ID!
+    type: String!
+    boundingBox: BoundingBox
+    extractedText: String
+    confidence: Float
+    issues: [ValidationIssue!]!
+    createdAt: String!
+  }
+
+  # sourceRules holds the agent's own options; config is the effective
+  # configuration (module defaults overlaid with sourceRules), both JSON strings.
+  # Agents without a registry module (ai, fda, compliance) have no config.
+  type ValidatorAgent {
+    id: ID!
+    name: String!
+    type: String!
+    sourceRules: String
+    isActive: Boolean!
+    hasModule: Boolean!
+    componentTypes: [String!]!
+    config: String
+    createdAt: String!
+  }
+
+  # defaultRules and configSchema are JSON strings
+  type ValidatorModule {
+    type: String!
+    name: String!
+    componentTypes: [String!]!
+    defaultRules: String!
+    configSchema: String!
+  }
+
+  type ValidationIssue {
+    id: ID!
+    labelId: ID!
+    componentId: ID!
+    validatorId: ID!
+    issueType: String!
+    severity: String!
+    notes: String!
+    sourceTag: String
+    status: String!
+    component: LabelComponent!
+    validator: ValidatorAgent!
+    cards: [IssueCard!]!
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  type IssueCard {
+    id: ID!
+    issueId: ID!
+    assignee: String
+    status: String!
+    revisions: String
+    issue: ValidationIssue!
+    comments: [Comment!]!
+    approvals: [Approval!]!
+    activity: [ActivityEvent!]!
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  type Comment {
+    id: ID!
+    cardId: ID!
+    body: String!
+    author: User
+    mentions: [User!]!
+    card: IssueCard!
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  # decision is approved or changes_requested
+  type Approval {
+    id: ID!
+    cardId: ID!
+    decision: String!
+    note: String
+    reviewer: User
+    createdAt: String!
+  }
+
+  # type is created, comment, approved, changes_requested or revision;
+  # revisionNumber and action are set for revision events
+  type ActivityEvent {
+    id: ID!
+    type: String!
+    at: String!
+    actor: User
+    body: String
+    comment: Comment
+    approval: Approval
+    revisionNumber: Int
+    action: String
+  }
+
+  input BoundingBoxInput {
+    x: Float!
+    y: Float!
+    width: Float!
+    height: Float!
+    page: Int
+  }
+
+  input CreateLabelProjectInput {
+    name: String!
+    clientId: String
+    status: String
+  }
+
+  input UpdateLabelProjectInput {
+    name: String
+    clientId: String
+    status: String
+  }
+
+  input CreateLabelComponentInput {
+    labelId: ID!
+    type: String!
+    boundingBox: BoundingBoxInput!
+    extractedText: String
+    confidence: Float
+  }
+
+  input UpdateLabelComponentInput {
+    type: String
+    boundingBox: BoundingBoxInput
+    extractedText: String
+    confidence: Float
+  }
+
+  input CreateValidationIssueInput {
+    labelId: ID!
+    componentId: ID!
+    validatorId: ID!
+    issueType: String!
+    severity: String!
+    notes: String!
+    sourceTag: String
+    assignee: String
+  }
+
+  input UpdateValidationIssueInput {
+    issueType: String
+    severity: String
+    notes: String
+    status: String
+  }
+
+  input CreateIssueCardInput {
+    issueId: ID!
+    assignee: String
+  }
+
+  # sourceRules is a JSON string
+  input UpdateValidatorAgentInput {
+    name: String
+    sourceRules: String
+    isActive: Boolean
+  }
+
+  # type names a registry module; sourceRules is a JSON string of its options
+  input CreateValidatorAgentInput {
+    name: String!
+    type: String!
+    sourceRules: String
+    isActive: Boolean
+  }
+
+  input CreateUserInput {
+    email: String!
+    name: String
+    role: String!
+    password: String
+  }
+
+  input UpdateUserInput {
+    name: String
+    role: String
+    password: String
+  }
+
   input SaveTestRunInput {
     status: String!
     overallHealth: String!
@@ -121,6 +463,142 @@ const typeDefs = /* GraphQL */ `
   }
 `
 
+// Allowed values for the string-typed status columns in schema.prisma
+const PROJECT_STATUSES = ['pending', 'processing', 'reviewing', 'approved']
+const ISSUE_SEVERITIES = ['low', 'medium', 'high', 'critical']
+const ISSUE_STATUSES = ['open', 'investigating', 'resolved', 'approved']
+
+function assertOneOf(value, allowed, field) {
+  if (value !== undefined && value !== null && !allowed.includes(value)) {
+    throw createGraphQLError(`Invalid ${field} "${value}". Expected one of: ${allowed.join(', ')}`, {
+      extensions: { code: 'BAD_USER_INPUT' }
+    })
+  }
+}
+
+function notFound(entity, id) {
+  return createGraphQLError(`${entity} ${id} not found`, {
+    extensions: { code: 'NOT_FOUND' }
+  })
+}
+
+// Drop undefined keys so partial update inputs don't null out columns
+function compact(input) {
+  return Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined))
+}
+
+const toISO = (field) => (parent) => parent[field]?.toISOString()
+
+// Minimum role per root field (see guardResolvers); unlisted fields need observer, null is public
+const RESOLVER_ROLES = {
+  'Query.health': null,
+  'Query.me': null,
+  'Query.users': 'admin',
+  'Mutation.saveTestRun': 'validator',
+  'Mutation.createLabelProject': 'validator',
+  'Mutation.updateLabelProject': 'validator',
+  'Mutation.deleteLabelProject': 'admin',
+  'Mutation.createLabelComponent': 'validator',
+  'Mutation.updateLabelComponent': 'validator',
+  'Mutation.deleteLabelComponent': 'validator',
+  'Mutation.createValidationIssue': 'validator',
+  'Mutation.updateValidationIssue': 'validator',
+  'Mutation.createIssueCard': 'validator',
+  'Mutation.assignIssueCard': 'reviewer',
+  'Mutation.moveIssueCard': 'validator',
+  'Mutation.addComment': 'validator',
+  'Mutation.approveIssueCard': 'reviewer',
+  'Mutation.requestIssueCardChanges': 'reviewer',
+  'Mutation.revalidateLabelProject': 'validator',
+  'Mutation.updateValidatorAgent': 'admin',
+  'Mutation.createValidatorAgent': 'admin',
+  'Mutation.enableValidatorAgent': 'admin',
+  'Mutation.disableValidatorAgent': 'admin',
+  'Mutation.configureValidatorAgent': 'admin',
+  'Mutation.createUser': 'admin',
+  'Mutation.updateUser': 'admin',
+  'Mutation.deleteUser': 'admin'
+}
+
+// Approving an issue or card is a reviewer decision, whoever else may edit it
+const APPROVAL_ROLE = 'reviewer'
+
+function parseJSONInput(value, field) {
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    throw createGraphQLError(`${field} must be a JSON string: ${error.message}`, {
+      extensions: { code: 'BAD_USER_INPUT' }
+    })
+  }
+}
+
+function assertCardTransition(card, status) {
+  if (!canTransition(card.status, status)) {
+    throw createGraphQLError(`Cannot move issue card from "${card.status}" to "${status}"`, {
+      extensions: { code: 'BAD_USER_INPUT', allowed: ISSUE_CARD_TRANSITIONS[card.status] || [] }
+    })
+  }
+}
+
+// Approve a card or send it back, recording the decision in the card's approval trail
+async function decideIssueCard(id, user, decision, note) {
+  const card = await prisma.issueCard.findUnique({ where: { id } })
+  if (!card) throw notFound('IssueCard', id)
+  if (decision === 'approved') assertCardTransition(card, 'approved')
+
+  const previous = await prisma.validationIssue.findUnique({ where: { id: card.issueId } })
+  const decided = await recordCardDecision(prisma, { cardId: id, reviewerId: user.id, decision, note })
+  await notifyReviewWorkflow(previous, user, note)
+  return decided.card
+}
+
+/**
+ * Signal an issue's status change to its project's review workflow
+ * previous is the issue before the change. Failures are logged, not thrown:
+ * the database stays the source of truth and the next round re-registers issues.
+ */
+async function notifyReviewWorkflow(previous, user, note) {
+  try {
+    const issue = await prisma.validationIssue.findUnique({ where: { id: previous.id } })
+    const ocrClient = await import('../../temporal/clients/ocrClient.js')
+    await notifyIssueReview(prisma, ocrClient, { issue, previousStatus: previous.status, reviewer: user?.email, note })
+  } catch (error) {
+    logger.warn(`Could not notify the review workflow of issue ${previous.id}: ${error.message}`)
+  }
+}
+
+const COMMENT_INCLUDE = { author: true, mentions: { include: { user: true } } }
+
+// Parse and check registry agent options; agents without a module take any JSON
+function parseAgentConfig(type, value) {
+  const config = parseJSONInput(value, 'sourceRules')
+  if (!getValidatorModule(type)) return config
+
+  const { valid, errors } = validateAgentConfig(type, config)
+  if (!valid) {
+    throw createGraphQLError(`Invalid ${type} validator configuration: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`, {
+      extensions: { code: 'BAD_USER_INPUT', errors }
+    })
+  }
+  return config
+}
+
+async function setValidatorAgentActive(id, isActive) {
+  const existing = await prisma.validatorAgent.findUnique({ where: { id } })
+  if (!existing) throw notFound('ValidatorAgent', id)
+  return prisma.validatorAgent.update({ where: { id }, data: { isActive } })
+}
+
+// Admins cannot demote or delete themselves, so there is always someone left to manage users
+function assertNotSelf(user, id, action) {
+  if (user.id === id) {
+    throw createGraphQLError(`You cannot ${action} your own account`, {
+      extensions: { code: 'BAD_USER_INPUT' }
+    })
+  }
+}
+
 // Resolvers
 const resolvers = {
   Query: {
@@ -158,6 +636,108 @@ const resolvers = {
         errorMessages: run.errorMessages ? JSON.stringify(run.errorMessages) : null,
         createdAt: run.createdAt.toISOString()
       }))
+    },
+
+    labelProjects: async (_, { status, batchId, limit }) => {
+      return prisma.labelProject.findMany({
+        where: compact({ status: status || undefined, batchId: batchId || undefined }),
+        take: limit,
+        orderBy: { createdAt: 'desc' }
+      })
+    },
+
+    labelProject: (_, { id }) => prisma.labelProject.findUnique({ where: { id } }),
+
+    labelComponents: (_, { labelId, type }) => {
+      return prisma.labelComponent.findMany({
+        where: { labelId, ...(type ? { type } : {}) },
+        orderBy: { createdAt: 'asc' }
+      })
+    },
+
+    validationIssues: (_, { labelId, status, severity }) => {
+      return prisma.validationIssue.findMany({
+        where: compact({ labelId, status: status || undefined, severity: severity || undefined }),
+        orderBy: { createdAt: 'asc' }
+      })
+    },
+
+    validationIssue: (_, { id }) => prisma.validationIssue.findUnique({ where: { id } }),
+
+    issueCards: (_, { issueId, status }) => {
+      return prisma.issueCard.findMany({
+        where: compact({ issueId: issueId || undefined, status: status || undefined }),
+        orderBy: { updatedAt: 'desc' }
+      })
+    },
+
+    issueCard: (_, { id }) => prisma.issueCard.findUnique({ where: { id } }),
+
+    issueCardActivity: async (_, { cardId }) => {
+      const card = await prisma.issueCard.findUnique({ where: { id: cardId } })
+      if (!card) throw notFound('IssueCard', cardId)
+      return loadCardActivity(card)
+    },
+
+    // Newest comments that @mention the signed-in user
+    myMentions: (_, { limit }, { user }) => {
+      return prisma.comment.findMany({
+        where: { mentions: { some: { userId: user.id } } },
+        include: COMMENT_INCLUDE,
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      })
+    },
+
+    validatorAgents: (_, { activeOnly }) => {
+      return prisma.validatorAgent.findMany({
+        where: activeOnly ? { isActive: true } : undefined,
+        orderBy: { name: 'asc' }
+      })
+    },
+
+    validatorModules: () => Object.values(VALIDATOR_MODULES).map(module => ({
+      type: module.type,
+      name: module.name,
+      componentTypes: module.componentTypes,
+      defaultRules: JSON.stringify(module.defaultRules),
+      configSchema: JSON.stringify(module.configSchema)
+    })),
+
+    labelRevisions: (_, { labelId }) => {
+      return prisma.labelRevision.findMany({
+        where: { labelId },
+        orderBy: { revisionNumber: 'asc' }
+      })
+    },
+
+    // Diff between any two revisions of a project, serialized as a JSON string
+    labelRevisionDiff: async (_, { labelId, fromRevision, toRevision }) => {
+      const [from, to] = await Promise.all([fromRevision, toRevision].map(revisionNumber =>
+        prisma.labelRevision.findUnique({ where: { labelId_revisionNumber: { labelId, revisionNumber } } })
+      ))
+      if (!from) throw notFound('LabelRevision', `${labelId}#${fromRevision}`)
+      if (!to) throw notFound('LabelRevision', `${labelId}#${toRevision}`)
+
+      return JSON.stringify(diffRevisions(from, to))
+    },
+
+    // result is the workflow output serialized as a JSON string
+    ocrValidationStatus: async (_, { workflowId }) => {
+      const status = await getOCRValidationStatus(workflowId)
+      if (!status) return null
+
+      return {
+        ...status,
+        result: status.result ? JSON.stringify(status.result) : null
+      }
+    },
+
+    me: (_, __, { user }) => toPublicUser(user),
+
+    users: async () => {
+      const users = await prisma.user.findMany({ orderBy: { email: 'asc' } })
+      return users.map(toPublicUser)
     }
   },
 
@@ -179,10 +759,382 @@ const resolvers = {
         errorMessages: testRun.errorMessages ? JSON.stringify(testRun.errorMessages) : null,
         createdAt: testRun.createdAt.toISOString()
       }
+    },
+
+    createLabelProject: async (_, { input }) => {
+      assertOneOf(input.status, PROJECT_STATUSES, 'status')
+      return prisma.labelProject.create({ data: compact(input) })
+    },
+
+    updateLabelProject: async (_, { id, input }) => {
+      assertOneOf(input.status, PROJECT_STATUSES, 'status')
+      const existing = await prisma.labelProject.findUnique({ where: { id } })
+      if (!existing) throw notFound('LabelProject', id)
+
+      return prisma.labelProject.update({ where: { id }, data: compact(input) })
+    },
+
+    deleteLabelProject: async (_, { id }) => {
+      const { count } = await prisma.labelProject.deleteMany({ where: { id } })
+      return count > 0
+    },
+
+    createLabelComponent: async (_, { input }) => {
+      const project = await prisma.labelProject.findUnique({ where: { id: input.labelId } })
+      if (!project) throw notFound('LabelProject', input.labelId)
+
+      return prisma.labelComponent.create({ data: compact(input) })
+    },
+
+    updateLabelComponent: async (_, { id, input }) => {
+      const existing = await prisma.labelComponent.findUnique({ where: { id } })
+      if (!existing) throw notFound('LabelComponent', id)
+
+      return prisma.labelComponent.update({ where: { id }, data: compact(input) })
+    },
+
+    deleteLabelComponent: async (_, { id }) => {
+      const { count } = await prisma.labelComponent.deleteMany({ where: { id } })
+      return count > 0
+    },
+
+    // Filing an issue also opens its task card so it shows up on the review board
+    createValidationIssue: async (_, { input }) => {
+      assertOneOf(input.severity, ISSUE_SEVERITIES, 'severity')
+      const { assignee, ...issueData } = input
+
+      const component = await prisma.labelComponent.findUnique({ where: { id: issueData.componentId } })
+      if (!component) throw notFound('LabelComponent', issueData.componentId)
+      if (component.labelId !== issueData.labelId) {
+        throw createGraphQLError(`LabelComponent ${component.id} does not belong to LabelProject ${issueData.labelId}`, {
+          extensions: { code: 'BAD_USER_INPUT' }
+        })
+      }
+
+      return prisma.validationIssue.create({
+        data: {
+          ...issueData,
+          cards: { create: [{ assignee }] }
+        }
+      })
+    },
+
+    updateValidationIssue: async (_, { id, input }, { user }) => {
+      assertOneOf(input.severity, ISSUE_SEVERITIES, 'severity')
+      assertOneOf(input.status, ISSUE_STATUSES, 'status')
+      if (input.status === 'approved') assertRole(user, APPROVAL_ROLE)
+      const existing = await prisma.validationIssue.findUnique({ where: { id } })
+      if (!existing) throw notFound('ValidationIssue', id)
+
+      const updated = await prisma.validationIssue.update({ where: { id }, data: compact(input) })
+      await notifyReviewWorkflow(existing, user)
+      return updated
+    },
+
+    createIssueCard: async (_, { input }) => {
+      const issue = await prisma.validationIssue.findUnique({ where: { id: input.issueId } })
+      if (!issue) throw notFound('ValidationIssue', input.issueId)
+
+      return prisma.issueCard.create({ data: compact(input) })
+    },
+
+    assignIssueCard: async (_, { id, assignee }) => {
+      const existing = await prisma.issueCard.findUnique({ where: { id } })
+      if (!existing) throw notFound('IssueCard', id)
+
+      return prisma.issueCard.update({ where: { id }, data: { assignee } })
+    },
+
+    moveIssueCard: async (_, { id, status }, { user }) => {
+      if (status === 'approved') {
+        // Approvals always go through the approval trail
+        assertRole(user, APPROVAL_ROLE)
+        return decideIssueCard(id, user, 'approved')
+      }
+
+      const card = await prisma.issueCard.findUnique({ where: { id } })
+      if (!card) throw notFound('IssueCard', id)
+      assertCardTransition(card, status)
+
+      // Keep the parent issue status in step with its card
+      const previous = await prisma.validationIssue.findUnique({ where: { id: card.issueId } })
+      const [updatedCard] = await prisma.$transaction([
+        prisma.issueCard.update({ where: { id }, data: { status } }),
+        prisma.validationIssue.update({
+          where: { id: card.issueId },
+          data: { status: CARD_TO_ISSUE_STATUS[status] }
+        })
+      ])
+      await notifyReviewWorkflow(previous, user)
+
+      return updatedCard
+    },
+
+    addComment: async (_, { cardId, body }, { user }) => {
+      const text = body.trim()
+      if (!text || text.length > MAX_COMMENT_LENGTH) {
+        throw createGraphQLError(`Comment must be between 1 and ${MAX_COMMENT_LENGTH} characters`, {
+          extensions: { code: 'BAD_USER_INPUT' }
+        })
+      }
+
+      const added = await addCardComment(prisma, { cardId, authorId: user.id, body: text })
+      if (!added) throw notFound('IssueCard', cardId)
+
+      if (added.mentions.length > 0) {
+        logger.info(`Comment ${added.comment.id} mentions ${added.mentions.map(mentioned => mentioned.email).join(', ')}`)
+      }
+      return added.comment
+    },
+
+    approveIssueCard: (_, { id, note }, { user }) => decideIssueCard(id, user, 'approved', note),
+
+    requestIssueCardChanges: (_, { id, note }, { user }) => {
+      if (!note.trim()) {
+        throw createGraphQLError('Say what needs to change when requesting changes', {
+          extensions: { code: 'BAD_USER_INPUT' }
+        })
+      }
+      return decideIssueCard(id, user, 'changes_requested', note.trim())
+    },
+
+    // Another validation round for a project whose workflow is waiting for review,
+    // with the current validator agents and a freshly signed image URL
+    revalidateLabelProject: async (_, { id, reason }, { user }) => {
+      const project = await prisma.labelProject.findUnique({ where: { id } })
+      if (!project) throw notFound('LabelProject', id)
+
+      const { getLabelReview, signalLabelReview } = await import('../../temporal/clients/ocrClient.js')
+      const review = project.workflowId ? await getLabelReview(project.workflowId) : null
+      if (review?.phase !== 'review') {
+        throw createGraphQLError(`LabelProject ${id} has no validation workflow waiting for review`, {
+          extensions: { code: 'BAD_USER_INPUT' }
+        })
+      }
+
+      const imageUrl = review.s3Key
+        ? await getSignedUrl(s3Client, new GetObjectCommand({ Bucket: process.env.S3_BUCKET_NAME, Key: review.s3Key }), { expiresIn: 3600 })
+        : undefined
+      await signalLabelReview(project.workflowId, 'revalidate', {
+        reason: reason || null,
+        requestedBy: user.email,
+        validatorAgents: await loadActiveValidatorAgents(),
+        // Another round must not be answered from the previous round's cached results
+        bypassCache: true,
+        ...(imageUrl && { imageUrl })
+      })
+
+      logger.info(`Revalidation of LabelProject ${id} requested by ${user.email}`)
+      return { ...review, revalidationRequested: true }
+    },
+
+    updateValidatorAgent: async (_, { id, input }) => {
+      const existing = await prisma.validatorAgent.findUnique({ where: { id } })
+      if (!existing) throw notFound('ValidatorAgent', id)
+
+      const data = compact(input)
+      if (data.sourceRules !== undefined) data.sourceRules = parseAgentConfig(existing.type, data.sourceRules)
+      return prisma.validatorAgent.update({ where: { id }, data })
+    },
+
+    // Further agents of a module, e.g. an allergen checker limited to some allergens
+    createValidatorAgent: async (_, { input }) => {
+      assertOneOf(input.type, Object.keys(VALIDATOR_MODULES), 'type')
+      return prisma.validatorAgent.create({
+        data: compact({
+          ...input,
+          sourceRules: input.sourceRules ? parseAgentConfig(input.type, input.sourceRules) : {}
+        })
+      })
+    },
+
+    enableValidatorAgent: (_, { id }) => setValidatorAgentActive(id, true),
+
+    disableValidatorAgent: (_, { id }) => setValidatorAgentActive(id, false),
+
+    // Replaces the agent's options; anything left out falls back to the module defaults
+    configureValidatorAgent: async (_, { id, config }) => {
+      const existing = await prisma.validatorAgent.findUnique({ where: { id } })
+      if (!existing) throw notFound('ValidatorAgent', id)
+      if (!getValidatorModule(existing.type)) {
+        throw createGraphQLError(`ValidatorAgent ${id} (${existing.type}) has no registry module to configure`, {
+          extensions: { code: 'BAD_USER_INPUT' }
+        })
+      }
+
+      return prisma.validatorAgent.update({
+        where: { id },
+        data: { sourceRules: parseAgentConfig(existing.type, config) }
+      })
+    },
+
+    createUser: async (_, { input }) => {
+      assertOneOf(input.role, ROLES, 'role')
+      const { password, ...userData } = input
+      const email = userData.email.trim().toLowerCase()
+
+      const existing = await prisma.user.findUnique({ where: { email } })
+      if (existing) {
+        throw createGraphQLError(`A user with email ${email} already exists`, {
+          extensions: { code: 'BAD_USER_INPUT' }
+        })
+      }
+
+      const user = await prisma.user.create({
+        data: compact({ ...userData, email, passwordHash: password ? await hashPassword(password) : undefined })
+      })
+      return toPublicUser(user)
+    },
+
+    updateUser: async (_, { id, input }, { user }) => {
+      assertOneOf(input.role, ROLES, 'role')
+      if (input.role && input.role !== 'admin') assertNotSelf(user, id, 'demote')
+      const existing = await prisma.user.findUnique({ where: { id } })
+      if (!existing) throw notFound('User', id)
+
+      const { password, ...userData } = input
+      const updated = await prisma.user.update({
+        where: { id },
+        data: compact({ ...userData, passwordHash: password ? await hashPassword(password) : undefined })
+      })
+      return toPublicUser(updated)
+    },
+
+    deleteUser: async (_, { id }, { user }) => {
+      assertNotSelf(user, id, 'delete')
+      const { count } = await prisma.user.deleteMany({ where: { id } })
+      return count > 0
     }
+  },
+
+  LabelProject: {
+    components: (project) => prisma.labelComponent.findMany({
+      where: { labelId: project.id },
+      orderBy: { createdAt: 'asc' }
+    }),
+    issues: (project) => prisma.validationIssue.findMany({
+      where: { labelId: project.id },
+      orderBy: { createdAt: 'asc' }
+    }),
+    revisions: (project) => prisma.labelRevision.findMany({
+      where: { labelId: project.id },
+      orderBy: { revisionNumber: 'asc' }
+    }),
+    review: async (project) => {
+      if (!project.workflowId) return null
+      const { getLabelReview } = await import('../../temporal/clients/ocrClient.js')
+      return getLabelReview(project.workflowId)
+    },
+    uploadDate: toISO('uploadDate'),
+    createdAt: toISO('createdAt'),
+    updatedAt: toISO('updatedAt')
+  },
+
+  LabelRevision: {
+    extractedFields: (revision) => JSON.stringify(revision.extractedFields ?? {}),
+    componentTexts: (revision) => JSON.stringify(revision.componentTexts ?? {}),
+    diff: (revision) => revision.diff ? JSON.stringify(revision.diff) : null,
+    issueChanges: (revision) => revision.issueChanges ? JSON.stringify(revision.issueChanges) : null,
+    createdAt: toISO('createdAt')
+  },
+
+  LabelComponent: {
+    // boundingBox is stored as JSON; anything without the four numbers is treated as unset
+    boundingBox: (component) => {
+      const box = component.boundingBox
+      if (!box || ['x', 'y', 'width', 'height'].some(key => typeof box[key] !== 'number')) {
+        return null
+      }
+      return box
+    },
+    issues: (component) => prisma.validationIssue.findMany({
+      where: { componentId: component.id },
+      orderBy: { createdAt: 'asc' }
+    }),
+    createdAt: toISO('createdAt')
+  },
+
+  ValidatorAgent: {
+    sourceRules: (agent) => agent.sourceRules ? JSON.stringify(agent.sourceRules) : null,
+    hasModule: (agent) => !!getValidatorModule(agent.type),
+    componentTypes: (agent) => getValidatorModule(agent.type) ? resolveAgentConfig(agent).componentTypes : [],
+    config: (agent) => getValidatorModule(agent.type) ? JSON.stringify(resolveAgentConfig(agent)) : null,
+    createdAt: toISO('createdAt')
+  },
+
+  ValidationIssue: {
+    component: (issue) => prisma.labelComponent.findUnique({ where: { id: issue.componentId } }),
+    validator: (issue) => prisma.validatorAgent.findUnique({ where: { id: issue.validatorId } }),
+    cards: (issue) => prisma.issueCard.findMany({
+      where: { issueId: issue.id },
+      orderBy: { createdAt: 'asc' }
+    }),
+    createdAt: toISO('createdAt'),
+    updatedAt: toISO('updatedAt')
+  },
+
+  User: {
+    createdAt: toISO('createdAt'),
+    updatedAt: toISO('updatedAt')
+  },
+
+  IssueCard: {
+    revisions: (card) => JSON.stringify(card.revisions ?? []),
+    issue: (card) => prisma.validationIssue.findUnique({ where: { id: card.issueId } }),
+    comments: (card) => prisma.comment.findMany({
+      where: { cardId: card.id },
+      include: COMMENT_INCLUDE,
+      orderBy: { createdAt: 'asc' }
+    }),
+    approvals: (card) => prisma.approval.findMany({
+      where: { cardId: card.id },
+      include: { reviewer: true },
+      orderBy: { createdAt: 'asc' }
+    }),
+    activity: (card) => loadCardActivity(card),
+    createdAt: toISO('createdAt'),
+    updatedAt: toISO('updatedAt')
+  },
+
+  // author and mentions are loaded with the comment (COMMENT_INCLUDE) where possible
+  Comment: {
+    author: async (comment) => toPublicUser(comment.author !== undefined
+      ? comment.author
+      : comment.authorId && await prisma.user.findUnique({ where: { id: comment.authorId } })),
+    mentions: async (comment) => {
+      const mentions = comment.mentions ?? await prisma.commentMention.findMany({
+        where: { commentId: comment.id },
+        include: { user: true }
+      })
+      return mentions.map(mention => toPublicUser(mention.user))
+    },
+    card: (comment) => prisma.issueCard.findUnique({ where: { id: comment.cardId } }),
+    createdAt: toISO('createdAt'),
+    updatedAt: toISO('updatedAt')
+  },
+
+  Approval: {
+    reviewer: async (approval) => toPublicUser(approval.reviewer !== undefined
+      ? approval.reviewer
+      : approval.reviewerId && await prisma.user.findUnique({ where: { id: approval.reviewerId } })),
+    createdAt: toISO('createdAt')
+  },
+
+  ActivityEvent: {
+    actor: (event) => toPublicUser(event.actor),
+    at: toISO('at')
   }
 }
 
+// Activity feed for a card: its comments, reviewer decisions and label-revision entries
+async function loadCardActivity(card) {
+  const [comments, approvals] = await Promise.all([
+    prisma.comment.findMany({ where: { cardId: card.id }, include: COMMENT_INCLUDE }),
+    prisma.approval.findMany({ where: { cardId: card.id }, include: { reviewer: true } })
+  ])
+  return buildActivityFeed({ card, comments, approvals })
+}
+
 // Health check functions
 async function testDatabase() {
   const start = Date.now()
@@ -234,7 +1186,7 @@ async function testAnthropic() {
   const start = Date.now()
   try {
     const response = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
+      model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
       max_tokens: 10,
       messages: [{ role: 'user', content: 'Say OK' }],
     })
@@ -255,24 +1207,111 @@ async function testAnthropic() {
 }
 
 // Create GraphQL schema
+// Upload a label file to S3 under <type>s/, returning its key and public URL
+async function uploadLabelToS3(file, type = 'label') {
+  const timestamp = Date.now()
+  const sanitizedName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_')
+  const s3Key = `${type}s/${timestamp}_${sanitizedName}`
+
+  await s3Client.send(new PutObjectCommand({
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: s3Key,
+    Body: file.buffer,
+    ContentType: file.mimetype,
+    Metadata: {
+      originalName: file.originalname,
+      uploadedAt: new Date().toISOString(),
+      type: type
+    }
+  }))
+
+  return {
+    s3Key,
+    s3Url: `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${s3Key}`
+  }
+}
+
+// Temporal statuses after which the workflow result (or failure) is final
+const CLOSED_WORKFLOW_STATUSES = ['FAILED', 'CANCELLED', 'TERMINATED', 'TIMED_OUT']
+
+/**
+ * Status of an async /ocr-validate run: workflow status, step progress and
+ * review state, plus the final result once completed. Read-only: the
+ * workflow records its rounds, results and approval into the run's
+ * LabelProject itself (see temporal/activities/persistence.js).
+ * Returns null when neither Temporal nor the database know the workflow.
+ */
+async function getOCRValidationStatus(workflowId) {
+  const { getWorkflowStatus, getWorkflowProgress, getWorkflowResult, getLabelReview } = await import('../../temporal/clients/ocrClient.js')
+  const { LABEL_VALIDATION_STEPS } = await import('../../temporal/workflows/labelValidation.js')
+
+  const project = await prisma.labelProject.findUnique({ where: { workflowId } })
+  const workflow = await getWorkflowStatus(workflowId)
+  if (workflow.status === 'UNKNOWN' && !project) return null
+
+  const progress = workflow.status === 'UNKNOWN' ? null : await getWorkflowProgress(workflowId)
+  const status = {
+    workflowId,
+    status: workflow.status,
+    currentStep: progress?.currentStep || null,
+    completedSteps: progress?.completedSteps || [],
+    totalSteps: progress?.totalSteps || LABEL_VALIDATION_STEPS.length,
+    projectId: project?.id || null,
+    startTime: workflow.startTime ? new Date(workflow.startTime).toISOString() : null,
+    review: null,
+    result: null,
+    error: workflow.error || null
+  }
+
+  if (workflow.status === 'RUNNING') {
+    const review = await getLabelReview(workflowId)
+    status.review = review && {
+      phase: review.phase,
+      round: review.round,
+      openIssues: review.openIssues,
+      totalIssues: review.totalIssues
+    }
+  } else if (workflow.status === 'COMPLETED') {
+    status.result = await getWorkflowResult(workflowId)
+    status.completedSteps = progress?.completedSteps || LABEL_VALIDATION_STEPS
+  } else if (CLOSED_WORKFLOW_STATUSES.includes(workflow.status)) {
+    try {
+      await getWorkflowResult(workflowId)
+    } catch (error) {
+      status.error = error.cause?.message || error.message
+    }
+  }
+
+  return status
+}
+
 const schema = makeExecutableSchema({
   typeDefs,
-  resolvers
+  resolvers: guardResolvers(resolvers, RESOLVER_ROLES)
 })
 
-// Create GraphQL server
+// The session cookie is sent cross-origin from the frontend, so CORS must allow credentials
+const CORS_ORIGINS = ['http://localhost:9000', 'http://localhost:4000']
+
+// Create GraphQL server; resolvers get the signed-in user (set by authenticate) as context.user
 const yoga = createYoga({
   schema,
+  context: ({ req }) => ({ user: req.user || null }),
   cors: {
-    origin: ['http://localhost:9000', 'http://localhost:4000'],
+    origin: CORS_ORIGINS,
     credentials: true
   }
 })
 
+if (!process.env.AUTH_SECRET) {
+  logger.warn('AUTH_SECRET is not set; sign-in is disabled and protected routes will reject every request')
+}
+
 // Create Express app
 const app = express()
-app.use(cors())
+app.use(cors({ origin: CORS_ORIGINS, credentials: true }))
 app.use(express.json())
+app.use(authenticate(prisma))
 
 // Configure multer for file uploads
 const upload = multer({
@@ -290,8 +1329,84 @@ const upload = multer({
   }
 })
 
+// Batch uploads: many label files and/or zip archives of them (expanded by expandBatchUploads)
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB per zip; labels inside are still limited to 10MB
+    files: MAX_BATCH_ITEMS
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [...Object.values(LABEL_FILE_TYPES), 'image/jpg', ...ZIP_CONTENT_TYPES]
+    if (allowedTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true)
+    } else {
+      cb(new Error(`File type ${file.mimetype} not supported`), false)
+    }
+  }
+})
+
+// multer limits each file, not the request, so batch uploads are capped as a
+// whole before anything is buffered. Node reads no more body than the declared
+// Content-Length, which makes it a hard limit; chunked uploads are refused.
+function limitBatchUploadSize(req, res, next) {
+  const length = Number.parseInt(req.headers['content-length'], 10)
+  if (Number.isNaN(length)) {
+    return res.status(411).json({ error: 'Batch uploads must declare a Content-Length' })
+  }
+  if (length > MAX_BATCH_UPLOAD_SIZE) {
+    return res.status(413).json({ error: `Batch uploads are limited to ${MAX_BATCH_UPLOAD_SIZE / (1024 * 1024)}MB in total` })
+  }
+  next()
+}
+
+// Sign in with email and password; sets the session cookie and also returns the token for API clients
+const loginLimiter = rateLimit({ windowMs: 15 * 60 * 1000, limit: 20, standardHeaders: true, legacyHeaders: false })
+
+app.post('/auth/login', loginLimiter, async (req, res) => {
+  const { email, password } = req.body || {}
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' })
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email: String(email).trim().toLowerCase() } })
+    if (!user || !(await verifyPassword(String(password), user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid email or password' })
+    }
+
+    const ttlSeconds = sessionTtlSeconds()
+    const token = await signSessionToken(user, { ttlSeconds })
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: ttlSeconds * 1000,
+      path: '/'
+    })
+
+    res.json({
+      user: toPublicUser(user),
+      token,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    })
+  } catch (error) {
+    logger.error('Login error:', error)
+    res.status(error.code === 'AUTH_NOT_CONFIGURED' ? 503 : 500).json({ error: 'Sign-in failed', details: error.message })
+  }
+})
+
+app.post('/auth/logout', (req, res) => {
+  res.clearCookie(SESSION_COOKIE, { path: '/' })
+  res.json({ success: true })
+})
+
+app.get('/auth/me', requireRole('observer'), (req, res) => {
+  res.json({ user: toPublicUser(req.user) })
+})
+
 // Schema endpoint - serves the current Prisma schema
-app.get('/schema', async (req, res) => {
+app.get('/schema', requireRole('observer'), async (req, res) => {
   try {
     const fs = await import('fs')
     const path = await import('path')
@@ -319,7 +1434,7 @@ app.get('/schema', async (req, res) => {
 })
 
 // Upload endpoint
-app.post('/upload', upload.single('file'), async (req, res) => {
+app.post('/upload', requireRole('validator'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file provided' })
@@ -328,28 +1443,8 @@ app.post('/upload', upload.single('file'), async (req, res) => {
     const { file } = req
     const { type = 'label' } = req.body
     
-    // Generate unique filename
-    const timestamp = Date.now()
-    const sanitizedName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_')
-    const s3Key = `${type}s/${timestamp}_${sanitizedName}`
-    
     // Upload to S3
-    const uploadCommand = new PutObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: s3Key,
-      Body: file.buffer,
-      ContentType: file.mimetype,
-      Metadata: {
-        originalName: file.originalname,
-        uploadedAt: new Date().toISOString(),
-        type: type
-      }
-    })
-    
-    await s3Client.send(uploadCommand)
-    
-    // Generate S3 URL
-    const s3Url = `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${s3Key}`
+    const { s3Key, s3Url } = await uploadLabelToS3(file, type)
     
     logger.info(`File uploaded successfully: ${s3Key}`)
     
@@ -378,7 +1473,7 @@ app.post('/upload', upload.single('file'), async (req, res) => {
 })
 
 // OCR + AI Validation endpoint
-app.post('/ocr-validate', upload.single('file'), async (req, res) => {
+app.post('/ocr-validate', requireRole('validator'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file provided' })
@@ -386,85 +1481,46 @@ app.post('/ocr-validate', upload.single('file'), async (req, res) => {
 
     const { file } = req
     
-    logger.info(`Starting OCR + AI validation for: ${file.originalname}`)
-    
-    // Import OCR client functions
-    const { runSimpleOCR, runSimpleAIValidation } = await import('../../temporal/clients/ocrClient.js')
-    
-    // Step 1: Run OCR
-    const ocrResponse = await runSimpleOCR({
-      filename: file.originalname,
-      buffer: file.buffer
-    })
-    
-    if (!ocrResponse.success) {
-      return res.status(500).json({
-        error: 'OCR processing failed',
-        details: ocrResponse.error
-      })
+    // Async mode: hand the file to labelValidationWorkflow and return at once
+    if (req.query.mode === 'async' || req.body.async === 'true') {
+      return startAsyncOCRValidation(req, res)
     }
     
-    const ocrResult = ocrResponse.ocrResult
+    const { contentHash, bypassCache, ocrResult, aiValidation, fdaValidation, nutritionCheck, validatorRuns } = await runValidationPipeline(req)
+    const { PIPELINE_VERSION } = await import('../../temporal/clients/resultCache.js')
     
-    // Step 2: Run AI Validation (if OCR succeeded)
-    let aiValidation = null
-    if (ocrResult.text && ocrResult.text.trim().length > 0) {
-      const aiResponse = await runSimpleAIValidation(ocrResult)
+    // Step 5: Persist the run as a LabelProject so it can be reopened later
+    let labelProject = null
+    let persistenceError = null
+    try {
+      const persisted = await persistValidationRun(prisma, {
+        name: req.body.name || file.originalname,
+        clientId: req.body.clientId || null,
+        contentHash,
+        ocrResult,
+        aiValidation,
+        fdaValidation,
+        validatorRuns
+      })
       
-      if (aiResponse.success) {
-        aiValidation = aiResponse.validationResult
-      } else {
-        logger.warn('AI validation failed:', aiResponse.error)
-      }
-    }
-    
-    // Step 3: Run FDA Validation (if AI validation succeeded and extracted ingredients)
-    let fdaValidation = null
-    if (aiValidation && aiValidation.extractedInformation) {
-      try {
-        // Import FDA validation functions
-        const { validateIngredientsWithFDA, validateNutritionalClaimsWithFDA } = await import('../../temporal/activities/fdaValidation.js')
-        
-        // Validate ingredients against FDA databases
-        const fdaResponse = await validateIngredientsWithFDA({
-          ingredients: aiValidation.extractedInformation.ingredients || [],
-          extractedInformation: aiValidation.extractedInformation
-        })
-        
-        if (fdaResponse.success) {
-          fdaValidation = fdaResponse.fdaValidation
-          logger.info(`FDA validation completed: ${fdaValidation.issues.length} issues, ${fdaValidation.recommendations.length} recommendations`)
-        } else {
-          logger.warn('FDA validation failed:', fdaResponse.error)
-          fdaValidation = fdaResponse.fdaValidation || {
-            issues: [{
-              type: 'FDA_VALIDATION_ERROR',
-              severity: 'ERROR',
-              message: `FDA validation failed: ${fdaResponse.error}`,
-              source: 'FDA MCP Server',
-              sourceTag: 'FDA-ERROR',
-              timestamp: new Date().toISOString()
-            }]
-          }
-        }
-      } catch (error) {
-        logger.error('FDA validation error:', error)
-        fdaValidation = {
-          issues: [{
-            type: 'FDA_VALIDATION_ERROR',
-            severity: 'ERROR',
-            message: `FDA validation system error: ${error.message}`,
-            source: 'FDA MCP Integration',
-            sourceTag: 'FDA-ERROR',
-            timestamp: new Date().toISOString()
-          }]
-        }
+      labelProject = {
+        id: persisted.project.id,
+        status: persisted.project.status,
+        componentCount: persisted.components.length,
+        issueCount: persisted.issues.length
       }
+      logger.info(`Validation run saved as LabelProject ${labelProject.id} (${labelProject.issueCount} issues)`)
+    } catch (error) {
+      logger.error('Failed to persist validation run:', error)
+      persistenceError = error.message
     }
     
     // Prepare response
     const response = {
       success: true,
+      projectId: labelProject?.id || null,
+      labelProject,
+      persistenceError,
       filename: file.originalname,
       fileSize: file.size,
       contentType: file.mimetype,
@@ -478,6 +1534,17 @@ app.post('/ocr-validate', upload.single('file'), async (req, res) => {
         totalWords: ocrResult.totalWords,
         lines: ocrResult.lines,
         detectedSections: ocrResult.detectedSections,
+        sectionBoundingBoxes: ocrResult.sectionBoundingBoxes,
+        boundingBox: ocrResult.boundingBox,
+        pageCount: ocrResult.pageCount || 1,
+        // Applied preprocessing steps with before/after confidence
+        preprocessing: ocrResult.preprocessing || null,
+        // Detected languages and the label text split per language
+        detectedLanguages: ocrResult.detectedLanguages || [],
+        primaryLanguage: ocrResult.primaryLanguage || null,
+        textByLanguage: ocrResult.textByLanguage || {},
+        // Page-indexed text, words and sections for PDF uploads
+        pages: ocrResult.pages || null,
         qualityAssessment: {
           overall: ocrResult.confidence > 0.8 ? 'good' : ocrResult.confidence > 0.6 ? 'fair' : 'poor',
           issues: [],
@@ -496,6 +1563,15 @@ app.post('/ocr-validate', upload.single('file'), async (req, res) => {
         complianceIssues: aiValidation.complianceIssues,
         recommendations: aiValidation.recommendations,
         qualityImprovement: aiValidation.qualityImprovement,
+        aiProvider: aiValidation.aiProvider,
+        aiModel: aiValidation.aiModel,
+        usage: aiValidation.usage,
+        // Schema validation outcome, and the failure cause when no usable output was produced
+        extraction: aiValidation.extraction || null,
+        // Layout review and OCR disagreements from the label image, when vision ran
+        visualValidation: aiValidation.visualValidation || null,
+        vision: aiValidation.vision || null,
+        error: aiValidation.error || null,
         processingTime: aiValidation.processingTime
       } : {
         error: 'AI validation not performed - no text extracted',
@@ -509,6 +1585,19 @@ app.post('/ocr-validate', upload.single('file'), async (req, res) => {
         summary: {
           message: 'FDA validation not performed - no ingredients extracted'
         }
+      },
+      
+      // Nutrition Facts arithmetic
+      nutritionCheck,
+      
+      // Result cache: per-stage hit/miss for this upload
+      cache: {
+        contentHash,
+        pipelineVersion: PIPELINE_VERSION,
+        bypassed: bypassCache,
+        ocr: ocrResult.cache || null,
+        aiValidation: aiValidation?.cache || null,
+        fda: fdaValidation?.cache || null
       }
     }
     
@@ -517,6 +1606,13 @@ app.post('/ocr-validate', upload.single('file'), async (req, res) => {
     res.json(response)
     
   } catch (error) {
+    if (error.code === 'OCR_FAILED') {
+      return res.status(500).json({
+        error: 'OCR processing failed',
+        details: error.message
+      })
+    }
+    
     logger.error('OCR + AI validation error:', error)
     
     res.status(500).json({
@@ -526,6 +1622,517 @@ app.post('/ocr-validate', upload.single('file'), async (req, res) => {
   }
 })
 
+// New revision of an existing label: validate the file, diff it against the
+// previous revision and carry forward or auto-resolve the project's issues.
+// Projects whose validation workflow is running get new rounds through
+// revalidateLabelProject instead, so its review rounds and issues stay in step.
+app.post('/label-projects/:id/revisions', requireRole('validator'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file provided' })
+    }
+
+    const projectId = req.params.id
+    const existing = await prisma.labelProject.findUnique({ where: { id: projectId } })
+    if (!existing) {
+      return res.status(404).json({ error: `LabelProject ${projectId} not found` })
+    }
+
+    if (existing.workflowId) {
+      const { getLabelReview } = await import('../../temporal/clients/ocrClient.js')
+      const review = await getLabelReview(existing.workflowId)
+      if (review && ['validating', 'review'].includes(review.phase)) {
+        return res.status(409).json({
+          error: `LabelProject ${projectId} is being reviewed in workflow ${existing.workflowId}`,
+          details: 'Request re-validation (revalidateLabelProject) instead of uploading a revision'
+        })
+      }
+    }
+
+    const { contentHash, ocrResult, aiValidation, fdaValidation, validatorRuns } = await runValidationPipeline(req)
+
+    const persisted = await persistLabelRevision(prisma, {
+      projectId,
+      filename: req.file.originalname,
+      contentHash,
+      ocrResult,
+      aiValidation,
+      fdaValidation,
+      validatorRuns
+    })
+    if (!persisted) {
+      return res.status(404).json({ error: `LabelProject ${projectId} not found` })
+    }
+
+    const { revision, diff, issueChanges } = persisted
+    logger.info(`LabelProject ${projectId} revision ${revision.revisionNumber}: ${issueChanges.autoResolved.length} auto-resolved, ${issueChanges.carriedForward.length} carried forward, ${issueChanges.created.length} new`)
+
+    res.json({
+      success: true,
+      projectId,
+      revision: {
+        id: revision.id,
+        revisionNumber: revision.revisionNumber,
+        filename: revision.filename,
+        createdAt: revision.createdAt.toISOString()
+      },
+      diff,
+      issueChanges
+    })
+  } catch (error) {
+    if (error.code === 'OCR_FAILED') {
+      return res.status(500).json({
+        error: 'OCR processing failed',
+        details: error.message
+      })
+    }
+
+    logger.error('Label revision error:', error)
+    res.status(500).json({
+      error: 'Label revision failed',
+      details: error.message
+    })
+  }
+})
+
+/**
+ * Run OCR, AI validation, FDA checks and the Nutrition Facts check on an uploaded file
+ * Re-uploads of the same bytes are served from the result cache unless
+ * bypassCache is set. Throws with code OCR_FAILED when OCR fails.
+ */
+async function runValidationPipeline(req) {
+  const { file } = req
+  
+  logger.info(`Starting OCR + AI validation for: ${file.originalname}`)
+  
+  // Import OCR client functions
+  const { runSimpleOCR, runSimpleAIValidation } = await import('../../temporal/clients/ocrClient.js')
+  const { hashBytes } = await import('../../temporal/clients/resultCache.js')
+  
+  // Re-uploads of the same file reuse cached OCR, AI and FDA results
+  const contentHash = hashBytes(file.buffer)
+  const bypassCache = bypassCacheOption(req)
+  
+  // Step 1: Run OCR
+  const ocrResponse = await runSimpleOCR({
+    filename: file.originalname,
+    contentType: file.mimetype,
+    buffer: file.buffer,
+    contentHash,
+    bypassCache
+  })
+  
+  if (!ocrResponse.success) {
+    const error = new Error(ocrResponse.error)
+    error.code = 'OCR_FAILED'
+    throw error
+  }
+  
+  const ocrResult = ocrResponse.ocrResult
+  
+  // Step 2: Run AI Validation (if OCR succeeded)
+  let aiValidation = null
+  if (ocrResult.text && ocrResult.text.trim().length > 0) {
+    const aiResponse = await runSimpleAIValidation(ocrResult, {
+      buffer: file.buffer,
+      contentType: file.mimetype,
+      filename: file.originalname,
+      vision: visionOption(req),
+      contentHash,
+      bypassCache
+    })
+    
+    if (aiResponse.success) {
+      aiValidation = aiResponse.validationResult
+    } else {
+      logger.warn('AI validation failed:', aiResponse.error)
+    }
+  }
+  
+  // Step 3: Run FDA Validation (if AI validation succeeded and extracted ingredients)
+  let fdaValidation = null
+  if (aiValidation && aiValidation.extractedInformation) {
+    try {
+      // Import FDA validation functions
+      const { validateIngredientsWithFDA } = await import('../../temporal/activities/fdaValidation.js')
+      
+      // Validate ingredients against FDA databases
+      const fdaResponse = await validateIngredientsWithFDA({
+        ingredients: aiValidation.extractedInformation.ingredients || [],
+        extractedInformation: aiValidation.extractedInformation,
+        contentHash,
+        bypassCache
+      })
+      
+      if (fdaResponse.success) {
+        fdaValidation = fdaResponse.fdaValidation
+        logger.info(`FDA validation completed: ${fdaValidation.issues.length} issues, ${fdaValidation.recommendations.length} recommendations`)
+      } else {
+        logger.warn('FDA validation failed:', fdaResponse.error)
+        fdaValidation = fdaResponse.fdaValidation || {
+          issues: [{
+            type: 'FDA_VALIDATION_ERROR',
+            severity: 'ERROR',
+            message: `FDA validation failed: ${fdaResponse.error}`,
+            source: 'FDA MCP Server',
+            sourceTag: 'FDA-ERROR',
+            timestamp: new Date().toISOString()
+          }]
+        }
+      }
+    } catch (error) {
+      logger.error('FDA validation error:', error)
+      fdaValidation = {
+        issues: [{
+          type: 'FDA_VALIDATION_ERROR',
+          severity: 'ERROR',
+          message: `FDA validation system error: ${error.message}`,
+          source: 'FDA MCP Integration',
+          sourceTag: 'FDA-ERROR',
+          timestamp: new Date().toISOString()
+        }]
+      }
+    }
+  }
+  
+  // Step 4: Check Nutrition Facts arithmetic (%DV, 4/4/9 calories, rounding)
+  let nutritionCheck = null
+  if (aiValidation?.extractedInformation?.nutritionalInfo) {
+    const { checkNutritionFacts } = await import('../../temporal/activities/nutritionFacts.js')
+    nutritionCheck = checkNutritionFacts(aiValidation.extractedInformation.nutritionalInfo)
+    logger.info(`Nutrition Facts check completed: ${nutritionCheck.findings.length} findings`)
+  }
+  
+  // Step 5: Run the registry validators (nutrition, allergen, claims, chemical) per component
+  const validatorRuns = await runRegisteredValidators(ocrResult, aiValidation)
+  
+  return { contentHash, bypassCache, ocrResult, aiValidation, fdaValidation, nutritionCheck, validatorRuns }
+}
+
+/**
+ * Active ValidatorAgent rows, creating the built-in agents on first use
+ * Only the fields validators need, since the workflow receives them as input.
+ */
+async function loadActiveValidatorAgents() {
+  await ensureBuiltinValidators(prisma)
+  const agents = await prisma.validatorAgent.findMany({ where: { isActive: true } })
+  return agents.map(({ id, name, type, isActive, sourceRules }) => ({ id, name, type, isActive, sourceRules }))
+}
+
+/**
+ * Run every active registry ValidatorAgent on the label's components
+ * Returns one { validatorId, componentType, status, issues, error } entry per run.
+ */
+async function runRegisteredValidators(ocrResult, aiValidation) {
+  const runs = await dispatchValidators({
+    agents: await loadActiveValidatorAgents(),
+    components: buildComponentRows(ocrResult),
+    label: {
+      text: aiValidation?.correctedText || ocrResult?.text || '',
+      extractedInformation: aiValidation?.extractedInformation || {}
+    }
+  })
+
+  const issueCount = runs.reduce((sum, run) => sum + run.issues.length, 0)
+  logger.info(`Registry validators completed: ${runs.length} runs, ${issueCount} issues`)
+  return runs
+}
+
+/**
+ * Vision validation flag from ?vision= or the form field; undefined defers to AI_VISION_VALIDATION
+ */
+function visionOption(req) {
+  const value = req.query.vision ?? req.body.vision
+  if (value === 'true') return true
+  if (value === 'false') return false
+  return undefined
+}
+
+/**
+ * Result cache bypass flag from ?bypassCache= or the form field
+ */
+function bypassCacheOption(req) {
+  return (req.query.bypassCache ?? req.body.bypassCache) === 'true'
+}
+
+/**
+ * Start labelValidationWorkflow for an uploaded file and respond 202
+ * The workflow reads the image through a presigned S3 URL because Temporal
+ * payloads are too small for label images.
+ */
+async function startAsyncOCRValidation(req, res) {
+  const { file } = req
+  const regulations = req.body.regulations
+    ? String(req.body.regulations).split(',').map(r => r.trim()).filter(Boolean)
+    : undefined
+  
+  logger.info(`Starting async OCR validation workflow for: ${file.originalname}`)
+  
+  const { startOCRValidationWorkflow } = await import('../../temporal/clients/ocrClient.js')
+  const { hashBytes } = await import('../../temporal/clients/resultCache.js')
+  
+  const { s3Key } = await uploadLabelToS3(file)
+  const imageUrl = await getSignedUrl(
+    s3Client,
+    new GetObjectCommand({ Bucket: process.env.S3_BUCKET_NAME, Key: s3Key }),
+    { expiresIn: 3600 }
+  )
+  
+  // Placeholder project the workflow saves its validation rounds into
+  const project = await prisma.labelProject.create({
+    data: {
+      name: req.body.name || file.originalname,
+      clientId: req.body.clientId || null,
+      status: 'processing'
+    }
+  })
+  
+  let started
+  try {
+    started = await startOCRValidationWorkflow({
+      filename: file.originalname,
+      contentType: file.mimetype,
+      url: imageUrl,
+      regulations,
+      validatorAgents: await loadActiveValidatorAgents(),
+      s3Key,
+      vision: visionOption(req),
+      contentHash: hashBytes(file.buffer),
+      bypassCache: bypassCacheOption(req),
+      projectId: project.id
+    })
+  } catch (error) {
+    await prisma.labelProject.delete({ where: { id: project.id } })
+    throw error
+  }
+  const { workflowId, runId } = started
+  await prisma.labelProject.update({ where: { id: project.id }, data: { workflowId } })
+  
+  res.status(202).json({
+    success: true,
+    workflowId,
+    runId,
+    projectId: project.id,
+    s3Key,
+    statusUrl: `/ocr-validate/${workflowId}`,
+    startedAt: new Date().toISOString()
+  })
+}
+
+// Async OCR validation status endpoint
+app.get('/ocr-validate/:workflowId', requireRole('observer'), async (req, res) => {
+  try {
+    const status = await getOCRValidationStatus(req.params.workflowId)
+    
+    if (!status) {
+      return res.status(404).json({ error: `Workflow ${req.params.workflowId} not found` })
+    }
+    
+    res.json(status)
+    
+  } catch (error) {
+    logger.error('OCR validation status error:', error)
+    
+    res.status(500).json({
+      error: 'Failed to get OCR validation status',
+      details: error.message
+    })
+  }
+})
+
+// Batch items can wait behind many others before their image is fetched, so their URLs outlive single uploads'
+const BATCH_URL_TTL_SECONDS = 12 * 60 * 60
+
+const signBatchLabelUrl = (s3Key) => getSignedUrl(
+  s3Client,
+  new GetObjectCommand({ Bucket: process.env.S3_BUCKET_NAME, Key: s3Key }),
+  { expiresIn: BATCH_URL_TTL_SECONDS }
+)
+
+// Batch OCR validation: every label becomes an item of one batchValidationWorkflow
+app.post('/ocr-validate/batch', requireRole('validator'), limitBatchUploadSize, batchUpload.array('files', MAX_BATCH_ITEMS), async (req, res) => {
+  try {
+    const { files, skipped } = await expandBatchUploads(req.files || [])
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No label files provided', skipped })
+    }
+
+    const regulations = req.body.regulations
+      ? String(req.body.regulations).split(',').map(r => r.trim()).filter(Boolean)
+      : undefined
+    const concurrency = batchConcurrency(req.body.concurrency, process.env.BATCH_CONCURRENCY)
+
+    logger.info(`Starting batch OCR validation of ${files.length} labels (${skipped.length} skipped, ${concurrency} at a time)`)
+
+    const { startBatchValidationWorkflow } = await import('../../temporal/clients/ocrClient.js')
+    const { hashBytes } = await import('../../temporal/clients/resultCache.js')
+
+    const labels = []
+    for (const file of files) {
+      const { s3Key } = await uploadLabelToS3(file)
+      labels.push({
+        filename: file.originalname,
+        contentType: file.mimetype,
+        url: await signBatchLabelUrl(s3Key),
+        s3Key,
+        contentHash: hashBytes(file.buffer)
+      })
+    }
+
+    // Placeholder projects, filled in by each item's workflow as it finishes;
+    // created once every label is stored so a failed upload leaves none behind
+    const projects = await prisma.$transaction(labels.map(label => prisma.labelProject.create({
+      data: {
+        name: label.filename,
+        clientId: req.body.clientId || null,
+        status: 'processing'
+      }
+    })))
+    const uploads = labels.map((label, index) => ({ ...label, projectId: projects[index].id }))
+
+    let batch
+    try {
+      batch = await startBatchValidationWorkflow({
+        items: uploads,
+        concurrency,
+        regulations,
+        validatorAgents: await loadActiveValidatorAgents(),
+        vision: visionOption(req),
+        bypassCache: bypassCacheOption(req)
+      })
+    } catch (error) {
+      await prisma.labelProject.deleteMany({ where: { id: { in: uploads.map(upload => upload.projectId) } } })
+      throw error
+    }
+
+    await prisma.$transaction(batch.items.map(item => prisma.labelProject.update({
+      where: { id: item.projectId },
+      data: { workflowId: item.workflowId, batchId: batch.batchId }
+    })))
+
+    res.status(202).json({
+      success: true,
+      batchId: batch.batchId,
+      runId: batch.runId,
+      concurrency,
+      items: batch.items,
+      skipped,
+      statusUrl: `/ocr-validate/batch/${batch.batchId}`,
+      reportUrl: `/ocr-validate/batch/${batch.batchId}/report`,
+      startedAt: new Date().toISOString()
+    })
+
+  } catch (error) {
+    logger.error('Batch OCR validation error:', error)
+
+    res.status(500).json({
+      error: 'Failed to start batch validation',
+      details: error.message
+    })
+  }
+})
+
+// Batch status: per-item status, attempts and results, with the status of each item's LabelProject
+app.get('/ocr-validate/batch/:batchId', requireRole('observer'), async (req, res) => {
+  try {
+    const { getBatchStatus } = await import('../../temporal/clients/ocrClient.js')
+    const batch = await getBatchStatus(req.params.batchId)
+
+    if (!batch) {
+      return res.status(404).json({ error: `Batch ${req.params.batchId} not found` })
+    }
+
+    const items = await attachProjectStatuses(prisma, batch)
+    res.json({
+      ...batch,
+      items,
+      reportUrl: `/ocr-validate/batch/${batch.batchId}/report`
+    })
+
+  } catch (error) {
+    logger.error('Batch status error:', error)
+
+    res.status(500).json({
+      error: 'Failed to get batch status',
+      details: error.message
+    })
+  }
+})
+
+// Retry a batch's failed items (all of them, or itemIds) with freshly signed image URLs
+app.post('/ocr-validate/batch/:batchId/retry', requireRole('validator'), async (req, res) => {
+  try {
+    const { getBatchStatus, retryBatchItems } = await import('../../temporal/clients/ocrClient.js')
+    const batch = await getBatchStatus(req.params.batchId)
+
+    if (!batch) {
+      return res.status(404).json({ error: `Batch ${req.params.batchId} not found` })
+    }
+    if (batch.phase === 'completed') {
+      return res.status(409).json({ error: 'Batch is closed; upload its failed labels as a new batch' })
+    }
+
+    const { itemIds } = req.body || {}
+    if (itemIds !== undefined && !Array.isArray(itemIds)) {
+      return res.status(400).json({ error: 'itemIds must be an array of batch item ids' })
+    }
+    const failed = batch.items.filter(item => item.status === 'failed' && (!itemIds || itemIds.includes(item.itemId)))
+    if (failed.length === 0) {
+      return res.status(409).json({ error: 'No failed items to retry' })
+    }
+
+    const imageUrls = {}
+    for (const item of failed.filter(item => item.s3Key)) {
+      imageUrls[item.itemId] = await signBatchLabelUrl(item.s3Key)
+    }
+    await retryBatchItems(batch.batchId, { itemIds: failed.map(item => item.itemId), imageUrls })
+
+    logger.info(`Retrying ${failed.length} items of batch ${batch.batchId}`)
+    res.status(202).json({
+      success: true,
+      batchId: batch.batchId,
+      retrying: failed.map(item => item.itemId),
+      statusUrl: `/ocr-validate/batch/${batch.batchId}`
+    })
+
+  } catch (error) {
+    logger.error('Batch retry error:', error)
+
+    res.status(500).json({
+      error: 'Failed to retry batch items',
+      details: error.message
+    })
+  }
+})
+
+// Batch summary report: passed, needs review, failed and pending labels, as JSON or ?format=csv
+app.get('/ocr-validate/batch/:batchId/report', requireRole('observer'), async (req, res) => {
+  try {
+    const { getBatchReport } = await import('../../temporal/clients/ocrClient.js')
+    const report = await getBatchReport(req.params.batchId)
+
+    if (!report) {
+      return res.status(404).json({ error: `Batch ${req.params.batchId} not found` })
+    }
+
+    if (req.query.format === 'csv') {
+      res.type('text/csv')
+      res.attachment(`${report.batchId}.csv`)
+      return res.send(batchReportToCSV(report))
+    }
+
+    res.json(report)
+
+  } catch (error) {
+    logger.error('Batch report error:', error)
+
+    res.status(500).json({
+      error: 'Failed to get batch report',
+      details: error.message
+    })
+  }
+})
+
 // Health endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -535,8 +2142,9 @@ app.get('/health', (req, res) => {
   })
 })
 
-// Environment variables check endpoint
-app.get('/env-check', (req, res) => {
+// Environment variables check endpoint; admins only, as it shows which credentials are configured
+app.get('/env-check', requireRole('admin'), (req, res) => {
+  const usesLocalTemporal = ['local', 'test'].includes(process.env.TEMPORAL_MODE)
   const requiredVars = {
     anthropicKey: !!process.env.ANTHROPIC_API_KEY,
     databaseUrl: !!process.env.DATABASE_URL,
@@ -547,9 +2155,10 @@ app.get('/env-check', (req, res) => {
     authSecret: !!process.env.AUTH_SECRET,
     authUrl: !!process.env.AUTH_URL,
     s3Bucket: !!process.env.S3_BUCKET_NAME,
-    temporalApiKey: !!process.env.TEMPORAL_API_KEY,
-    temporalNamespace: !!process.env.TEMPORAL_NAMESPACE,
-    temporalAddress: !!process.env.TEMPORAL_ADDRESS,
+    // Only Temporal Cloud needs credentials; local and test modes use defaults
+    temporalApiKey: !!process.env.TEMPORAL_API_KEY || usesLocalTemporal,
+    temporalNamespace: !!process.env.TEMPORAL_NAMESPACE || usesLocalTemporal,
+    temporalAddress: !!process.env.TEMPORAL_ADDRESS || usesLocalTemporal,
     fdaApiKey: !!process.env.FDA_API_KEY
   }
   
@@ -563,62 +2172,27 @@ app.get('/env-check', (req, res) => {
 })
 
 // MCP Server Health Testing endpoint
-app.post('/test-mcp-health', async (req, res) => {
+app.post('/test-mcp-health', requireRole('observer'), async (req, res) => {
   const { testType, testIngredients, testClaims } = req.body
   
   try {
     switch (testType) {
       case 'health':
-        // Test basic MCP server spawn and communication
-        let responseSent = false
+        // Test the shared MCP session: initialize handshake plus tools/list
         try {
-          const mcpServerPath = path.join(__dirname, '../../mcp-servers/fda-validation/index.js')
+          const { getFDAMCPClient } = await import('../../temporal/clients/mcpClient.js')
+          const mcpClient = getFDAMCPClient()
+          const { tools } = await mcpClient.listTools({ timeoutMs: 5000 })
           
-          const testRequest = {
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'tools/list',
-            params: {}
-          }
-          
-          const child = spawn('node', [mcpServerPath], {
-            cwd: process.cwd(),
-            stdio: ['pipe', 'pipe', 'pipe']
-          })
-          
-          let responseData = ''
-          
-          child.stdout.on('data', (data) => {
-            responseData += data.toString()
-          })
-          
-          child.on('close', (code) => {
-            if (!responseSent) {
-              responseSent = true
-              if (code === 0 || responseData.includes('tools')) {
-                res.json({ success: true, message: 'MCP server can spawn and respond' })
-              } else {
-                res.json({ success: false, message: 'MCP server failed to start properly' })
-              }
-            }
+          res.json({
+            success: tools.length > 0,
+            message: tools.length > 0
+              ? `MCP server responding with ${tools.length} tools`
+              : 'MCP server returned no tools',
+            session: mcpClient.getStatus()
           })
-          
-          child.stdin.write(JSON.stringify(testRequest) + '\n')
-          child.stdin.end()
-          
-          // Timeout after 5 seconds
-          setTimeout(() => {
-            if (!responseSent) {
-              responseSent = true
-              child.kill()
-              res.json({ success: false, message: 'MCP server health check timeout' })
-            }
-          }, 5000)
-          
         } catch (error) {
-          if (!responseSent) {
-            res.json({ success: false, message: `MCP server spawn error: ${error.message}` })
-          }
+          res.json({ success: false, message: `MCP server health check failed: ${error.message}` })
         }
         break
         
@@ -668,123 +2242,43 @@ app.post('/test-mcp-health', async (req, res) => {
         
       case 'allergen_check':
         // Test allergen checking functionality
-        let responseSentAllergen = false
         try {
-          const mcpServerPath = path.join(__dirname, '../../mcp-servers/fda-validation/index.js')
+          const { callFDAMCPTool } = await import('../../temporal/clients/mcpClient.js')
+          const result = await callFDAMCPTool('check_allergen_requirements', {
+            ingredients: testIngredients || ['wheat', 'milk', 'eggs'],
+            productType: 'packaged_food'
+          }, { timeoutMs: 5000 })
           
-          const testRequest = {
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'tools/call',
-            params: {
-              name: 'check_allergen_requirements',
-              arguments: {
-                ingredients: testIngredients || ['wheat', 'milk', 'eggs'],
-                productType: 'packaged_food'
-              }
-            }
+          if (Array.isArray(result.allergenFindings)) {
+            res.json({ success: true, message: `Allergen checking functional (${result.allergensFound} allergens found)` })
+          } else {
+            res.json({ success: false, message: 'Allergen checking returned unexpected response' })
           }
-          
-          const child = spawn('node', [mcpServerPath], { stdio: ['pipe', 'pipe', 'pipe'] })
-          
-          let responseData = ''
-          child.stdout.on('data', (data) => {
-            responseData += data.toString()
-          })
-          
-          child.on('close', (code) => {
-            if (!responseSentAllergen) {
-              responseSentAllergen = true
-              try {
-                if (responseData.includes('allergen') || responseData.includes('requirements')) {
-                  res.json({ success: true, message: 'Allergen checking functional' })
-                } else {
-                  res.json({ success: false, message: 'Allergen checking returned unexpected response' })
-                }
-              } catch (parseError) {
-                res.json({ success: false, message: `Allergen check parse error: ${parseError.message}` })
-              }
-            }
-          })
-          
-          child.stdin.write(JSON.stringify(testRequest) + '\n')
-          child.stdin.end()
-          
-          setTimeout(() => {
-            if (!responseSentAllergen) {
-              responseSentAllergen = true
-              child.kill()
-              res.json({ success: false, message: 'Allergen check timeout' })
-            }
-          }, 5000)
-          
         } catch (error) {
-          if (!responseSentAllergen) {
-            res.json({ success: false, message: `Allergen check error: ${error.message}` })
-          }
+          res.json({ success: false, message: `Allergen check error: ${error.message}` })
         }
         break
         
       case 'nutritional_claims':
         // Test nutritional claims validation
-        let responseSentClaims = false
         try {
-          const mcpServerPath = path.join(__dirname, '../../mcp-servers/fda-validation/index.js')
-          
-          const testRequest = {
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'tools/call',
-            params: {
-              name: 'validate_nutritional_claims',
-              arguments: {
-                claims: testClaims || ['Low Fat', 'High Fiber', 'No Added Sugar'],
-                nutritionalData: {
-                  fat: 2,
-                  fiber: 8,
-                  addedSugars: 0
-                }
-              }
-            }
-          }
-          
-          const child = spawn('node', [mcpServerPath], { stdio: ['pipe', 'pipe', 'pipe'] })
-          
-          let responseData = ''
-          child.stdout.on('data', (data) => {
-            responseData += data.toString()
-          })
-          
-          child.on('close', (code) => {
-            if (!responseSentClaims) {
-              responseSentClaims = true
-              try {
-                if (responseData.includes('claims') || responseData.includes('validation')) {
-                  res.json({ success: true, message: 'Nutritional claims validation working' })
-                } else {
-                  res.json({ success: false, message: 'Claims validation returned unexpected response' })
-                }
-              } catch (parseError) {
-                res.json({ success: false, message: `Claims validation parse error: ${parseError.message}` })
-              }
-            }
-          })
-          
-          child.stdin.write(JSON.stringify(testRequest) + '\n')
-          child.stdin.end()
-          
-          setTimeout(() => {
-            if (!responseSentClaims) {
-              responseSentClaims = true
-              child.kill()
-              res.json({ success: false, message: 'Claims validation timeout' })
+          const { callFDAMCPTool } = await import('../../temporal/clients/mcpClient.js')
+          const result = await callFDAMCPTool('validate_nutritional_claims', {
+            claims: testClaims || ['Low Fat', 'High Fiber', 'No Added Sugar'],
+            nutritionalData: {
+              fat: 2,
+              fiber: 8,
+              addedSugars: 0
             }
-          }, 5000)
+          }, { timeoutMs: 5000 })
           
-        } catch (error) {
-          if (!responseSentClaims) {
-            res.json({ success: false, message: `Claims validation error: ${error.message}` })
+          if (Array.isArray(result.claimValidations)) {
+            res.json({ success: true, message: `Nutritional claims validation working (${result.claimValidations.length} claims checked)` })
+          } else {
+            res.json({ success: false, message: 'Claims validation returned unexpected response' })
           }
+        } catch (error) {
+          res.json({ success: false, message: `Claims validation error: ${error.message}` })
         }
         break
         
@@ -814,6 +2308,8 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Shutting down gracefully...')
+  const { getFDAMCPClient } = await import('../../temporal/clients/mcpClient.js')
+  await getFDAMCPClient().close()
   await prisma.$disconnect()
   server.close()
   process.exit(0)
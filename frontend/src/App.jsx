@@ -4,6 +4,7 @@ import Dashboard from './components/Dashboard'
 import SchemaViewer from './components/SchemaViewer'
 import UploaderTest from './pages/UploaderTest'
 import OCRDemo from './components/OCRDemo'
+import Login from './pages/Login'
 
 function App() {
   return (
@@ -12,6 +13,7 @@ function App() {
       <Route path="/schema" element={<SchemaViewer />} />
       <Route path="/uploader-test" element={<UploaderTest />} />
       <Route path="/ocr-demo" element={<OCRDemo />} />
+      <Route path="/login" element={<Login />} />
     </Routes>
   )
 }
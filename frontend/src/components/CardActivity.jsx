@@ -0,0 +1,202 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const GRAPHQL_URL = 'http://localhost:4000/graphql';
+
+const CARD_ACTIVITY_QUERY = `
+  query CardActivity($id: ID!) {
+    issueCard(id: $id) {
+      id
+      status
+      activity {
+        id
+        type
+        at
+        body
+        revisionNumber
+        action
+        actor { id name email }
+      }
+    }
+  }
+`;
+
+const ADD_COMMENT_MUTATION = `
+  mutation AddComment($cardId: ID!, $body: String!) {
+    addComment(cardId: $cardId, body: $body) { id }
+  }
+`;
+
+const APPROVE_MUTATION = `
+  mutation Approve($id: ID!, $note: String) {
+    approveIssueCard(id: $id, note: $note) { id status }
+  }
+`;
+
+const REQUEST_CHANGES_MUTATION = `
+  mutation RequestChanges($id: ID!, $note: String!) {
+    requestIssueCardChanges(id: $id, note: $note) { id status }
+  }
+`;
+
+const graphql = async (query, variables) => {
+  const response = await fetch(GRAPHQL_URL, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables })
+  });
+
+  const { data, errors } = await response.json();
+  if (errors?.length) {
+    throw new Error(errors[0].message);
+  }
+  return data;
+};
+
+const displayName = (actor) => actor?.name || actor?.email || 'Former user';
+
+const initials = (actor) => displayName(actor)
+  .split(/[\s.@]+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part[0].toUpperCase())
+  .join('');
+
+// @handles are highlighted; the backend resolves them to users
+const renderBody = (body) => body.split(/(@[\w.%+-]+(?:@[\w.-]+\.[a-z]{2,})?)/gi).map((part, idx) => (
+  part.startsWith('@')
+    ? <span key={idx} className="text-blue-700 font-medium">{part}</span>
+    : part
+));
+
+const SYSTEM_EVENTS = {
+  created: () => 'Card opened',
+  revision: (event) => `Revision ${event.revisionNumber}: ${event.action?.replace(/_/g, ' ')}${event.body ? ` — ${event.body}` : ''}`
+};
+
+const DECISION_BADGES = {
+  approved: { label: '✅ Approved', className: 'bg-green-100 text-green-800' },
+  changes_requested: { label: '↩️ Changes requested', className: 'bg-orange-100 text-orange-800' }
+};
+
+/**
+ * Comment thread and approval trail for an issue card
+ * Shows the card's activity feed oldest first, with a box to comment
+ * (@mention teammates by email or email name) and reviewer actions.
+ */
+const CardActivity = ({ cardId }) => {
+  const [card, setCard] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadActivity = useCallback(async () => {
+    try {
+      const data = await graphql(CARD_ACTIVITY_QUERY, { id: cardId });
+      setCard(data.issueCard);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [cardId]);
+
+  useEffect(() => {
+    loadActivity();
+  }, [loadActivity]);
+
+  const run = async (query, variables) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await graphql(query, variables);
+      setDraft('');
+      await loadActivity();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleComment = (event) => {
+    event.preventDefault();
+    if (draft.trim()) run(ADD_COMMENT_MUTATION, { cardId, body: draft });
+  };
+
+  return (
+    <div className="border rounded-lg bg-white">
+      <div className="flex items-center justify-between px-4 py-3 border-b">
+        <h3 className="text-lg font-medium text-gray-900">Comments</h3>
+        {card && <span className="text-xs text-gray-500">Status: {card.status}</span>}
+      </div>
+
+      <ul className="px-4 py-3 space-y-4 max-h-96 overflow-y-auto">
+        {card?.activity.map(event => {
+          const systemText = SYSTEM_EVENTS[event.type]?.(event);
+          if (systemText) {
+            return (
+              <li key={event.id} className="text-xs text-gray-500" data-event={event.type}>
+                {systemText} · {new Date(event.at).toLocaleString()}
+              </li>
+            );
+          }
+
+          const badge = DECISION_BADGES[event.type];
+          return (
+            <li key={event.id} className="flex gap-3" data-event={event.type}>
+              <div className="w-9 h-9 flex-shrink-0 rounded-full bg-gray-200 text-gray-700 text-sm flex items-center justify-center">
+                {initials(event.actor)}
+              </div>
+              <div className="text-sm">
+                <p className="font-medium text-gray-900">
+                  {displayName(event.actor)}
+                  {badge && <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${badge.className}`}>{badge.label}</span>}
+                </p>
+                {event.body && <p className="text-gray-700 whitespace-pre-wrap">{renderBody(event.body)}</p>}
+                <p className="text-xs text-gray-400">{new Date(event.at).toLocaleString()}</p>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <form onSubmit={handleComment} className="px-4 py-3 border-t space-y-2">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Add a comment — @mention a teammate by email"
+          rows={2}
+          className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex gap-2 justify-end">
+          <button
+            type="button"
+            disabled={isSaving || !draft.trim()}
+            onClick={() => run(REQUEST_CHANGES_MUTATION, { id: cardId, note: draft })}
+            className="px-3 py-1.5 text-sm border border-orange-300 text-orange-700 rounded hover:bg-orange-50 disabled:opacity-50"
+          >
+            Request changes
+          </button>
+          <button
+            type="button"
+            disabled={isSaving || card?.status !== 'revised'}
+            onClick={() => run(APPROVE_MUTATION, { id: cardId, note: draft.trim() || null })}
+            className="px-3 py-1.5 text-sm bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+          >
+            Approve
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving || !draft.trim()}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            Comment
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CardActivity;
@@ -87,6 +87,7 @@ function Dashboard() {
       console.log('📡 Testing MCP server spawn...')
       const healthResponse = await fetch('http://localhost:4000/test-mcp-health', {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ testType: 'health' })
       })
@@ -105,6 +106,7 @@ function Dashboard() {
       console.log('🏥 Testing FDA API connection...')
       const fdaResponse = await fetch('http://localhost:4000/test-mcp-health', {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ testType: 'fda_api' })
       })
@@ -124,6 +126,7 @@ function Dashboard() {
       console.log('🧪 Testing ingredient validation...')
       const ingredientResponse = await fetch('http://localhost:4000/test-mcp-health', {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
           testType: 'ingredient_validation',
@@ -146,6 +149,7 @@ function Dashboard() {
       console.log('⚠️ Testing allergen checking...')
       const allergenResponse = await fetch('http://localhost:4000/test-mcp-health', {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
           testType: 'allergen_check',
@@ -168,6 +172,7 @@ function Dashboard() {
       console.log('📊 Testing nutritional claims...')
       const claimsResponse = await fetch('http://localhost:4000/test-mcp-health', {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
           testType: 'nutritional_claims',
@@ -269,6 +274,7 @@ function Dashboard() {
       console.log('🔍 Testing GraphQL system status...')
       const systemResponse = await fetch('http://localhost:4000/graphql', {
         method: 'POST',
+        credentials: 'include',
         headers: {
           'Content-Type': 'application/json',
         },
@@ -315,7 +321,10 @@ function Dashboard() {
       // Phase 3: Test Environment Variables
       console.log('🔧 Testing environment variables...')
       try {
-        const envResponse = await fetch('http://localhost:4000/env-check')
+        const envResponse = await fetch('http://localhost:4000/env-check', { credentials: 'include' })
+        if (!envResponse.ok) {
+          throw new Error(`Environment check returned ${envResponse.status}`)
+        }
         const envData = await envResponse.json()
         
         const envTests = {
@@ -469,6 +478,7 @@ function Dashboard() {
     try {
       const response = await fetch('http://localhost:4000/graphql', {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
           query: `query { 
@@ -495,6 +505,7 @@ function Dashboard() {
     try {
       const response = await fetch('http://localhost:4000/graphql', {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           query: `
@@ -723,6 +734,9 @@ function Dashboard() {
           <p className="text-xl text-gray-600">
             Label Verification & Inspection System
           </p>
+          <Link to="/login" className="text-sm text-blue-600 hover:text-blue-800 hover:underline">
+            Sign in
+          </Link>
           {healthStatus && (
             <p className="text-sm text-gray-500 mt-2">
               Last updated: {new Date(healthStatus.timestamp).toLocaleString()}
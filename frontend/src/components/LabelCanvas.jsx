@@ -0,0 +1,222 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Stage, Layer, Image as KonvaImage, Circle, Rect, Text } from 'react-konva';
+
+const DOT_RADIUS = 9;
+const DOT_SPACING = 4;
+
+const SEVERITY_STYLES = {
+  critical: { dot: '#991b1b', badge: 'bg-red-200 text-red-900' },
+  high: { dot: '#dc2626', badge: 'bg-red-100 text-red-800' },
+  medium: { dot: '#ef4444', badge: 'bg-orange-100 text-orange-800' },
+  low: { dot: '#f87171', badge: 'bg-yellow-100 text-yellow-800' }
+};
+
+const getSeverityStyle = (severity) => SEVERITY_STYLES[severity] || SEVERITY_STYLES.medium;
+
+const hasBoundingBox = (box) =>
+  !!box && ['x', 'y', 'width', 'height'].every(key => typeof box[key] === 'number');
+
+/**
+ * Place one red dot per issue at the top-right corner of its component's
+ * bounding box. Issues sharing a component are stacked leftwards so every
+ * dot stays clickable. Coordinates are returned in stage (scaled) pixels.
+ */
+export const layoutIssueDots = (issues = [], scale = 1, stageWidth = Infinity) => {
+  const perComponent = {};
+
+  return issues
+    .filter(issue => hasBoundingBox(issue.component?.boundingBox))
+    .map(issue => {
+      const box = issue.component.boundingBox;
+      const key = issue.componentId || issue.component.id || `${box.x}:${box.y}:${box.width}:${box.height}`;
+      const index = perComponent[key] || 0;
+      perComponent[key] = index + 1;
+
+      const x = (box.x + box.width) * scale - index * (DOT_RADIUS * 2 + DOT_SPACING);
+      const y = box.y * scale;
+
+      return {
+        issue,
+        number: index + 1,
+        x: Math.min(Math.max(x, DOT_RADIUS), stageWidth - DOT_RADIUS),
+        y: Math.max(y, DOT_RADIUS),
+        region: {
+          x: box.x * scale,
+          y: box.y * scale,
+          width: box.width * scale,
+          height: box.height * scale
+        }
+      };
+    });
+};
+
+// Load an HTMLImageElement for Konva from a URL or data URI
+const useLabelImage = (src) => {
+  const [image, setImage] = useState(null);
+
+  useEffect(() => {
+    if (!src) {
+      setImage(null);
+      return undefined;
+    }
+
+    const img = new window.Image();
+    img.onload = () => setImage(img);
+    img.src = src;
+
+    return () => {
+      img.onload = null;
+    };
+  }, [src]);
+
+  return image;
+};
+
+const IssueCard = ({ issue, position, onClose }) => {
+  const style = getSeverityStyle(issue.severity);
+
+  return (
+    <div
+      className="absolute z-10 w-72 bg-white border border-gray-200 rounded-lg shadow-lg p-4 text-sm"
+      style={{ left: position.x, top: position.y }}
+      role="dialog"
+      aria-label="Issue details"
+    >
+      <div className="flex items-start justify-between mb-2">
+        <div className="font-medium text-gray-900">
+          {issue.issueType?.replace(/_/g, ' ') || 'Validation Issue'}
+        </div>
+        <button
+          onClick={onClose}
+          className="ml-2 text-gray-400 hover:text-gray-600"
+          aria-label="Close issue card"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        <span className={`px-2 py-1 text-xs rounded-full capitalize ${style.badge}`}>
+          {issue.severity}
+        </span>
+        {issue.sourceTag && (
+          <span className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-800">
+            {issue.sourceTag}
+          </span>
+        )}
+        {issue.status && (
+          <span className="px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800 capitalize">
+            {issue.status}
+          </span>
+        )}
+      </div>
+
+      <p className="text-gray-700 mb-2">{issue.notes}</p>
+
+      <div className="text-xs text-gray-500">
+        {issue.validator?.name && <p>Validator: {issue.validator.name}</p>}
+        {issue.component?.type && <p>Component: {issue.component.type.replace(/_/g, ' ')}</p>}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Red Dot Visual QA canvas
+ * Draws the uploaded label and pins each ValidationIssue to its component's
+ * bounding box; clicking a dot opens the issue card.
+ */
+const LabelCanvas = ({ imageSrc, issues = [], maxWidth = 560, onIssueSelect }) => {
+  const image = useLabelImage(imageSrc);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const scale = image ? Math.min(1, maxWidth / image.width) : 1;
+  const stageWidth = image ? image.width * scale : maxWidth;
+  const stageHeight = image ? image.height * scale : 0;
+
+  const dots = useMemo(
+    () => layoutIssueDots(issues, scale, stageWidth),
+    [issues, scale, stageWidth]
+  );
+  const selected = dots.find(dot => dot.issue.id === selectedId);
+  const unpinnedCount = issues.length - dots.length;
+
+  const selectIssue = (issue) => {
+    const nextId = issue.id === selectedId ? null : issue.id;
+    setSelectedId(nextId);
+    if (onIssueSelect) onIssueSelect(nextId ? issue : null);
+  };
+
+  if (!image) {
+    return (
+      <div className="border rounded-lg p-8 text-center text-gray-500 bg-gray-50">
+        Loading label...
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="relative border rounded-lg overflow-visible bg-gray-50" style={{ width: stageWidth }}>
+        <Stage width={stageWidth} height={stageHeight}>
+          <Layer>
+            <KonvaImage image={image} width={stageWidth} height={stageHeight} />
+            {selected && (
+              <Rect
+                {...selected.region}
+                stroke="#dc2626"
+                strokeWidth={2}
+                dash={[6, 4]}
+                fill="rgba(220, 38, 38, 0.08)"
+                listening={false}
+              />
+            )}
+            {dots.map(dot => (
+              <React.Fragment key={dot.issue.id}>
+                <Circle
+                  x={dot.x}
+                  y={dot.y}
+                  radius={DOT_RADIUS}
+                  fill={getSeverityStyle(dot.issue.severity).dot}
+                  stroke="white"
+                  strokeWidth={2}
+                  shadowBlur={dot.issue.id === selectedId ? 8 : 2}
+                  onClick={() => selectIssue(dot.issue)}
+                  onTap={() => selectIssue(dot.issue)}
+                />
+                <Text
+                  x={dot.x - DOT_RADIUS}
+                  y={dot.y - 5}
+                  width={DOT_RADIUS * 2}
+                  align="center"
+                  text={String(dot.number)}
+                  fontSize={10}
+                  fill="white"
+                  listening={false}
+                />
+              </React.Fragment>
+            ))}
+          </Layer>
+        </Stage>
+
+        {selected && (
+          <IssueCard
+            issue={selected.issue}
+            position={{
+              x: Math.min(selected.x + DOT_RADIUS + 4, Math.max(stageWidth - 288, 0)),
+              y: selected.y + DOT_RADIUS + 4
+            }}
+            onClose={() => selectIssue(selected.issue)}
+          />
+        )}
+      </div>
+
+      <div className="text-sm text-gray-600">
+        🔴 {dots.length} issue{dots.length === 1 ? '' : 's'} pinned to the label
+        {unpinnedCount > 0 && ` • ${unpinnedCount} without a location`}
+      </div>
+    </div>
+  );
+};
+
+export default LabelCanvas;
@@ -29,6 +29,7 @@ const LabelUploader = ({ onUploadComplete, onUploadError, testMode = false }) =>
     
     const response = await fetch('http://localhost:4000/upload', {
       method: 'POST',
+      credentials: 'include',
       body: formData,
     });
     
@@ -1,4 +1,43 @@
 import React, { useState, useRef } from 'react';
+import LabelCanvas from './LabelCanvas';
+import RevisionDiff from './RevisionDiff';
+import CardActivity from './CardActivity';
+
+const LABEL_ISSUES_QUERY = `
+  query LabelIssues($id: ID!) {
+    labelProject(id: $id) {
+      id
+      issues {
+        id
+        componentId
+        issueType
+        severity
+        notes
+        sourceTag
+        status
+        validator { name }
+        component { id type boundingBox { x y width height } }
+        cards { id status }
+      }
+    }
+  }
+`;
+
+// Load the persisted issues (with component bounding boxes) for a validation run
+const fetchLabelIssues = async (projectId) => {
+  const response = await fetch('http://localhost:4000/graphql', {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query: LABEL_ISSUES_QUERY, variables: { id: projectId } })
+  });
+
+  const { data, errors } = await response.json();
+  if (errors?.length) {
+    throw new Error(errors[0].message);
+  }
+  return data?.labelProject?.issues || [];
+};
 
 const OCRDemo = () => {
   const [uploadedImage, setUploadedImage] = useState(null);
@@ -7,16 +46,21 @@ const OCRDemo = () => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [activeTab, setActiveTab] = useState('original');
   const [dragActive, setDragActive] = useState(false);
+  const [visionCheck, setVisionCheck] = useState(false);
+  const [revisionResult, setRevisionResult] = useState(null);
+  const [isUploadingRevision, setIsUploadingRevision] = useState(false);
+  const [selectedIssue, setSelectedIssue] = useState(null);
   const fileInputRef = useRef(null);
+  const revisionInputRef = useRef(null);
 
   // Handle file upload
   const handleFileSelect = (file) => {
     if (!file) return;
     
     // Validate file type
-    const validTypes = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
+    const validTypes = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp', 'application/pdf'];
     if (!validTypes.includes(file.type)) {
-      alert('Please upload a valid image file (JPG, PNG, WebP)');
+      alert('Please upload a valid image or PDF file (JPG, PNG, WebP, PDF)');
       return;
     }
     
@@ -37,6 +81,7 @@ const OCRDemo = () => {
     
     // Clear previous OCR results
     setOcrResult(null);
+    setSelectedIssue(null);
   };
   
   // Handle drag and drop
@@ -66,6 +111,37 @@ const OCRDemo = () => {
     }
   };
 
+  // Validate a new version of the label against the current project
+  const uploadRevision = async (file) => {
+    if (!file || !ocrResult?.projectId) return;
+
+    setIsUploadingRevision(true);
+    setRevisionResult(null);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await fetch(`http://localhost:4000/label-projects/${ocrResult.projectId}/revisions`, {
+        method: 'POST',
+        credentials: 'include',
+        body: formData,
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Revision upload failed');
+      }
+
+      setRevisionResult(data);
+    } catch (error) {
+      console.error('Revision upload failed:', error);
+      setRevisionResult({ error: error.message });
+    } finally {
+      setIsUploadingRevision(false);
+    }
+  };
+
   // OCR + AI Validation using backend endpoint
   const runOCR = async () => {
     if (!uploadedImage) {
@@ -75,6 +151,8 @@ const OCRDemo = () => {
     
     setIsProcessing(true);
     setOcrResult(null);
+    setSelectedIssue(null);
+    setRevisionResult(null);
     
     try {
       const startTime = Date.now();
@@ -82,10 +160,15 @@ const OCRDemo = () => {
       // Create FormData for upload
       const formData = new FormData();
       formData.append('file', uploadedImage);
+      if (visionCheck) {
+        // Also send the image to the model to review layout and cross-check the OCR text
+        formData.append('vision', 'true');
+      }
       
       // Send to backend OCR + AI validation endpoint
       const response = await fetch('http://localhost:4000/ocr-validate', {
         method: 'POST',
+        credentials: 'include',
         body: formData,
       });
       
@@ -97,6 +180,16 @@ const OCRDemo = () => {
       const data = await response.json();
       const processingTime = Date.now() - startTime;
       
+      // Issues pinned to label regions for the red dot view
+      let labelIssues = [];
+      if (data.projectId) {
+        try {
+          labelIssues = await fetchLabelIssues(data.projectId);
+        } catch (error) {
+          console.warn('Could not load label issues:', error);
+        }
+      }
+      
       // Format results for UI
       const result = {
         success: true,
@@ -109,6 +202,7 @@ const OCRDemo = () => {
         lines: data.ocr.lines?.length || 0,
         detectedSections: data.ocr.detectedSections,
         qualityAssessment: data.ocr.qualityAssessment,
+        pages: data.ocr.pages || [],
         
         // AI Validation Results
         aiValidation: {
@@ -121,12 +215,21 @@ const OCRDemo = () => {
           complianceIssues: data.aiValidation.complianceIssues || [],
           recommendations: data.aiValidation.recommendations || [],
           qualityImprovement: data.aiValidation.qualityImprovement,
+          error: data.aiValidation.error || null,
+          visualValidation: data.aiValidation.visualValidation || null,
           processingTime: data.aiValidation.processingTime
         },
         
         // FDA Validation Results
         fdaValidation: data.fdaValidation,
         
+        // Persisted project and its pinned issues
+        projectId: data.projectId,
+        labelIssues,
+        
+        // Stages served from the result cache
+        cachedStages: ['ocr', 'aiValidation', 'fda'].filter(stage => data.cache?.[stage]?.hit),
+        
         // Overall processing time
         totalProcessingTime: processingTime
       };
@@ -185,27 +288,43 @@ const OCRDemo = () => {
                       Drag & drop or click to browse
                     </p>
                     <p className="text-xs text-gray-500 mt-2">
-                      Supports JPG, PNG, WebP (max 10MB)
+                      Supports JPG, PNG, WebP, PDF (max 10MB)
                     </p>
                   </div>
                 </div>
                 <input
                   ref={fileInputRef}
                   type="file"
-                  accept="image/*"
+                  accept="image/*,application/pdf"
                   onChange={handleInputChange}
                   className="hidden"
                 />
               </div>
             ) : (
               <div className="space-y-4">
-                <div className="border rounded-lg overflow-hidden">
-                  <img 
-                    src={imagePreview} 
-                    alt="Uploaded label" 
-                    className="w-full h-auto max-h-96 object-contain bg-gray-50"
-                  />
-                </div>
+                {uploadedImage?.type === 'application/pdf' ? (
+                  // PDFs are rasterized server-side, so there is no image to draw issues on
+                  <div className="border rounded-lg p-8 text-center bg-gray-50">
+                    <div className="text-6xl mb-2">📄</div>
+                    <p className="font-medium text-gray-900">{uploadedImage.name}</p>
+                    {ocrResult?.pages?.length > 0 && (
+                      <p className="text-sm text-gray-600 mt-1">{ocrResult.pages.length} page(s) processed</p>
+                    )}
+                  </div>
+                ) : ocrResult?.labelIssues?.length > 0 ? (
+                  <LabelCanvas imageSrc={imagePreview} issues={ocrResult.labelIssues} onIssueSelect={setSelectedIssue} />
+                ) : (
+                  <div className="border rounded-lg overflow-hidden">
+                    <img 
+                      src={imagePreview} 
+                      alt="Uploaded label" 
+                      className="w-full h-auto max-h-96 object-contain bg-gray-50"
+                    />
+                  </div>
+                )}
+                {selectedIssue?.cards?.[0] && (
+                  <CardActivity key={selectedIssue.cards[0].id} cardId={selectedIssue.cards[0].id} />
+                )}
                 <div className="flex gap-3">
                   <button
                     onClick={() => fileInputRef.current?.click()}
@@ -213,6 +332,15 @@ const OCRDemo = () => {
                   >
                     Change Image
                   </button>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={visionCheck}
+                      onChange={(e) => setVisionCheck(e.target.checked)}
+                      disabled={isProcessing}
+                    />
+                    Check layout with vision
+                  </label>
                   <button
                     onClick={runOCR}
                     disabled={isProcessing}
@@ -231,7 +359,7 @@ const OCRDemo = () => {
                 <input
                   ref={fileInputRef}
                   type="file"
-                  accept="image/*"
+                  accept="image/*,application/pdf"
                   onChange={handleInputChange}
                   className="hidden"
                 />
@@ -279,6 +407,11 @@ const OCRDemo = () => {
                     </p>
                   </div>
                 </div>
+                {ocrResult.cachedStages?.length > 0 && (
+                  <p className="text-xs text-gray-500">
+                    ♻️ Reused cached results for: {ocrResult.cachedStages.join(', ')}
+                  </p>
+                )}
 
                 {/* AI Validation Status */}
                 {ocrResult.aiValidation && (
@@ -299,16 +432,52 @@ const OCRDemo = () => {
                         AI Validation: {ocrResult.aiValidation.isValid ? 'Passed' : 'Needs Review'}
                       </h3>
                     </div>
-                    <div className="grid grid-cols-2 gap-4 text-sm">
-                      <div>
-                        <p className="text-gray-600">Completeness Score</p>
-                        <p className="font-medium">{ocrResult.aiValidation.completenessScore}/10</p>
+                    {ocrResult.aiValidation.error ? (
+                      <div className="text-sm text-yellow-800">
+                        <p className="font-medium">{ocrResult.aiValidation.error.message}</p>
+                        {Array.isArray(ocrResult.aiValidation.error.details) && (
+                          <ul className="mt-1 list-disc list-inside">
+                            {ocrResult.aiValidation.error.details.map((detail, idx) => (
+                              <li key={idx}>{detail.path}: {detail.message}</li>
+                            ))}
+                          </ul>
+                        )}
                       </div>
-                      <div>
-                        <p className="text-gray-600">Quality Improvement</p>
-                        <p className="font-medium capitalize">{ocrResult.aiValidation.qualityImprovement}</p>
+                    ) : (
+                      <div className="grid grid-cols-2 gap-4 text-sm">
+                        <div>
+                          <p className="text-gray-600">Completeness Score</p>
+                          <p className="font-medium">{ocrResult.aiValidation.completenessScore}/10</p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600">Quality Improvement</p>
+                          <p className="font-medium capitalize">{ocrResult.aiValidation.qualityImprovement}</p>
+                        </div>
                       </div>
-                    </div>
+                    )}
+                    {ocrResult.aiValidation.visualValidation && (
+                      <div className="mt-3 text-sm">
+                        <p className="text-gray-600">Layout Review</p>
+                        <ul className="mt-1 space-y-1">
+                          {ocrResult.aiValidation.visualValidation.layoutChecks
+                            .filter(check => check.status !== 'pass')
+                            .map((check, idx) => (
+                              <li key={idx} className={check.status === 'fail' ? 'text-red-700' : 'text-gray-500'}>
+                                {check.status === 'fail' ? '❌' : '❔'} {check.check}: {check.observation}
+                              </li>
+                            ))}
+                          {ocrResult.aiValidation.visualValidation.disagreements.map((disagreement, idx) => (
+                            <li key={`d-${idx}`} className="text-yellow-800">
+                              👁️ {disagreement.field}: OCR read "{disagreement.ocrText}", label shows "{disagreement.observedText}"
+                            </li>
+                          ))}
+                          {ocrResult.aiValidation.visualValidation.layoutChecks.every(check => check.status === 'pass') &&
+                            ocrResult.aiValidation.visualValidation.disagreements.length === 0 && (
+                              <li className="text-green-700">✅ Layout checks passed and the image matches the OCR text</li>
+                            )}
+                        </ul>
+                      </div>
+                    )}
                   </div>
                 )}
                 
@@ -355,6 +524,18 @@ const OCRDemo = () => {
                     >
                       ⚠️ Issues
                     </button>
+                    {ocrResult.projectId && (
+                      <button 
+                        onClick={() => setActiveTab('revisions')}
+                        className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                          activeTab === 'revisions'
+                            ? 'border-blue-500 text-blue-600'
+                            : 'border-transparent text-gray-500 hover:text-gray-700'
+                        }`}
+                      >
+                        🔀 Revisions
+                      </button>
+                    )}
                   </nav>
                 </div>
 
@@ -364,9 +545,22 @@ const OCRDemo = () => {
                     <div>
                       <h3 className="font-medium text-gray-900 mb-3">Original OCR Text:</h3>
                       <div className="border rounded-lg p-4 bg-gray-50 max-h-80 overflow-y-auto">
-                        <pre className="text-sm text-gray-800 whitespace-pre-wrap font-mono leading-relaxed">
-                          {ocrResult.text || 'No text detected'}
-                        </pre>
+                        {ocrResult.pages?.length > 1 ? (
+                          ocrResult.pages.map(page => (
+                            <div key={page.pageNumber} className="mb-4 last:mb-0">
+                              <p className="text-xs font-medium text-gray-500 mb-1">
+                                Page {page.pageNumber} • {Math.round(page.confidence * 100)}%
+                              </p>
+                              <pre className="text-sm text-gray-800 whitespace-pre-wrap font-mono leading-relaxed">
+                                {page.text || 'No text detected'}
+                              </pre>
+                            </div>
+                          ))
+                        ) : (
+                          <pre className="text-sm text-gray-800 whitespace-pre-wrap font-mono leading-relaxed">
+                            {ocrResult.text || 'No text detected'}
+                          </pre>
+                        )}
                       </div>
                       <div className="mt-3 text-sm text-gray-600">
                         {ocrResult.totalWords} words • {ocrResult.lines} lines
@@ -584,6 +778,36 @@ const OCRDemo = () => {
                       </div>
                     </div>
                   )}
+
+                  {activeTab === 'revisions' && (
+                    <div className="space-y-4">
+                      <div className="flex items-center gap-3">
+                        <button
+                          onClick={() => revisionInputRef.current?.click()}
+                          disabled={isUploadingRevision}
+                          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                          {isUploadingRevision ? 'Validating revision...' : '📤 Upload New Revision'}
+                        </button>
+                        <p className="text-xs text-gray-500">
+                          The new file is validated and compared with the previous revision of this label.
+                        </p>
+                        <input
+                          ref={revisionInputRef}
+                          type="file"
+                          accept="image/*,application/pdf"
+                          onChange={(e) => uploadRevision(e.target.files?.[0])}
+                          className="hidden"
+                        />
+                      </div>
+                      {revisionResult?.error && (
+                        <p className="text-sm text-red-700">{revisionResult.error}</p>
+                      )}
+                      {revisionResult?.diff && (
+                        <RevisionDiff diff={revisionResult.diff} issueChanges={revisionResult.issueChanges} />
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
             )}
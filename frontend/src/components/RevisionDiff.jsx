@@ -0,0 +1,95 @@
+import React from 'react';
+
+const ROW_STYLES = {
+  equal: { before: 'text-gray-700', after: 'text-gray-700' },
+  changed: { before: 'bg-red-50 text-red-800', after: 'bg-green-50 text-green-800' },
+  removed: { before: 'bg-red-50 text-red-800 line-through', after: 'bg-gray-50' },
+  added: { before: 'bg-gray-50', after: 'bg-green-50 text-green-800' }
+};
+
+const CHANGE_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  changed: 'Changed'
+};
+
+/**
+ * Side-by-side diff of two label revisions
+ * `diff` is the revision diff from the backend ({ fromRevision, toRevision,
+ * text: { rows, stats }, fields, changedComponents }); `issueChanges` lists
+ * the issue ids that were carried forward, auto-resolved or newly filed.
+ */
+const RevisionDiff = ({ diff, issueChanges }) => {
+  if (!diff) return null;
+
+  const { rows, stats } = diff.text;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium text-gray-900">
+          Revision {diff.fromRevision} → {diff.toRevision}
+        </h3>
+        <p className="text-xs text-gray-500">
+          {stats.changed} changed · {stats.added} added · {stats.removed} removed · {stats.unchanged} unchanged
+        </p>
+      </div>
+
+      {issueChanges && (
+        <div className="grid grid-cols-3 gap-2 text-sm" aria-label="Issue changes">
+          <div className="p-2 rounded bg-green-50 text-green-800">
+            ✅ {issueChanges.autoResolved.length} auto-resolved
+          </div>
+          <div className="p-2 rounded bg-yellow-50 text-yellow-800">
+            ↪️ {issueChanges.carriedForward.length} carried forward
+          </div>
+          <div className="p-2 rounded bg-red-50 text-red-800">
+            🆕 {issueChanges.created.length} new
+          </div>
+        </div>
+      )}
+
+      <table className="w-full text-xs font-mono border border-gray-200 rounded">
+        <thead>
+          <tr className="bg-gray-50 text-gray-600">
+            <th className="w-1/2 text-left p-2">Revision {diff.fromRevision}</th>
+            <th className="w-1/2 text-left p-2">Revision {diff.toRevision}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, idx) => (
+            <tr key={idx} data-change={row.type}>
+              <td className={`p-1 align-top whitespace-pre-wrap ${ROW_STYLES[row.type].before}`}>{row.before}</td>
+              <td className={`p-1 align-top whitespace-pre-wrap ${ROW_STYLES[row.type].after}`}>{row.after}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {diff.fields.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Extracted fields</h4>
+          <ul className="text-sm space-y-1">
+            {diff.fields.map(field => (
+              <li key={field.field}>
+                <span className="font-medium">{field.field}</span>{' '}
+                <span className="text-gray-500">({CHANGE_LABELS[field.change]})</span>:{' '}
+                {field.before !== null && <span className="text-red-700 line-through">{field.before}</span>}
+                {field.before !== null && field.after !== null && ' → '}
+                {field.after !== null && <span className="text-green-700">{field.after}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {diff.changedComponents.length > 0 && (
+        <p className="text-xs text-gray-500">
+          Changed components: {diff.changedComponents.map(type => type.replace(/_/g, ' ')).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RevisionDiff;
@@ -14,7 +14,7 @@ const SchemaViewer = () => {
   const fetchSchema = async () => {
     try {
       setLoading(true)
-      const response = await fetch('http://localhost:4000/schema')
+      const response = await fetch('http://localhost:4000/schema', { credentials: 'include' })
       const data = await response.json()
       
       if (data.status === 'OK') {
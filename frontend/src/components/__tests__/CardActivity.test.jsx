@@ -0,0 +1,58 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import CardActivity from '../CardActivity.jsx';
+
+const card = {
+  id: 'card-1',
+  status: 'revised',
+  activity: [
+    { id: 'created:card-1', type: 'created', at: '2025-01-01T09:00:00.000Z', body: null, actor: null },
+    {
+      id: 'comment:c1',
+      type: 'comment',
+      at: '2025-01-02T09:00:00.000Z',
+      body: '@jane.smith sodium is fixed',
+      actor: { id: 'u-john', name: 'John Doe', email: 'john@example.com' }
+    },
+    {
+      id: 'approval:a1',
+      type: 'changes_requested',
+      at: '2025-01-03T09:00:00.000Z',
+      body: 'Allergen line still missing',
+      actor: { id: 'u-jane', name: 'Jane Smith', email: 'jane.smith@example.com' }
+    }
+  ]
+};
+
+const respond = (data) => Promise.resolve({ json: () => Promise.resolve({ data }) });
+
+describe('CardActivity', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn(() => respond({ issueCard: card }));
+  });
+
+  it('should render the activity feed with authors and decisions', async () => {
+    const { container } = render(<CardActivity cardId="card-1" />);
+
+    expect(await screen.findByText('John Doe')).toBeInTheDocument();
+    expect(screen.getByText('@jane.smith')).toHaveClass('text-blue-700');
+    expect(screen.getByText('↩️ Changes requested')).toBeInTheDocument();
+    expect([...container.querySelectorAll('[data-event]')].map(item => item.dataset.event))
+      .toEqual(['created', 'comment', 'changes_requested']);
+  });
+
+  it('should post a comment and reload the feed', async () => {
+    render(<CardActivity cardId="card-1" />);
+    await screen.findByText('John Doe');
+
+    fireEvent.change(screen.getByPlaceholderText(/Add a comment/), { target: { value: 'Looks good @john' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Comment' }));
+
+    await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(3));
+    const { query, variables } = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(query).toContain('addComment');
+    expect(variables).toEqual({ cardId: 'card-1', body: 'Looks good @john' });
+    expect(global.fetch.mock.calls[1][1].credentials).toBe('include');
+  });
+});
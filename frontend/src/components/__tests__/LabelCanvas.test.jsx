@@ -0,0 +1,113 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import LabelCanvas, { layoutIssueDots } from '../LabelCanvas.jsx';
+
+// Images report a fixed natural size once loaded
+class MockImage {
+  constructor() {
+    this.width = 1000;
+    this.height = 800;
+  }
+  set src(value) {
+    this._src = value;
+    setTimeout(() => this.onload && this.onload());
+  }
+}
+
+const issues = [
+  {
+    id: 'issue-1',
+    componentId: 'comp-1',
+    issueType: 'FDA_INGREDIENT_WARNING',
+    severity: 'high',
+    notes: 'Contains milk - Major allergen requiring disclosure',
+    sourceTag: 'FDA-INGREDIENT',
+    status: 'open',
+    validator: { name: 'FDA MCP Validator' },
+    component: { id: 'comp-1', type: 'ingredient_list', boundingBox: { x: 100, y: 200, width: 400, height: 50 } }
+  },
+  {
+    id: 'issue-2',
+    componentId: 'comp-1',
+    issueType: 'AI_COMPLIANCE',
+    severity: 'medium',
+    notes: 'Missing sub-ingredients',
+    sourceTag: 'AI-CLAUDE',
+    status: 'open',
+    validator: { name: 'AI Label Validator' },
+    component: { id: 'comp-1', type: 'ingredient_list', boundingBox: { x: 100, y: 200, width: 400, height: 50 } }
+  },
+  {
+    id: 'issue-3',
+    componentId: 'comp-2',
+    issueType: 'AI_COMPLIANCE',
+    severity: 'low',
+    notes: 'No location',
+    component: { id: 'comp-2', type: 'full_label', boundingBox: null }
+  }
+];
+
+describe('LabelCanvas', () => {
+  beforeEach(() => {
+    vi.stubGlobal('Image', MockImage);
+  });
+
+  describe('layoutIssueDots', () => {
+    it('should place dots at the scaled top-right corner of each component', () => {
+      const dots = layoutIssueDots(issues, 0.5);
+
+      expect(dots).toHaveLength(2);
+      expect(dots[0]).toMatchObject({ x: 250, y: 100, number: 1 });
+      expect(dots[0].region).toEqual({ x: 50, y: 100, width: 200, height: 25 });
+    });
+
+    it('should stack dots that share a component', () => {
+      const [first, second] = layoutIssueDots(issues, 1);
+
+      expect(second.y).toBe(first.y);
+      expect(second.x).toBeLessThan(first.x);
+      expect(second.number).toBe(2);
+    });
+
+    it('should keep dots inside the stage', () => {
+      const [dot] = layoutIssueDots([
+        { id: 'edge', component: { id: 'c', boundingBox: { x: 900, y: 0, width: 100, height: 10 } } }
+      ], 1, 1000);
+
+      expect(dot.x).toBeLessThan(1000);
+      expect(dot.y).toBeGreaterThan(0);
+    });
+  });
+
+  it('should draw a dot for each located issue and count the rest', async () => {
+    render(<LabelCanvas imageSrc="data:image/png;base64,abc" issues={issues} />);
+
+    expect(await screen.findByTestId('konva-stage')).toBeInTheDocument();
+    expect(screen.getAllByTestId('konva-circle')).toHaveLength(2);
+    expect(screen.getByText(/2 issues pinned to the label/)).toBeInTheDocument();
+    expect(screen.getByText(/1 without a location/)).toBeInTheDocument();
+  });
+
+  it('should open an issue card with severity, notes and source tag on click', async () => {
+    const onIssueSelect = vi.fn();
+    render(<LabelCanvas imageSrc="data:image/png;base64,abc" issues={issues} onIssueSelect={onIssueSelect} />);
+
+    const [firstDot] = await screen.findAllByTestId('konva-circle');
+    act(() => {
+      fireEvent.click(firstDot);
+    });
+
+    expect(screen.getByRole('dialog')).toBeInTheDocument();
+    expect(screen.getByText('high')).toBeInTheDocument();
+    expect(screen.getByText('FDA-INGREDIENT')).toBeInTheDocument();
+    expect(screen.getByText('Contains milk - Major allergen requiring disclosure')).toBeInTheDocument();
+    expect(screen.getByText('Validator: FDA MCP Validator')).toBeInTheDocument();
+    expect(screen.getByTestId('konva-rect')).toBeInTheDocument();
+    expect(onIssueSelect).toHaveBeenCalledWith(issues[0]);
+
+    fireEvent.click(screen.getByLabelText('Close issue card'));
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(onIssueSelect).toHaveBeenLastCalledWith(null);
+  });
+});
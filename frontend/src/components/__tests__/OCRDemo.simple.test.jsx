@@ -81,7 +81,7 @@ describe('OCRDemo Component (Simple Tests)', () => {
 
     const fileInput = document.querySelector('input[type="file"]');
     expect(fileInput).toBeInTheDocument();
-    expect(fileInput).toHaveAttribute('accept', 'image/*');
+    expect(fileInput).toHaveAttribute('accept', 'image/*,application/pdf');
   });
 
   it('should handle file selection', () => {
@@ -104,7 +104,7 @@ describe('OCRDemo Component (Simple Tests)', () => {
     }).not.toThrow();
     
     // Verify file input properties
-    expect(fileInput.accept).toBe('image/*');
+    expect(fileInput.accept).toBe('image/*,application/pdf');
     expect(fileInput.type).toBe('file');
   });
 
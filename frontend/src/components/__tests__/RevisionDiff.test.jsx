@@ -0,0 +1,48 @@
+import React from 'react';
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import RevisionDiff from '../RevisionDiff.jsx';
+
+const diff = {
+  fromRevision: 1,
+  toRevision: 2,
+  text: {
+    rows: [
+      { type: 'equal', before: 'Oat Bar', after: 'Oat Bar' },
+      { type: 'changed', before: 'Sodium 16Omg', after: 'Sodium 160mg' },
+      { type: 'added', before: null, after: 'Made in USA' }
+    ],
+    stats: { unchanged: 1, changed: 1, added: 1, removed: 0 }
+  },
+  fields: [{ field: 'nutritionalInfo.sodium', change: 'changed', before: '16mg', after: '160mg' }],
+  changedComponents: ['full_label', 'nutrition_panel']
+};
+
+describe('RevisionDiff', () => {
+  it('should render the two revisions side by side', () => {
+    const { container } = render(<RevisionDiff diff={diff} />);
+
+    expect(screen.getByText('Revision 1 → 2')).toBeInTheDocument();
+    const rows = container.querySelectorAll('tbody tr');
+    expect([...rows].map(row => row.dataset.change)).toEqual(['equal', 'changed', 'added']);
+    expect(rows[1].children[0]).toHaveTextContent('Sodium 16Omg');
+    expect(rows[1].children[1]).toHaveTextContent('Sodium 160mg');
+    expect(rows[2].children[0]).toBeEmptyDOMElement();
+  });
+
+  it('should list field changes, changed components and issue outcomes', () => {
+    render(<RevisionDiff diff={diff} issueChanges={{ autoResolved: ['a', 'b'], carriedForward: ['c'], created: [] }} />);
+
+    expect(screen.getByText('nutritionalInfo.sodium')).toBeInTheDocument();
+    expect(screen.getByText('160mg')).toBeInTheDocument();
+    expect(screen.getByText(/2 auto-resolved/)).toBeInTheDocument();
+    expect(screen.getByText(/1 carried forward/)).toBeInTheDocument();
+    expect(screen.getByText(/0 new/)).toBeInTheDocument();
+    expect(screen.getByText('Changed components: full label, nutrition panel')).toBeInTheDocument();
+  });
+
+  it('should render nothing without a diff', () => {
+    const { container } = render(<RevisionDiff diff={null} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
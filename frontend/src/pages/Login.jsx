@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+
+const API_URL = 'http://localhost:4000';
+
+/**
+ * Sign in to the backend
+ * The backend keeps the session in an httpOnly cookie, so every other page
+ * only needs `credentials: 'include'` on its requests.
+ */
+const Login = () => {
+  const [user, setUser] = useState(null);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetch(`${API_URL}/auth/me`, { credentials: 'include' })
+      .then(response => (response.ok ? response.json() : { user: null }))
+      .then(data => setUser(data.user))
+      .catch(() => setUser(null));
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      const response = await fetch(`${API_URL}/auth/login`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Sign-in failed');
+      }
+      setUser(data.user);
+      setPassword('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    await fetch(`${API_URL}/auth/logout`, { method: 'POST', credentials: 'include' });
+    setUser(null);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 p-6">
+      <div className="w-full max-w-sm bg-white rounded-lg shadow p-6 space-y-4">
+        <h1 className="text-2xl font-bold text-gray-900">🔐 Sign in</h1>
+
+        {user ? (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Signed in as <span className="font-medium">{user.email}</span> ({user.role})
+            </p>
+            <div className="flex gap-2">
+              <Link to="/ocr-demo" className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">
+                Go to label validation
+              </Link>
+              <button onClick={handleLogout} className="px-4 py-2 border border-gray-300 rounded hover:bg-gray-50">
+                Sign out
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-3">
+            <label className="block text-sm text-gray-700">
+              Email
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                className="mt-1 w-full border border-gray-300 rounded px-3 py-2"
+              />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Password
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                className="mt-1 w-full border border-gray-300 rounded px-3 py-2"
+              />
+            </label>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSubmitting ? 'Signing in...' : 'Sign in'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -26,6 +26,7 @@ const UploaderTest = () => {
       
       const response = await fetch('http://localhost:4000/upload', {
         method: 'POST',
+        credentials: 'include',
         body: formData,
       });
       
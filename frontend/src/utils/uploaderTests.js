@@ -86,6 +86,7 @@ const testS3Connectivity = async () => {
     
     const response = await fetch('http://localhost:4000/upload', {
       method: 'POST',
+      credentials: 'include',
       body: formData,
     });
     
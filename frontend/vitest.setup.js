@@ -31,6 +31,28 @@ global.IntersectionObserver = vi.fn().mockImplementation(() => ({
   disconnect: vi.fn(),
 }));
 
+// Mock react-konva: Konva's node build needs the native canvas package,
+// so shapes render as plain DOM nodes that tests can query and click
+vi.mock('react-konva', async () => {
+  const { createElement } = await import('react');
+  const container = (testId) => ({ children }) => createElement('div', { 'data-testid': testId }, children);
+
+  return {
+    Stage: container('konva-stage'),
+    Layer: container('konva-layer'),
+    Group: container('konva-group'),
+    Image: () => createElement('div', { 'data-testid': 'konva-image' }),
+    Rect: () => createElement('div', { 'data-testid': 'konva-rect' }),
+    Text: () => null,
+    Circle: ({ onClick, x, y }) => createElement('button', {
+      'data-testid': 'konva-circle',
+      'data-x': x,
+      'data-y': y,
+      onClick
+    })
+  };
+});
+
 beforeAll(() => {
   console.log('🧪 Setting up React testing environment...');
 });
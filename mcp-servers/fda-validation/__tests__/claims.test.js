@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { validateClaim, matchClaim, parseAmount } from '../claims.js';
+
+describe('FDA nutrient content claims', () => {
+  describe('matchClaim', () => {
+    it('should prefer the most specific wording', () => {
+      expect(matchClaim('Saturated Fat Free').id).toBe('saturated-fat-free');
+      expect(matchClaim('Fat Free').id).toBe('fat-free');
+      expect(matchClaim('Extra Lean').id).toBe('extra-lean');
+      expect(matchClaim('Light in Sodium').id).toBe('light-in-sodium');
+      expect(matchClaim('No Added Sugar').id).toBe('no-added-sugar');
+      expect(matchClaim('Sugar Free').id).toBe('sugar-free');
+    });
+
+    it('should resolve nutrient families for high, good source and more claims', () => {
+      expect(matchClaim('High Fiber')).toMatchObject({ id: 'high-dietaryFiber', cfr: '21 CFR 101.54(b)' });
+      expect(matchClaim('Excellent source of vitamin D')).toMatchObject({ id: 'high-vitaminD' });
+      expect(matchClaim('Good source of calcium')).toMatchObject({ id: 'good-source-calcium', cfr: '21 CFR 101.54(c)' });
+      expect(matchClaim('More protein')).toMatchObject({ id: 'more-protein', type: 'relative' });
+    });
+
+    it('should not recognize claims outside the catalog', () => {
+      expect(validateClaim('Made with love', {})).toMatchObject({ status: 'UNRECOGNIZED', isValid: false, cfr: null });
+    });
+  });
+
+  describe('minimum and maximum semantics', () => {
+    it('should treat high fiber as a minimum of 20% DV', () => {
+      expect(validateClaim('High Fiber', { dietaryFiber: '8g' })).toMatchObject({ status: 'VALID', isValid: true, cfr: '21 CFR 101.54(b)' });
+
+      const result = validateClaim('High Fiber', { dietaryFiber: '2g' });
+      expect(result.status).toBe('INVALID');
+      expect(result.conditions[0]).toMatchObject({ nutrient: 'dietaryFiber', actual: 7.14, limit: 20, met: false });
+    });
+
+    it('should bound good source claims to 10–19% DV', () => {
+      expect(validateClaim('Good source of fiber', { fiber: 3 }).status).toBe('VALID');
+      expect(validateClaim('Good source of fiber', { fiber: 6 }).status).toBe('INVALID');
+    });
+
+    it('should apply "less than" limits on both RACC and labeled serving for free claims', () => {
+      const result = validateClaim('Fat Free', { totalFat: '0.5g' });
+
+      expect(result.status).toBe('INVALID');
+      expect(result.fdaSource).toBe('21 CFR 101.62(b)(1)');
+      expect(result.conditions.map(c => c.basis)).toEqual(['racc', 'serving']);
+    });
+
+    it('should accept amounts at the low fat limit and convert units', () => {
+      expect(validateClaim('Low Fat', { fat: 3 }).status).toBe('VALID');
+      expect(validateClaim('Low Sodium', { sodium: '0.14 g' }).status).toBe('VALID');
+      expect(parseAmount('<1 g', 'totalFat')).toBe(1);
+      expect(parseAmount('1500 mcg', 'vitaminD')).toBe(1500);
+    });
+  });
+
+  describe('per-RACC and per-50 g conditions', () => {
+    it('should scale labeled serving amounts to the RACC', () => {
+      // 4 g fat in a 60 g serving is 2 g per 30 g RACC but 3.33 g per 50 g
+      const result = validateClaim('Low Fat', { totalFat: '4g' }, { servingSize: 60, racc: 30 });
+
+      expect(result.conditions).toEqual([
+        expect.objectContaining({ basis: 'racc', actual: 2, met: true }),
+        expect.objectContaining({ basis: '50g', actual: 3.33, met: false })
+      ]);
+      expect(result.status).toBe('INVALID');
+    });
+
+    it('should skip the per-50 g condition for large RACCs', () => {
+      const result = validateClaim('Low Fat', { totalFat: '3g' }, { servingSize: 240, racc: 240 });
+
+      expect(result.conditions.map(c => c.basis)).toEqual(['racc']);
+      expect(result.status).toBe('VALID');
+      expect(result.assumptions).toEqual([]);
+    });
+
+    it('should note when the serving is assumed to equal the RACC', () => {
+      expect(validateClaim('Low Fat', { totalFat: '1g' }).assumptions).toEqual(['Labeled serving assumed equal to the RACC']);
+    });
+
+    it('should use per-100 g definitions for meals and main dishes', () => {
+      const meal = { totalFat: '8g', calories: 300 };
+
+      expect(validateClaim('Low Fat', meal, { servingSize: 300, productCategory: 'meal' }).status).toBe('VALID');
+      expect(validateClaim('Low Fat', meal, { servingSize: 200, productCategory: 'meal' }).status).toBe('INVALID');
+    });
+
+    it('should require per-100 g limits for lean claims', () => {
+      const beef = { totalFat: '9g', saturatedFat: '4g', cholesterol: '80mg' };
+
+      expect(validateClaim('Lean', beef, { servingSize: 100, racc: 100 }).status).toBe('VALID');
+      expect(validateClaim('Extra Lean', beef, { servingSize: 100, racc: 100 }).status).toBe('INVALID');
+    });
+  });
+
+  describe('disqualifying nutrients', () => {
+    it('should require a referral statement above the disclosure levels', () => {
+      const result = validateClaim('Good source of calcium', { calcium: '200mg', totalFat: '15g', sodium: '500mg' });
+
+      expect(result.status).toBe('VALID');
+      expect(result.disclosures).toEqual([
+        expect.objectContaining({
+          nutrients: ['totalFat', 'sodium'],
+          statement: 'See nutrition information for fat and sodium content',
+          cfr: '21 CFR 101.13(h)'
+        })
+      ]);
+    });
+
+    it('should require fat disclosure on fiber claims for foods that are not low fat', () => {
+      const result = validateClaim('High Fiber', { fiber: '6g', totalFat: '5g' });
+
+      expect(result.disclosures).toEqual([expect.objectContaining({ cfr: '21 CFR 101.54(d)(1)' })]);
+    });
+
+    it('should disqualify cholesterol claims when saturated fat exceeds 2 g', () => {
+      const result = validateClaim('Cholesterol Free', { cholesterol: '0mg', saturatedFat: '3g' });
+
+      expect(result.status).toBe('INVALID');
+      expect(result.reason).toContain('saturated fat at most 2 g per RACC');
+    });
+  });
+
+  describe('relative claims', () => {
+    it('should compare against the reference food', () => {
+      expect(validateClaim('Reduced Sodium', { sodium: 300 }, { referenceFood: { sodium: 400 } }).status).toBe('VALID');
+      expect(validateClaim('Reduced Sodium', { sodium: 350 }, { referenceFood: { sodium: 400 } }).status).toBe('INVALID');
+    });
+
+    it('should report relative claims without a reference food as unverified', () => {
+      const result = validateClaim('Reduced Fat', { totalFat: '2g' });
+
+      expect(result).toMatchObject({ status: 'UNVERIFIED', isValid: false, relative: true });
+      expect(result.reason).toContain('missing reference food');
+    });
+
+    it('should accept light claims with a third fewer calories or half the fat', () => {
+      const reference = { calories: 150, totalFat: '3g' };
+
+      expect(validateClaim('Light', { calories: 95, totalFat: '3g' }, { referenceFood: reference }).status).toBe('VALID');
+      expect(validateClaim('Lite', { calories: 140, totalFat: '1g' }, { referenceFood: reference }).status).toBe('VALID');
+      expect(validateClaim('Light', { calories: 140, totalFat: '2g' }, { referenceFood: reference }).status).toBe('INVALID');
+    });
+
+    it('should require half the fat for light claims on foods with 50% or more calories from fat', () => {
+      const result = validateClaim('Light', { calories: 60, totalFat: '6g' }, { referenceFood: { calories: 120, totalFat: '10g' } });
+
+      expect(result.status).toBe('INVALID');
+      expect(result.conditions).toHaveLength(1);
+      expect(result.conditions[0]).toMatchObject({ nutrient: 'totalFat', actual: 40 });
+    });
+  });
+});
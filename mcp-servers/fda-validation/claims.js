@@ -0,0 +1,725 @@
+/**
+ * FDA nutrient content claim catalog (21 CFR 101.13 and 101.54–101.62)
+ * Each claim lists the conditions a food must meet, evaluated on the bases the
+ * regulation names: per reference amount customarily consumed (RACC), per
+ * labeled serving, per 50 g for foods with a small RACC, and per 100 g for
+ * meals, main dishes and lean claims.
+ */
+
+// Nutrient keys used in nutritionalData, with the unit amounts are compared in
+export const NUTRIENT_UNITS = {
+  calories: 'kcal',
+  totalFat: 'g',
+  saturatedFat: 'g',
+  transFat: 'g',
+  cholesterol: 'mg',
+  sodium: 'mg',
+  totalSugars: 'g',
+  addedSugars: 'g',
+  dietaryFiber: 'g',
+  protein: 'g',
+  vitaminA: 'mcg',
+  vitaminC: 'mg',
+  vitaminD: 'mcg',
+  calcium: 'mg',
+  iron: 'mg',
+  potassium: 'mg'
+};
+
+// Alternate spellings accepted in nutritionalData and claim text
+const NUTRIENT_ALIASES = {
+  fat: 'totalFat',
+  'total fat': 'totalFat',
+  'saturated fat': 'saturatedFat',
+  satFat: 'saturatedFat',
+  'trans fat': 'transFat',
+  salt: 'sodium',
+  sugar: 'totalSugars',
+  sugars: 'totalSugars',
+  'total sugars': 'totalSugars',
+  'added sugars': 'addedSugars',
+  fiber: 'dietaryFiber',
+  fibre: 'dietaryFiber',
+  'dietary fiber': 'dietaryFiber',
+  'vitamin a': 'vitaminA',
+  'vitamin c': 'vitaminC',
+  'vitamin d': 'vitaminD',
+  calorie: 'calories'
+};
+
+// Reference Daily Intakes / Daily Reference Values (21 CFR 101.9(c)(8)(iv) and (c)(9), 2016 rule)
+export const DAILY_VALUES = {
+  dietaryFiber: 28,
+  protein: 50,
+  vitaminA: 900,
+  vitaminC: 90,
+  vitaminD: 20,
+  calcium: 1300,
+  iron: 18,
+  potassium: 4700
+};
+
+// Disclosure levels above which any nutrient content claim needs a referral
+// statement (21 CFR 101.13(h)), per RACC / per labeled serving for meals and main dishes
+export const DISCLOSURE_LEVELS = {
+  individual: { totalFat: 13, saturatedFat: 4, cholesterol: 60, sodium: 480 },
+  meal: { totalFat: 26, saturatedFat: 8, cholesterol: 120, sodium: 960 },
+  main_dish: { totalFat: 19.5, saturatedFat: 6, cholesterol: 90, sodium: 720 }
+};
+
+// RACCs at or below this size (or 2 tablespoons) also apply "per 50 g" limits (21 CFR 101.13(l))
+const SMALL_RACC_GRAMS = 30;
+
+const MEAL_CATEGORIES = ['meal', 'main_dish'];
+
+const UNIT_FACTORS = { g: 1, mg: 1e-3, mcg: 1e-6, 'µg': 1e-6, ug: 1e-6 };
+
+const describeNutrient = (nutrient) =>
+  nutrient.replace(/([A-Z])/g, ' $1').toLowerCase().replace('total ', '');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolve a nutrient name or alias to its catalog key
+ */
+export function normalizeNutrientKey(name) {
+  if (NUTRIENT_UNITS[name]) return name;
+  const lower = String(name).trim().toLowerCase();
+  return NUTRIENT_ALIASES[name] || NUTRIENT_ALIASES[lower] ||
+    Object.keys(NUTRIENT_UNITS).find(key => key.toLowerCase() === lower.replace(/\s+/g, '')) || null;
+}
+
+/**
+ * Parse an amount such as 2, "2g", "<1 g" or "140 mg" into the nutrient's unit
+ * Returns null when no number is present.
+ */
+export function parseAmount(value, nutrient) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const match = String(value).match(/(-?\d+(?:\.\d+)?)\s*(mcg|µg|ug|mg|g|kcal|cal)?/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  const unit = match[2]?.toLowerCase();
+  const target = NUTRIENT_UNITS[nutrient];
+
+  if (unit && UNIT_FACTORS[unit] && UNIT_FACTORS[target] && unit !== target) {
+    return amount * UNIT_FACTORS[unit] / UNIT_FACTORS[target];
+  }
+  return amount;
+}
+
+/**
+ * Parse a weight in grams, e.g. 30, "30g" or "1 cup (240 g)"
+ */
+function parseGrams(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const match = String(value).match(/(\d+(?:\.\d+)?)\s*g\b/i);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Normalize nutrient keys and amounts of a nutrition data object
+ */
+function normalizeNutrients(data = {}) {
+  const nutrients = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    const nutrient = normalizeNutrientKey(key);
+    if (!nutrient) continue;
+    const amount = parseAmount(value, nutrient);
+    if (amount !== null) nutrients[nutrient] = amount;
+  }
+  return nutrients;
+}
+
+/**
+ * Evaluation context: nutrient amounts per labeled serving plus the serving
+ * and RACC sizes (grams) used to convert to the other bases
+ */
+function createContext(nutritionalData = {}, options = {}) {
+  const servingSize = parseGrams(options.servingSize ?? nutritionalData.servingSizeGrams ?? nutritionalData.servingSize);
+  const racc = parseGrams(options.racc ?? nutritionalData.racc);
+  const category = options.productCategory || 'individual';
+
+  return {
+    nutrients: normalizeNutrients(nutritionalData),
+    reference: options.referenceFood ? normalizeNutrients(options.referenceFood) : null,
+    servingSize,
+    racc,
+    category,
+    isMeal: MEAL_CATEGORIES.includes(category),
+    smallRacc: racc !== null && racc <= SMALL_RACC_GRAMS,
+    assumptions: new Set()
+  };
+}
+
+/**
+ * Amount of a nutrient on the given basis, or null when it cannot be derived
+ */
+function amountOn(ctx, nutrient, basis) {
+  const perServing = ctx.nutrients[nutrient];
+  if (perServing === undefined) return null;
+
+  switch (basis) {
+    case 'serving':
+      return perServing;
+    case 'racc':
+      if (ctx.racc !== null && ctx.servingSize) return perServing * ctx.racc / ctx.servingSize;
+      ctx.assumptions.add('Labeled serving assumed equal to the RACC');
+      return perServing;
+    case '50g':
+      return ctx.servingSize ? perServing * 50 / ctx.servingSize : null;
+    case '100g':
+      return ctx.servingSize ? perServing * 100 / ctx.servingSize : null;
+    default:
+      return null;
+  }
+}
+
+const BASIS_LABELS = {
+  serving: 'per labeled serving',
+  racc: 'per RACC',
+  '50g': 'per 50 g',
+  '100g': 'per 100 g'
+};
+
+const COMPARATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b
+};
+
+const COMPARATOR_WORDS = { '<': 'less than', '<=': 'at most', '>=': 'at least' };
+
+// ----- Condition builders -------------------------------------------------
+
+/**
+ * Absolute amount limit, e.g. less than 5 mg sodium per RACC and per serving
+ */
+const amount = (nutrient, op, limit, bases = ['racc']) => ({ kind: 'amount', nutrient, op, limit, bases });
+
+/**
+ * Limit per RACC that also applies per 50 g when the RACC is small
+ */
+const perRaccSmall = (nutrient, op, limit) => ({ kind: 'amount', nutrient, op, limit, bases: ['racc'], smallRaccPer50g: true });
+
+/**
+ * Share of calories from a nutrient (fat and saturated fat at 9 kcal/g)
+ */
+const caloriesFrom = (nutrient, op, percent, basis = 'racc') => ({ kind: 'caloriesFrom', nutrient, op, percent, basis });
+
+/**
+ * Minimum percent reduction versus the reference food
+ */
+const reducedBy = (nutrient, percent) => ({ kind: 'reduction', nutrient, percent });
+
+/**
+ * Percent of Daily Value per RACC, optionally below an upper bound
+ */
+const dailyValue = (nutrient, min, below) => ({ kind: 'dailyValue', nutrient, min, below });
+
+/**
+ * Increase over the reference food of at least a share of the Daily Value
+ */
+const moreThanReference = (nutrient, percentDV) => ({ kind: 'increase', nutrient, percentDV });
+
+/**
+ * A nutrient that must be absent (declared as 0)
+ */
+const absent = (nutrient) => ({ kind: 'absent', nutrient });
+
+function evaluateCondition(ctx, condition) {
+  const unit = NUTRIENT_UNITS[condition.nutrient];
+  const label = describeNutrient(condition.nutrient);
+
+  switch (condition.kind) {
+    case 'amount': {
+      const bases = [...condition.bases];
+      if (condition.smallRaccPer50g && ctx.smallRacc) bases.push('50g');
+
+      return bases.map(basis => {
+        const actual = amountOn(ctx, condition.nutrient, basis);
+        const description = `${label} ${COMPARATOR_WORDS[condition.op]} ${condition.limit} ${unit} ${BASIS_LABELS[basis]}`;
+        return {
+          description,
+          nutrient: condition.nutrient,
+          basis,
+          actual: actual === null ? null : round(actual),
+          limit: condition.limit,
+          met: actual === null ? null : COMPARATORS[condition.op](actual, condition.limit)
+        };
+      });
+    }
+
+    case 'caloriesFrom': {
+      const grams = amountOn(ctx, condition.nutrient, condition.basis);
+      const calories = amountOn(ctx, 'calories', condition.basis);
+      const percent = grams === null || !calories ? null : grams * 9 / calories * 100;
+      return [{
+        description: `${COMPARATOR_WORDS[condition.op]} ${condition.percent}% of calories from ${label}`,
+        nutrient: condition.nutrient,
+        basis: condition.basis,
+        actual: percent === null ? null : round(percent),
+        limit: condition.percent,
+        met: percent === null ? null : COMPARATORS[condition.op](percent, condition.percent)
+      }];
+    }
+
+    case 'reduction': {
+      const actual = amountOn(ctx, condition.nutrient, 'racc');
+      const reference = ctx.reference?.[condition.nutrient];
+      const reduction = actual === null || !reference ? null : (reference - actual) / reference * 100;
+      return [{
+        description: `at least ${round(condition.percent)}% less ${label} than the reference food per RACC`,
+        nutrient: condition.nutrient,
+        basis: 'racc',
+        actual: reduction === null ? null : round(reduction),
+        limit: round(condition.percent),
+        met: reduction === null ? null : reduction >= condition.percent,
+        missing: reduction === null ? (ctx.reference ? `reference food ${label}` : 'reference food') : undefined
+      }];
+    }
+
+    case 'dailyValue': {
+      const actual = amountOn(ctx, condition.nutrient, 'racc');
+      const percent = actual === null ? null : actual / DAILY_VALUES[condition.nutrient] * 100;
+      const range = condition.below ? `${condition.min}–${condition.below - 1}%` : `at least ${condition.min}%`;
+      return [{
+        description: `${range} of the Daily Value for ${label} per RACC`,
+        nutrient: condition.nutrient,
+        basis: 'racc',
+        actual: percent === null ? null : round(percent),
+        limit: condition.min,
+        met: percent === null ? null : percent >= condition.min && (!condition.below || percent < condition.below)
+      }];
+    }
+
+    case 'increase': {
+      const actual = amountOn(ctx, condition.nutrient, 'racc');
+      const reference = ctx.reference?.[condition.nutrient];
+      const increase = actual === null || reference === undefined
+        ? null
+        : (actual - reference) / DAILY_VALUES[condition.nutrient] * 100;
+      return [{
+        description: `at least ${condition.percentDV}% of the Daily Value more ${label} than the reference food per RACC`,
+        nutrient: condition.nutrient,
+        basis: 'racc',
+        actual: increase === null ? null : round(increase),
+        limit: condition.percentDV,
+        met: increase === null ? null : increase >= condition.percentDV,
+        missing: increase === null ? (ctx.reference ? `reference food ${label}` : 'reference food') : undefined
+      }];
+    }
+
+    case 'absent': {
+      const actual = ctx.nutrients[condition.nutrient];
+      return [{
+        description: `no ${label}`,
+        nutrient: condition.nutrient,
+        basis: 'serving',
+        actual: actual === undefined ? null : actual,
+        limit: 0,
+        met: actual === undefined ? null : actual === 0
+      }];
+    }
+
+    default:
+      throw new Error(`Unknown claim condition kind: ${condition.kind}`);
+  }
+}
+
+// ----- Catalog --------------------------------------------------------------
+
+const RELATIVE = 'relative';
+
+/**
+ * Claims in match order: more specific wordings come before the general ones
+ * they contain (e.g. "saturated fat free" before "fat free").
+ * `conditions` may be a function of the context for claims whose rules
+ * depend on the food (meals, "light").
+ */
+export const CLAIM_CATALOG = [
+  // 21 CFR 101.62 — fatty acids and cholesterol
+  {
+    id: 'saturated-fat-free',
+    label: 'Saturated fat free',
+    pattern: /\b(saturated|sat\.?)\s+fat[\s-]free\b|\bfree of saturated fat\b|\bno saturated fat\b/,
+    cfr: '21 CFR 101.62(c)(1)',
+    conditions: [amount('saturatedFat', '<', 0.5, ['racc', 'serving']), amount('transFat', '<', 0.5, ['racc', 'serving'])]
+  },
+  {
+    id: 'low-saturated-fat',
+    label: 'Low saturated fat',
+    pattern: /\blow[\s-](in\s+)?saturated[\s-]fat\b/,
+    cfr: '21 CFR 101.62(c)(2)',
+    conditions: (ctx) => ctx.isMeal
+      ? [amount('saturatedFat', '<=', 1, ['100g']), caloriesFrom('saturatedFat', '<', 10, 'serving')]
+      : [amount('saturatedFat', '<=', 1), caloriesFrom('saturatedFat', '<=', 15)]
+  },
+  {
+    id: 'reduced-saturated-fat',
+    label: 'Reduced saturated fat',
+    pattern: /\b(reduced|less|lower|fewer)\s+(in\s+)?saturated[\s-]fat\b/,
+    cfr: '21 CFR 101.62(c)(4)',
+    type: RELATIVE,
+    conditions: [reducedBy('saturatedFat', 25)]
+  },
+  {
+    id: 'cholesterol-free',
+    label: 'Cholesterol free',
+    pattern: /\bcholesterol[\s-]free\b|\bno cholesterol\b|\bzero cholesterol\b/,
+    cfr: '21 CFR 101.62(d)(1)',
+    conditions: [amount('cholesterol', '<', 2, ['racc', 'serving']), amount('saturatedFat', '<=', 2)]
+  },
+  {
+    id: 'low-cholesterol',
+    label: 'Low cholesterol',
+    pattern: /\blow[\s-](in\s+)?cholesterol\b/,
+    cfr: '21 CFR 101.62(d)(2)',
+    conditions: (ctx) => ctx.isMeal
+      ? [amount('cholesterol', '<=', 20, ['100g']), amount('saturatedFat', '<=', 1, ['100g'])]
+      : [perRaccSmall('cholesterol', '<=', 20), amount('saturatedFat', '<=', 2)]
+  },
+  {
+    id: 'reduced-cholesterol',
+    label: 'Reduced cholesterol',
+    pattern: /\b(reduced|less|lower)\s+(in\s+)?cholesterol\b/,
+    cfr: '21 CFR 101.62(d)(4)',
+    type: RELATIVE,
+    conditions: [reducedBy('cholesterol', 25), amount('saturatedFat', '<=', 2)]
+  },
+  {
+    id: 'extra-lean',
+    label: 'Extra lean',
+    pattern: /\bextra[\s-]lean\b/,
+    cfr: '21 CFR 101.62(e)(2)',
+    conditions: [
+      amount('totalFat', '<', 5, ['racc', '100g']),
+      amount('saturatedFat', '<', 2, ['racc', '100g']),
+      amount('cholesterol', '<', 95, ['racc', '100g'])
+    ]
+  },
+  {
+    id: 'lean',
+    label: 'Lean',
+    pattern: /\blean\b/,
+    cfr: '21 CFR 101.62(e)(1)',
+    conditions: [
+      amount('totalFat', '<', 10, ['racc', '100g']),
+      amount('saturatedFat', '<=', 4.5, ['racc', '100g']),
+      amount('cholesterol', '<', 95, ['racc', '100g'])
+    ]
+  },
+
+  // 21 CFR 101.62(b) — total fat
+  {
+    id: 'fat-free',
+    label: 'Fat free',
+    pattern: /\bfat[\s-]free\b|\bno fat\b|\bzero fat\b|\bnon[\s-]?fat\b/,
+    cfr: '21 CFR 101.62(b)(1)',
+    conditions: [amount('totalFat', '<', 0.5, ['racc', 'serving'])]
+  },
+  {
+    id: 'low-fat',
+    label: 'Low fat',
+    pattern: /\blow[\s-]?(in\s+)?fat\b/,
+    cfr: '21 CFR 101.62(b)(2)',
+    conditions: (ctx) => ctx.isMeal
+      ? [amount('totalFat', '<=', 3, ['100g']), caloriesFrom('totalFat', '<=', 30, 'serving')]
+      : [perRaccSmall('totalFat', '<=', 3)]
+  },
+  {
+    id: 'reduced-fat',
+    label: 'Reduced fat',
+    pattern: /\b(reduced|less|lower)\s+(in\s+)?fat\b/,
+    cfr: '21 CFR 101.62(b)(4)',
+    type: RELATIVE,
+    conditions: [reducedBy('totalFat', 25)]
+  },
+
+  // 21 CFR 101.61 — sodium
+  {
+    id: 'sodium-free',
+    label: 'Sodium free',
+    pattern: /\b(sodium|salt)[\s-]free\b|\bno (sodium|salt)\b|\bzero sodium\b/,
+    cfr: '21 CFR 101.61(b)(1)',
+    conditions: [amount('sodium', '<', 5, ['racc', 'serving'])]
+  },
+  {
+    id: 'very-low-sodium',
+    label: 'Very low sodium',
+    pattern: /\bvery[\s-]low[\s-](in\s+)?sodium\b/,
+    cfr: '21 CFR 101.61(b)(3)',
+    conditions: (ctx) => ctx.isMeal
+      ? [amount('sodium', '<=', 35, ['100g'])]
+      : [perRaccSmall('sodium', '<=', 35)]
+  },
+  {
+    id: 'low-sodium',
+    label: 'Low sodium',
+    pattern: /\blow[\s-](in\s+)?sodium\b/,
+    cfr: '21 CFR 101.61(b)(4)',
+    conditions: (ctx) => ctx.isMeal
+      ? [amount('sodium', '<=', 140, ['100g'])]
+      : [perRaccSmall('sodium', '<=', 140)]
+  },
+  {
+    id: 'light-in-sodium',
+    label: 'Light in sodium',
+    pattern: /\b(light|lite)\s+in\s+sodium\b|\blightly salted\b/,
+    cfr: '21 CFR 101.56(c)',
+    type: RELATIVE,
+    conditions: [reducedBy('sodium', 50)]
+  },
+  {
+    id: 'reduced-sodium',
+    label: 'Reduced sodium',
+    pattern: /\b(reduced|less|lower)\s+(in\s+)?(sodium|salt)\b/,
+    cfr: '21 CFR 101.61(b)(6)',
+    type: RELATIVE,
+    conditions: [reducedBy('sodium', 25)]
+  },
+
+  // 21 CFR 101.60 — calories and sugars
+  {
+    id: 'calorie-free',
+    label: 'Calorie free',
+    pattern: /\bcalorie[\s-]free\b|\bno calories\b|\bzero calories?\b/,
+    cfr: '21 CFR 101.60(b)(1)',
+    conditions: [amount('calories', '<', 5, ['racc', 'serving'])]
+  },
+  {
+    id: 'low-calorie',
+    label: 'Low calorie',
+    pattern: /\blow[\s-]calorie\b|\blow in calories\b/,
+    cfr: '21 CFR 101.60(b)(2)',
+    conditions: (ctx) => ctx.isMeal
+      ? [amount('calories', '<=', 120, ['100g'])]
+      : [perRaccSmall('calories', '<=', 40)]
+  },
+  {
+    id: 'reduced-calorie',
+    label: 'Reduced calorie',
+    pattern: /\b(reduced|fewer|lower)\s+calories?\b|\breduced[\s-]calorie\b/,
+    cfr: '21 CFR 101.60(b)(4)',
+    type: RELATIVE,
+    conditions: [reducedBy('calories', 25)]
+  },
+  {
+    id: 'sugar-free',
+    label: 'Sugar free',
+    pattern: /\bsugar[\s-]free\b|\bzero sugars?\b|\bno sugars?\b(?!\s+added)/,
+    cfr: '21 CFR 101.60(c)(1)',
+    conditions: [amount('totalSugars', '<', 0.5, ['racc', 'serving'])]
+  },
+  {
+    id: 'no-added-sugar',
+    label: 'No added sugar',
+    pattern: /\bno (added )?sugars? added\b|\bno added sugars?\b|\bwithout added sugars?\b/,
+    cfr: '21 CFR 101.60(c)(2)',
+    conditions: [absent('addedSugars')]
+  },
+  {
+    id: 'reduced-sugar',
+    label: 'Reduced sugar',
+    pattern: /\b(reduced|less|lower)\s+(in\s+)?sugars?\b/,
+    cfr: '21 CFR 101.60(c)(5)',
+    type: RELATIVE,
+    conditions: [reducedBy('totalSugars', 25)]
+  },
+
+  // 21 CFR 101.56 — "light" / "lite"
+  {
+    id: 'light',
+    label: 'Light',
+    pattern: /\b(light|lite)\b/,
+    cfr: '21 CFR 101.56(b)',
+    type: RELATIVE,
+    // Foods getting half or more of their calories from fat must cut fat by 50%;
+    // otherwise a third fewer calories or half the fat qualifies.
+    conditions: (ctx) => {
+      const fat = amountOn(ctx, 'totalFat', 'racc');
+      const calories = amountOn(ctx, 'calories', 'racc');
+      const fatCalorieShare = fat !== null && calories ? fat * 9 / calories : null;
+      if (fatCalorieShare !== null && fatCalorieShare >= 0.5) return [reducedBy('totalFat', 50)];
+      return { anyOf: [reducedBy('calories', 100 / 3), reducedBy('totalFat', 50)] };
+    }
+  }
+];
+
+// "High", "good source" and "more" claims apply to any nutrient with a Daily Value (21 CFR 101.54)
+export const NUTRIENT_CLAIM_PATTERNS = [
+  {
+    id: 'high',
+    label: 'High',
+    pattern: /\b(?:high(?:\s+in)?|rich\s+in|excellent\s+source\s+of)\s+([a-z ]+)/,
+    cfr: '21 CFR 101.54(b)',
+    condition: (nutrient) => dailyValue(nutrient, 20)
+  },
+  {
+    id: 'good-source',
+    label: 'Good source',
+    pattern: /\b(?:good\s+source\s+of|contains|provides)\s+([a-z ]+)/,
+    cfr: '21 CFR 101.54(c)',
+    condition: (nutrient) => dailyValue(nutrient, 10, 20)
+  },
+  {
+    id: 'more',
+    label: 'More',
+    pattern: /\b(?:more|added|extra|plus)\s+([a-z ]+)/,
+    cfr: '21 CFR 101.54(e)',
+    type: RELATIVE,
+    condition: (nutrient) => moreThanReference(nutrient, 10)
+  }
+];
+
+/**
+ * Find the catalog entry for a claim's wording
+ */
+export function matchClaim(claim) {
+  const text = String(claim).toLowerCase().replace(/[®™*]/g, '').replace(/\s+/g, ' ').trim();
+
+  const entry = CLAIM_CATALOG.find(candidate => candidate.pattern.test(text));
+  if (entry) return entry;
+
+  for (const family of NUTRIENT_CLAIM_PATTERNS) {
+    const match = text.match(family.pattern);
+    if (!match) continue;
+
+    // Longest word prefix that names a nutrient with a Daily Value, e.g. "fiber and protein" → fiber
+    const words = match[1].trim().split(' ');
+    for (let length = words.length; length > 0; length--) {
+      const nutrient = normalizeNutrientKey(words.slice(0, length).join(' '));
+      if (nutrient && DAILY_VALUES[nutrient]) {
+        return {
+          id: `${family.id}-${nutrient}`,
+          family: family.id,
+          label: `${family.label} ${describeNutrient(nutrient)}`,
+          cfr: family.cfr,
+          type: family.type,
+          nutrient,
+          conditions: [family.condition(nutrient)]
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Referral statements required by 21 CFR 101.13(h) and fiber claims on foods
+ * that are not low fat (21 CFR 101.54(d)(1))
+ */
+function findDisclosures(ctx, entry) {
+  const disclosures = [];
+  const levels = DISCLOSURE_LEVELS[ctx.category] || DISCLOSURE_LEVELS.individual;
+  const bases = ctx.isMeal ? ['serving'] : ctx.smallRacc ? ['racc', '50g'] : ['racc'];
+
+  const exceeded = Object.entries(levels).filter(([nutrient, level]) =>
+    bases.some(basis => {
+      const actual = amountOn(ctx, nutrient, basis);
+      return actual !== null && actual > level;
+    })
+  );
+
+  if (exceeded.length > 0) {
+    const names = exceeded.map(([nutrient]) => describeNutrient(nutrient));
+    disclosures.push({
+      nutrients: exceeded.map(([nutrient]) => nutrient),
+      statement: `See nutrition information for ${names.join(' and ')} content`,
+      cfr: '21 CFR 101.13(h)',
+      reason: `Exceeds disclosure level for ${exceeded.map(([nutrient, level]) => `${describeNutrient(nutrient)} (${level} ${NUTRIENT_UNITS[nutrient]})`).join(', ')}`
+    });
+  }
+
+  if (entry.nutrient === 'dietaryFiber') {
+    const fat = amountOn(ctx, 'totalFat', 'racc');
+    if (fat !== null && fat > 3) {
+      disclosures.push({
+        nutrients: ['totalFat'],
+        statement: `Contains ${round(fat)} g total fat per serving`,
+        cfr: '21 CFR 101.54(d)(1)',
+        reason: 'Fiber claims on foods that are not low fat must disclose the total fat level'
+      });
+    }
+  }
+
+  return disclosures;
+}
+
+/**
+ * Validate one nutrient content claim
+ * Amounts in nutritionalData are per labeled serving. options: servingSize
+ * and racc in grams, productCategory ('individual' | 'meal' | 'main_dish'),
+ * and referenceFood nutrients for relative claims.
+ */
+export function validateClaim(claim, nutritionalData = {}, options = {}) {
+  const entry = matchClaim(claim);
+
+  if (!entry) {
+    return {
+      claim,
+      claimType: null,
+      status: 'UNRECOGNIZED',
+      isValid: false,
+      reason: 'Claim not recognized as an FDA nutrient content claim',
+      cfr: null,
+      fdaSource: 'FDA Nutrition Labeling Guidelines',
+      conditions: [],
+      disclosures: []
+    };
+  }
+
+  const ctx = createContext(nutritionalData, options);
+  const declared = typeof entry.conditions === 'function' ? entry.conditions(ctx) : entry.conditions;
+
+  let conditions;
+  let met;
+  if (declared.anyOf) {
+    const alternatives = declared.anyOf.map(condition => evaluateCondition(ctx, condition));
+    conditions = alternatives.flat().map(result => ({ ...result, alternative: true }));
+    const outcomes = alternatives.map(results => results.every(r => r.met === true) ? true : results.some(r => r.met === false) ? false : null);
+    met = outcomes.includes(true) ? true : outcomes.every(outcome => outcome === false) ? false : null;
+  } else {
+    conditions = declared.flatMap(condition => evaluateCondition(ctx, condition));
+    met = conditions.some(r => r.met === false) ? false : conditions.every(r => r.met === true) ? true : null;
+  }
+
+  const failed = conditions.filter(r => r.met === false);
+  const unknown = conditions.filter(r => r.met === null);
+
+  let status;
+  let reason;
+  if (met === true) {
+    status = 'VALID';
+    reason = `Claim meets FDA requirements for "${entry.label}" (${entry.cfr})`;
+  } else if (met === false) {
+    status = 'INVALID';
+    const unmet = declared.anyOf ? conditions : failed;
+    reason = `Claim does not meet FDA requirements for "${entry.label}" (${entry.cfr}): requires ${unmet.map(r => r.description).join(declared.anyOf ? ' or ' : '; ')}`;
+  } else {
+    status = 'UNVERIFIED';
+    const missing = [...new Set(unknown.map(r => r.missing || `${describeNutrient(r.nutrient)} ${BASIS_LABELS[r.basis]}`))];
+    reason = `Cannot verify "${entry.label}" (${entry.cfr}): missing ${missing.join(', ')}`;
+  }
+
+  const disclosures = findDisclosures(ctx, entry);
+
+  return {
+    claim,
+    claimType: entry.id,
+    status,
+    isValid: status === 'VALID',
+    reason,
+    cfr: entry.cfr,
+    fdaSource: entry.cfr,
+    relative: entry.type === RELATIVE,
+    conditions,
+    disclosures,
+    assumptions: [...ctx.assumptions]
+  };
+}
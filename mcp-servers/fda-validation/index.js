@@ -4,6 +4,7 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import fetch from 'node-fetch';
+import { validateClaim } from './claims.js';
 
 /**
  * FDA Ingredient Validation MCP Server
@@ -84,7 +85,24 @@ class FDAValidationServer {
               },
               nutritionalData: {
                 type: 'object',
-                description: 'Nutritional information for validation'
+                description: 'Nutrient amounts per labeled serving, e.g. { totalFat: "2g", sodium: "140mg" }'
+              },
+              servingSize: {
+                type: ['number', 'string'],
+                description: 'Labeled serving size in grams'
+              },
+              racc: {
+                type: ['number', 'string'],
+                description: 'Reference amount customarily consumed (21 CFR 101.12) in grams'
+              },
+              productCategory: {
+                type: 'string',
+                enum: ['individual', 'meal', 'main_dish'],
+                description: 'Meals and main dishes use the per-100 g claim definitions'
+              },
+              referenceFood: {
+                type: 'object',
+                description: 'Nutrient amounts of the reference food per RACC, for relative claims (reduced, less, light, more)'
               }
             },
             required: ['claims']
@@ -119,7 +137,12 @@ class FDAValidationServer {
           case 'check_additive_status':
             return await this.checkAdditiveStatus(args.additive);
           case 'validate_nutritional_claims':
-            return await this.validateNutritionalClaims(args.claims, args.nutritionalData);
+            return await this.validateNutritionalClaims(args.claims, args.nutritionalData, {
+              servingSize: args.servingSize,
+              racc: args.racc,
+              productCategory: args.productCategory,
+              referenceFood: args.referenceFood
+            });
           case 'check_allergen_requirements':
             return await this.checkAllergenRequirements(args.ingredients);
           default:
@@ -334,15 +357,10 @@ class FDAValidationServer {
   }
 
   /**
-   * Validate nutritional claims against FDA guidelines
+   * Validate nutritional claims against the FDA nutrient content claim catalog
    */
-  async validateNutritionalClaims(claims, nutritionalData) {
-    const validationResults = [];
-
-    for (const claim of claims) {
-      const validation = await this.validateSingleClaim(claim, nutritionalData);
-      validationResults.push(validation);
-    }
+  async validateNutritionalClaims(claims, nutritionalData = {}, options = {}) {
+    const validationResults = claims.map(claim => this.validateSingleClaim(claim, nutritionalData, options));
 
     return {
       content: [
@@ -350,7 +368,15 @@ class FDAValidationServer {
           type: 'text',
           text: JSON.stringify({
             claimValidations: validationResults,
-            source: 'FDA Nutritional Claims Validation',
+            summary: {
+              totalClaims: validationResults.length,
+              valid: validationResults.filter(result => result.status === 'VALID').length,
+              invalid: validationResults.filter(result => result.status === 'INVALID').length,
+              unverified: validationResults.filter(result => result.status === 'UNVERIFIED').length,
+              unrecognized: validationResults.filter(result => result.status === 'UNRECOGNIZED').length,
+              disclosuresRequired: validationResults.filter(result => result.disclosures.length > 0).length
+            },
+            source: 'FDA Nutritional Claims Validation (21 CFR 101.13, 101.54–101.62)',
             validatedAt: new Date().toISOString()
           }, null, 2)
         }
@@ -358,48 +384,8 @@ class FDAValidationServer {
     };
   }
 
-  async validateSingleClaim(claim, nutritionalData) {
-    // FDA nutritional claim thresholds
-    const fdaThresholds = {
-      'low fat': { totalFat: 3 }, // 3g or less per serving
-      'fat free': { totalFat: 0.5 }, // Less than 0.5g per serving
-      'low sodium': { sodium: 140 }, // 140mg or less per serving
-      'sodium free': { sodium: 5 }, // Less than 5mg per serving
-      'high fiber': { dietaryFiber: 5 }, // 5g or more per serving
-      'good source of fiber': { dietaryFiber: 2.5 }, // 2.5g to 4.9g per serving
-    };
-
-    const normalizedClaim = claim.toLowerCase();
-    let isValid = false;
-    let reason = 'Claim not recognized or cannot be validated';
-
-    // Check against FDA thresholds
-    for (const [claimType, thresholds] of Object.entries(fdaThresholds)) {
-      if (normalizedClaim.includes(claimType)) {
-        isValid = this.checkNutritionalThreshold(nutritionalData, thresholds);
-        reason = isValid 
-          ? `Claim meets FDA requirements for "${claimType}"` 
-          : `Claim does not meet FDA requirements for "${claimType}"`;
-        break;
-      }
-    }
-
-    return {
-      claim: claim,
-      isValid: isValid,
-      reason: reason,
-      fdaSource: 'FDA Nutrition Labeling Guidelines'
-    };
-  }
-
-  checkNutritionalThreshold(nutritionalData, thresholds) {
-    for (const [nutrient, maxValue] of Object.entries(thresholds)) {
-      const actualValue = parseFloat(nutritionalData[nutrient]?.replace(/[^\d.]/g, '') || '0');
-      if (actualValue > maxValue) {
-        return false;
-      }
-    }
-    return true;
+  validateSingleClaim(claim, nutritionalData, options) {
+    return validateClaim(claim, nutritionalData, options);
   }
 
   /**
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  evaluateCompliance,
+  performComplianceCheck,
+  MANDATORY_NUTRIENTS
+} from '../compliance.js';
+
+const completeNutrition = Object.fromEntries(
+  Object.keys(MANDATORY_NUTRIENTS).map(key => [key, key === 'servingSize' ? '1 cup (240ml)' : '0g'])
+);
+
+const compliantLabel = {
+  productName: 'Whole Grain Crackers',
+  netQuantity: 'Net Wt 12 oz (340g)',
+  manufacturer: 'Distributed by Example Foods, Chicago, IL',
+  ingredients: ['Whole wheat flour', 'Sunflower oil', 'Salt'],
+  allergens: ['Contains wheat'],
+  nutritionalInfo: completeNutrition,
+  regulatoryInfo: {
+    fdaDisclaimer: '* The % Daily Value tells you how much a nutrient in a serving of food contributes to a daily diet.'
+  }
+};
+
+describe('Compliance Rule Engine', () => {
+  describe('evaluateCompliance', () => {
+    it('should pass a complete label with a perfect score', () => {
+      const result = evaluateCompliance(compliantLabel, ['FDA', 'general']);
+
+      expect(result.compliant).toBe(true);
+      expect(result.violations).toHaveLength(0);
+      expect(result.warnings).toHaveLength(0);
+      expect(result.score).toBe(100);
+    });
+
+    it('should flag missing required statements', () => {
+      const { productName, netQuantity, ...label } = compliantLabel;
+      const result = evaluateCompliance(label, ['general']);
+
+      expect(result.compliant).toBe(false);
+      expect(result.violations.map(v => v.ruleId)).toEqual(['statement-of-identity', 'net-quantity']);
+      expect(result.violations[1].citation).toBe('21 CFR 101.105');
+      expect(result.score).toBe(80);
+    });
+
+    it('should report each missing mandatory nutrient but deduct the rule once', () => {
+      const { sodium, protein, ...nutrition } = completeNutrition;
+      const result = evaluateCompliance({ ...compliantLabel, nutritionalInfo: nutrition }, ['FDA']);
+
+      expect(result.violations.map(v => v.message)).toEqual([
+        'Sodium not declared in Nutrition Facts',
+        'Protein not declared in Nutrition Facts'
+      ]);
+      expect(result.score).toBe(90);
+    });
+
+    it('should require a Nutrition Facts panel under FDA rules', () => {
+      const result = evaluateCompliance({ ...compliantLabel, nutritionalInfo: {} }, ['FDA']);
+
+      expect(result.violations).toHaveLength(1);
+      expect(result.violations[0].ruleId).toBe('nutrition-facts-panel');
+    });
+
+    it('should warn when net quantity lacks dual units', () => {
+      const result = evaluateCompliance({ ...compliantLabel, netQuantity: '12 oz' }, ['general']);
+
+      expect(result.compliant).toBe(true);
+      expect(result.warnings[0].message).toContain('missing metric units');
+      expect(result.score).toBe(97);
+    });
+
+    it('should only evaluate requested regulations', () => {
+      const result = evaluateCompliance({}, ['general']);
+
+      expect(result.violations.every(v => v.regulation === 'general')).toBe(true);
+    });
+
+    it('should warn about regulations without rules', () => {
+      const result = evaluateCompliance(compliantLabel, ['EPA']);
+
+      expect(result.compliant).toBe(true);
+      expect(result.warnings[0]).toMatchObject({ ruleId: 'unknown-regulation', regulation: 'EPA' });
+    });
+
+    it('should be deterministic for the same input', () => {
+      const label = { ...compliantLabel, ingredients: ['Butter', 'Eggs'] };
+
+      expect(evaluateCompliance(label, ['FDA'])).toEqual(evaluateCompliance(label, ['FDA']));
+    });
+  });
+
+  describe('performComplianceCheck', () => {
+    it('should check the workflow validation result', async () => {
+      const result = await performComplianceCheck({
+        validationResult: { extractedInformation: { ...compliantLabel, ingredients: [] }, correctedText: '' },
+        regulations: ['FDA', 'general']
+      });
+
+      expect(result.compliant).toBe(false);
+      expect(result.violations[0].ruleId).toBe('ingredient-statement');
+      expect(result.checkedAt).toBeDefined();
+    });
+
+    it('should fail labels with no extracted information', async () => {
+      const result = await performComplianceCheck({ validationResult: {}, regulations: undefined });
+
+      expect(result.compliant).toBe(false);
+      expect(result.regulations).toEqual(['FDA', 'general']);
+    });
+  });
+});
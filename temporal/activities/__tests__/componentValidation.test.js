@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from 'vitest';
+import { planComponentValidation, runComponentValidator } from '../componentValidation.js';
+import { buildComponentRows } from '../segmentation.js';
+
+const components = buildComponentRows({
+  text: 'INGREDIENTS: Oats, Titanium dioxide\nNutrition Facts Sodium 160mg',
+  detectedSections: { ingredients: 'Oats, Titanium dioxide', nutritionFacts: 'Sodium 160mg' }
+});
+
+describe('Component Validation Activities', () => {
+  describe('planComponentValidation', () => {
+    it('should plan every registry module when no agents are given', async () => {
+      const plan = await planComponentValidation({ components });
+
+      expect(plan.map(({ agent, componentType }) => `${agent.id}:${componentType}`)).toEqual([
+        'allergen:ingredient_list',
+        'chemical:ingredient_list',
+        'claims:full_label',
+        'nutrition:nutrition_panel'
+      ]);
+      expect(plan[1].config.ignore).toEqual([]);
+    });
+
+    it('should only plan the active agents it is given', async () => {
+      const agents = [
+        { id: 'agent-1', name: 'EU Chemical Checker', type: 'chemical', isActive: true, sourceRules: { ignore: ['Titanium dioxide'] } },
+        { id: 'agent-2', name: 'Allergen Declaration Checker', type: 'allergen', isActive: false, sourceRules: {} }
+      ];
+
+      const plan = await planComponentValidation({ agents, components });
+
+      expect(plan).toEqual([{
+        agent: { id: 'agent-1', name: 'EU Chemical Checker', type: 'chemical' },
+        componentType: 'ingredient_list',
+        config: expect.objectContaining({ ignore: ['Titanium dioxide'] })
+      }]);
+    });
+  });
+
+  describe('runComponentValidator', () => {
+    const label = { text: components[0].extractedText, extractedInformation: { ingredients: ['Oats', 'Titanium dioxide'] } };
+
+    it('should return the run with its issues', async () => {
+      const [, chemical] = await planComponentValidation({ components });
+
+      const run = await runComponentValidator({ ...chemical, component: components[1], label });
+
+      expect(run).toMatchObject({ validatorId: 'chemical', componentType: 'ingredient_list', status: 'failed' });
+      expect(run.issues).toEqual([expect.objectContaining({ issueType: 'CHEMICAL_RESTRICTED' })]);
+    });
+
+    it('should throw when the validator fails so the activity is retried', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const [, chemical] = await planComponentValidation({ components });
+
+      await expect(runComponentValidator({ ...chemical, config: { ...chemical.config, substances: null }, component: components[1], label }))
+        .rejects.toThrow('Restricted Chemical Checker failed on ingredient_list');
+    });
+  });
+});
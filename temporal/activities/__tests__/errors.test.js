@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ApplicationFailure } from '@temporalio/activity';
+import { MockActivityEnvironment } from '@temporalio/testing';
+import {
+  ACTIVITY_ERROR_TYPES,
+  NON_RETRYABLE_ERROR_TYPES,
+  activityFailure,
+  activityHeartbeat,
+  isTransientError
+} from '../errors.js';
+import { loadLabelBytes } from '../source.js';
+
+describe('Activity errors', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('activityFailure', () => {
+    it('should mark unreadable and missing images non-retryable', () => {
+      const invalid = activityFailure(ACTIVITY_ERROR_TYPES.INVALID_IMAGE, 'Could not read label.png');
+      const download = activityFailure(ACTIVITY_ERROR_TYPES.IMAGE_DOWNLOAD_FAILED, 'Failed to download label', new Error('socket hang up'));
+
+      expect(NON_RETRYABLE_ERROR_TYPES).toEqual(['InvalidImage', 'ImageUnavailable']);
+      expect(invalid).toBeInstanceOf(ApplicationFailure);
+      expect(invalid).toMatchObject({ type: 'InvalidImage', nonRetryable: true, message: 'Could not read label.png' });
+      expect(download).toMatchObject({ type: 'ImageDownloadFailed', nonRetryable: false });
+      expect(download.cause.message).toBe('socket hang up');
+    });
+  });
+
+  describe('isTransientError', () => {
+    it('should retry timeouts, rate limits, server errors and dropped connections', () => {
+      expect(isTransientError({ status: 503 })).toBe(true);
+      expect(isTransientError({ status: 429 })).toBe(true);
+      expect(isTransientError({ status: 403 })).toBe(false);
+      expect(isTransientError({ status: 404 })).toBe(false);
+      expect(isTransientError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }))).toBe(true);
+      expect(isTransientError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ENOTFOUND' } }))).toBe(false);
+    });
+  });
+
+  describe('loadLabelBytes', () => {
+    const respond = (status, statusText) => vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status, statusText })));
+
+    it('should fail fast on an expired label URL', async () => {
+      respond(403, 'Forbidden');
+
+      await expect(loadLabelBytes({ imageUrl: 'https://bucket.test/label.png' })).rejects.toMatchObject({
+        type: 'ImageUnavailable',
+        nonRetryable: true,
+        message: 'Failed to download label: 403 Forbidden'
+      });
+    });
+
+    it('should let server errors and dropped connections be retried', async () => {
+      respond(503, 'Service Unavailable');
+      await expect(loadLabelBytes({ imageUrl: 'https://bucket.test/label.png' })).rejects.toMatchObject({
+        type: 'ImageDownloadFailed',
+        nonRetryable: false
+      });
+
+      vi.stubGlobal('fetch', vi.fn(async () => {
+        throw Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }) });
+      }));
+      await expect(loadLabelBytes({ imageUrl: 'https://bucket.test/label.png' })).rejects.toMatchObject({
+        type: 'ImageDownloadFailed',
+        message: 'Failed to download label: read ECONNRESET'
+      });
+    });
+
+    it('should reject labels without an image source', async () => {
+      await expect(loadLabelBytes({ filename: 'label.png' })).rejects.toMatchObject({ type: 'ImageUnavailable', nonRetryable: true });
+    });
+  });
+
+  describe('activityHeartbeat', () => {
+    it('should heartbeat the activity it was captured in', async () => {
+      const env = new MockActivityEnvironment();
+      const heartbeats = [];
+      env.on('heartbeat', details => heartbeats.push(details));
+
+      await env.run(async () => {
+        const heartbeat = activityHeartbeat();
+        heartbeat({ pass: 'page 1/2', status: 'recognizing text', progress: 0.5 });
+      });
+
+      expect(heartbeats).toEqual([{ pass: 'page 1/2', status: 'recognizing text', progress: 0.5 }]);
+    });
+
+    it('should do nothing outside a running activity', () => {
+      const heartbeat = activityHeartbeat();
+
+      expect(() => heartbeat({ pass: 'image', status: 'recognizing text', progress: 0.5 })).not.toThrow();
+    });
+  });
+});
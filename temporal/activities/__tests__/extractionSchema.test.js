@@ -0,0 +1,152 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  AI_VALIDATION_RESPONSE_SCHEMA,
+  EXTRACTED_INFORMATION_SCHEMA,
+  checkModelOutput,
+  parseModelJSON,
+  validateAgainstSchema
+} from '../extractionSchema.js';
+import { performAIValidation, extractStructuredInfo } from '../aiValidation.js';
+import { LLMClient, MockProvider, setLLMClient } from '../../clients/llm.js';
+
+const validResponse = (extractedInformation = {}) => ({
+  isValid: true,
+  confidence: 0.9,
+  correctedText: 'NUTRITION FACTS',
+  extractedInformation
+});
+
+const useMockProvider = (responses) => {
+  const provider = new MockProvider({ responses });
+  setLLMClient(new LLMClient({ providers: [provider], maxRetries: 0 }));
+  return provider;
+};
+
+describe('Structured AI output', () => {
+  afterEach(() => {
+    setLLMClient(undefined);
+  });
+
+  describe('validateAgainstSchema', () => {
+    it('should coerce amounts, %DV and calories to canonical strings', () => {
+      const { valid, value, coercions } = validateAgainstSchema({
+        nutritionalInfo: {
+          calories: '230 kcal',
+          totalFat: 8,
+          totalFatDV: 10,
+          saturatedFat: '1.5 grams',
+          transFat: 'Og',
+          sodium: '0.16 g',
+          sodiumDV: '7 %',
+          totalSugars: 'less than 1g',
+          vitaminD: '2 µg'
+        }
+      }, EXTRACTED_INFORMATION_SCHEMA);
+
+      expect(valid).toBe(true);
+      expect(value.nutritionalInfo).toEqual({
+        calories: '230',
+        totalFat: '8g',
+        totalFatDV: '10%',
+        saturatedFat: '1.5g',
+        transFat: '0g',
+        sodium: '160mg',
+        sodiumDV: '7%',
+        totalSugars: '<1g',
+        vitaminD: '2mcg'
+      });
+      expect(coercions).toContainEqual({ path: '/nutritionalInfo/sodium', from: '0.16 g', to: '160mg' });
+    });
+
+    it('should coerce lists, confidences and booleans in the response envelope', () => {
+      const { valid, value } = validateAgainstSchema({
+        ...validResponse({ ingredients: 'Water, Sugar, Milk (whey, casein)', allergens: null }),
+        isValid: 'yes',
+        confidence: '85%',
+        completenessScore: '7'
+      }, AI_VALIDATION_RESPONSE_SCHEMA);
+
+      expect(valid).toBe(true);
+      expect(value).toMatchObject({ isValid: true, confidence: 0.85, completenessScore: 7 });
+      expect(value.extractedInformation.ingredients).toEqual(['Water', 'Sugar', 'Milk (whey, casein)']);
+      expect(value.extractedInformation.allergens).toEqual([]);
+    });
+
+    it('should report field-level errors for values that cannot be coerced', () => {
+      const { valid, errors } = validateAgainstSchema({
+        isValid: true,
+        confidence: 3.5e3,
+        extractedInformation: { nutritionalInfo: { totalFat: 'eight grams', sodiumDV: 'high' } }
+      }, AI_VALIDATION_RESPONSE_SCHEMA);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(expect.arrayContaining([
+        { path: '/', message: "must have required property 'correctedText'" },
+        { path: '/confidence', message: 'must be <= 1' },
+        { path: '/extractedInformation/nutritionalInfo/totalFat', message: 'must look like an amount such as "8g" (got "eight grams")' },
+        { path: '/extractedInformation/nutritionalInfo/sodiumDV', message: 'must look like a percentage such as "10%" (got "high")' }
+      ]));
+    });
+  });
+
+  describe('parseModelJSON', () => {
+    it('should read JSON from a code block or surrounding prose', () => {
+      expect(parseModelJSON('Result:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+      expect(parseModelJSON('Here you go: {"a": 2} Thanks')).toEqual({ a: 2 });
+    });
+
+    it('should raise AI_INVALID_JSON when there is no JSON', () => {
+      expect(() => parseModelJSON('I cannot read this label')).toThrow(expect.objectContaining({ code: 'AI_INVALID_JSON' }));
+      expect(checkModelOutput('nope', EXTRACTED_INFORMATION_SCHEMA).errors[0].path).toBe('/');
+    });
+  });
+
+  describe('performAIValidation', () => {
+    const ocrQuality = { overall: 'good', confidence: 0.9 };
+
+    it('should repair an invalid reply with a second round-trip', async () => {
+      const provider = useMockProvider({
+        validation: JSON.stringify(validResponse({ nutritionalInfo: { totalFat: 'eight grams' } })),
+        repair: JSON.stringify(validResponse({ nutritionalInfo: { totalFat: '8 g' } }))
+      });
+
+      const result = await performAIValidation({ ocrText: 'NUTRITION FACTS', ocrQuality });
+
+      expect(provider.calls.map(call => call.task)).toEqual(['validation', 'repair']);
+      expect(provider.calls[1].prompt).toContain('/extractedInformation/nutritionalInfo/totalFat');
+      expect(provider.calls[1].prompt).not.toContain('x-coerce');
+      expect(result.extractedInformation.nutritionalInfo.totalFat).toBe('8g');
+      expect(result.extraction).toMatchObject({ status: 'repaired', repairAttempts: 1, errors: [] });
+      expect(result.usage.inputTokens).toBe(provider.calls.reduce((sum, call) => sum + Math.ceil(call.prompt.length / 4), 0));
+      expect(result.error).toBeUndefined();
+    });
+
+    it('should report schema errors instead of fabricating a result', async () => {
+      useMockProvider({ validation: 'Sorry, the label is unreadable', repair: 'Still unreadable' });
+
+      const result = await performAIValidation({ ocrText: 'NUTRITION FACTS', ocrQuality });
+
+      expect(result).toMatchObject({
+        isValid: false,
+        confidence: null,
+        correctedText: null,
+        extractedInformation: null,
+        complianceIssues: [],
+        extraction: { status: 'invalid', repairAttempts: 1 },
+        error: { code: 'AI_SCHEMA_INVALID', rawResponse: 'Still unreadable' }
+      });
+      expect(result.error.details[0].message).toContain('Response is not valid JSON');
+    });
+  });
+
+  describe('extractStructuredInfo', () => {
+    it('should return coerced structured information', async () => {
+      useMockProvider({ extraction: '```json\n{"productName": "Oat Bar", "nutritionalInfo": {"calories": 190, "protein": "4 g"}}\n```' });
+
+      const result = await extractStructuredInfo('Oat Bar ...');
+
+      expect(result.structuredInfo).toMatchObject({ productName: 'Oat Bar', nutritionalInfo: { calories: '190', protein: '4g' } });
+      expect(result.extraction.status).toBe('valid');
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { callFDAMCPTool } from '../../clients/mcpClient.js';
+import { validateNutritionalClaimsWithFDA } from '../fdaValidation.js';
+import { validateClaim } from '../../../mcp-servers/fda-validation/claims.js';
+
+vi.mock('../../clients/mcpClient.js', () => ({
+  callFDAMCPTool: vi.fn()
+}));
+
+describe('FDA validation', () => {
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('validateNutritionalClaimsWithFDA', () => {
+    it('should file only contradicted claims as compliance issues', async () => {
+      const nutritionalData = { totalFat: '8g', sodium: '100mg' };
+      const options = { servingSize: 50, racc: 50 };
+      callFDAMCPTool.mockResolvedValue({
+        claimValidations: ['low fat', 'low sodium', 'cholesterol free', 'heart happy'].map(claim => validateClaim(claim, nutritionalData, options))
+      });
+
+      const { success, fdaClaimsValidation } = await validateNutritionalClaimsWithFDA({
+        claims: ['low fat', 'low sodium', 'cholesterol free', 'heart happy'],
+        nutritionalInfo: nutritionalData,
+        ...options
+      });
+
+      expect(success).toBe(true);
+      expect(fdaClaimsValidation.issues.map(issue => [issue.claim, issue.type, issue.severity])).toEqual([
+        ['low fat', 'FDA_INVALID_CLAIM', 'COMPLIANCE'],
+        ['cholesterol free', 'FDA_UNVERIFIED_CLAIM', 'WARNING']
+      ]);
+      expect(fdaClaimsValidation.issues[1].message).toMatch(/^Cannot verify .*missing.*Add the missing nutrition data/);
+      expect(fdaClaimsValidation.recommendations.map(item => [item.claim, item.type])).toEqual([
+        ['low sodium', 'FDA_VALID_CLAIM'],
+        ['heart happy', 'FDA_UNRECOGNIZED_CLAIM']
+      ]);
+    });
+  });
+});
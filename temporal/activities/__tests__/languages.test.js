@@ -0,0 +1,202 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { mockCreateWorker, mockRecognize, mockSetParameters } = vi.hoisted(() => {
+  const mockRecognize = vi.fn();
+  const mockSetParameters = vi.fn();
+  return {
+    mockRecognize,
+    mockSetParameters,
+    mockCreateWorker: vi.fn(async () => ({ setParameters: mockSetParameters, recognize: mockRecognize, terminate: vi.fn() }))
+  };
+});
+
+vi.mock('tesseract.js', () => ({
+  default: {
+    createWorker: mockCreateWorker,
+    PSM: { AUTO: 3 },
+    OEM: { LSTM_ONLY: 1 }
+  }
+}));
+
+import {
+  OCR_CHAR_WHITELIST,
+  analyzeLanguages,
+  detectLanguage,
+  detectScript,
+  getOCRLanguageConfig,
+  ocrCharWhitelist
+} from '../languages.js';
+import { performOCR, assessOCRQuality } from '../ocr.js';
+
+// Tesseract block tree with one paragraph and one line per block
+const tesseractBlock = (text, bbox) => ({
+  text,
+  confidence: 90,
+  bbox,
+  paragraphs: [{
+    text,
+    lines: [{
+      text,
+      bbox,
+      words: text.split(' ').map((word, i) => ({
+        text: word,
+        confidence: 90,
+        bbox: { x0: bbox.x0 + i * 50, y0: bbox.y0, x1: bbox.x0 + i * 50 + 45, y1: bbox.y1 }
+      }))
+    }]
+  }]
+});
+
+describe('OCR languages', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('OCR_CHAR_WHITELIST', () => {
+    it('should keep diacritics and label symbols', () => {
+      for (const character of 'éèçñüßœ®™µ©°℮') {
+        expect(OCR_CHAR_WHITELIST).toContain(character);
+      }
+    });
+
+    it('should only apply to Latin-script packs', () => {
+      expect(ocrCharWhitelist(['eng', 'fra', 'pol'])).toBe(OCR_CHAR_WHITELIST);
+      expect(ocrCharWhitelist(['eng', 'rus'])).toBeNull();
+      expect(ocrCharWhitelist(['chi_sim'])).toBeNull();
+    });
+  });
+
+  describe('getOCRLanguageConfig', () => {
+    let langDir;
+
+    beforeEach(() => {
+      langDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tessdata-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(langDir, { recursive: true, force: true });
+    });
+
+    it('should default to English from the CDN', () => {
+      expect(getOCRLanguageConfig({})).toEqual({ languages: ['eng'], langPath: null, workerOptions: {} });
+    });
+
+    it('should load packs from a local directory', () => {
+      fs.writeFileSync(path.join(langDir, 'eng.traineddata.gz'), '');
+      fs.writeFileSync(path.join(langDir, 'fra.traineddata.gz'), '');
+
+      const config = getOCRLanguageConfig({ OCR_LANGUAGES: 'eng+fra', OCR_LANG_PATH: langDir });
+
+      expect(config.languages).toEqual(['eng', 'fra']);
+      expect(config.workerOptions).toEqual({ langPath: langDir, gzip: true, cacheMethod: 'none' });
+    });
+
+    it('should name packs missing from the directory', () => {
+      fs.writeFileSync(path.join(langDir, 'eng.traineddata'), '');
+
+      expect(() => getOCRLanguageConfig({ OCR_LANGUAGES: 'eng, spa, fra', OCR_LANG_PATH: langDir }))
+        .toThrow(`Missing OCR language packs in ${langDir}: spa, fra`);
+    });
+  });
+
+  describe('detectLanguage', () => {
+    it('should identify the script of a block', () => {
+      expect(detectScript('Пищевая ценность')).toBe('Cyrillic');
+      expect(detectScript('Valeur nutritive')).toBe('Latin');
+      expect(detectScript('123 %')).toBeNull();
+    });
+
+    it('should tell Latin-script label languages apart', () => {
+      expect(detectLanguage('Ingredients: water, sugar and salt').language).toBe('eng');
+      expect(detectLanguage('Ingrédients : eau, sucre et sel').language).toBe('fra');
+      expect(detectLanguage('Ingredientes: agua, azúcar y sal').language).toBe('spa');
+      expect(detectLanguage('Zutaten: Wasser, Zucker und Salz').language).toBe('deu');
+    });
+
+    it('should map non-Latin scripts to their language', () => {
+      expect(detectLanguage('Состав: вода, сахар')).toMatchObject({ language: 'rus', script: 'Cyrillic' });
+    });
+
+    it('should leave text without language cues undetermined', () => {
+      expect(detectLanguage('250 mg 10%').language).toBe('und');
+    });
+  });
+
+  describe('analyzeLanguages', () => {
+    it('should group block text by language and report packs that are not loaded', () => {
+      const analysis = analyzeLanguages([
+        { text: 'Ingredients: water, sugar' },
+        { text: 'Ingrédients : eau, sucre' },
+        { text: 'Contains milk and soy' }
+      ], ['eng']);
+
+      expect(analysis.detectedLanguages).toEqual(['eng', 'fra']);
+      expect(analysis.primaryLanguage).toBe('eng');
+      expect(analysis.textByLanguage).toEqual({
+        eng: 'Ingredients: water, sugar\nContains milk and soy',
+        fra: 'Ingrédients : eau, sucre'
+      });
+      expect(analysis.missingLanguagePacks).toEqual(['fra']);
+    });
+  });
+
+  describe('performOCR', () => {
+    it('should OCR with the configured packs and split a bilingual label by block', async () => {
+      vi.stubEnv('OCR_LANGUAGES', 'eng+fra');
+      mockRecognize.mockResolvedValueOnce({
+        data: {
+          text: 'Ingredients: water, sugar\n\nIngrédients : eau, sucre\n',
+          confidence: 90,
+          blocks: [
+            tesseractBlock('Ingredients: water, sugar', { x0: 0, y0: 0, x1: 300, y1: 20 }),
+            tesseractBlock('Ingrédients : eau, sucre', { x0: 0, y0: 40, x1: 300, y1: 60 })
+          ]
+        }
+      });
+
+      const result = await performOCR({ filename: 'label.png', imageBuffer: Buffer.from('png') });
+      const assessment = await assessOCRQuality(result);
+      vi.unstubAllEnvs();
+
+      expect(mockCreateWorker).toHaveBeenCalledWith('eng+fra', 1, expect.objectContaining({ logger: expect.any(Function) }));
+      expect(mockSetParameters).toHaveBeenCalledWith(expect.objectContaining({
+        tessedit_pageseg_mode: 3,
+        tessedit_char_whitelist: OCR_CHAR_WHITELIST
+      }));
+      expect(mockRecognize).toHaveBeenCalledWith(expect.any(Buffer), {}, { text: true, blocks: true });
+
+      expect(result.totalWords).toBe(7);
+      expect(result.lines).toEqual(['Ingredients: water, sugar', 'Ingrédients : eau, sucre']);
+      expect(result.blocks.map(block => block.language)).toEqual(['eng', 'fra']);
+      expect(result.textByLanguage).toEqual({ eng: 'Ingredients: water, sugar', fra: 'Ingrédients : eau, sucre' });
+      expect(result.missingLanguagePacks).toEqual([]);
+      expect(assessment.issues.some(issue => issue.includes('without a loaded pack'))).toBe(false);
+    });
+
+    it('should keep a Cyrillic block when a Cyrillic pack is loaded', async () => {
+      vi.stubEnv('OCR_LANGUAGES', 'eng+rus');
+      mockRecognize.mockResolvedValueOnce({
+        data: {
+          text: 'Ingredients: water, sugar\n\nСостав: вода, сахар\n',
+          confidence: 90,
+          blocks: [
+            tesseractBlock('Ingredients: water, sugar', { x0: 0, y0: 0, x1: 300, y1: 20 }),
+            tesseractBlock('Состав: вода, сахар', { x0: 0, y0: 40, x1: 300, y1: 60 })
+          ]
+        }
+      });
+
+      const result = await performOCR({ filename: 'label.png', imageBuffer: Buffer.from('png') });
+      vi.unstubAllEnvs();
+
+      expect(mockCreateWorker).toHaveBeenCalledWith('eng+rus', 1, expect.any(Object));
+      expect(mockSetParameters.mock.calls[0][0]).not.toHaveProperty('tessedit_char_whitelist');
+      expect(result.blocks.map(block => block.language)).toEqual(['eng', 'rus']);
+      expect(result.textByLanguage.rus).toBe('Состав: вода, сахар');
+      expect(result.missingLanguagePacks).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import {
+  checkNutritionFacts,
+  parseDeclaredAmount,
+  roundNutrient,
+  roundPercentDV
+} from '../nutritionFacts.js';
+
+// Values from the AI extraction prompt's example panel
+const samplePanel = {
+  servingSize: '2/3 cup (55g)',
+  calories: '230',
+  totalFat: '8g',
+  totalFatDV: '10%',
+  saturatedFat: '1g',
+  saturatedFatDV: '5%',
+  transFat: '0g',
+  cholesterol: '0mg',
+  cholesterolDV: '0%',
+  sodium: '160mg',
+  sodiumDV: '7%',
+  totalCarbohydrate: '37g',
+  totalCarbohydrateDV: '13%',
+  dietaryFiber: '4g',
+  dietaryFiberDV: '14%',
+  totalSugars: '12g',
+  addedSugars: '10g',
+  addedSugarsDV: '20%',
+  protein: '3g',
+  vitaminD: '2mcg',
+  vitaminDDV: '10%',
+  calcium: '260mg',
+  calciumDV: '20%',
+  iron: '8mg',
+  ironDV: '45%',
+  potassium: '240mg',
+  potassiumDV: '6%'
+};
+
+describe('Nutrition Facts checker', () => {
+  describe('rounding helpers', () => {
+    it('should round amounts per 21 CFR 101.9(c)', () => {
+      expect(roundNutrient('calories', 4)).toBe(0);
+      expect(roundNutrient('calories', 47)).toBe(45);
+      expect(roundNutrient('calories', 234)).toBe(230);
+      expect(roundNutrient('totalFat', 0.4)).toBe(0);
+      expect(roundNutrient('totalFat', 3.3)).toBe(3.5);
+      expect(roundNutrient('totalFat', 7.6)).toBe(8);
+      expect(roundNutrient('sodium', 137)).toBe(135);
+      expect(roundNutrient('sodium', 163)).toBe(160);
+      expect(roundNutrient('cholesterol', 12)).toBe(10);
+    });
+
+    it('should round vitamin and mineral %DV in stepped increments', () => {
+      expect(roundPercentDV('sodium', 6.96)).toBe(7);
+      expect(roundPercentDV('iron', 7)).toBe(8);
+      expect(roundPercentDV('calcium', 23)).toBe(25);
+      expect(roundPercentDV('iron', 64)).toBe(60);
+    });
+
+    it('should parse declared amounts and convert units', () => {
+      expect(parseDeclaredAmount('160 mg', 'mg')).toEqual({ value: 160, lessThan: false });
+      expect(parseDeclaredAmount('<1g', 'g')).toEqual({ value: 1, lessThan: true });
+      expect(parseDeclaredAmount('0.5g', 'mg')).toEqual({ value: 500, lessThan: false });
+      expect(parseDeclaredAmount('n/a', 'g')).toBeNull();
+    });
+  });
+
+  describe('checkNutritionFacts', () => {
+    it('should accept a consistent panel', () => {
+      const result = checkNutritionFacts(samplePanel);
+
+      expect(result.findings).toEqual([]);
+      expect(result.consistent).toBe(true);
+      expect(result.calories.declared).toBe(230);
+    });
+
+    it('should flag a %DV that does not match the declared amount', () => {
+      const result = checkNutritionFacts({ ...samplePanel, sodiumDV: '20%' });
+
+      expect(result.consistent).toBe(false);
+      expect(result.findings).toHaveLength(1);
+      expect(result.findings[0]).toMatchObject({
+        type: 'DV_MISMATCH',
+        nutrient: 'sodium',
+        severity: 'medium',
+        expected: '7%'
+      });
+    });
+
+    it('should allow any %DV reachable from the unrounded amount', () => {
+      // 8g of fat covers 7.5–8.5g, i.e. 10–11% of 78g
+      const result = checkNutritionFacts({ ...samplePanel, totalFatDV: '11%' });
+
+      expect(result.findings).toEqual([]);
+    });
+
+    it('should flag calories that do not match 4/4/9', () => {
+      const result = checkNutritionFacts({ ...samplePanel, calories: '400' });
+
+      expect(result.findings).toHaveLength(1);
+      expect(result.findings[0]).toMatchObject({
+        type: 'CALORIE_MISMATCH',
+        nutrient: 'calories',
+        severity: 'high',
+        citation: '21 CFR 101.9(c)(1)(i)'
+      });
+    });
+
+    it('should flag amounts that are not rounded to the required increment', () => {
+      const result = checkNutritionFacts({
+        ...samplePanel,
+        totalFat: '7.5g',
+        sodium: '163mg',
+        protein: '0.7g',
+        calories: '233'
+      });
+      const rounding = result.findings.filter(f => f.type === 'ROUNDING').map(f => f.nutrient);
+
+      expect(rounding).toEqual(['calories', 'totalFat', 'sodium', 'protein']);
+    });
+
+    it('should accept permitted "less than" declarations', () => {
+      const result = checkNutritionFacts({ protein: '<1g', cholesterol: 'less than 5mg', cholesterolDV: '1%' });
+
+      expect(result.findings).toEqual([]);
+    });
+
+    it('should skip nutrients that are missing or unreadable', () => {
+      const result = checkNutritionFacts({ totalFat: 'see package', totalFatDV: '10%' });
+
+      expect(result.consistent).toBe(true);
+      expect(result.checkedNutrients).toEqual([]);
+      expect(result.calories).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { detectRegulatorySections, parseRegulatoryStructure, unionBoundingBox } from '../ocr.js';
+
+// Lay out each line of text as words on a fixed grid, like Tesseract word output
+const layoutWords = (text, { charWidth = 10, lineHeight = 30 } = {}) => {
+  const words = [];
+  text.split('\n').forEach((line, row) => {
+    let x = 0;
+    for (const word of line.split(' ').filter(Boolean)) {
+      const y = row * lineHeight;
+      words.push({
+        text: word,
+        confidence: 90,
+        bbox: { x0: x, y0: y, x1: x + word.length * charWidth, y1: y + 20 }
+      });
+      x += (word.length + 1) * charWidth;
+    }
+  });
+  return words;
+};
+
+describe('OCR section detection', () => {
+  const labelText = 'NUTRITION FACTS\nServing Size 1 cup\nCalories 150\nINGREDIENTS: Water, Sugar\nWARNING: Keep out of reach';
+
+  it('should detect sections with their original casing', () => {
+    const sections = parseRegulatoryStructure(labelText);
+
+    expect(sections.nutritionFacts).toBe('Serving Size 1 cup\nCalories 150');
+    expect(sections.ingredients).toBe('Water, Sugar');
+    expect(sections.warnings).toBe('Keep out of reach');
+  });
+
+  it('should compute a bounding box from the words of each section', () => {
+    const sections = detectRegulatorySections(labelText, layoutWords(labelText));
+    const byName = Object.fromEntries(sections.map(section => [section.name, section]));
+
+    // Heading line plus two body lines
+    expect(byName.nutritionFacts.boundingBox).toEqual({ x: 0, y: 0, width: 180, height: 80 });
+    expect(byName.nutritionFacts.wordCount).toBe(8);
+
+    // "INGREDIENTS: Water, Sugar" on the fourth line
+    expect(byName.ingredients.boundingBox).toEqual({ x: 0, y: 90, width: 250, height: 20 });
+    expect(byName.ingredients.confidence).toBeCloseTo(0.9);
+  });
+
+  it('should leave the bounding box empty when no words are available', () => {
+    const [section] = detectRegulatorySections('Ingredients: water', []);
+
+    expect(section.name).toBe('ingredients');
+    expect(section.boundingBox).toBeNull();
+    expect(section.confidence).toBeNull();
+  });
+
+  it('should skip words that cannot be aligned with the text', () => {
+    const words = [
+      { text: 'Ingredients:', confidence: 80, bbox: { x0: 5, y0: 5, x1: 125, y1: 25 } },
+      { text: 'garbage', confidence: 10, bbox: { x0: 900, y0: 900, x1: 990, y1: 920 } },
+      { text: 'water', confidence: 90, bbox: { x0: 135, y0: 5, x1: 185, y1: 25 } }
+    ];
+
+    const [section] = detectRegulatorySections('Ingredients: water', words);
+
+    expect(section.boundingBox).toEqual({ x: 5, y: 5, width: 180, height: 20 });
+  });
+
+  it('should union word boxes into a single region', () => {
+    expect(unionBoundingBox([])).toBeNull();
+    expect(unionBoundingBox([
+      { bbox: { x0: 10, y0: 20, x1: 30, y1: 40 } },
+      { bbox: { x0: 5, y0: 25, x1: 50, y1: 35 } }
+    ])).toEqual({ x: 5, y: 20, width: 45, height: 20 });
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockRecognize } = vi.hoisted(() => ({ mockRecognize: vi.fn() }));
+
+vi.mock('tesseract.js', () => ({
+  default: {
+    createWorker: vi.fn(async () => ({ setParameters: vi.fn(), recognize: mockRecognize, terminate: vi.fn() })),
+    PSM: { AUTO: 3 },
+    OEM: { LSTM_ONLY: 1 }
+  }
+}));
+
+import { isPDFSource, rasterizePDF } from '../pdf.js';
+import { performOCR } from '../ocr.js';
+
+// Minimal PDF with one line of Helvetica text per page and a valid xref table
+const buildPDF = (pageTexts) => {
+  const fontId = 3 + pageTexts.length * 2;
+  const objects = [
+    '<</Type/Catalog/Pages 2 0 R>>',
+    `<</Type/Pages/Kids[${pageTexts.map((_, i) => `${3 + i * 2} 0 R`).join(' ')}]/Count ${pageTexts.length}>>`
+  ];
+  pageTexts.forEach((text, i) => {
+    const stream = `BT /F1 18 Tf 20 40 Td (${text}) Tj ET`;
+    objects.push(`<</Type/Page/Parent 2 0 R/MediaBox[0 0 300 100]/Contents ${4 + i * 2} 0 R/Resources<</Font<</F1 ${fontId} 0 R>>>>>>`);
+    objects.push(`<</Length ${stream.length}>>\nstream\n${stream}\nendstream`);
+  });
+  objects.push('<</Type/Font/Subtype/Type1/BaseFont/Helvetica>>');
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<</Size ${objects.length + 1}/Root 1 0 R>>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+// Tesseract-style page result with one word per line
+const tesseractPage = (text, confidence) => ({
+  data: {
+    text,
+    confidence,
+    words: text.split('\n').map((line, row) => ({
+      text: line.split(' ')[0],
+      confidence,
+      bbox: { x0: 10, y0: row * 30, x1: 110, y1: row * 30 + 20 }
+    })),
+    lines: text.split('\n').map(line => ({ text: line }))
+  }
+});
+
+describe('PDF label input', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('isPDFSource', () => {
+    it('should sniff the PDF signature in buffers', () => {
+      expect(isPDFSource({ imageBuffer: buildPDF(['x']) })).toBe(true);
+      expect(isPDFSource({ imageBuffer: Buffer.from([0x89, 0x50, 0x4e, 0x47]), filename: 'label.pdf' })).toBe(false);
+    });
+
+    it('should accept serialized buffers from workflow input', () => {
+      expect(isPDFSource({ imageBuffer: JSON.parse(JSON.stringify(buildPDF(['x']))) })).toBe(true);
+    });
+
+    it('should fall back to content type and extension for URLs and paths', () => {
+      expect(isPDFSource({ imageUrl: 'https://example.test/a', contentType: 'application/pdf' })).toBe(true);
+      expect(isPDFSource({ imagePath: '/labels/back.PDF' })).toBe(true);
+      expect(isPDFSource({ imageUrl: 'https://example.test/a.png', filename: 'a.png' })).toBe(false);
+    });
+  });
+
+  describe('rasterizePDF', () => {
+    it('should render every page to a PNG at the requested DPI', async () => {
+      const pages = await rasterizePDF(new Uint8Array(buildPDF(['FRONT PANEL', 'INGREDIENTS: Water'])), { dpi: 144 });
+
+      expect(pages.map(page => page.pageNumber)).toEqual([1, 2]);
+      expect(pages[0]).toMatchObject({ width: 600, height: 200 });
+      expect(pages[0].image.subarray(1, 4).toString()).toBe('PNG');
+    }, 30000);
+
+    it('should refuse documents over the page limit', async () => {
+      await expect(rasterizePDF(new Uint8Array(buildPDF(['a', 'b', 'c'])), { dpi: 36, maxPages: 2 }))
+        .rejects.toThrow('PDF has 3 pages; at most 2 are supported');
+    }, 30000);
+  });
+
+  describe('performOCR', () => {
+    it('should OCR each page and return page-indexed text, words and sections', async () => {
+      mockRecognize
+        .mockResolvedValueOnce(tesseractPage('NUTRITION FACTS\nCalories 150', 90))
+        .mockResolvedValueOnce(tesseractPage('INGREDIENTS: Water, Sugar\nWARNING: Keep cool', 70));
+
+      const result = await performOCR({
+        filename: 'dieline.pdf',
+        imageBuffer: buildPDF(['FRONT', 'BACK'])
+      });
+
+      expect(mockRecognize).toHaveBeenCalledTimes(2);
+      expect(Buffer.isBuffer(mockRecognize.mock.calls[0][0])).toBe(true);
+
+      expect(result.sourceType).toBe('pdf');
+      expect(result.pageCount).toBe(2);
+      expect(result.pages.map(page => page.text)).toEqual([
+        'NUTRITION FACTS\nCalories 150',
+        'INGREDIENTS: Water, Sugar\nWARNING: Keep cool'
+      ]);
+      expect(result.text).toBe('NUTRITION FACTS\nCalories 150\n\nINGREDIENTS: Water, Sugar\nWARNING: Keep cool');
+      expect(result.confidence).toBeCloseTo(0.8);
+      expect(result.totalWords).toBe(4);
+      expect(result.words.map(word => word.page)).toEqual([1, 1, 2, 2]);
+
+      expect(result.pages[1].detectedSections.ingredients).toBe('Water, Sugar');
+      expect(result.detectedSections).toMatchObject({
+        nutritionFacts: 'Calories 150',
+        ingredients: 'Water, Sugar',
+        warnings: 'Keep cool'
+      });
+      expect(result.sectionBoundingBoxes.nutritionFacts.page).toBe(1);
+      expect(result.sectionBoundingBoxes.ingredients.page).toBe(2);
+    }, 30000);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { persistLabelResult, recordLabelApproval, recordReviewRound } from '../persistence.js';
+import { setPrismaClient } from '../../clients/database.js';
+import { createFakePrisma } from '../../../backend/__tests__/helpers/fakePrisma.js';
+
+describe('Label persistence activities', () => {
+  const result = {
+    status: 'needs_review',
+    ocrResult: { text: 'INGREDIENTS: Water, Sugar', confidence: 0.9, detectedSections: { ingredients: 'water, sugar' } },
+    validationResult: { complianceIssues: ['Missing net quantity statement'] },
+    complianceResult: null,
+    validatorRuns: []
+  };
+  let prisma;
+
+  beforeEach(() => {
+    prisma = createFakePrisma();
+    setPrismaClient(prisma);
+  });
+
+  afterEach(() => {
+    setPrismaClient(undefined);
+  });
+
+  describe('persistLabelResult', () => {
+    it('should fill in the placeholder project once', async () => {
+      prisma.rows.labelProject.push({ id: 'project-1', name: 'label.png', workflowId: 'ocr-validation-1', status: 'processing' });
+
+      const saved = await persistLabelResult({ projectId: 'project-1', workflowId: 'ocr-validation-1', result });
+      const again = await persistLabelResult({ projectId: 'project-1', workflowId: 'ocr-validation-1', result });
+
+      expect(saved).toEqual({ projectId: 'project-1', issueCount: 1 });
+      expect(again).toBeNull();
+      expect(prisma.rows.labelProject[0].status).toBe('reviewing');
+      expect(prisma.rows.validationIssue).toHaveLength(1);
+    });
+
+    it('should point the project at a retried workflow', async () => {
+      prisma.rows.labelProject.push({ id: 'project-1', name: 'label.png', workflowId: 'batch-1-item-1', status: 'processing' });
+
+      await persistLabelResult({ projectId: 'project-1', workflowId: 'batch-1-item-1-retry-1', result });
+
+      expect(prisma.rows.labelProject[0]).toMatchObject({ workflowId: 'batch-1-item-1-retry-1', status: 'reviewing' });
+    });
+
+    it('should skip runs without a project', async () => {
+      expect(await persistLabelResult({ projectId: null, workflowId: 'ocr-validation-2', result })).toBeNull();
+      expect(prisma.rows.validationIssue).toHaveLength(0);
+    });
+  });
+
+  describe('recordReviewRound', () => {
+    it('should record the round and return the issues to track', async () => {
+      prisma.rows.labelProject.push({ id: 'project-1', name: 'label.png', workflowId: 'ocr-validation-1', status: 'processing' });
+
+      const recorded = await recordReviewRound({ projectId: 'project-1', workflowId: 'ocr-validation-1', round: 1, result });
+
+      expect(recorded.round).toBe(1);
+      expect(recorded.issues.map(issue => issue.id)).toEqual([prisma.rows.validationIssue[0].id]);
+      expect(prisma.rows.labelProject[0].status).toBe('reviewing');
+    });
+
+    it('should leave rounds of runs without a project unrecorded', async () => {
+      expect(await recordReviewRound({ projectId: null, workflowId: 'ocr-validation-2', round: 1, result })).toBeNull();
+    });
+  });
+
+  describe('recordLabelApproval', () => {
+    it('should mark the project approved', async () => {
+      prisma.rows.labelProject.push({ id: 'project-1', workflowId: 'ocr-validation-1', status: 'reviewing' });
+
+      const approved = await recordLabelApproval({ projectId: 'project-1', workflowId: 'ocr-validation-1', approval: { round: 1 } });
+
+      expect(approved).toEqual({ projectId: 'project-1', status: 'approved' });
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import sharp from 'sharp';
+
+const { mockRecognize } = vi.hoisted(() => ({ mockRecognize: vi.fn() }));
+
+vi.mock('tesseract.js', () => ({
+  default: {
+    createWorker: vi.fn(async () => ({ setParameters: vi.fn(), recognize: mockRecognize, terminate: vi.fn() })),
+    PSM: { AUTO: 3 },
+    OEM: { LSTM_ONLY: 1 }
+  }
+}));
+
+import {
+  analyzeImage,
+  applyPreprocessing,
+  estimateSkewAngle,
+  mapBoxToSource
+} from '../preprocessing.js';
+import { performOCR, preprocessImageForOCR, assessOCRQuality } from '../ocr.js';
+
+// White page with dark horizontal bars standing in for lines of text;
+// `shade(x, y)` scales brightness to simulate lighting
+const renderLines = ({ width = 800, height = 600, shade = () => 1 } = {}) => {
+  const data = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inLine = y % 40 < 12 && y > 60 && y < height - 60 && x > 60 && x < width - 60 && x % 37 < 30;
+      data[y * width + x] = Math.round((inLine ? 30 : 250) * shade(x, y));
+    }
+  }
+  return { data, width, height };
+};
+
+const toPNG = ({ data, width, height }, density) => {
+  let image = sharp(data, { raw: { width, height, channels: 1 } });
+  if (density) image = image.withMetadata({ density });
+  return image.png().toBuffer();
+};
+
+const stepByName = (steps, name) => steps.find(step => step.name === name);
+
+const tesseractResult = (confidence) => ({
+  data: {
+    text: 'INGREDIENTS: Water, Sugar',
+    confidence,
+    words: [{ text: 'INGREDIENTS:', confidence, bbox: { x0: 400, y0: 300, x1: 600, y1: 340 } }],
+    lines: [{ text: 'INGREDIENTS: Water, Sugar' }]
+  }
+});
+
+describe('Image preprocessing', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('estimateSkewAngle', () => {
+    it('should measure clockwise rotation of text lines', async () => {
+      const rotated = await sharp(await toPNG(renderLines()))
+        .rotate(4, { background: '#ffffff' })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const angle = estimateSkewAngle({ data: rotated.data, width: rotated.info.width, height: rotated.info.height });
+
+      expect(angle).toBeGreaterThan(3.5);
+      expect(angle).toBeLessThan(4.5);
+    });
+
+    it('should report straight text as unrotated', () => {
+      expect(Math.abs(estimateSkewAngle(renderLines()))).toBeLessThan(0.3);
+    });
+  });
+
+  describe('analyzeImage', () => {
+    it('should plan upscaling from DPI metadata', async () => {
+      const { steps } = await analyzeImage(await toPNG(renderLines(), 150));
+
+      expect(stepByName(steps, 'upscale')).toMatchObject({ applied: true, params: { factor: 2, sourceDpi: 150 } });
+      expect(stepByName(steps, 'deskew').applied).toBe(false);
+      expect(stepByName(steps, 'illuminationCorrection').applied).toBe(false);
+    });
+
+    it('should ignore the 72 DPI default and size by pixel count instead', async () => {
+      const { density, steps } = await analyzeImage(await toPNG(renderLines(), 72));
+
+      expect(density).toBeNull();
+      expect(stepByName(steps, 'upscale').params.factor).toBe(2.5);
+    });
+
+    it('should detect shading from curved packaging', async () => {
+      const curved = renderLines({ shade: (x) => 0.5 + 0.5 * Math.sin(Math.PI * x / 800) });
+      const { steps } = await analyzeImage(await toPNG(curved));
+      const illumination = stepByName(steps, 'illuminationCorrection');
+
+      expect(illumination.applied).toBe(true);
+      expect(illumination.params.curvatureSuspected).toBe(true);
+      expect(illumination.reason).toContain('curved packaging');
+    });
+  });
+
+  describe('applyPreprocessing', () => {
+    it('should produce a binarized, upscaled, deskewed PNG', async () => {
+      const source = await sharp(await toPNG(renderLines()))
+        .rotate(5, { background: '#ffffff' })
+        .png()
+        .toBuffer();
+      const { steps } = await analyzeImage(source);
+
+      const result = await applyPreprocessing(source, steps);
+      const metadata = await sharp(result.image).metadata();
+      const data = await sharp(result.image).toColourspace('b-w').raw().toBuffer();
+
+      expect(metadata.channels).toBe(1);
+      expect(new Set(data)).toEqual(new Set([0, 255]));
+      expect(result.transform.scale).toBeGreaterThan(2);
+      expect(result.transform.angle).toBeCloseTo(5, 0);
+    });
+
+    it('should map boxes on the preprocessed image back to the source', async () => {
+      const source = await toPNG(renderLines());
+      const { steps } = await analyzeImage(source);
+      const { transform } = await applyPreprocessing(source, steps);
+
+      const box = mapBoxToSource({ x0: 250, y0: 250, x1: 500, y1: 300 }, transform);
+
+      expect(box).toEqual({ x0: 100, y0: 100, x1: 200, y1: 120 });
+    });
+  });
+
+  describe('OCR integration', () => {
+    it('should record the plan without copying the image', async () => {
+      const labelData = { filename: 'label.png', imageBuffer: await toPNG(renderLines()) };
+
+      const result = await preprocessImageForOCR(labelData);
+
+      expect(result.preprocessed).toBe(true);
+      expect(result.imageBuffer).toBe(labelData.imageBuffer);
+      expect(result.preprocessing.steps.map(step => step.name)).toEqual([
+        'upscale', 'grayscale', 'illuminationCorrection', 'deskew', 'adaptiveThreshold'
+      ]);
+    });
+
+    it('should skip PDFs', async () => {
+      const result = await preprocessImageForOCR({ filename: 'label.pdf', imageBuffer: Buffer.from('%PDF-1.4\n') });
+
+      expect(result.preprocessed).toBe(false);
+      expect(result.preprocessing.steps).toEqual([]);
+    });
+
+    it('should compare confidence before and after preprocessing', async () => {
+      mockRecognize
+        .mockResolvedValueOnce(tesseractResult(88))
+        .mockResolvedValueOnce(tesseractResult(61));
+      const labelData = await preprocessImageForOCR({ filename: 'label.png', imageBuffer: await toPNG(renderLines()) });
+
+      const result = await performOCR(labelData);
+      const assessment = await assessOCRQuality(result);
+
+      expect(mockRecognize).toHaveBeenCalledTimes(2);
+      expect(result.confidence).toBeCloseTo(0.88);
+      expect(result.preprocessing).toMatchObject({ used: 'preprocessed', originalConfidence: 0.61, preprocessedConfidence: 0.88 });
+      // Word boxes are reported in original image pixels
+      expect(result.words[0].bbox).toEqual({ x0: 160, y0: 120, x1: 240, y1: 136 });
+      expect(assessment.preprocessing).toMatchObject({ helped: true, used: 'preprocessed' });
+      expect(assessment.preprocessing.improvement).toBeCloseTo(0.27);
+    });
+
+    it('should fall back to the original when preprocessing hurts', async () => {
+      mockRecognize
+        .mockResolvedValueOnce(tesseractResult(55))
+        .mockResolvedValueOnce(tesseractResult(80));
+      const labelData = await preprocessImageForOCR({ filename: 'label.png', imageBuffer: await toPNG(renderLines()) });
+
+      const result = await performOCR(labelData);
+      const assessment = await assessOCRQuality(result);
+
+      expect(result.confidence).toBeCloseTo(0.8);
+      expect(result.preprocessing.used).toBe('original');
+      expect(assessment.preprocessing.helped).toBe(false);
+      expect(assessment.issues).toContain('Image preprocessing did not improve OCR confidence');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import sharp from 'sharp';
+import { isVisionRequested, prepareVisionImages } from '../vision.js';
+import { performAIValidation } from '../aiValidation.js';
+import { LLMClient, MockProvider, setLLMClient } from '../../clients/llm.js';
+
+const solidImage = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 240, g: 240, b: 240 } }
+}).png().toBuffer();
+
+const visionResponse = (visualValidation) => JSON.stringify({
+  isValid: true,
+  confidence: 0.9,
+  correctedText: 'Sodium 160mg',
+  extractedInformation: {},
+  visualValidation
+});
+
+const useMockProvider = (responses) => {
+  const provider = new MockProvider({ responses });
+  setLLMClient(new LLMClient({ providers: [provider], maxRetries: 0 }));
+  return provider;
+};
+
+describe('Vision validation', () => {
+  const ocrQuality = { overall: 'good', confidence: 0.9 };
+
+  afterEach(() => {
+    setLLMClient(undefined);
+    delete process.env.AI_VISION_VALIDATION;
+  });
+
+  describe('isVisionRequested', () => {
+    it('should prefer the request flag over the environment', () => {
+      process.env.AI_VISION_VALIDATION = 'true';
+      expect(isVisionRequested({})).toBe(true);
+      expect(isVisionRequested({ vision: false })).toBe(false);
+
+      delete process.env.AI_VISION_VALIDATION;
+      expect(isVisionRequested({})).toBe(false);
+      expect(isVisionRequested({ vision: true })).toBe(true);
+    });
+  });
+
+  describe('prepareVisionImages', () => {
+    it('should bound large images to the max edge as JPEG', async () => {
+      const images = await prepareVisionImages({ imageBuffer: await solidImage(3000, 1500) });
+
+      expect(images).toHaveLength(1);
+      expect(images[0]).toMatchObject({ mediaType: 'image/jpeg', width: 1568, height: 784, pageNumber: 1 });
+      const metadata = await sharp(Buffer.from(images[0].data, 'base64')).metadata();
+      expect(metadata.format).toBe('jpeg');
+    });
+
+    it('should not enlarge small images', async () => {
+      const images = await prepareVisionImages({ imageBuffer: await solidImage(400, 300) }, { maxEdge: 1000 });
+
+      expect(images[0]).toMatchObject({ width: 400, height: 300 });
+    });
+  });
+
+  describe('performAIValidation', () => {
+    it('should send the image and return the layout review and OCR disagreements', async () => {
+      const provider = useMockProvider({
+        vision: visionResponse({
+          layoutChecks: [
+            { check: 'nutritionFactsBox', status: 'Pass', observation: 'Boxed with hairlines' },
+            { check: 'principalDisplayPanel', status: 'Not visible', observation: 'Only the back panel is shown' }
+          ],
+          disagreements: [{ field: 'sodium', ocrText: '16Omg', observedText: '160mg', severity: 'Medium' }]
+        })
+      });
+
+      const result = await performAIValidation({
+        ocrText: 'Sodium 16Omg',
+        ocrQuality,
+        imageBuffer: await solidImage(800, 600),
+        vision: true
+      });
+
+      expect(provider.calls[0]).toMatchObject({ task: 'vision' });
+      expect(provider.calls[0].images).toEqual([expect.objectContaining({ mediaType: 'image/jpeg', data: expect.any(String) })]);
+      expect(provider.calls[0].prompt).toContain('typeSizeHierarchy');
+      expect(result.vision).toEqual({ requested: true, used: true, images: [{ pageNumber: 1, width: 800, height: 600 }], error: null });
+      expect(result.visualValidation.layoutChecks.map(check => check.status)).toEqual(['pass', 'not_visible']);
+      expect(result.visualValidation.disagreements[0]).toMatchObject({ field: 'sodium', observedText: '160mg', severity: 'medium' });
+    });
+
+    it('should fall back to text-only validation when the image cannot be loaded', async () => {
+      const provider = useMockProvider({});
+
+      const result = await performAIValidation({ ocrText: 'Sodium 160mg', ocrQuality, vision: true });
+
+      expect(provider.calls.map(call => call.task)).toEqual(['validation']);
+      expect(provider.calls[0].images).toEqual([]);
+      expect(result.isValid).toBe(true);
+      expect(result.vision).toMatchObject({ requested: true, used: false, error: expect.any(String) });
+    });
+  });
+});
@@ -1,69 +1,201 @@
-import Anthropic from '@anthropic-ai/sdk';
-import OpenAI from 'openai';
+import { ApplicationFailure } from '@temporalio/activity';
+import { getLLMClient } from '../clients/llm.js';
+import { getResultCache, hashBytes } from '../clients/resultCache.js';
+import {
+  AI_VALIDATION_RESPONSE_SCHEMA,
+  AI_VISION_RESPONSE_SCHEMA,
+  EXTRACTED_INFORMATION_SCHEMA,
+  LAYOUT_CHECKS,
+  checkModelOutput
+} from './extractionSchema.js';
+import { isVisionRequested, prepareVisionImages } from './vision.js';
+import { ACTIVITY_ERROR_TYPES, activityFailure } from './errors.js';
 
-// Initialize AI clients
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const DEFAULT_REPAIR_ATTEMPTS = 1;
 
-// Initialize OpenAI client conditionally
-let openai;
-if (process.env.OPENAI_API_KEY || process.env.OPENAI_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY || process.env.OPENAI_KEY,
-  });
+/**
+ * Request structured output and validate it against a JSON schema
+ * A reply that fails validation is sent back to the model with the errors, up
+ * to AI_REPAIR_ATTEMPTS times; images go with the first request only.
+ * Returns { valid, value, errors, coercions, repairAttempts, completion, usage,
+ * rawResponse }; usage sums every call.
+ */
+async function completeStructured(prompt, { schema, task, input, images, maxTokens }) {
+  const client = getLLMClient();
+  const maxRepairs = process.env.AI_REPAIR_ATTEMPTS !== undefined
+    ? Number(process.env.AI_REPAIR_ATTEMPTS)
+    : DEFAULT_REPAIR_ATTEMPTS;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  const request = async (text, options) => {
+    const completion = await client.complete(text, { ...options, maxTokens });
+    usage.inputTokens += completion.usage?.inputTokens || 0;
+    usage.outputTokens += completion.usage?.outputTokens || 0;
+    return completion;
+  };
+  
+  let completion = await request(prompt, { task, input, images });
+  let check = checkModelOutput(completion.text, schema);
+  let repairAttempts = 0;
+  
+  while (!check.valid && repairAttempts < maxRepairs) {
+    repairAttempts += 1;
+    console.warn(`⚠️ AI response failed schema validation (${check.errors.length} errors); requesting repair ${repairAttempts}/${maxRepairs}`);
+    completion = await request(buildRepairPrompt(completion.text, check.errors, schema), { task: 'repair', input: completion.text });
+    check = checkModelOutput(completion.text, schema);
+  }
+  
+  return { ...check, repairAttempts, completion, usage, rawResponse: completion.text };
 }
 
 /**
- * Parse AI response and extract JSON validation result
+ * Prompt asking the model to fix a reply that failed schema validation
  */
-function parseAIResponse(aiResponse, fallbackText) {
-  try {
-    // Try to extract JSON from code blocks first
-    const jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[1]);
-    }
-    
-    // Try to find JSON object in the response
-    const jsonObjectMatch = aiResponse.match(/{[\s\S]*}/);
-    if (jsonObjectMatch) {
-      return JSON.parse(jsonObjectMatch[0]);
-    }
-    
-    // If no JSON found, try parsing entire response
-    return JSON.parse(aiResponse);
-    
-  } catch (parseError) {
-    console.warn('⚠️ Could not parse AI response as JSON:', parseError.message);
-    
-    return {
-      isValid: false,
-      confidence: 0.4,
-      correctedText: fallbackText,
-      extractedInformation: {},
-      ocrIssuesFound: ['Could not parse AI validation response'],
-      completenessScore: 4,
-      complianceIssues: ['AI response parsing failed'],
-      recommendations: ['Manual review recommended'],
-      qualityImprovement: 'None',
-      rawAiResponse: aiResponse.substring(0, 500) + '...'
-    };
-  }
+function buildRepairPrompt(reply, errors, schema) {
+  // x-* annotations drive local coercion and mean nothing to the model
+  const schemaText = JSON.stringify(schema, (key, value) => key.startsWith('x-') ? undefined : value, 2);
+  
+  return `Your previous response could not be used because it does not match the required JSON schema.
+
+Validation errors:
+${errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}
+
+JSON schema:
+${schemaText}
+
+Previous response:
+${reply}
+
+Return ONLY the corrected JSON object - no explanation text before or after.`;
+}
+
+/**
+ * Extraction metadata reported with every structured result
+ */
+function extractionSummary(structured) {
+  return {
+    status: structured.valid ? (structured.repairAttempts > 0 ? 'repaired' : 'valid') : 'invalid',
+    repairAttempts: structured.repairAttempts,
+    coercions: structured.coercions,
+    errors: structured.errors
+  };
+}
+
+/**
+ * Validation result for a run that produced no usable AI output
+ * Nothing is inferred: scores and extracted fields are null and the cause is
+ * reported in `error` ({ code, message, details }).
+ */
+function failedValidation({ ocrText, ocrQuality }, startTime, error, { structured = null, vision = null } = {}) {
+  return {
+    isValid: false,
+    confidence: null,
+    correctedText: null,
+    extractedInformation: null,
+    ocrIssuesFound: [],
+    completenessScore: null,
+    complianceIssues: [],
+    recommendations: [],
+    qualityImprovement: null,
+    originalOcrText: ocrText,
+    aiProvider: structured?.completion.provider || null,
+    aiModel: structured?.completion.model || null,
+    usage: structured?.usage || null,
+    extraction: structured
+      ? extractionSummary(structured)
+      : { status: 'unavailable', repairAttempts: 0, coercions: [], errors: [] },
+    vision,
+    error,
+    processingTime: Date.now() - startTime,
+    validatedAt: new Date().toISOString(),
+    inputQuality: ocrQuality?.overall,
+    inputConfidence: ocrQuality?.confidence
+  };
 }
 
 /**
- * AI Validation Activity using Anthropic Claude
- * Validates and improves OCR results for regulatory compliance
+ * Last error per provider and model ("anthropic:claude-...") from a failed completion's attempts
+ */
+function providerErrors(attempts = []) {
+  return Object.fromEntries(attempts.map(attempt => [`${attempt.provider}:${attempt.model}`, attempt.error]));
+}
+
+/**
+ * Prompt section for vision runs, where the label image accompanies the OCR text
+ */
+function buildVisionInstructions() {
+  return `
+5. COMPARE the attached label image with the OCR text:
+   - nutritionFactsBox: the Nutrition Facts panel is boxed with hairlines, "Nutrition Facts" spans the panel and bars separate the sections (${LAYOUT_CHECKS.nutritionFactsBox})
+   - typeSizeHierarchy: "Nutrition Facts", Calories and serving size are the largest type in the panel, and the net quantity meets the minimum type height for the panel size (${LAYOUT_CHECKS.typeSizeHierarchy})
+   - principalDisplayPanel: the statement of identity and the net quantity (in the bottom 30%) are on the principal display panel (${LAYOUT_CHECKS.principalDisplayPanel})
+   - Report every place where the image shows different text, numbers or symbols than the OCR text
+
+Add this field to the JSON response:
+"visualValidation": {
+  "layoutChecks": [
+    { "check": "nutritionFactsBox", "status": "pass | fail | not_visible", "observation": "What you see", "severity": "low | medium | high" }
+  ],
+  "disagreements": [
+    { "field": "sodium", "ocrText": "16Omg", "observedText": "160mg", "location": "Nutrition Facts panel", "severity": "medium" }
+  ]
+}
+`;
+}
+
+/**
+ * AI Validation Activity using the configured LLM provider chain
+ * Validates and improves OCR results for regulatory compliance. With vision
+ * enabled (data.vision or AI_VISION_VALIDATION) the label image is sent too,
+ * and the model also reviews layout and reports where the image and the OCR
+ * text disagree.
+ * Runs with a data.contentHash go through the result cache, keyed by the label
+ * hash, the OCR text, the vision flag and the provider chain; failed runs are
+ * not cached and data.bypassCache forces a fresh call.
+ * When the provider chain fails and any provider failed transiently (a
+ * timeout, rate limit or overload) the activity throws a retryable
+ * LLMUnavailable failure so its retry policy tries again later; chains that
+ * only hit permanent errors, and replies that fail the schema, are returned
+ * as a failed validation instead.
  */
 export async function performAIValidation(data) {
+  if (!data.contentHash) {
+    return validateWithLLM(data);
+  }
+  
+  const { value, cache } = await getResultCache().resolve('ai', {
+    contentHash: data.contentHash,
+    ocrTextHash: hashBytes(data.ocrText || ''),
+    labelType: data.labelType || 'product',
+    vision: isVisionRequested(data),
+    providers: getLLMClient().providers.map(provider => `${provider.name}:${provider.model}`)
+  }, () => validateWithLLM(data), { bypass: data.bypassCache, store: result => !result.error });
+  
+  return { ...value, cache };
+}
+
+async function validateWithLLM(data) {
   console.log('🤖 Starting AI validation for OCR results...');
+  const startTime = Date.now();
   
   try {
-    const startTime = Date.now();
-    
     const { ocrText, ocrQuality, imageUrl, labelType = 'product', detectedSections = {} } = data;
     
+    // Attach the label image (buffer, path or presigned S3 URL) when vision is requested
+    const vision = { requested: isVisionRequested(data), used: false, images: [], error: null };
+    let images = [];
+    if (vision.requested) {
+      try {
+        images = await prepareVisionImages(data);
+        vision.used = images.length > 0;
+        vision.images = images.map(({ pageNumber, width, height }) => ({ pageNumber, width, height }));
+        console.log(`👁️ Attaching ${images.length} label image(s) for vision validation`);
+      } catch (error) {
+        // Text-only validation still runs
+        console.warn('⚠️ Could not load label image for vision validation:', error.message);
+        vision.error = error.message;
+      }
+    }
+    
     // Create focused prompt for verbatim transcription and validation
     const prompt = `Please transcribe and validate this OCR-extracted text from a product label.
 
@@ -89,7 +221,7 @@ TASK: Please provide verbatim transcription and comprehensive analysis:
    - Claims and certifications
 
 4. ASSESS regulatory compliance and provide specific recommendations
-
+${vision.used ? buildVisionInstructions() : ''}
 Respond ONLY in valid JSON format:
 \`\`\`json
 {
@@ -99,6 +231,8 @@ Respond ONLY in valid JSON format:
   "extractedInformation": {
     "productName": "Product name if clearly visible",
     "brandName": "Brand if visible", 
+    "netQuantity": "Net quantity statement, e.g. Net Wt 12 oz (340g)",
+    "manufacturer": "Manufactured/distributed by statement if present",
     "ingredients": ["ingredient1", "ingredient2"],
     "warnings": "Warning text if present",
     "directions": "Usage directions if present",
@@ -135,94 +269,54 @@ Respond ONLY in valid JSON format:
 }
 \`\`\`
 
-IMPORTANT: Return ONLY valid JSON - no explanation text before or after.`;
+IMPORTANT: Return ONLY valid JSON - no explanation text before or after. Use null (or [] for lists) for anything not on the label - never guess.`;
 
-    let validationResult;
-    let processingTime;
-    let aiModel = 'claude-3-5-sonnet-20241022';
+    let structured;
     
-    // Try Anthropic Claude first
+    // Providers are tried in LLM_PROVIDERS order, with retries on transient errors
     try {
-      console.log('🤖 Sending request to Claude...');
-      
-      const response = await anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 4000,
-        temperature: 0.1,
-        messages: [{ role: 'user', content: prompt }]
+      console.log('🤖 Sending request to LLM provider chain...');
+      structured = await completeStructured(prompt, {
+        schema: vision.used ? AI_VISION_RESPONSE_SCHEMA : AI_VALIDATION_RESPONSE_SCHEMA,
+        task: vision.used ? 'vision' : 'validation',
+        input: ocrText,
+        images,
+        maxTokens: 4000
       });
-      
-      const aiResponse = response.content[0].text;
-      processingTime = Date.now() - startTime;
-      
-      validationResult = parseAIResponse(aiResponse, ocrText);
-      
-    } catch (claudeError) {
-      console.warn('⚠️ Claude failed, trying OpenAI...', claudeError.message);
-      
-      // Fallback to OpenAI (if available)
-      if (openai) {
-        try {
-          aiModel = 'gpt-4o-mini';
-          const response = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [{ role: 'user', content: prompt }],
-            temperature: 0.1,
-            max_tokens: 4000
-          });
-          
-          const aiResponse = response.choices[0].message.content;
-          processingTime = Date.now() - startTime;
-          
-          validationResult = parseAIResponse(aiResponse, ocrText);
-          
-        } catch (openaiError) {
-          console.error('❌ Both AI providers failed');
-          processingTime = Date.now() - startTime;
-          
-          validationResult = {
-            isValid: false,
-            confidence: 0.3,
-            correctedText: ocrText,
-            extractedInformation: {},
-            ocrIssuesFound: ['Both AI providers failed to process'],
-            completenessScore: 3,
-            complianceIssues: ['AI validation unavailable'],
-            recommendations: ['Manual review required'],
-            qualityImprovement: 'None',
-            errors: {
-              claude: claudeError.message,
-              openai: openaiError.message
-            }
-          };
-        }
-      } else {
-        console.warn('⚠️ OpenAI not available, using Claude error fallback');
-        processingTime = Date.now() - startTime;
-        
-        validationResult = {
-          isValid: false,
-          confidence: 0.4,
-          correctedText: ocrText,
-          extractedInformation: {},
-          ocrIssuesFound: ['Only Claude available, but failed to process'],
-          completenessScore: 4,
-          complianceIssues: ['AI validation partially unavailable'],
-          recommendations: ['Configure OpenAI as backup or manual review'],
-          qualityImprovement: 'None',
-          errors: {
-            claude: claudeError.message,
-            openai: 'Not configured'
-          }
-        };
+    } catch (llmError) {
+      console.error('❌ All AI providers failed:', llmError.message);
+      if (llmError.attempts?.some(attempt => attempt.retryable)) {
+        throw activityFailure(ACTIVITY_ERROR_TYPES.LLM_UNAVAILABLE, llmError.message, llmError);
       }
+      return failedValidation(data, startTime, {
+        code: llmError.code || 'LLM_UNAVAILABLE',
+        message: llmError.message,
+        details: providerErrors(llmError.attempts)
+      }, { vision });
+    }
+    
+    if (!structured.valid) {
+      console.error(`❌ AI response failed schema validation after ${structured.repairAttempts} repair attempt(s)`);
+      return failedValidation(data, startTime, {
+        code: 'AI_SCHEMA_INVALID',
+        message: 'AI response did not match the extraction schema',
+        details: structured.errors,
+        rawResponse: structured.rawResponse.substring(0, 500)
+      }, { structured, vision });
     }
     
+    const processingTime = Date.now() - startTime;
+    
     // Add metadata
     const result = {
-      ...validationResult,
+      ...structured.value,
       originalOcrText: ocrText,
-      aiModel,
+      aiProvider: structured.completion.provider,
+      aiModel: structured.completion.model,
+      usage: structured.usage,
+      providerAttempts: structured.completion.attempts.length,
+      extraction: extractionSummary(structured),
+      vision,
       processingTime,
       validatedAt: new Date().toISOString(),
       inputQuality: ocrQuality.overall,
@@ -233,6 +327,13 @@ IMPORTANT: Return ONLY valid JSON - no explanation text before or after.`;
     console.log(`🎯 Validation result: ${result.isValid ? 'VALID' : 'NEEDS_REVIEW'}`);
     console.log(`📊 AI confidence: ${Math.round(result.confidence * 100)}%`);
     console.log(`📈 Quality improvement: ${result.qualityImprovement}`);
+    if (result.visualValidation) {
+      const failedChecks = result.visualValidation.layoutChecks.filter(check => check.status === 'fail');
+      console.log(`👁️ Vision: ${failedChecks.length} layout check(s) failed, ${result.visualValidation.disagreements.length} OCR disagreement(s)`);
+    }
+    if (result.usage) {
+      console.log(`🧮 ${result.aiProvider} ${result.aiModel}: ${result.usage.inputTokens} input / ${result.usage.outputTokens} output tokens`);
+    }
     
     if (result.ocrIssuesFound && result.ocrIssuesFound.length > 0) {
       console.log(`⚠️ OCR issues found: ${result.ocrIssuesFound.length}`);
@@ -241,22 +342,9 @@ IMPORTANT: Return ONLY valid JSON - no explanation text before or after.`;
     return result;
     
   } catch (error) {
+    if (error instanceof ApplicationFailure) throw error;
     console.error('❌ AI validation failed:', error.message);
-    
-    return {
-      isValid: false,
-      confidence: 0,
-      correctedText: data.ocrText,
-      extractedInformation: {},
-      ocrIssuesFound: [`AI validation error: ${error.message}`],
-      completenessScore: 0,
-      complianceIssues: ['AI validation failed - manual review required'],
-      recommendations: ['Retry AI validation or perform manual review'],
-      qualityImprovement: 'None',
-      error: error.message,
-      processingTime: 0,
-      validatedAt: new Date().toISOString()
-    };
+    return failedValidation(data, startTime, { code: error.code || 'AI_VALIDATION_ERROR', message: error.message });
   }
 }
 
@@ -275,25 +363,18 @@ ${ocrText}
 
 Please provide only the corrected text without any explanation:`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 2000,
-      temperature: 0.1,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
+    const completion = await getLLMClient().complete(prompt, { task: 'correction', input: ocrText, maxTokens: 2000 });
     
-    const correctedText = response.content[0].text.trim();
+    const correctedText = completion.text.trim();
     
     console.log('✅ OCR text correction completed');
     
     return {
       originalText: ocrText,
       correctedText,
+      aiProvider: completion.provider,
+      aiModel: completion.model,
+      usage: completion.usage,
       correctedAt: new Date().toISOString()
     };
     
@@ -379,44 +460,36 @@ Extract and return in JSON format with comprehensive nutritional facts:
 
 IMPORTANT: Extract ALL nutritional values with their % Daily Values when present. Include vitamins, minerals, and any disclaimers exactly as shown.`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 2000,
-      temperature: 0.1,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
+    const structured = await completeStructured(prompt, {
+      schema: EXTRACTED_INFORMATION_SCHEMA,
+      task: 'extraction',
+      input: validatedText,
+      maxTokens: 2000
     });
     
-    const aiResponse = response.content[0].text;
-    
-    // Extract JSON from response
-    let structuredInfo;
-    try {
-      const jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        structuredInfo = JSON.parse(jsonMatch[1]);
-      } else {
-        structuredInfo = JSON.parse(aiResponse);
-      }
-    } catch (parseError) {
-      structuredInfo = { error: 'Could not parse structured information' };
+    if (!structured.valid) {
+      console.error('❌ Structured information failed schema validation');
+    } else {
+      console.log('✅ Structured information extraction completed');
     }
     
-    console.log('✅ Structured information extraction completed');
-    
     return {
-      structuredInfo,
+      structuredInfo: structured.valid ? structured.value : null,
+      extraction: extractionSummary(structured),
+      ...(structured.valid ? {} : {
+        error: { code: 'AI_SCHEMA_INVALID', message: 'AI response did not match the extraction schema', details: structured.errors }
+      }),
+      aiProvider: structured.completion.provider,
+      aiModel: structured.completion.model,
+      usage: structured.usage,
       extractedAt: new Date().toISOString()
     };
     
   } catch (error) {
     console.error('❌ Structured information extraction failed:', error.message);
     return {
-      structuredInfo: { error: error.message },
+      structuredInfo: null,
+      error: { code: error.code || 'AI_EXTRACTION_ERROR', message: error.message },
       extractedAt: new Date().toISOString()
     };
   }
@@ -0,0 +1,211 @@
+/**
+ * Regulatory compliance rule engine
+ * Deterministically evaluates AI-extracted label information against
+ * per-regulation rules and produces violations, warnings and a score.
+ */
+
+const DEFAULT_REGULATIONS = ['FDA', 'general'];
+
+// Score deductions per failed rule; rules may override with their own weight
+const VIOLATION_WEIGHT = 10;
+const WARNING_WEIGHT = 3;
+
+// Nutrients required in the Nutrition Facts panel (21 CFR 101.9(c))
+export const MANDATORY_NUTRIENTS = {
+  servingSize: 'Serving size',
+  calories: 'Calories',
+  totalFat: 'Total fat',
+  saturatedFat: 'Saturated fat',
+  transFat: 'Trans fat',
+  cholesterol: 'Cholesterol',
+  sodium: 'Sodium',
+  totalCarbohydrate: 'Total carbohydrate',
+  dietaryFiber: 'Dietary fiber',
+  totalSugars: 'Total sugars',
+  addedSugars: 'Added sugars',
+  protein: 'Protein',
+  vitaminD: 'Vitamin D',
+  calcium: 'Calcium',
+  iron: 'Iron',
+  potassium: 'Potassium'
+};
+
+const METRIC_UNITS = /\d\s*(g|kg|mg|ml|l)\b/i;
+const US_UNITS = /\d\s*(oz|lb|lbs|fl\.?\s*oz|pt|qt|gal)\b/i;
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+const toList = (value) => {
+  if (isBlank(value)) return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+};
+
+/**
+ * Rules keyed by regulation. Each check returns a list of finding messages.
+ */
+export const REGULATION_RULES = {
+  general: [
+    {
+      id: 'statement-of-identity',
+      citation: '21 CFR 101.3',
+      level: 'violation',
+      description: 'Product name (statement of identity) must appear on the label',
+      check: (info) => isBlank(info.productName) ? ['Statement of identity (product name) not found'] : []
+    },
+    {
+      id: 'net-quantity',
+      citation: '21 CFR 101.105',
+      level: 'violation',
+      description: 'Net quantity of contents must be declared',
+      check: (info) => isBlank(info.netQuantity || info.netWeight || info.netContents)
+        ? ['Net quantity of contents not declared']
+        : []
+    },
+    {
+      id: 'net-quantity-dual-units',
+      citation: '21 CFR 101.105(j)',
+      level: 'warning',
+      description: 'Net quantity should be stated in both metric and U.S. customary units',
+      check: (info) => {
+        const netQuantity = String(info.netQuantity || info.netWeight || info.netContents || '');
+        if (!netQuantity) return [];
+
+        const missing = [];
+        if (!METRIC_UNITS.test(netQuantity)) missing.push('metric');
+        if (!US_UNITS.test(netQuantity)) missing.push('U.S. customary');
+        return missing.length > 0
+          ? [`Net quantity "${netQuantity}" is missing ${missing.join(' and ')} units`]
+          : [];
+      }
+    },
+    {
+      id: 'ingredient-statement',
+      citation: '21 CFR 101.4',
+      level: 'violation',
+      description: 'Multi-ingredient foods must list ingredients',
+      check: (info) => toList(info.ingredients).length === 0 ? ['Ingredient statement not found'] : []
+    },
+    {
+      id: 'responsible-party',
+      citation: '21 CFR 101.5',
+      level: 'warning',
+      description: 'Name and place of business of the manufacturer, packer or distributor',
+      check: (info, labelText) => {
+        const declared = info.regulatoryInfo?.distributedBy || info.manufacturer ||
+          /(manufactured|distributed|packed)\s+(for|by)/i.test(labelText);
+        return declared ? [] : ['Manufacturer, packer or distributor statement not found'];
+      }
+    }
+  ],
+
+  // Allergen declarations are checked by the registry's allergen module (validators/allergen.js)
+  FDA: [
+    {
+      id: 'nutrition-facts-panel',
+      citation: '21 CFR 101.9',
+      level: 'violation',
+      weight: 20,
+      description: 'Packaged foods must bear a Nutrition Facts panel',
+      check: (info) => Object.keys(info.nutritionalInfo || {}).length === 0
+        ? ['Nutrition Facts panel not found']
+        : []
+    },
+    {
+      id: 'mandatory-nutrients',
+      citation: '21 CFR 101.9(c)',
+      level: 'violation',
+      description: 'Nutrition Facts must declare every mandatory nutrient',
+      check: (info) => {
+        const nutrition = info.nutritionalInfo || {};
+        if (Object.keys(nutrition).length === 0) return [];
+
+        return Object.entries(MANDATORY_NUTRIENTS)
+          .filter(([key]) => isBlank(nutrition[key]))
+          .map(([, label]) => `${label} not declared in Nutrition Facts`);
+      }
+    },
+    {
+      id: 'daily-value-footnote',
+      citation: '21 CFR 101.9(d)(9)',
+      level: 'warning',
+      description: 'Nutrition Facts should include the % Daily Value footnote',
+      check: (info, labelText) => {
+        if (Object.keys(info.nutritionalInfo || {}).length === 0) return [];
+        const hasFootnote = info.regulatoryInfo?.fdaDisclaimer || /daily value.*tells you/i.test(labelText);
+        return hasFootnote ? [] : ['% Daily Value footnote not found'];
+      }
+    }
+  ]
+};
+
+/**
+ * Evaluate extracted label information against the requested regulations
+ */
+export function evaluateCompliance(extractedInformation = {}, regulations = DEFAULT_REGULATIONS, labelText = '') {
+  const violations = [];
+  const warnings = [];
+  let deductions = 0;
+
+  const requested = regulations && regulations.length > 0 ? regulations : DEFAULT_REGULATIONS;
+
+  for (const regulation of requested) {
+    const rules = REGULATION_RULES[regulation];
+
+    if (!rules) {
+      warnings.push({
+        ruleId: 'unknown-regulation',
+        regulation,
+        citation: null,
+        message: `No compliance rules defined for regulation "${regulation}"`
+      });
+      continue;
+    }
+
+    for (const rule of rules) {
+      const messages = rule.check(extractedInformation, labelText);
+      if (messages.length === 0) continue;
+
+      const findings = messages.map(message => ({ ruleId: rule.id, regulation, citation: rule.citation, message }));
+
+      // A failed rule costs its weight once, however many findings it reports
+      if (rule.level === 'violation') {
+        violations.push(...findings);
+        deductions += rule.weight || VIOLATION_WEIGHT;
+      } else {
+        warnings.push(...findings);
+        deductions += rule.weight || WARNING_WEIGHT;
+      }
+    }
+  }
+
+  return {
+    compliant: violations.length === 0,
+    violations,
+    warnings,
+    score: Math.max(0, 100 - deductions),
+    regulations: requested
+  };
+}
+
+/**
+ * Perform compliance check against regulations
+ */
+export async function performComplianceCheck(data) {
+  console.log('✅ Performing compliance check');
+
+  const { validationResult = {}, regulations } = data;
+  const result = evaluateCompliance(
+    validationResult.extractedInformation || {},
+    regulations,
+    validationResult.correctedText || validationResult.originalOcrText || ''
+  );
+
+  console.log(`📊 Compliance score: ${result.score} (${result.violations.length} violations, ${result.warnings.length} warnings)`);
+
+  return {
+    ...result,
+    checkedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,43 @@
+import { defaultValidatorAgents, planValidatorRuns, runValidatorAgent } from '../validators/index.js';
+
+/**
+ * Component validation activities
+ * The workflow plans which ValidatorAgent runs on which LabelComponent, then
+ * runs every pair in its own child workflow (see componentValidationWorkflow).
+ */
+
+/**
+ * Plan the component × validator runs for a label
+ * agents are the ValidatorAgent rows the backend started the workflow with;
+ * without them every registry module runs on its default rules.
+ * Returns [{ agent, componentType, config }] in a stable order.
+ */
+export async function planComponentValidation(data) {
+  const { agents = defaultValidatorAgents(), components = [] } = data;
+  const plan = planValidatorRuns(agents, components).map(({ agent, component, config }) => ({
+    agent: { id: agent.id, name: agent.name, type: agent.type },
+    componentType: component.type,
+    config
+  }));
+
+  console.log(`🧭 Planned ${plan.length} validator runs across ${components.length} components`);
+  return plan;
+}
+
+/**
+ * Run one validator agent on one component
+ * Throws when the validator fails so the activity is retried; the workflow
+ * records the run as an error once retries are exhausted.
+ */
+export async function runComponentValidator(data) {
+  const { agent, component, label, config } = data;
+  console.log(`🔎 Running ${agent.name} on ${component.type}`);
+
+  const run = await runValidatorAgent(agent, component, label, config);
+  if (run.status === 'error') {
+    throw new Error(`${agent.name} failed on ${component.type}: ${run.error}`);
+  }
+
+  console.log(`📋 ${agent.name} on ${component.type}: ${run.issues.length} issues`);
+  return run;
+}
@@ -0,0 +1,23 @@
+/**
+ * Activity failure types
+ * Activities throw these so the workflow's retry policies can tell failures
+ * another attempt may fix (a dropped download, an overloaded LLM provider)
+ * from ones it can't (an unreadable image, an expired image URL). Failures of
+ * the types in NON_RETRYABLE_ERROR_TYPES are not retried.
+ * Kept free of imports so workflows can use the types in their retry policies;
+ * activities create the failures with errors.js.
+ */
+export const ACTIVITY_ERROR_TYPES = {
+  // The label bytes are not an image or PDF Tesseract can read
+  INVALID_IMAGE: 'InvalidImage',
+  // No image source was given, or the URL is gone or no longer signed
+  IMAGE_UNAVAILABLE: 'ImageUnavailable',
+  // The image download failed on the network or with a server error
+  IMAGE_DOWNLOAD_FAILED: 'ImageDownloadFailed',
+  // The Tesseract worker or its language packs could not be loaded, or OCR failed for another reason
+  OCR_ENGINE_UNAVAILABLE: 'OCREngineUnavailable',
+  // Every LLM provider failed, at least one of them transiently
+  LLM_UNAVAILABLE: 'LLMUnavailable'
+};
+
+export const NON_RETRYABLE_ERROR_TYPES = [ACTIVITY_ERROR_TYPES.INVALID_IMAGE, ACTIVITY_ERROR_TYPES.IMAGE_UNAVAILABLE];
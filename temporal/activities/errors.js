@@ -0,0 +1,49 @@
+import { ApplicationFailure, Context } from '@temporalio/activity';
+import { ACTIVITY_ERROR_TYPES, NON_RETRYABLE_ERROR_TYPES } from './errorTypes.js';
+
+/**
+ * Typed activity failures and heartbeats (failure types are in errorTypes.js)
+ */
+
+export { ACTIVITY_ERROR_TYPES, NON_RETRYABLE_ERROR_TYPES };
+
+// Network error codes worth another attempt
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Activity failure of the given type; retryable unless the type is in NON_RETRYABLE_ERROR_TYPES
+ */
+export function activityFailure(type, message, cause) {
+  return ApplicationFailure.create({
+    type,
+    message,
+    nonRetryable: NON_RETRYABLE_ERROR_TYPES.includes(type),
+    cause: cause instanceof Error ? cause : undefined
+  });
+}
+
+/**
+ * Whether an HTTP status or network error can succeed on another attempt
+ * Timeouts, rate limits and server errors are transient; other statuses are not.
+ */
+export function isTransientError(error) {
+  if (typeof error.status === 'number') {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  const code = error.code || error.cause?.code;
+  return TRANSIENT_NETWORK_CODES.includes(code);
+}
+
+/**
+ * Heartbeat function for the running activity, or a no-op outside Temporal
+ * (the backend and scripts call activities directly). Capture it at the start
+ * of the activity: callbacks from worker threads run outside its context.
+ */
+export function activityHeartbeat() {
+  try {
+    const context = Context.current();
+    return (details) => context.heartbeat(details);
+  } catch {
+    return () => {};
+  }
+}
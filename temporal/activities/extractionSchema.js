@@ -0,0 +1,317 @@
+import Ajv from 'ajv';
+import { ROUNDING_RULES } from './nutritionFacts.js';
+
+/**
+ * JSON schemas for structured AI output
+ * Fields carry an `x-coerce` annotation naming how loosely-typed model output
+ * (numbers for strings, "8 grams", "10" for a %DV, "85%" for a confidence) is
+ * normalized before validation. Amounts are normalized to the canonical
+ * "<value><unit>" strings the Nutrition Facts checker parses.
+ */
+
+const text = { type: ['string', 'null'], 'x-coerce': 'text' };
+const list = { type: 'array', items: { type: 'string' }, 'x-coerce': 'list' };
+const amount = (unit) => ({
+  type: ['string', 'null'],
+  pattern: `^<?\\d+(\\.\\d+)?${unit}$`,
+  'x-coerce': 'amount',
+  'x-unit': unit
+});
+const percent = { type: ['string', 'null'], pattern: '^<?\\d+(\\.\\d+)?%$', 'x-coerce': 'percent' };
+
+// Every nutrient with a rounding rule has an amount and a %DV field
+const NUTRIENT_FIELDS = Object.fromEntries(
+  Object.entries(ROUNDING_RULES)
+    .filter(([nutrient]) => nutrient !== 'calories')
+    .flatMap(([nutrient, rule]) => [[nutrient, amount(rule.unit)], [`${nutrient}DV`, percent]])
+);
+
+export const NUTRITIONAL_INFO_SCHEMA = {
+  type: 'object',
+  properties: {
+    servingSize: text,
+    servingsPerContainer: text,
+    calories: { type: ['string', 'null'], pattern: '^\\d+$', 'x-coerce': 'calories' },
+    ...NUTRIENT_FIELDS
+  },
+  // Older panels list vitamins as a bare percentage ("vitaminA": "10%")
+  additionalProperties: true
+};
+
+export const EXTRACTED_INFORMATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    productName: text,
+    brandName: text,
+    netQuantity: text,
+    manufacturer: text,
+    ingredients: list,
+    warnings: text,
+    directions: text,
+    nutritionalInfo: { ...NUTRITIONAL_INFO_SCHEMA, type: ['object', 'null'] },
+    allergens: list,
+    claims: list
+  },
+  additionalProperties: true
+};
+
+export const AI_VALIDATION_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['isValid', 'confidence', 'correctedText', 'extractedInformation'],
+  properties: {
+    isValid: { type: 'boolean', 'x-coerce': 'boolean' },
+    confidence: { type: 'number', minimum: 0, maximum: 1, 'x-coerce': 'fraction' },
+    correctedText: { type: 'string', 'x-coerce': 'text' },
+    extractedInformation: EXTRACTED_INFORMATION_SCHEMA,
+    ocrIssuesFound: list,
+    completenessScore: { type: 'number', minimum: 0, maximum: 10, 'x-coerce': 'number' },
+    complianceIssues: list,
+    recommendations: list,
+    qualityImprovement: text
+  },
+  additionalProperties: true
+};
+
+// Layout requirements the model checks against the image
+export const LAYOUT_CHECKS = {
+  nutritionFactsBox: '21 CFR 101.9(d)(1)',
+  typeSizeHierarchy: '21 CFR 101.9(d)(1)(iv); 21 CFR 101.105(h)',
+  principalDisplayPanel: '21 CFR 101.1; 21 CFR 101.3(a); 21 CFR 101.105(f)'
+};
+
+const token = (values) => ({ type: 'string', enum: values, 'x-coerce': 'token' });
+
+export const VISUAL_VALIDATION_SCHEMA = {
+  type: 'object',
+  required: ['layoutChecks', 'disagreements'],
+  properties: {
+    layoutChecks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['check', 'status', 'observation'],
+        properties: {
+          check: { type: 'string', enum: Object.keys(LAYOUT_CHECKS) },
+          status: token(['pass', 'fail', 'not_visible']),
+          observation: { type: 'string', 'x-coerce': 'text' },
+          severity: token(['low', 'medium', 'high'])
+        }
+      }
+    },
+    // Places where the image shows something other than the OCR text
+    disagreements: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['field', 'observedText'],
+        properties: {
+          field: { type: 'string' },
+          ocrText: text,
+          observedText: { type: 'string', 'x-coerce': 'text' },
+          location: text,
+          severity: token(['low', 'medium', 'high'])
+        }
+      }
+    }
+  }
+};
+
+// Vision runs return the text validation plus the layout review
+export const AI_VISION_RESPONSE_SCHEMA = {
+  ...AI_VALIDATION_RESPONSE_SCHEMA,
+  required: [...AI_VALIDATION_RESPONSE_SCHEMA.required, 'visualValidation'],
+  properties: {
+    ...AI_VALIDATION_RESPONSE_SCHEMA.properties,
+    visualValidation: VISUAL_VALIDATION_SCHEMA
+  }
+};
+
+// Non-standard x-* annotations are documentation for ajv, not keywords
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new WeakMap();
+
+const UNIT_ALIASES = {
+  g: 'g', gram: 'g', grams: 'g',
+  mg: 'mg', milligram: 'mg', milligrams: 'mg',
+  mcg: 'mcg', 'µg': 'mcg', ug: 'mcg', microgram: 'mcg', micrograms: 'mcg'
+};
+const UNIT_FACTORS = { g: 1, mg: 1e-3, mcg: 1e-6 };
+
+const formatNumber = (value) => String(Number(value.toFixed(4)));
+const parseNumber = (raw) => parseFloat(raw.replace(',', '.'));
+
+const COERCERS = {
+  text: (value) => {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (Array.isArray(value) && value.every(item => typeof item === 'string')) return value.join('\n');
+    return value;
+  },
+
+  list: (value) => {
+    if (value === null || value === undefined || value === '') return [];
+    // Split on commas that aren't inside parentheses ("Milk (whey, casein)")
+    if (typeof value === 'string') return value.split(/,\s*(?![^()]*\))/).map(item => item.trim()).filter(Boolean);
+    return value;
+  },
+
+  amount: (value, schema) => {
+    const unit = schema['x-unit'];
+    if (typeof value === 'number') return `${formatNumber(value)}${unit}`;
+    if (typeof value !== 'string') return value;
+
+    // "Og" is the usual OCR misread of "0g"
+    const normalized = value.trim().replace(/^[oO](?=\s*[a-zµ]*$)/, '0');
+    const match = normalized.match(/^(<|less than)?\s*(\d+(?:[.,]\d+)?)\s*([a-zµ]+)?\.?$/i);
+    if (!match) return value;
+
+    const declaredUnit = match[3] ? UNIT_ALIASES[match[3].toLowerCase()] : unit;
+    if (!declaredUnit) return value;
+
+    const amountInUnit = parseNumber(match[2]) * UNIT_FACTORS[declaredUnit] / UNIT_FACTORS[unit];
+    return `${match[1] ? '<' : ''}${formatNumber(amountInUnit)}${unit}`;
+  },
+
+  percent: (value) => {
+    if (typeof value === 'number') return `${formatNumber(value)}%`;
+    if (typeof value !== 'string') return value;
+
+    const match = value.trim().match(/^(<|less than)?\s*(\d+(?:[.,]\d+)?)\s*%?$/i);
+    return match ? `${match[1] ? '<' : ''}${formatNumber(parseNumber(match[2]))}%` : value;
+  },
+
+  calories: (value) => {
+    if (typeof value === 'number') return formatNumber(value);
+    if (typeof value !== 'string') return value;
+
+    const match = value.trim().match(/^(\d+)\s*(kcal|cal|calories)?$/i);
+    return match ? match[1] : value;
+  },
+
+  number: (value) => {
+    if (typeof value !== 'string' || !/^\s*-?\d+(?:[.,]\d+)?\s*$/.test(value)) return value;
+    return parseNumber(value);
+  },
+
+  // Confidences given as percentages ("85%", 85) become 0-1 fractions
+  fraction: (value) => {
+    const isPercent = typeof value === 'string' && value.trim().endsWith('%');
+    const number = COERCERS.number(isPercent ? value.trim().slice(0, -1) : value);
+    if (typeof number !== 'number') return value;
+    return isPercent || number > 1 ? Math.round(number * 100) / 10000 : number;
+  },
+
+  // Enum-like values: "Not visible" → "not_visible"
+  token: (value) => (typeof value === 'string' ? value.trim().toLowerCase().replace(/[\s-]+/g, '_') : value),
+
+  boolean: (value) => {
+    if (typeof value !== 'string') return value;
+    const normalized = value.trim().toLowerCase();
+    if (['true', 'yes'].includes(normalized)) return true;
+    if (['false', 'no'].includes(normalized)) return false;
+    return value;
+  }
+};
+
+/**
+ * Normalize a value in place of its schema, recording every change as { path, from, to }
+ */
+export function coerceToSchema(value, schema, path = '', coercions = []) {
+  let result = value;
+
+  const coerce = COERCERS[schema['x-coerce']];
+  if (coerce && value !== undefined) {
+    result = coerce(value, schema);
+    if (result !== value && JSON.stringify(result) !== JSON.stringify(value)) {
+      coercions.push({ path: path || '/', from: value, to: result });
+    }
+  }
+
+  if (result && typeof result === 'object' && !Array.isArray(result) && schema.properties) {
+    result = { ...result };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (key in result) {
+        result[key] = coerceToSchema(result[key], propertySchema, `${path}/${key}`, coercions);
+      }
+    }
+  } else if (Array.isArray(result) && schema.items) {
+    result = result.map((item, index) => coerceToSchema(item, schema.items, `${path}/${index}`, coercions));
+  }
+
+  return result;
+}
+
+/**
+ * Coerce and validate a value against a schema
+ * Returns { valid, value, errors: [{ path, message }], coercions }.
+ */
+export function validateAgainstSchema(value, schema) {
+  let validate = validators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validators.set(schema, validate);
+  }
+
+  const coercions = [];
+  const coerced = coerceToSchema(value, schema, '', coercions);
+  const valid = validate(coerced);
+
+  return {
+    valid,
+    value: coerced,
+    errors: valid ? [] : validate.errors.map(error => ({
+      path: error.instancePath || '/',
+      message: error.keyword === 'pattern'
+        ? `must look like ${describePattern(error.params.pattern)} (got ${JSON.stringify(getPath(coerced, error.instancePath))})`
+        : error.message
+    })),
+    coercions
+  };
+}
+
+/**
+ * Extract the JSON object from a model reply (bare, or in a ```json block)
+ * Throws with code AI_INVALID_JSON when there is none.
+ */
+export function parseModelJSON(reply) {
+  const candidates = [
+    reply.match(/```(?:json)?\s*\n([\s\S]*?)\n\s*```/)?.[1],
+    reply.match(/{[\s\S]*}/)?.[0],
+    reply
+  ].filter(Boolean);
+
+  let lastError;
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  const error = new Error(`Response is not valid JSON: ${lastError.message}`);
+  error.code = 'AI_INVALID_JSON';
+  throw error;
+}
+
+/**
+ * Parse a model reply and validate it; unparseable replies become a single root error
+ */
+export function checkModelOutput(reply, schema) {
+  let parsed;
+  try {
+    parsed = parseModelJSON(reply);
+  } catch (error) {
+    return { valid: false, value: null, errors: [{ path: '/', message: error.message }], coercions: [] };
+  }
+  return validateAgainstSchema(parsed, schema);
+}
+
+function describePattern(pattern) {
+  if (pattern.endsWith('%$')) return 'a percentage such as "10%"';
+  const unit = pattern.match(/\)\?(\w+)\$$/)?.[1];
+  return unit ? `an amount such as "8${unit}"` : 'a whole number such as "230"';
+}
+
+function getPath(value, pointer) {
+  return pointer.split('/').slice(1).reduce((node, key) => node?.[key], value);
+}
@@ -1,68 +1,28 @@
-import { spawn } from 'child_process';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { callFDAMCPTool } from '../clients/mcpClient.js';
+import { getResultCache } from '../clients/resultCache.js';
 
 /**
  * FDA Validation Activity using MCP Server
- * Validates ingredients and nutritional claims against FDA databases
+ * Validates ingredients and nutritional claims against FDA databases.
+ * Tool calls go through the shared long-lived MCP session in clients/mcpClient.js.
  */
 
 /**
- * Call FDA MCP Server tool
+ * Call an FDA MCP tool, through the result cache when the run has a contentHash
+ * Returns { result, cache }; cache is null for uncached calls.
  */
-async function callFDAMCPTool(toolName, args) {
-  return new Promise((resolve, reject) => {
-    const mcpServerPath = path.join(__dirname, '../../mcp-servers/fda-validation/index.js');
-    
-    const child = spawn('node', [mcpServerPath], {
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    child.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
-
-    child.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-
-    child.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(`MCP server exited with code ${code}: ${stderr}`));
-        return;
-      }
-
-      try {
-        // Parse MCP response
-        const lines = stdout.trim().split('\n');
-        const jsonResponse = lines[lines.length - 1];
-        const result = JSON.parse(jsonResponse);
-        resolve(result);
-      } catch (error) {
-        reject(new Error(`Failed to parse MCP response: ${error.message}`));
-      }
-    });
-
-    // Send MCP request
-    const mcpRequest = {
-      jsonrpc: '2.0',
-      id: 1,
-      method: 'tools/call',
-      params: {
-        name: toolName,
-        arguments: args
-      }
-    };
+async function lookupFDA(toolName, args, { contentHash, bypassCache }) {
+  if (!contentHash) {
+    return { result: await callFDAMCPTool(toolName, args), cache: null };
+  }
 
-    child.stdin.write(JSON.stringify(mcpRequest) + '\n');
-    child.stdin.end();
-  });
+  const { value, cache } = await getResultCache().resolve(
+    'mcp',
+    { contentHash, toolName, args },
+    () => callFDAMCPTool(toolName, args),
+    { bypass: bypassCache }
+  );
+  return { result: value, cache };
 }
 
 /**
@@ -89,39 +49,20 @@ export async function validateIngredientsWithFDA(data) {
     console.log('🔍 Calling FDA MCP server for real validation...');
     
     let fdaValidationResult;
+    let lookupCache = null;
     let issues = [];
     let recommendations = [];
     
     try {
       // Call FDA MCP server to validate ingredients
-      fdaValidationResult = await callFDAMCPTool('validate_ingredients', {
+      ({ result: fdaValidationResult, cache: lookupCache } = await lookupFDA('validate_ingredients', {
         ingredients: ingredientsToValidate
-      });
+      }, data));
       
       console.log('✅ FDA MCP validation result:', JSON.stringify(fdaValidationResult, null, 2));
       
       // Process FDA validation results into issues and recommendations
-      if (fdaValidationResult.result && fdaValidationResult.result.content && fdaValidationResult.result.content[0]) {
-        const result = fdaValidationResult.result.content[0].text;
-        console.log('🔍 Raw FDA result text:', result);
-        
-        try {
-          const parsedResult = JSON.parse(result);
-          console.log('📋 Parsed FDA result:', parsedResult);
-          
-          // Process the parsed result
-          processFDAResult(parsedResult);
-        } catch (parseError) {
-          console.error('❌ FDA JSON parsing error:', parseError);
-          console.error('❌ Raw text that failed to parse:', result);
-        }
-      } else {
-        console.log('⚠️ FDA validation result structure invalid:', {
-          hasResult: !!fdaValidationResult.result,
-          hasContent: !!(fdaValidationResult.result && fdaValidationResult.result.content),
-          hasFirstItem: !!(fdaValidationResult.result && fdaValidationResult.result.content && fdaValidationResult.result.content[0])
-        });
-      }
+      processFDAResult(fdaValidationResult);
       
       function processFDAResult(parsedResult) {
         
@@ -230,7 +171,8 @@ export async function validateIngredientsWithFDA(data) {
         processingTime: processingTime,
         validatedAt: new Date().toISOString(),
         source: 'FDA MCP Validation Server (Live API)',
-        fdaApiResult: fdaValidationResult
+        fdaApiResult: fdaValidationResult,
+        cache: lookupCache
       }
     };
 
@@ -270,7 +212,7 @@ export async function validateNutritionalClaimsWithFDA(data) {
   
   try {
     const startTime = Date.now();
-    const { claims = [], nutritionalInfo = {} } = data;
+    const { claims = [], nutritionalInfo = {}, servingSize, racc, productCategory, referenceFood } = data;
 
     if (!claims.length) {
       console.log('⚠️ No nutritional claims found to validate');
@@ -292,43 +234,61 @@ export async function validateNutritionalClaimsWithFDA(data) {
     }
 
     // Call FDA MCP server for claims validation
-    const claimsValidation = await callFDAMCPTool('validate_nutritional_claims', {
+    const { result: claimsValidation, cache: lookupCache } = await lookupFDA('validate_nutritional_claims', {
       claims: claims,
-      nutritionalData: nutritionalInfo
-    });
+      nutritionalData: nutritionalInfo,
+      servingSize,
+      racc,
+      productCategory,
+      referenceFood
+    }, data);
 
     const processingTime = Date.now() - startTime;
     const issues = [];
     const recommendations = [];
 
-    // Process claims validation results
-    if (claimsValidation.content?.[0]?.text) {
-      const validationData = JSON.parse(claimsValidation.content[0].text);
-      
-      validationData.claimValidations?.forEach(validation => {
-        if (!validation.isValid) {
+    // Process claims validation results: only claims the label's own numbers
+    // contradict are compliance issues
+    claimsValidation.claimValidations?.forEach(validation => {
+      const finding = {
+        claim: validation.claim,
+        source: validation.fdaSource || 'FDA Nutrition Labeling Guidelines',
+        sourceTag: 'FDA-CLAIMS',
+        timestamp: new Date().toISOString()
+      };
+
+      switch (validation.status) {
+        case 'INVALID':
+          issues.push({ ...finding, type: 'FDA_INVALID_CLAIM', severity: 'COMPLIANCE', message: validation.reason });
+          break;
+        case 'UNVERIFIED':
           issues.push({
-            type: 'FDA_INVALID_CLAIM',
-            severity: 'COMPLIANCE',
-            claim: validation.claim,
-            message: validation.reason,
-            source: validation.fdaSource || 'FDA Nutrition Labeling Guidelines',
-            sourceTag: 'FDA-CLAIMS',
-            timestamp: new Date().toISOString()
+            ...finding,
+            type: 'FDA_UNVERIFIED_CLAIM',
+            severity: 'WARNING',
+            message: `${validation.reason}. Add the missing nutrition data so the claim can be checked.`
           });
-        } else {
-          recommendations.push({
-            type: 'FDA_VALID_CLAIM',
-            severity: 'INFO',
-            claim: validation.claim,
-            message: validation.reason,
-            source: validation.fdaSource || 'FDA Nutrition Labeling Guidelines',
-            sourceTag: 'FDA-CLAIMS',
-            timestamp: new Date().toISOString()
-          });
-        }
+          break;
+        case 'UNRECOGNIZED':
+          recommendations.push({ ...finding, type: 'FDA_UNRECOGNIZED_CLAIM', severity: 'INFO', message: validation.reason });
+          break;
+        default:
+          recommendations.push({ ...finding, type: 'FDA_VALID_CLAIM', severity: 'INFO', message: validation.reason });
+      }
+
+      // Claims above the 101.13(h) disclosure levels need a referral statement on the label
+      validation.disclosures?.forEach(disclosure => {
+        issues.push({
+          type: 'FDA_CLAIM_DISCLOSURE_REQUIRED',
+          severity: 'WARNING',
+          claim: validation.claim,
+          message: `"${validation.claim}" requires the statement "${disclosure.statement}" (${disclosure.reason})`,
+          source: disclosure.cfr,
+          sourceTag: 'FDA-CLAIMS',
+          timestamp: new Date().toISOString()
+        });
       });
-    }
+    });
 
     console.log(`✅ FDA claims validation completed in ${processingTime}ms`);
 
@@ -339,7 +299,8 @@ export async function validateNutritionalClaimsWithFDA(data) {
         issues: issues,
         recommendations: recommendations,
         processingTime: processingTime,
-        validatedAt: new Date().toISOString()
+        validatedAt: new Date().toISOString(),
+        cache: lookupCache
       }
     };
 
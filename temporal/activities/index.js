@@ -8,25 +8,32 @@ import { performOCR, preprocessImageForOCR, assessOCRQuality } from './ocr.js';
 // Import AI validation functions
 import { performAIValidation, correctOCRText, extractStructuredInfo } from './aiValidation.js';
 
+// Import compliance rule engine
+import { performComplianceCheck } from './compliance.js';
+
+// Import label segmentation
+import { segmentLabel } from './segmentation.js';
+
+// Import per-component validator activities
+import { planComponentValidation, runComponentValidator } from './componentValidation.js';
+
+// Import label persistence activities
+import { persistLabelResult, recordReviewRound, recordLabelApproval } from './persistence.js';
+
 // Export OCR functions
 export { performOCR, preprocessImageForOCR, assessOCRQuality };
 
 // Export AI validation functions
 export { performAIValidation, correctOCRText, extractStructuredInfo };
 
-/**
- * Perform compliance check against regulations
- */
-export async function performComplianceCheck(data) {
-  console.log('✅ Performing compliance check');
-  
-  // TODO: Implement regulatory compliance logic
-  // For now, return mock data
-  return {
-    compliant: true,
-    violations: [],
-    warnings: [],
-    score: 95,
-    checkedAt: new Date().toISOString()
-  };
-}
+// Export compliance rule engine
+export { performComplianceCheck };
+
+// Export label segmentation
+export { segmentLabel };
+
+// Export per-component validator activities
+export { planComponentValidation, runComponentValidator };
+
+// Export label persistence activities
+export { persistLabelResult, recordReviewRound, recordLabelApproval };
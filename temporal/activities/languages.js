@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * OCR language support
+ * Language packs are Tesseract .traineddata files, loaded from OCR_LANG_PATH
+ * when set (otherwise tesseract.js downloads them). Recognized blocks are
+ * tagged with their script and language so bilingual panels can be split.
+ */
+
+const range = (from, to) => String.fromCharCode(...Array.from({ length: to - from + 1 }, (_, i) => from + i));
+
+// ASCII plus Latin-1 Supplement and Latin Extended-A letters (accents, ñ, ß, œ, ...),
+// the Romanian comma-below letters and the symbols labels use for marks
+// (℮ estimated quantity, ℗, №), units (℃, ℉, ℓ) and fractions
+export const OCR_CHAR_WHITELIST = [
+  range(0x20, 0x7e),
+  range(0xa1, 0xff),
+  range(0x100, 0x17f),
+  'ȘșȚț',
+  'µμ™•–—‘’‚“”„…‰€℮℗№℃℉ℓ⅓⅔⅛'
+].join('');
+
+// Packs whose text the whitelist covers; any other pack (rus, ell, chi_sim,
+// vie, ...) needs characters outside it
+const LATIN_PACKS = [
+  'eng', 'fra', 'spa', 'deu', 'ita', 'por', 'nld', 'dan', 'swe', 'nor', 'fin', 'isl', 'pol', 'ces', 'slk',
+  'hun', 'ron', 'hrv', 'slv', 'est', 'lav', 'lit', 'tur', 'cat', 'glg', 'eus', 'gle', 'afr', 'ind', 'msa'
+];
+
+// Tesseract pack code of the default language for each non-Latin script
+const SCRIPT_LANGUAGES = {
+  Cyrillic: 'rus',
+  Greek: 'ell',
+  Arabic: 'ara',
+  Hebrew: 'heb',
+  Han: 'chi_sim',
+  Hiragana: 'jpn',
+  Katakana: 'jpn',
+  Hangul: 'kor',
+  Devanagari: 'hin',
+  Thai: 'tha'
+};
+
+const SCRIPT_PATTERNS = Object.fromEntries(
+  ['Latin', ...Object.keys(SCRIPT_LANGUAGES)].map(script => [script, new RegExp(`\\p{Script=${script}}`, 'gu')])
+);
+
+// Function words and label vocabulary for Latin-script languages
+const LATIN_LANGUAGE_HINTS = {
+  eng: {
+    words: ['the', 'and', 'of', 'with', 'contains', 'ingredients', 'serving', 'size', 'servings', 'per', 'container',
+      'calories', 'total', 'fat', 'sugars', 'added', 'includes', 'protein', 'daily', 'value', 'may', 'keep', 'store',
+      'net', 'wt', 'directions', 'warning', 'made', 'in', 'from', 'or', 'less', 'than', 'amount'],
+    characters: ''
+  },
+  fra: {
+    words: ['le', 'la', 'les', 'de', 'des', 'du', 'et', 'avec', 'pour', 'contient', 'ingrédients', 'valeur', 'nutritive',
+      'portion', 'lipides', 'glucides', 'sucres', 'protéines', 'quotidienne', 'saturés', 'fibres', 'conserver',
+      'poids', 'net', 'peut', 'contenir', 'teneur', 'ou', 'au', 'aux', 'une', 'un'],
+    characters: 'àâçèéêëîïôùûüÿœæ'
+  },
+  spa: {
+    words: ['el', 'la', 'los', 'las', 'de', 'del', 'y', 'con', 'para', 'contiene', 'ingredientes', 'información',
+      'nutricional', 'nutrimental', 'porción', 'porciones', 'grasa', 'grasas', 'azúcares', 'proteínas', 'sodio',
+      'fibra', 'calorías', 'envase', 'puede', 'contener', 'conservar', 'hecho', 'en', 'por', 'una', 'un', 'o'],
+    characters: 'ñáíóúü¿¡'
+  },
+  deu: {
+    words: ['der', 'die', 'das', 'und', 'mit', 'für', 'zutaten', 'enthält', 'nährwerte', 'fett', 'davon', 'zucker',
+      'eiweiß', 'salz', 'kohlenhydrate', 'ballaststoffe', 'kann', 'spuren', 'von', 'ist', 'ein', 'eine', 'oder'],
+    characters: 'äöüß'
+  },
+  ita: {
+    words: ['il', 'lo', 'la', 'gli', 'le', 'di', 'e', 'con', 'per', 'ingredienti', 'contiene', 'valori', 'nutrizionali',
+      'grassi', 'zuccheri', 'proteine', 'sale', 'fibre', 'può', 'contenere', 'tracce', 'conservare', 'una', 'uno'],
+    characters: 'àèéìòù'
+  },
+  por: {
+    words: ['o', 'a', 'os', 'as', 'de', 'do', 'da', 'e', 'com', 'para', 'ingredientes', 'contém', 'informação',
+      'nutricional', 'porção', 'gorduras', 'açúcares', 'proteínas', 'sódio', 'pode', 'conter', 'não', 'uma', 'um'],
+    characters: 'ãõçâêôáéíóú'
+  }
+};
+
+/**
+ * OCR language configuration from the environment
+ * OCR_LANGUAGES lists Tesseract pack codes ("eng+fra+spa"); OCR_LANG_PATH is a
+ * local directory of <lang>.traineddata or <lang>.traineddata.gz files.
+ */
+export function getOCRLanguageConfig(env = process.env) {
+  const languages = (env.OCR_LANGUAGES || 'eng').split(/[+,\s]+/).filter(Boolean);
+  if (!env.OCR_LANG_PATH) {
+    return { languages, langPath: null, workerOptions: {} };
+  }
+
+  const langPath = path.resolve(env.OCR_LANG_PATH);
+  const available = (suffix) => languages.every(lang => fs.existsSync(path.join(langPath, `${lang}.traineddata${suffix}`)));
+
+  // tesseract.js reads every pack with the same compression setting
+  let gzip;
+  if (available('')) {
+    gzip = false;
+  } else if (available('.gz')) {
+    gzip = true;
+  } else {
+    const missing = languages.filter(lang =>
+      !fs.existsSync(path.join(langPath, `${lang}.traineddata`)) &&
+      !fs.existsSync(path.join(langPath, `${lang}.traineddata.gz`)));
+    throw new Error(missing.length > 0
+      ? `Missing OCR language packs in ${langPath}: ${missing.join(', ')}`
+      : `OCR language packs in ${langPath} must be all .traineddata or all .traineddata.gz`);
+  }
+
+  return {
+    languages,
+    langPath,
+    // Packs are already local, so don't let tesseract.js copy them into its cache
+    workerOptions: { langPath, gzip, cacheMethod: 'none' }
+  };
+}
+
+/**
+ * Character whitelist for a set of packs, or null to leave Tesseract's
+ * whitelist unset so it can read every script the packs were trained on
+ */
+export function ocrCharWhitelist(languages) {
+  return languages.every(lang => LATIN_PACKS.includes(lang)) ? OCR_CHAR_WHITELIST : null;
+}
+
+/**
+ * Dominant Unicode script of a text ('Latin', 'Cyrillic', ...), or null without letters
+ */
+export function detectScript(text = '') {
+  let best = null;
+  let bestCount = 0;
+  for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+    const count = (text.match(pattern) || []).length;
+    if (count > bestCount) {
+      best = script;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Detect the language of a block of text
+ * Non-Latin scripts map straight to a language; Latin text is scored on
+ * function words, label vocabulary and language-specific letters.
+ * Returns { language, script, confidence } with language 'und' when unsure.
+ */
+export function detectLanguage(text = '') {
+  const script = detectScript(text);
+  if (!script) return { language: 'und', script: null, confidence: 0 };
+  if (script !== 'Latin') return { language: SCRIPT_LANGUAGES[script], script, confidence: 1 };
+
+  const lower = text.toLowerCase();
+  const tokens = lower.match(/\p{L}+/gu) || [];
+
+  const scores = Object.entries(LATIN_LANGUAGE_HINTS).map(([language, hints]) => {
+    const wordHits = tokens.filter(token => hints.words.includes(token)).length;
+    const characterHits = [...lower].filter(character => hints.characters.includes(character)).length;
+    return { language, score: wordHits + characterHits * 0.5 };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (best.score === 0) return { language: 'und', script, confidence: 0 };
+
+  return {
+    language: best.language,
+    script,
+    confidence: Math.round((best.score - runnerUp.score) / best.score * 100) / 100
+  };
+}
+
+/**
+ * Tag blocks with their language and group the text per language
+ * Blocks are { text, confidence, bbox } (blocks already tagged keep their
+ * language); languages lists the loaded packs so detections without a pack
+ * can be reported.
+ */
+export function analyzeLanguages(blocks, languages = []) {
+  const taggedBlocks = blocks
+    .filter(block => block.text && block.text.trim())
+    .map(block => ({ ...block, text: block.text.trim(), ...(block.language ? {} : detectLanguage(block.text)) }));
+
+  const textByLanguage = {};
+  const wordCounts = {};
+  for (const block of taggedBlocks) {
+    textByLanguage[block.language] = textByLanguage[block.language]
+      ? `${textByLanguage[block.language]}\n${block.text}`
+      : block.text;
+    wordCounts[block.language] = (wordCounts[block.language] || 0) + block.text.split(/\s+/).length;
+  }
+
+  const detectedLanguages = Object.keys(wordCounts)
+    .filter(language => language !== 'und')
+    .sort((a, b) => wordCounts[b] - wordCounts[a]);
+
+  return {
+    blocks: taggedBlocks,
+    detectedLanguages,
+    primaryLanguage: detectedLanguages[0] || languages[0] || 'und',
+    textByLanguage,
+    missingLanguagePacks: detectedLanguages.filter(language => !languages.includes(language))
+  };
+}
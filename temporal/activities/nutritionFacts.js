@@ -0,0 +1,284 @@
+/**
+ * Nutrition Facts arithmetic checker
+ * Recomputes % Daily Values from the 2016 reference values, checks calories
+ * against the 4/4/9 Atwater factors and verifies every declared amount is
+ * rounded the way 21 CFR 101.9(c) requires.
+ *
+ * Declared amounts are already rounded, so each check works on the interval
+ * of unrounded values that would round to the declared number and only flags
+ * values that no such amount could produce.
+ */
+
+// Daily Values for adults and children 4+ (21 CFR 101.9(c)(8)(iv) and (c)(9), 2016 rule)
+export const DAILY_VALUES = {
+  totalFat: { amount: 78, unit: 'g' },
+  saturatedFat: { amount: 20, unit: 'g' },
+  cholesterol: { amount: 300, unit: 'mg' },
+  sodium: { amount: 2300, unit: 'mg' },
+  totalCarbohydrate: { amount: 275, unit: 'g' },
+  dietaryFiber: { amount: 28, unit: 'g' },
+  addedSugars: { amount: 50, unit: 'g' },
+  protein: { amount: 50, unit: 'g' },
+  vitaminD: { amount: 20, unit: 'mcg' },
+  calcium: { amount: 1300, unit: 'mg' },
+  iron: { amount: 18, unit: 'mg' },
+  potassium: { amount: 4700, unit: 'mg' }
+};
+
+// Atwater factors (kcal per gram)
+export const ATWATER_FACTORS = { totalFat: 9, totalCarbohydrate: 4, protein: 4 };
+
+// Declared calories may differ from the 4/4/9 estimate by this much before
+// being flagged (fiber, sugar alcohols and specific factors under 101.9(c)(1)(i))
+const CALORIE_TOLERANCE = { percent: 10, kcal: 10 };
+
+// Rounding rules from 21 CFR 101.9(c): below `zero` declare 0; `lessThan`
+// ranges may be declared as "less than"; otherwise the first matching
+// band's increment applies.
+const G_FAT_RULE = { citation: '21 CFR 101.9(c)(2)', zero: 0.5, bands: [{ below: 5, step: 0.5 }, { step: 1 }] };
+const G_CARB_RULE = { citation: '21 CFR 101.9(c)(6)', zero: 0.5, lessThan: 1, bands: [{ step: 1 }] };
+const MG_SODIUM_RULE = { zero: 5, bands: [{ below: 140, step: 5 }, { step: 10 }] };
+
+export const ROUNDING_RULES = {
+  calories: { unit: 'kcal', citation: '21 CFR 101.9(c)(1)', zero: 5, bands: [{ below: 50, step: 5 }, { step: 10 }] },
+  totalFat: { unit: 'g', ...G_FAT_RULE },
+  saturatedFat: { unit: 'g', ...G_FAT_RULE, citation: '21 CFR 101.9(c)(2)(i)' },
+  transFat: { unit: 'g', ...G_FAT_RULE, citation: '21 CFR 101.9(c)(2)(ii)' },
+  cholesterol: { unit: 'mg', citation: '21 CFR 101.9(c)(3)', zero: 2, lessThan: 5, bands: [{ step: 5 }] },
+  sodium: { unit: 'mg', citation: '21 CFR 101.9(c)(4)', ...MG_SODIUM_RULE },
+  potassium: { unit: 'mg', citation: '21 CFR 101.9(c)(5)', ...MG_SODIUM_RULE },
+  totalCarbohydrate: { unit: 'g', ...G_CARB_RULE },
+  dietaryFiber: { unit: 'g', ...G_CARB_RULE, citation: '21 CFR 101.9(c)(6)(i)' },
+  totalSugars: { unit: 'g', ...G_CARB_RULE, citation: '21 CFR 101.9(c)(6)(ii)' },
+  addedSugars: { unit: 'g', ...G_CARB_RULE, citation: '21 CFR 101.9(c)(6)(iii)' },
+  protein: { unit: 'g', ...G_CARB_RULE, citation: '21 CFR 101.9(c)(7)' },
+  vitaminD: { unit: 'mcg', citation: '21 CFR 101.9(c)(8)(iii)', zero: 0, bands: [{ step: 0.1 }] },
+  calcium: { unit: 'mg', citation: '21 CFR 101.9(c)(8)(iii)', zero: 0, bands: [{ step: 10 }] },
+  iron: { unit: 'mg', citation: '21 CFR 101.9(c)(8)(iii)', zero: 0, bands: [{ step: 0.1 }] }
+};
+
+// Vitamins and minerals use stepped %DV increments (21 CFR 101.9(c)(8)(iii));
+// other nutrients are rounded to the nearest percent (21 CFR 101.9(d)(7)(ii))
+const MICRONUTRIENTS = ['vitaminD', 'calcium', 'iron', 'potassium'];
+
+const UNIT_FACTORS = { g: 1, mg: 1e-3, mcg: 1e-6, 'µg': 1e-6, ug: 1e-6 };
+
+const SEVERITY = {
+  calories: 'high',
+  dailyValue: 'medium',
+  rounding: 'low'
+};
+
+const EPSILON = 1e-9;
+
+const roundTo = (value, step) => Math.round(value / step + EPSILON) * step;
+const tidy = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Parse a declared amount such as "8g", "<1g", "160 mg" or 230
+ * Returns { value, lessThan } in the nutrient's unit, or null.
+ */
+export function parseDeclaredAmount(raw, unit) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw === 'number') return Number.isFinite(raw) ? { value: raw, lessThan: false } : null;
+
+  const text = String(raw).trim().toLowerCase();
+  const match = text.match(/(\d+(?:\.\d+)?)\s*(mcg|µg|ug|mg|g|kcal)?/);
+  if (!match) return null;
+
+  let value = parseFloat(match[1]);
+  const declaredUnit = match[2];
+  if (declaredUnit && UNIT_FACTORS[declaredUnit] && UNIT_FACTORS[unit] && declaredUnit !== unit) {
+    value = value * UNIT_FACTORS[declaredUnit] / UNIT_FACTORS[unit];
+  }
+
+  return { value, lessThan: /^(<|less than)/.test(text) };
+}
+
+/**
+ * Parse a declared percent such as "10%" or 10
+ */
+export function parsePercent(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw === 'number') return { value: raw, lessThan: false };
+
+  const text = String(raw).trim();
+  const match = text.match(/(\d+(?:\.\d+)?)/);
+  return match ? { value: parseFloat(match[1]), lessThan: /^(<|less than)/i.test(text) } : null;
+}
+
+/**
+ * Round an unrounded amount the way 21 CFR 101.9(c) requires
+ */
+export function roundNutrient(nutrient, amount) {
+  const rule = ROUNDING_RULES[nutrient];
+  if (!rule) return amount;
+  if (amount < rule.zero) return 0;
+
+  const band = rule.bands.find(b => b.below === undefined || amount < b.below);
+  return tidy(roundTo(amount, band.step));
+}
+
+/**
+ * Range [low, high] of unrounded amounts consistent with a declared amount
+ */
+export function unroundedRange(nutrient, declared) {
+  const rule = ROUNDING_RULES[nutrient];
+  if (!rule) return [declared.value, declared.value];
+
+  if (declared.value === 0) return [0, rule.zero];
+  if (declared.lessThan) return [rule.zero, declared.value];
+
+  const band = rule.bands.find(b => b.below === undefined || declared.value < b.below);
+  return [Math.max(0, declared.value - band.step / 2), declared.value + band.step / 2];
+}
+
+/**
+ * Round a % Daily Value for declaration
+ */
+export function roundPercentDV(nutrient, percent) {
+  if (!MICRONUTRIENTS.includes(nutrient)) return Math.round(percent + EPSILON);
+
+  if (percent < 2) return percent < 1 ? 0 : 2;
+  if (percent <= 10) return roundTo(percent, 2);
+  if (percent <= 50) return roundTo(percent, 5);
+  return roundTo(percent, 10);
+}
+
+/**
+ * Check that a declared value is one the rounding rule can produce
+ */
+function checkRounding(nutrient, declared) {
+  const rule = ROUNDING_RULES[nutrient];
+  if (!rule || declared.value === 0) return null;
+
+  if (declared.lessThan) {
+    return rule.lessThan && declared.value === rule.lessThan
+      ? null
+      : `"less than ${declared.value} ${rule.unit}" is not a permitted declaration`;
+  }
+
+  if (declared.value < rule.zero) {
+    return `${declared.value} ${rule.unit} must be declared as 0`;
+  }
+  if (rule.lessThan && declared.value < rule.lessThan) {
+    return `${declared.value} ${rule.unit} must be declared as 0 or "less than ${rule.lessThan} ${rule.unit}"`;
+  }
+
+  const expected = roundNutrient(nutrient, declared.value);
+  return Math.abs(expected - declared.value) > EPSILON
+    ? `${declared.value} ${rule.unit} is not rounded to the required increment (expected ${expected} ${rule.unit})`
+    : null;
+}
+
+/**
+ * Check a declared %DV against the range computed from the declared amount
+ */
+function checkDailyValue(nutrient, declared, declaredPercent) {
+  const [low, high] = unroundedRange(nutrient, declared);
+  const dv = DAILY_VALUES[nutrient].amount;
+  const lowPercent = roundPercentDV(nutrient, low / dv * 100);
+  const highPercent = roundPercentDV(nutrient, high / dv * 100);
+
+  // "<2%" style declarations cover everything that rounds below the threshold
+  if (declaredPercent.lessThan) {
+    return lowPercent < declaredPercent.value ? null : { lowPercent, highPercent };
+  }
+
+  return declaredPercent.value >= lowPercent && declaredPercent.value <= highPercent
+    ? null
+    : { lowPercent, highPercent };
+}
+
+/**
+ * Check a Nutrition Facts panel for arithmetic and rounding consistency
+ * nutritionalInfo uses the AI extraction keys (totalFat, totalFatDV, sodium, ...).
+ */
+export function checkNutritionFacts(nutritionalInfo = {}) {
+  const findings = [];
+  const declared = {};
+
+  for (const [nutrient, rule] of Object.entries(ROUNDING_RULES)) {
+    const amount = parseDeclaredAmount(nutritionalInfo[nutrient], rule.unit);
+    if (amount) declared[nutrient] = amount;
+  }
+
+  // Rounding of each declared amount
+  for (const [nutrient, amount] of Object.entries(declared)) {
+    const problem = checkRounding(nutrient, amount);
+    if (problem) {
+      findings.push({
+        type: 'ROUNDING',
+        nutrient,
+        severity: SEVERITY.rounding,
+        declared: nutritionalInfo[nutrient],
+        citation: ROUNDING_RULES[nutrient].citation,
+        message: `${nutrient}: ${problem}`
+      });
+    }
+  }
+
+  // % Daily Values recomputed from the 2016 reference values
+  for (const [nutrient, { amount: dv, unit }] of Object.entries(DAILY_VALUES)) {
+    const amount = declared[nutrient];
+    const percent = parsePercent(nutritionalInfo[`${nutrient}DV`]);
+    if (!amount || !percent) continue;
+
+    const mismatch = checkDailyValue(nutrient, amount, percent);
+    if (mismatch) {
+      const expected = mismatch.lowPercent === mismatch.highPercent
+        ? `${mismatch.lowPercent}%`
+        : `${mismatch.lowPercent}–${mismatch.highPercent}%`;
+      findings.push({
+        type: 'DV_MISMATCH',
+        nutrient,
+        severity: SEVERITY.dailyValue,
+        declared: nutritionalInfo[`${nutrient}DV`],
+        expected,
+        citation: '21 CFR 101.9(d)(7)(ii)',
+        message: `${nutrient}: declared ${nutritionalInfo[`${nutrient}DV`]} DV but ${nutritionalInfo[nutrient]} of a ${dv} ${unit} Daily Value is ${expected}`
+      });
+    }
+  }
+
+  // Calories against the 4/4/9 Atwater estimate
+  let calories = null;
+  const macros = ['totalFat', 'totalCarbohydrate', 'protein'];
+  if (declared.calories && macros.every(nutrient => declared[nutrient])) {
+    const ranges = Object.fromEntries(macros.map(nutrient => [nutrient, unroundedRange(nutrient, declared[nutrient])]));
+    const fiberHigh = declared.dietaryFiber ? unroundedRange('dietaryFiber', declared.dietaryFiber)[1] : 0;
+
+    // Low end lets fiber contribute no calories; high end counts all carbohydrate at 4 kcal/g
+    const low = ATWATER_FACTORS.totalFat * ranges.totalFat[0] +
+      ATWATER_FACTORS.totalCarbohydrate * Math.max(0, ranges.totalCarbohydrate[0] - fiberHigh) +
+      ATWATER_FACTORS.protein * ranges.protein[0];
+    const high = macros.reduce((sum, nutrient) => sum + ATWATER_FACTORS[nutrient] * ranges[nutrient][1], 0);
+
+    const [declaredLow, declaredHigh] = unroundedRange('calories', declared.calories);
+    const tolerance = Math.max(CALORIE_TOLERANCE.kcal, high * CALORIE_TOLERANCE.percent / 100);
+
+    calories = {
+      declared: declared.calories.value,
+      expectedRange: [Math.round(low), Math.round(high)]
+    };
+
+    if (declaredHigh < low - tolerance || declaredLow > high + tolerance) {
+      findings.push({
+        type: 'CALORIE_MISMATCH',
+        nutrient: 'calories',
+        severity: SEVERITY.calories,
+        declared: nutritionalInfo.calories,
+        expected: `${calories.expectedRange[0]}–${calories.expectedRange[1]}`,
+        citation: '21 CFR 101.9(c)(1)(i)',
+        message: `calories: declared ${declared.calories.value} kcal but fat, carbohydrate and protein give ${calories.expectedRange[0]}–${calories.expectedRange[1]} kcal (4/4/9)`
+      });
+    }
+  }
+
+  return {
+    consistent: findings.length === 0,
+    findings,
+    checkedNutrients: Object.keys(declared),
+    calories
+  };
+}
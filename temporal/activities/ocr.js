@@ -1,98 +1,183 @@
 import Tesseract from 'tesseract.js';
+import { ApplicationFailure } from '@temporalio/activity';
 import fs from 'fs/promises';
 import path from 'path';
+import { isPDFSource, loadPDFBytes, rasterizePDF } from './pdf.js';
+import { analyzeImage, applyPreprocessing, mapBoxToSource } from './preprocessing.js';
+import { loadLabelBytes } from './source.js';
+import { analyzeLanguages, getOCRLanguageConfig, ocrCharWhitelist } from './languages.js';
+import { getResultCache } from '../clients/resultCache.js';
+import { ACTIVITY_ERROR_TYPES, activityFailure, activityHeartbeat } from './errors.js';
 
 /**
  * OCR processing activity using Tesseract.js
- * Extracts text from label images for regulatory compliance analysis
+ * Extracts text from label images for regulatory compliance analysis.
+ * Labels with a contentHash (SHA-256 of the file bytes) go through the result
+ * cache, keyed by the hash, the language packs and the preprocessing plan;
+ * labelData.bypassCache forces a fresh run.
+ * Failures throw typed activity errors (see errors.js): images Tesseract
+ * can't decode are InvalidImage and are not retried, while download failures,
+ * language pack misconfiguration and any other OCR failure are retried.
+ * Recognition progress is sent as activity heartbeats.
  */
 export async function performOCR(labelData) {
+  if (!labelData.contentHash) {
+    return recognizeLabel(labelData);
+  }
+  
+  const { value, cache } = await getResultCache().resolve('ocr', {
+    contentHash: labelData.contentHash,
+    languages: process.env.OCR_LANGUAGES || null,
+    preprocessing: (labelData.preprocessing?.steps || []).filter(step => step.applied).map(step => step.name),
+    compareOriginal: process.env.OCR_PREPROCESS_COMPARE !== 'false'
+  }, () => recognizeLabel(labelData), { bypass: labelData.bypassCache });
+  
+  return { ...value, cache };
+}
+
+// What Tesseract's worker rejects with when it cannot decode the image it was given
+const TESSERACT_IMAGE_ERROR = /Error attempting to read image/;
+
+async function recognizeLabel(labelData) {
   console.log('📖 Starting OCR processing for:', labelData.filename);
   
   try {
     const startTime = Date.now();
     
-    // Configure Tesseract for optimal text extraction
-    const ocrConfig = {
-      logger: (m) => {
-        if (m.status === 'recognizing text') {
-          console.log(`📖 OCR Progress: ${Math.round(m.progress * 100)}%`);
-        }
-      },
-      // Optimize for regulatory text (clean, structured labels)
-      tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK,
-      tessedit_ocr_engine_mode: Tesseract.OEM.LSTM_ONLY,
-      // Improve accuracy for regulatory text
-      tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,;:%-()[]{}/"\'\\n\\t ',
-    };
+    // Heartbeats name the pass being recognized (a PDF page, the preprocessed or original image)
+    const heartbeat = activityHeartbeat();
+    let pass = 'loading';
     
-    let imageSource;
-    
-    // Handle different input types
-    if (labelData.imageUrl) {
-      // If it's a URL (S3 or external)
-      imageSource = labelData.imageUrl;
-      console.log('📖 Processing image from URL:', labelData.imageUrl);
-    } else if (labelData.imagePath) {
-      // If it's a local file path
-      imageSource = labelData.imagePath;
-      console.log('📖 Processing local image file:', labelData.imagePath);
-    } else if (labelData.imageBuffer) {
-      // If it's a buffer (from upload)
-      imageSource = labelData.imageBuffer;
-      console.log('📖 Processing image from buffer');
-    } else {
-      throw new Error('No valid image source provided (imageUrl, imagePath, or imageBuffer)');
+    // Language packs come from OCR_LANGUAGES / OCR_LANG_PATH; one worker serves every pass
+    let languageConfig;
+    try {
+      languageConfig = getOCRLanguageConfig();
+    } catch (error) {
+      throw activityFailure(ACTIVITY_ERROR_TYPES.OCR_ENGINE_UNAVAILABLE, `OCR language packs are misconfigured: ${error.message}`, error);
     }
+    const worker = await createOCRWorker(languageConfig, (progress) => heartbeat({ pass, ...progress }));
+    const recognize = async (image, name) => {
+      pass = name;
+      heartbeat({ pass, status: 'starting', progress: 0 });
+      try {
+        const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+        return flattenBlocks(data);
+      } catch (error) {
+        // The worker rejects with the error's text rather than the error
+        const message = error instanceof Error ? error.message : String(error);
+        if (TESSERACT_IMAGE_ERROR.test(message)) {
+          throw activityFailure(ACTIVITY_ERROR_TYPES.INVALID_IMAGE, `Could not read ${labelData.filename || 'label'} (${name}): ${message}`, error);
+        }
+        throw activityFailure(ACTIVITY_ERROR_TYPES.OCR_ENGINE_UNAVAILABLE, `OCR engine failed on ${name}: ${message}`, error);
+      }
+    };
     
-    // Perform OCR
-    console.log('📖 Running Tesseract OCR...');
-    const { data } = await Tesseract.recognize(imageSource, 'eng', ocrConfig);
-    
-    const processingTime = Date.now() - startTime;
+    let result;
     
-    // Extract additional metadata
-    const result = {
-      // Raw text extraction
-      text: data.text.trim(),
+    try {
+      if (isPDFSource(labelData)) {
+        // PDFs (e.g. front/back dielines) are rasterized locally and OCR'd page by page
+        console.log('📄 Processing PDF document:', labelData.filename);
+        const pages = await rasterizePDF(await loadPDFBytes(labelData));
       
-      // Confidence metrics
-      confidence: data.confidence / 100, // Convert to 0-1 scale
-      meanConfidence: data.confidence,
+        const pageResults = [];
+        for (const page of pages) {
+          console.log(`📖 Running Tesseract OCR on page ${page.pageNumber}/${pages.length}...`);
+          const data = await recognize(page.image, `page ${page.pageNumber}/${pages.length}`);
+          pageResults.push({
+            pageNumber: page.pageNumber,
+            width: page.width,
+            height: page.height,
+            ...buildPageResult(data, { languages: languageConfig.languages })
+          });
+        }
       
-      // Word-level details for quality assessment
-      words: (data.words || []).map(word => ({
-        text: word.text,
-        confidence: word.confidence,
-        bbox: word.bbox
-      })),
+        result = {
+          ...combinePageResults(pageResults),
+          sourceType: 'pdf',
+          pageCount: pageResults.length,
+          pages: pageResults
+        };
+      } else {
+        let imageSource;
       
+        // Handle different input types
+        if (labelData.imageUrl) {
+          // If it's a URL (S3 or external); downloaded here so download failures are typed
+          console.log('📖 Processing image from URL:', labelData.imageUrl);
+          imageSource = await loadLabelBytes(labelData);
+        } else if (labelData.imagePath) {
+          // If it's a local file path
+          imageSource = labelData.imagePath;
+          console.log('📖 Processing local image file:', labelData.imagePath);
+        } else if (labelData.imageBuffer) {
+          // If it's a buffer (from upload)
+          imageSource = labelData.imageBuffer;
+          console.log('📖 Processing image from buffer');
+        } else {
+          throw activityFailure(ACTIVITY_ERROR_TYPES.IMAGE_UNAVAILABLE, 'No valid image source provided (imageUrl, imagePath, or imageBuffer)');
+        }
+      
+        const plannedSteps = (labelData.preprocessing?.steps || []).filter(step => step.applied);
+      
+        if (plannedSteps.length > 0) {
+          // OCR the preprocessed image; also OCR the original so we can tell whether preprocessing helped
+          const processed = await applyPreprocessing(Buffer.isBuffer(imageSource) ? imageSource : await loadLabelBytes(labelData), labelData.preprocessing.steps);
+      
+          console.log(`📖 Running Tesseract OCR on preprocessed image (${plannedSteps.map(step => step.name).join(', ')})...`);
+          const processedData = await recognize(processed.image, 'preprocessed');
+          const preprocessedResult = buildPageResult(processedData, {
+            mapBox: (bbox) => mapBoxToSource(bbox, processed.transform),
+            languages: languageConfig.languages
+          });
+      
+          let originalResult = null;
+          if (process.env.OCR_PREPROCESS_COMPARE !== 'false') {
+            console.log('📖 Running Tesseract OCR on original image for comparison...');
+            const originalData = await recognize(imageSource, 'original');
+            originalResult = buildPageResult(originalData, { languages: languageConfig.languages });
+          }
+      
+          const useOriginal = !!originalResult && originalResult.confidence > preprocessedResult.confidence;
+          result = useOriginal ? originalResult : preprocessedResult;
+          result.preprocessing = {
+            steps: labelData.preprocessing.steps,
+            applied: plannedSteps.map(step => step.name),
+            originalConfidence: originalResult ? originalResult.confidence : null,
+            preprocessedConfidence: preprocessedResult.confidence,
+            improvement: originalResult ? preprocessedResult.confidence - originalResult.confidence : null,
+            used: useOriginal ? 'original' : 'preprocessed'
+          };
+          console.log(`🔧 Preprocessing ${useOriginal ? 'did not help; using original' : 'kept'} (${Math.round(preprocessedResult.confidence * 100)}% vs ${originalResult ? Math.round(originalResult.confidence * 100) + '%' : 'n/a'})`);
+        } else {
+          // Perform OCR
+          console.log('📖 Running Tesseract OCR...');
+          const data = await recognize(imageSource, 'image');
+          result = buildPageResult(data, { languages: languageConfig.languages });
+        }
+      }
+    } finally {
+      await worker.terminate();
+    }
+    
+    const processingTime = Date.now() - startTime;
+    
+    Object.assign(result, {
       // Processing metadata
       processingTime,
       filename: labelData.filename,
       imageSource: labelData.imageUrl || labelData.imagePath || 'buffer',
       
-      // Structured text analysis
-      lines: (data.lines || []).map(line => line.text.trim()).filter(line => line.length > 0),
-      totalWords: (data.words || []).length,
-      
-      // Quality indicators
-      lowConfidenceWords: (data.words || []).filter(word => word.confidence < 60).length,
-      averageWordConfidence: (data.words || []).length > 0 ? 
-        (data.words || []).reduce((sum, word) => sum + word.confidence, 0) / (data.words || []).length : 0,
-      
       // Timestamps
-      extractedAt: new Date().toISOString(),
-      
-      // Additional label-specific parsing
-      detectedSections: parseRegulatoryStructure(data.text)
-    };
+      extractedAt: new Date().toISOString()
+    });
     
     // Log OCR results
     console.log(`✅ OCR completed in ${processingTime}ms`);
     console.log(`📊 Text confidence: ${Math.round(result.confidence * 100)}%`);
     console.log(`📝 Extracted ${result.totalWords} words, ${result.lines.length} lines`);
     console.log(`⚠️  Low confidence words: ${result.lowConfidenceWords}`);
+    console.log(`🌐 Languages: ${result.detectedLanguages.join(', ') || 'undetermined'} (packs: ${languageConfig.languages.join('+')})`);
     
     // Preview extracted text (first 200 chars)
     const preview = result.text.length > 200 ? result.text.substring(0, 200) + '...' : result.text;
@@ -103,64 +188,314 @@ export async function performOCR(labelData) {
   } catch (error) {
     console.error('❌ OCR processing failed:', error.message);
     
-    return {
-      success: false,
-      error: error.message,
-      filename: labelData.filename,
-      processingTime: Date.now() - (labelData.startTime || Date.now()),
-      extractedAt: new Date().toISOString()
-    };
+    // Image, download and engine failures are already typed; anything else may pass on another attempt
+    if (error instanceof ApplicationFailure) throw error;
+    throw activityFailure(ACTIVITY_ERROR_TYPES.OCR_ENGINE_UNAVAILABLE, `OCR failed for ${labelData.filename || 'label'}: ${error.message}`, error);
   }
 }
 
 /**
- * Parse regulatory structure from OCR text
- * Identifies common regulatory sections like ingredients, warnings, etc.
+ * Create a Tesseract worker for the configured language packs
+ * Page segmentation is automatic so side-by-side language panels come back as
+ * separate blocks; with Latin-script packs the whitelist keeps accented
+ * letters and label symbols, other scripts are read without one.
+ * onProgress gets every Tesseract logger message ({ status, progress }), from
+ * loading language packs through recognition. Failing to start the worker is
+ * OCREngineUnavailable, which can be retried.
  */
-function parseRegulatoryStructure(text) {
-  const sections = {};
-  const lowerText = text.toLowerCase();
+async function createOCRWorker(languageConfig, onProgress = () => {}) {
+  try {
+    const worker = await Tesseract.createWorker(languageConfig.languages.join('+'), Tesseract.OEM.LSTM_ONLY, {
+      ...languageConfig.workerOptions,
+      logger: (m) => {
+        onProgress({ status: m.status, progress: m.progress });
+        if (m.status === 'recognizing text') {
+          console.log(`📖 OCR Progress: ${Math.round(m.progress * 100)}%`);
+        }
+      }
+    });
+    
+    const whitelist = ocrCharWhitelist(languageConfig.languages);
+    await worker.setParameters({
+      tessedit_pageseg_mode: Tesseract.PSM.AUTO,
+      ...(whitelist && { tessedit_char_whitelist: whitelist }),
+      preserve_interword_spaces: '1'
+    });
+    
+    return worker;
+  } catch (error) {
+    throw activityFailure(ACTIVITY_ERROR_TYPES.OCR_ENGINE_UNAVAILABLE, `Could not start the OCR engine: ${error.message}`, error);
+  }
+}
+
+/**
+ * Flatten Tesseract's block → paragraph → line → word tree into words and lines
+ * Results that already carry words/lines are passed through unchanged.
+ */
+function flattenBlocks(data) {
+  const blocks = data.blocks || [];
+  const lines = blocks.flatMap(block => (block.paragraphs || []).flatMap(paragraph => paragraph.lines || []));
+  
+  return {
+    ...data,
+    blocks,
+    words: data.words || lines.flatMap(line => line.words || []),
+    lines: data.lines || lines
+  };
+}
+
+/**
+ * Shape one Tesseract recognition (an image or a single PDF page) into an OCR result
+ * mapBox converts word boxes back to source image pixels when OCR ran on a
+ * preprocessed copy; languages are the loaded packs, for language detection.
+ */
+function buildPageResult(data, { mapBox = (bbox) => bbox, languages = [] } = {}) {
+  const words = (data.words || []).map(word => ({ ...word, bbox: word.bbox && mapBox(word.bbox) }));
+  
+  // Per-block language; without block layout the paragraphs of the text stand in for blocks
+  const blocks = data.blocks?.length > 0
+    ? data.blocks.map(block => ({ text: block.text, confidence: block.confidence, bbox: block.bbox && mapBox(block.bbox) }))
+    : data.text.split(/\n\s*\n/).map(text => ({ text, confidence: data.confidence, bbox: null }));
+  const languageAnalysis = analyzeLanguages(blocks, languages);
+  
+  const result = {
+    // Raw text extraction
+    text: data.text.trim(),
+    
+    // Confidence metrics
+    confidence: data.confidence / 100, // Convert to 0-1 scale
+    meanConfidence: data.confidence,
+    
+    // Word-level details for quality assessment
+    words: words.map(word => ({
+      text: word.text,
+      confidence: word.confidence,
+      bbox: word.bbox
+    })),
+    
+    // Structured text analysis
+    lines: (data.lines || []).map(line => line.text.trim()).filter(line => line.length > 0),
+    totalWords: words.length,
+    
+    // Quality indicators
+    lowConfidenceWords: words.filter(word => word.confidence < 60).length,
+    averageWordConfidence: words.length > 0 ?
+      words.reduce((sum, word) => sum + word.confidence, 0) / words.length : 0,
+    
+    // Whole-label region covered by recognized words
+    boundingBox: unionBoundingBox(words),
+    
+    // Text blocks tagged with script and language, and the text grouped per language
+    ...languageAnalysis,
+    
+    // Additional label-specific parsing
+    detectedSections: {},
+    sectionBoundingBoxes: {}
+  };
   
-  // Common regulatory patterns
-  const patterns = {
-    ingredients: /ingredients?[:\s-]*(.*?)(?=\n|$|directions|warnings|caution)/si,
-    directions: /directions?[:\s-]*(.*?)(?=\n|$|ingredients|warnings|caution)/si,
-    warnings: /warnings?[:\s-]*(.*?)(?=\n|$|ingredients|directions)/si,
-    caution: /caution[:\s-]*(.*?)(?=\n|$|ingredients|directions|warnings)/si,
-    dosage: /dosage[:\s-]*(.*?)(?=\n|$|ingredients|directions|warnings)/si,
-    activeIngredients: /active ingredients?[:\s-]*(.*?)(?=\n|$|inactive|directions)/si,
-    inactiveIngredients: /inactive ingredients?[:\s-]*(.*?)(?=\n|$|active|directions)/si
+  // Regulatory sections with the label region their words cover
+  for (const section of detectRegulatorySections(data.text, words)) {
+    result.detectedSections[section.name] = section.text;
+    if (section.boundingBox) {
+      result.sectionBoundingBoxes[section.name] = section.boundingBox;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Combine per-page OCR results into one document-level result
+ * Words, blocks and boxes carry their 1-based page number; a section found on
+ * several pages has its text joined in page order and keeps the box from its first page.
+ */
+export function combinePageResults(pages) {
+  const words = pages.flatMap(page => page.words.map(word => ({ ...word, page: page.pageNumber })));
+  const blocks = pages.flatMap(page => (page.blocks || []).map(block => ({ ...block, page: page.pageNumber })));
+  const totalWords = words.length;
+  
+  // Weight page confidence by word count so blank panels don't drag the score down
+  const confidence = totalWords > 0
+    ? pages.reduce((sum, page) => sum + page.confidence * page.totalWords, 0) / totalWords
+    : pages.reduce((sum, page) => sum + page.confidence, 0) / (pages.length || 1);
+  
+  const combined = {
+    text: pages.map(page => page.text).filter(Boolean).join('\n\n'),
+    confidence,
+    meanConfidence: confidence * 100,
+    words,
+    lines: pages.flatMap(page => page.lines),
+    totalWords,
+    lowConfidenceWords: pages.reduce((sum, page) => sum + page.lowConfidenceWords, 0),
+    averageWordConfidence: totalWords > 0
+      ? words.reduce((sum, word) => sum + word.confidence, 0) / totalWords
+      : 0,
+    boundingBox: null,
+    ...analyzeLanguages(blocks),
+    missingLanguagePacks: [...new Set(pages.flatMap(page => page.missingLanguagePacks || []))],
+    detectedSections: {},
+    sectionBoundingBoxes: {}
   };
   
-  // Extract sections
-  for (const [section, pattern] of Object.entries(patterns)) {
-    const match = lowerText.match(pattern);
-    if (match && match[1]) {
-      sections[section] = match[1].trim();
+  for (const page of pages) {
+    if (!combined.boundingBox && page.boundingBox) {
+      combined.boundingBox = { ...page.boundingBox, page: page.pageNumber };
+    }
+    
+    for (const [name, text] of Object.entries(page.detectedSections)) {
+      combined.detectedSections[name] = combined.detectedSections[name]
+        ? `${combined.detectedSections[name]}\n${text}`
+        : text;
+      
+      const box = page.sectionBoundingBoxes[name];
+      if (box && !combined.sectionBoundingBoxes[name]) {
+        combined.sectionBoundingBoxes[name] = { ...box, page: page.pageNumber };
+      }
     }
   }
   
+  return combined;
+}
+
+// Common regulatory section patterns, matched against lower-cased OCR text
+const SECTION_PATTERNS = {
+  ingredients: /ingredients?[:\s-]*(.*?)(?=\n|$|directions|warnings|caution)/sid,
+  directions: /directions?[:\s-]*(.*?)(?=\n|$|ingredients|warnings|caution)/sid,
+  warnings: /warnings?[:\s-]*(.*?)(?=\n|$|ingredients|directions)/sid,
+  caution: /caution[:\s-]*(.*?)(?=\n|$|ingredients|directions|warnings)/sid,
+  dosage: /dosage[:\s-]*(.*?)(?=\n|$|ingredients|directions|warnings)/sid,
+  activeIngredients: /active ingredients?[:\s-]*(.*?)(?=\n|$|inactive|directions)/sid,
+  inactiveIngredients: /inactive ingredients?[:\s-]*(.*?)(?=\n|$|active|directions)/sid,
+  // The nutrition panel spans several lines, so it runs until the next section heading
+  nutritionFacts: /nutrition facts[:\s-]*(.*?)(?=ingredients?\b|directions|warnings?\b|caution|$)/sid
+};
+
+/**
+ * Parse regulatory structure from OCR text
+ * Identifies common regulatory sections like ingredients, warnings, etc.
+ */
+export function parseRegulatoryStructure(text) {
+  return Object.fromEntries(
+    detectRegulatorySections(text).map(section => [section.name, section.text])
+  );
+}
+
+/**
+ * Detect regulatory sections and map each onto the words that produced it
+ * Returns [{ name, text, start, end, boundingBox, confidence, wordCount }],
+ * where boundingBox is {x, y, width, height} in image pixels (null without word boxes).
+ */
+export function detectRegulatorySections(text = '', words = []) {
+  const lowerText = text.toLowerCase();
+  const locatedWords = locateWords(text, words);
+  const sections = [];
+  
+  for (const [name, pattern] of Object.entries(SECTION_PATTERNS)) {
+    const match = pattern.exec(lowerText);
+    if (!match || !match[1] || !match[1].trim()) continue;
+    
+    // Offsets of the heading through the end of the section body
+    const start = match.index;
+    const [bodyStart, bodyEnd] = match.indices[1];
+    const sectionWords = locatedWords.filter(word => word.start < bodyEnd && word.end > start);
+    
+    sections.push({
+      name,
+      text: text.slice(bodyStart, bodyEnd).trim(),
+      start,
+      end: bodyEnd,
+      boundingBox: unionBoundingBox(sectionWords),
+      confidence: sectionWords.length > 0
+        ? sectionWords.reduce((sum, word) => sum + word.confidence, 0) / sectionWords.length / 100
+        : null,
+      wordCount: sectionWords.length
+    });
+  }
+  
   return sections;
 }
 
 /**
- * OCR preprocessing activity - handles image optimization before OCR
+ * Align Tesseract words with character offsets in the recognized text
+ * Words are emitted in reading order, so each search resumes after the previous hit.
+ */
+function locateWords(text, words) {
+  const located = [];
+  let cursor = 0;
+  
+  for (const word of words) {
+    if (!word.text || !word.bbox) continue;
+    
+    const index = text.indexOf(word.text, cursor);
+    if (index === -1) continue;
+    
+    located.push({ ...word, start: index, end: index + word.text.length });
+    cursor = index + word.text.length;
+  }
+  
+  return located;
+}
+
+/**
+ * Smallest box containing every word bbox ({x0, y0, x1, y1} from Tesseract)
+ */
+export function unionBoundingBox(words) {
+  const boxes = words.map(word => word.bbox).filter(Boolean);
+  if (boxes.length === 0) return null;
+  
+  const x0 = Math.min(...boxes.map(box => box.x0));
+  const y0 = Math.min(...boxes.map(box => box.y0));
+  const x1 = Math.max(...boxes.map(box => box.x1));
+  const y1 = Math.max(...boxes.map(box => box.y1));
+  
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+/**
+ * OCR preprocessing activity - plans image cleanup before OCR
+ * Analyzes resolution, skew and lighting and records the steps to apply
+ * (upscale, grayscale, illumination correction, deskew, adaptive threshold).
+ * performOCR replays the plan on the original image, so only the plan travels
+ * through the workflow.
  */
 export async function preprocessImageForOCR(labelData) {
   console.log('🔧 Preprocessing image for OCR:', labelData.filename);
   
+  // PDF pages are rendered at OCR resolution when they are rasterized
+  if (isPDFSource(labelData)) {
+    return {
+      ...labelData,
+      preprocessed: false,
+      preprocessing: { steps: [], skipped: 'PDF pages are rasterized at OCR resolution' },
+      preprocessedAt: new Date().toISOString()
+    };
+  }
+  
   try {
-    // For now, return the original data
-    // TODO: Add image preprocessing (contrast, noise reduction, etc.)
+    const analysis = await analyzeImage(await loadLabelBytes(labelData));
+    const applied = analysis.steps.filter(step => step.applied);
+    
+    console.log(`🔧 Preprocessing plan: ${applied.map(step => `${step.name} (${step.reason})`).join(', ')}`);
+    
     return {
       ...labelData,
       preprocessed: true,
+      preprocessing: {
+        source: { width: analysis.width, height: analysis.height, density: analysis.density },
+        steps: analysis.steps
+      },
       preprocessedAt: new Date().toISOString()
     };
     
   } catch (error) {
+    // OCR can still run on the original image
     console.error('❌ Image preprocessing failed:', error.message);
-    throw error;
+    return {
+      ...labelData,
+      preprocessed: false,
+      preprocessing: { steps: [], error: error.message },
+      preprocessedAt: new Date().toISOString()
+    };
   }
 }
 
@@ -199,6 +534,30 @@ export async function assessOCRQuality(ocrResult) {
       assessment.recommendations.push('Check if image contains readable text');
     }
     
+    // Text in a language whose pack wasn't loaded is read with the wrong model
+    if (ocrResult.missingLanguagePacks?.length > 0) {
+      assessment.issues.push(`Text detected in languages without a loaded pack: ${ocrResult.missingLanguagePacks.join(', ')}`);
+      assessment.recommendations.push(`Add ${ocrResult.missingLanguagePacks.join('+')} to OCR_LANGUAGES and re-run OCR`);
+    }
+    
+    // Before/after confidence of the preprocessing pipeline
+    if (ocrResult.preprocessing) {
+      const { applied, originalConfidence, preprocessedConfidence, improvement, used } = ocrResult.preprocessing;
+      assessment.preprocessing = {
+        stepsApplied: applied,
+        originalConfidence,
+        preprocessedConfidence,
+        improvement,
+        helped: improvement === null ? null : improvement > 0,
+        used
+      };
+      
+      if (improvement !== null && improvement <= 0) {
+        assessment.issues.push('Image preprocessing did not improve OCR confidence');
+        assessment.recommendations.push('Re-capture the label with even lighting and the camera square to the panel');
+      }
+    }
+    
     console.log(`✅ OCR quality assessment: ${assessment.overall} (${Math.round(assessment.confidence * 100)}%)`);
     
     return {
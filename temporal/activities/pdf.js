@@ -0,0 +1,81 @@
+import { createRequire } from 'module';
+import path from 'path';
+import { loadLabelBytes, toBuffer } from './source.js';
+
+const require = createRequire(import.meta.url);
+
+// Tesseract works best on ~300 DPI input; PDF user space is 72 units per inch
+const DEFAULT_PDF_DPI = 300;
+const DEFAULT_PDF_MAX_PAGES = 20;
+
+/**
+ * Whether a label source is a PDF rather than an image
+ * Buffers are sniffed for the %PDF- signature; paths and URLs fall back to
+ * the declared content type and file extension.
+ */
+export function isPDFSource(labelData = {}) {
+  if (labelData.imageBuffer) {
+    return toBuffer(labelData.imageBuffer).subarray(0, 5).toString('latin1') === '%PDF-';
+  }
+  if (labelData.contentType === 'application/pdf') return true;
+
+  const name = labelData.imagePath || labelData.filename || '';
+  return path.extname(name).toLowerCase() === '.pdf';
+}
+
+/**
+ * Read PDF bytes from a buffer, local path or URL
+ */
+export async function loadPDFBytes(labelData) {
+  return new Uint8Array(await loadLabelBytes(labelData));
+}
+
+/**
+ * Rasterize every page of a PDF to PNG locally with pdf.js
+ * Returns [{ pageNumber, width, height, image }] where image is a PNG Buffer.
+ * OCR_PDF_DPI and OCR_PDF_MAX_PAGES override the render resolution and page cap.
+ */
+export async function rasterizePDF(data, {
+  dpi = Number(process.env.OCR_PDF_DPI) || DEFAULT_PDF_DPI,
+  maxPages = Number(process.env.OCR_PDF_MAX_PAGES) || DEFAULT_PDF_MAX_PAGES
+} = {}) {
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const fontDir = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/');
+
+  const document = await getDocument({
+    data,
+    standardFontDataUrl: fontDir,
+    verbosity: 0
+  }).promise;
+
+  try {
+    if (document.numPages > maxPages) {
+      throw new Error(`PDF has ${document.numPages} pages; at most ${maxPages} are supported`);
+    }
+
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: dpi / 72 });
+      const { canvas, context } = document.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+      // White backdrop so transparent PDFs don't rasterize to black
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport, canvas }).promise;
+
+      pages.push({
+        pageNumber,
+        width: canvas.width,
+        height: canvas.height,
+        image: canvas.toBuffer('image/png')
+      });
+      page.cleanup();
+    }
+
+    console.log(`📄 Rasterized ${pages.length} PDF page(s) at ${dpi} DPI`);
+    return pages;
+  } finally {
+    await document.destroy();
+  }
+}
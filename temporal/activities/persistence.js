@@ -0,0 +1,79 @@
+import { getPrismaClient } from '../clients/database.js';
+import { persistValidationRun } from '../../backend/src/labelProjects.js';
+import { recordLabelApproval as saveLabelApproval, recordReviewRound as saveReviewRound } from '../../backend/src/labelReview.js';
+
+/**
+ * Label persistence activities
+ * Workflows write their results, review rounds and approval into the
+ * placeholder LabelProject the backend created when it started them, so they
+ * reach the database whether or not anyone polls the run's status. Runs
+ * without a project (synchronous /ocr-validate calls, scripts) are left alone.
+ */
+
+/**
+ * Placeholder project of a workflow run: by id when the backend passed one, else by workflow id
+ * Retried batch items run under a new workflow id, so the project is pointed at the latest run.
+ */
+export async function findRunProject(prisma, { projectId, workflowId }) {
+  if (!projectId && !workflowId) return null;
+
+  const project = projectId
+    ? await prisma.labelProject.findUnique({ where: { id: projectId } })
+    : await prisma.labelProject.findUnique({ where: { workflowId } });
+  if (project && workflowId && project.workflowId !== workflowId) {
+    return prisma.labelProject.update({ where: { id: project.id }, data: { workflowId } });
+  }
+  return project;
+}
+
+/**
+ * Persist a completed run that does not wait for review
+ * Returns { projectId, issueCount }, or null when the run has no project or
+ * an earlier attempt of this activity already filled it in.
+ */
+export async function persistLabelResult({ projectId, workflowId, result }) {
+  const prisma = await getPrismaClient();
+  const project = await findRunProject(prisma, { projectId, workflowId });
+  if (!project) return null;
+
+  const persisted = await persistValidationRun(prisma, {
+    projectId: project.id,
+    ocrResult: result.ocrResult,
+    aiValidation: result.validationResult,
+    complianceResult: result.complianceResult,
+    validatorRuns: result.validatorRuns || []
+  });
+  if (!persisted) return null;
+
+  console.log(`💾 Workflow ${workflowId} saved to LabelProject ${project.id} (${persisted.issues.length} issues)`);
+  return { projectId: project.id, issueCount: persisted.issues.length };
+}
+
+/**
+ * Record a validation round that is about to wait for review
+ * Returns { round, issues: [{ id, status }] } for the workflow to track, or
+ * null when the run has no project to record into.
+ */
+export async function recordReviewRound({ projectId, workflowId, round, result }) {
+  const prisma = await getPrismaClient();
+  const project = await findRunProject(prisma, { projectId, workflowId });
+  if (!project) return null;
+
+  const issues = await saveReviewRound(prisma, { projectId: project.id, round, result });
+  console.log(`💾 Workflow ${workflowId} round ${round} saved to LabelProject ${project.id} (${issues.length} issues for review)`);
+  return { round, issues };
+}
+
+/**
+ * Record the final approval (the "Green Check") of a reviewed label
+ * Returns { projectId, status }, or null when the run has no project.
+ */
+export async function recordLabelApproval({ projectId, workflowId, approval }) {
+  const prisma = await getPrismaClient();
+  const project = await findRunProject(prisma, { projectId, workflowId });
+  if (!project) return null;
+
+  const approved = await saveLabelApproval(prisma, { projectId: project.id });
+  console.log(`✅ LabelProject ${project.id} approved (review round ${approval.round})`);
+  return { projectId: approved.id, status: approved.status };
+}
@@ -0,0 +1,401 @@
+import sharp from 'sharp';
+
+/**
+ * Image preprocessing for OCR
+ * analyzeImage inspects a label image and plans the steps it needs;
+ * applyPreprocessing replays that plan on the original bytes. Keeping the plan
+ * separate means workflows only carry a few numbers between activities, not
+ * a second copy of the image.
+ */
+
+export const TARGET_DPI = 300;
+
+// Images without DPI metadata are upscaled until the long edge reaches this size
+const MIN_LONG_EDGE = 2000;
+const MAX_LONG_EDGE = 5000;
+const MAX_UPSCALE = 4;
+const MIN_UPSCALE = 1.25;
+// Cameras and most editors write 72 DPI regardless of the real resolution
+const DEFAULT_DENSITY = 72;
+
+// Long edge of the downscaled copies used for analysis and background estimation
+const ANALYSIS_SIZE = 600;
+const BACKGROUND_SIZE = 300;
+
+// Deskew search range and the smallest angle worth correcting (degrees)
+const SKEW_RANGE = 10;
+const MIN_SKEW = 0.3;
+
+// Saturated pixels count as glare unless the label stock itself is white
+const GLARE_LEVEL = 250;
+const PAPER_WHITE = 235;
+const GLARE_RATIO = 0.01;
+// Spread of background brightness (0-1) that indicates shading from curved packaging
+const UNEVEN_LIGHTING = 0.2;
+
+// Bradley-Roth threshold: pixels this much darker than their neighbourhood mean become ink
+const THRESHOLD_SENSITIVITY = 0.15;
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const oddAtLeast = (value, min) => Math.max(min, Math.round(value) | 1);
+
+/**
+ * Decode to single-channel 8-bit pixels, honouring EXIF orientation
+ */
+async function toGrayRaw(bytes, { resizeTo } = {}) {
+  let image = sharp(bytes).rotate().flatten({ background: WHITE });
+  if (resizeTo) image = image.resize(resizeTo);
+
+  const { data, info } = await image.greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Smooth brightness map of the page with the text removed
+ * Takes a high percentile per block (text is a minority of any block) and
+ * interpolates the block grid back to full size.
+ */
+async function estimateBackground({ data, width, height }) {
+  const scale = Math.min(1, BACKGROUND_SIZE / Math.max(width, height));
+  const { data: small, info } = await sharp(data, { raw: { width, height, channels: 1 } })
+    .resize(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)), { fit: 'fill' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const block = Math.max(4, Math.round(Math.max(info.width, info.height) / 30));
+  const columns = Math.ceil(info.width / block);
+  const rows = Math.ceil(info.height / block);
+  const grid = Buffer.alloc(columns * rows);
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const values = [];
+      for (let y = row * block; y < Math.min(info.height, (row + 1) * block); y++) {
+        for (let x = column * block; x < Math.min(info.width, (column + 1) * block); x++) {
+          values.push(small[y * info.width + x]);
+        }
+      }
+      values.sort((a, b) => a - b);
+      grid[row * columns + column] = values[Math.floor(values.length * 0.9)];
+    }
+  }
+
+  let background = sharp(grid, { raw: { width: columns, height: rows, channels: 1 } });
+  if (columns > 2 && rows > 2) background = background.blur(1);
+  return background
+    .resize(width, height, { fit: 'fill', kernel: 'cubic' })
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Otsu threshold of an 8-bit grayscale buffer
+ */
+function otsuThreshold(data) {
+  const histogram = new Array(256).fill(0);
+  for (const value of data) histogram[value]++;
+
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = { threshold: 127, variance: -1 };
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = data.length - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > best.variance) best = { threshold: t, variance };
+  }
+  return best.threshold;
+}
+
+/**
+ * Estimate how far text lines are rotated clockwise (degrees)
+ * Projection-profile search: ink projected along the true line direction
+ * piles into a few sharp rows, which maximizes the sum of squared row counts.
+ */
+export function estimateSkewAngle({ data, width, height }) {
+  const threshold = otsuThreshold(data);
+  const ink = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] < threshold) ink.push(x, y);
+    }
+  }
+  if (ink.length < 200) return 0;
+
+  const score = (angle) => {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const offset = width + height;
+    const rows = new Float64Array(2 * offset + 1);
+    for (let i = 0; i < ink.length; i += 2) {
+      rows[Math.round(ink[i + 1] * cos - ink[i] * sin) + offset]++;
+    }
+    return rows.reduce((total, count) => total + count * count, 0);
+  };
+
+  const search = (from, to, step) => {
+    let best = { angle: 0, score: score(0) };
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const value = score(angle);
+      if (value > best.score) best = { angle, score: value };
+    }
+    return best.angle;
+  };
+
+  // Coarse pass over the full range, then refine around the best angle
+  const coarse = search(-SKEW_RANGE, SKEW_RANGE, 0.5);
+  return round2(search(coarse - 0.5, coarse + 0.5, 0.1));
+}
+
+/**
+ * Glare, shading and curvature indicators from the pixels and background map
+ */
+function measureIllumination(sample, background) {
+  const { data, width } = sample;
+  const sorted = Float64Array.from(background).sort();
+  const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+  let glarePixels = 0;
+  if (percentile(0.5) < PAPER_WHITE) {
+    for (const value of data) {
+      if (value >= GLARE_LEVEL) glarePixels++;
+    }
+  }
+
+  // A cylinder lit from the front is brighter in the middle columns than at the edges
+  const columnMean = (from, to) => {
+    let total = 0;
+    let count = 0;
+    for (let i = 0; i < background.length; i++) {
+      const x = i % width;
+      if (x >= from && x < to) {
+        total += background[i];
+        count++;
+      }
+    }
+    return count ? total / count : 0;
+  };
+  const third = Math.floor(width / 3);
+  const edges = (columnMean(0, third) + columnMean(width - third, width)) / 2;
+  const centre = columnMean(third, width - third);
+
+  return {
+    glareRatio: round2(glarePixels / data.length),
+    unevenness: round2((percentile(0.95) - percentile(0.05)) / 255),
+    curvatureSuspected: Math.abs(centre - edges) / 255 >= UNEVEN_LIGHTING / 2
+  };
+}
+
+/**
+ * Inspect an image and plan the preprocessing it needs
+ * Returns { width, height, density, steps: [{ name, applied, reason, params }] }.
+ */
+export async function analyzeImage(bytes) {
+  const metadata = await sharp(bytes).metadata();
+  const { width, height } = metadata.autoOrient || metadata;
+  const longEdge = Math.max(width, height);
+
+  const sample = await toGrayRaw(bytes, {
+    resizeTo: longEdge > ANALYSIS_SIZE ? { width: ANALYSIS_SIZE, height: ANALYSIS_SIZE, fit: 'inside' } : undefined
+  });
+  const background = await estimateBackground(sample);
+  const illumination = measureIllumination(sample, background);
+  const skewAngle = estimateSkewAngle(sample);
+
+  const density = metadata.density && metadata.density !== DEFAULT_DENSITY ? metadata.density : null;
+  const factor = density ? TARGET_DPI / density : MIN_LONG_EDGE / longEdge;
+  const upscale = round2(Math.min(MAX_UPSCALE, MAX_LONG_EDGE / longEdge, factor));
+  const glare = illumination.glareRatio >= GLARE_RATIO;
+  const uneven = illumination.unevenness >= UNEVEN_LIGHTING;
+
+  const steps = [
+    {
+      name: 'upscale',
+      applied: upscale >= MIN_UPSCALE,
+      reason: density
+        ? `${density} DPI source, ${TARGET_DPI} DPI target`
+        : `no reliable DPI metadata; ${longEdge}px long edge`,
+      params: { factor: upscale >= MIN_UPSCALE ? upscale : 1, sourceDpi: density, targetDpi: TARGET_DPI }
+    },
+    {
+      name: 'grayscale',
+      applied: true,
+      reason: 'OCR works on luminance only',
+      params: {}
+    },
+    {
+      name: 'illuminationCorrection',
+      applied: glare || uneven,
+      reason: [
+        glare && 'glare hotspots',
+        uneven && (illumination.curvatureSuspected ? 'shading from curved packaging' : 'uneven lighting')
+      ].filter(Boolean).join(', ') || 'even lighting',
+      params: illumination
+    },
+    {
+      name: 'deskew',
+      applied: Math.abs(skewAngle) >= MIN_SKEW,
+      reason: `text rotated ${skewAngle}°`,
+      params: { angle: skewAngle }
+    },
+    {
+      name: 'adaptiveThreshold',
+      applied: true,
+      reason: 'binarize against local background',
+      params: { sensitivity: THRESHOLD_SENSITIVITY }
+    }
+  ];
+
+  return {
+    width,
+    height,
+    density,
+    steps
+  };
+}
+
+/**
+ * Divide out the background so glare and shading flatten to white
+ */
+async function correctIllumination(image) {
+  const background = await estimateBackground(image);
+  const data = Buffer.alloc(image.data.length);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.min(255, Math.round(image.data[i] / Math.max(background[i], 1) * 255));
+  }
+  return { ...image, data };
+}
+
+/**
+ * Rotate counter to the measured skew, padding with white
+ */
+async function rotate(image, angle) {
+  const { data, info } = await sharp(image.data, { raw: { width: image.width, height: image.height, channels: 1 } })
+    .rotate(-angle, { background: WHITE })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Bradley-Roth adaptive threshold using an integral image
+ */
+function adaptiveThreshold({ data, width, height }, sensitivity) {
+  const window = oddAtLeast(Math.max(width, height) / 25, 15);
+  const half = Math.floor(window / 2);
+  const integral = new Float64Array((width + 1) * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += data[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const output = Buffer.alloc(data.length);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] -
+        integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      output[y * width + x] = data[y * width + x] < mean * (1 - sensitivity) ? 0 : 255;
+    }
+  }
+
+  return { data: output, width, height, window };
+}
+
+/**
+ * Apply planned preprocessing steps to the original image bytes
+ * Returns { image, width, height, transform } where image is a single-channel
+ * PNG Buffer and transform maps coordinates back to the source (see mapBoxToSource).
+ */
+export async function applyPreprocessing(bytes, steps) {
+  const planned = Object.fromEntries(steps.filter(step => step.applied).map(step => [step.name, step]));
+  const metadata = await sharp(bytes).metadata();
+  const { width } = metadata.autoOrient || metadata;
+
+  let image = await toGrayRaw(bytes, {
+    resizeTo: planned.upscale
+      ? { width: Math.round(width * planned.upscale.params.factor), kernel: 'lanczos3' }
+      : undefined
+  });
+  const transform = {
+    scale: image.width / width,
+    angle: 0,
+    scaledWidth: image.width,
+    scaledHeight: image.height,
+    outputWidth: image.width,
+    outputHeight: image.height
+  };
+
+  if (planned.illuminationCorrection) {
+    image = await correctIllumination(image);
+  }
+  if (planned.deskew) {
+    image = await rotate(image, planned.deskew.params.angle);
+    transform.angle = planned.deskew.params.angle;
+  }
+  if (planned.adaptiveThreshold) {
+    image = adaptiveThreshold(image, planned.adaptiveThreshold.params.sensitivity);
+  }
+  transform.outputWidth = image.width;
+  transform.outputHeight = image.height;
+
+  const png = await sharp(image.data, { raw: { width: image.width, height: image.height, channels: 1 } })
+    .toColourspace('b-w')
+    .png()
+    .toBuffer();
+
+  return { image: png, width: image.width, height: image.height, transform };
+}
+
+/**
+ * Map a Tesseract bbox ({x0, y0, x1, y1}) on the preprocessed image back to
+ * source image pixels, undoing the deskew rotation and the upscale
+ */
+export function mapBoxToSource(bbox, transform) {
+  if (!bbox || !transform) return bbox;
+
+  const radians = transform.angle * Math.PI / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const corners = [[bbox.x0, bbox.y0], [bbox.x1, bbox.y0], [bbox.x0, bbox.y1], [bbox.x1, bbox.y1]].map(([x, y]) => {
+    // The output was rotated counter-clockwise about its centre; rotate back clockwise
+    const dx = x - transform.outputWidth / 2;
+    const dy = y - transform.outputHeight / 2;
+    return [
+      (dx * cos - dy * sin + transform.scaledWidth / 2) / transform.scale,
+      (dx * sin + dy * cos + transform.scaledHeight / 2) / transform.scale
+    ];
+  });
+
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  return {
+    x0: Math.max(0, Math.round(Math.min(...xs))),
+    y0: Math.max(0, Math.round(Math.min(...ys))),
+    x1: Math.round(Math.max(...xs)),
+    y1: Math.round(Math.max(...ys))
+  };
+}
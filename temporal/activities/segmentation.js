@@ -0,0 +1,92 @@
+/**
+ * Label segmentation
+ * Splits an OCR result into LabelComponents (ingredient list, nutrition panel,
+ * ...) that validators run on. The backend persists the same rows as
+ * LabelComponent records.
+ */
+
+// detectedSections key → LabelComponent.type
+export const SECTION_COMPONENT_TYPES = {
+  ingredients: 'ingredient_list',
+  activeIngredients: 'ingredient_list',
+  inactiveIngredients: 'ingredient_list',
+  warnings: 'warning_statement',
+  caution: 'warning_statement',
+  directions: 'directions',
+  dosage: 'directions',
+  nutritionFacts: 'nutrition_panel'
+};
+
+// Component that anchors issues not tied to a specific section
+export const FULL_LABEL_COMPONENT = 'full_label';
+
+/**
+ * Smallest {x, y, width, height} box covering both inputs; empty boxes are ignored
+ * Boxes on different PDF pages (the optional `page` field) can't be combined,
+ * so the first one is kept.
+ */
+function mergeBoundingBoxes(a, b) {
+  const boxes = [a, b].filter(box => box && typeof box.width === 'number');
+  if (boxes.length === 0) return {};
+  if (boxes.length === 1) return boxes[0];
+  if (a.page !== b.page) return a;
+
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+    ...(a.page !== undefined && { page: a.page })
+  };
+}
+
+/**
+ * Build LabelComponent rows from OCR detected sections
+ * Sections that map to the same component type are merged in detection order.
+ */
+export function buildComponentRows(ocrResult = {}) {
+  const rows = new Map();
+
+  rows.set(FULL_LABEL_COMPONENT, {
+    type: FULL_LABEL_COMPONENT,
+    boundingBox: ocrResult.boundingBox || {},
+    extractedText: ocrResult.text || '',
+    confidence: ocrResult.confidence ?? null
+  });
+
+  for (const [section, text] of Object.entries(ocrResult.detectedSections || {})) {
+    const type = SECTION_COMPONENT_TYPES[section];
+    if (!type || !text) continue;
+
+    const boundingBox = ocrResult.sectionBoundingBoxes?.[section];
+    const existing = rows.get(type);
+    if (existing) {
+      existing.extractedText = `${existing.extractedText}\n${text}`;
+      existing.boundingBox = mergeBoundingBoxes(existing.boundingBox, boundingBox);
+      continue;
+    }
+
+    rows.set(type, {
+      type,
+      boundingBox: boundingBox || {},
+      extractedText: text,
+      confidence: ocrResult.confidence ?? null
+    });
+  }
+
+  return [...rows.values()];
+}
+
+/**
+ * Segment the label into components
+ */
+export async function segmentLabel(data) {
+  console.log('✂️ Segmenting label into components');
+
+  const components = buildComponentRows(data.ocrResult);
+
+  console.log(`📦 Found ${components.length} components: ${components.map(component => component.type).join(', ')}`);
+  return components;
+}
@@ -0,0 +1,41 @@
+import fs from 'fs/promises';
+import { ACTIVITY_ERROR_TYPES, activityFailure, isTransientError } from './errors.js';
+
+/**
+ * Normalize uploaded bytes to a Buffer
+ * Uploads arrive as Buffers, Uint8Arrays or JSON-serialized { type: 'Buffer', data }
+ * once they have passed through workflow input.
+ */
+export const toBuffer = (value) => (Buffer.isBuffer(value) ? value : Buffer.from(value.data || value));
+
+const downloadFailureType = (error) => isTransientError(error)
+  ? ACTIVITY_ERROR_TYPES.IMAGE_DOWNLOAD_FAILED
+  : ACTIVITY_ERROR_TYPES.IMAGE_UNAVAILABLE;
+
+/**
+ * Read the raw bytes of a label from a buffer, local path or URL
+ * Download failures are ImageDownloadFailed when another attempt may succeed
+ * and ImageUnavailable otherwise (e.g. an expired presigned URL), as is a
+ * missing source (see errors.js).
+ */
+export async function loadLabelBytes(labelData) {
+  if (labelData.imageBuffer) {
+    return toBuffer(labelData.imageBuffer);
+  }
+  if (labelData.imagePath) {
+    return fs.readFile(labelData.imagePath);
+  }
+  if (labelData.imageUrl) {
+    let response;
+    try {
+      response = await fetch(labelData.imageUrl);
+    } catch (error) {
+      throw activityFailure(downloadFailureType(error), `Failed to download label: ${error.cause?.message || error.message}`, error);
+    }
+    if (!response.ok) {
+      throw activityFailure(downloadFailureType(response), `Failed to download label: ${response.status} ${response.statusText}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+  throw activityFailure(ACTIVITY_ERROR_TYPES.IMAGE_UNAVAILABLE, 'No valid image source provided (imageUrl, imagePath, or imageBuffer)');
+}
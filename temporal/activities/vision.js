@@ -0,0 +1,54 @@
+import sharp from 'sharp';
+import { isPDFSource, rasterizePDF } from './pdf.js';
+import { loadLabelBytes } from './source.js';
+
+// Vision models downscale anything larger; sending more only costs tokens
+const DEFAULT_VISION_MAX_EDGE = 1568;
+const DEFAULT_VISION_MAX_PAGES = 2;
+// Enough to read panel text at the resolution the model works at
+const PDF_VISION_DPI = 150;
+
+/**
+ * Whether a validation request should attach the label image
+ * An explicit `vision` flag wins; otherwise AI_VISION_VALIDATION=true enables it.
+ */
+export function isVisionRequested(data = {}) {
+  if (typeof data.vision === 'boolean') return data.vision;
+  return process.env.AI_VISION_VALIDATION === 'true';
+}
+
+/**
+ * Load a label (buffer, local path or presigned S3 URL) as images for a vision model
+ * Images are auto-rotated from EXIF, bounded to maxEdge pixels and JPEG-encoded;
+ * PDFs contribute their first maxPages pages. Returns
+ * [{ mediaType, data (base64), width, height, pageNumber }].
+ */
+export async function prepareVisionImages(labelData, {
+  maxEdge = Number(process.env.AI_VISION_MAX_EDGE) || DEFAULT_VISION_MAX_EDGE,
+  maxPages = Number(process.env.AI_VISION_MAX_PAGES) || DEFAULT_VISION_MAX_PAGES
+} = {}) {
+  const bytes = await loadLabelBytes(labelData);
+
+  const sources = isPDFSource({ ...labelData, imageBuffer: bytes })
+    ? (await rasterizePDF(new Uint8Array(bytes), { dpi: PDF_VISION_DPI }))
+      .slice(0, maxPages)
+      .map(page => ({ image: page.image, pageNumber: page.pageNumber }))
+    : [{ image: bytes, pageNumber: 1 }];
+
+  return Promise.all(sources.map(async ({ image, pageNumber }) => {
+    const { data, info } = await sharp(image)
+      .rotate()
+      .resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 85 })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      mediaType: 'image/jpeg',
+      data: data.toString('base64'),
+      width: info.width,
+      height: info.height,
+      pageNumber
+    };
+  }));
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { getTemporalConfig } from '../connection.js';
+
+describe('Temporal connection configuration', () => {
+  it('should default to a local dev server without TLS or an API key', () => {
+    expect(getTemporalConfig({})).toEqual({
+      mode: 'local',
+      address: 'localhost:7233',
+      namespace: 'default',
+      tls: false,
+      apiKey: undefined
+    });
+  });
+
+  it('should default to Temporal Cloud when an API key is configured', () => {
+    const config = getTemporalConfig({ TEMPORAL_API_KEY: 'secret' });
+
+    expect(config).toMatchObject({
+      mode: 'cloud',
+      address: 'us-east-2.aws.api.temporal.io:7233',
+      namespace: 'quickstart-regulate.sgw25',
+      tls: true,
+      apiKey: 'secret'
+    });
+  });
+
+  it('should honour address and namespace overrides in local mode', () => {
+    const config = getTemporalConfig({
+      TEMPORAL_MODE: 'local',
+      TEMPORAL_ADDRESS: 'temporal:7233',
+      TEMPORAL_NAMESPACE: 'regulate-dev',
+      TEMPORAL_API_KEY: 'ignored'
+    });
+
+    expect(config).toMatchObject({ mode: 'local', address: 'temporal:7233', namespace: 'regulate-dev', tls: false });
+    expect(config.apiKey).toBeUndefined();
+  });
+
+  it('should require an API key in cloud mode', () => {
+    expect(() => getTemporalConfig({ TEMPORAL_MODE: 'cloud' })).toThrow('TEMPORAL_API_KEY');
+  });
+
+  it('should use the default namespace of the test environment in test mode', () => {
+    expect(getTemporalConfig({ TEMPORAL_MODE: 'test', TEMPORAL_NAMESPACE: 'prod' })).toMatchObject({
+      mode: 'test',
+      address: null,
+      namespace: 'default'
+    });
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => getTemporalConfig({ TEMPORAL_MODE: 'staging' })).toThrow('Unknown TEMPORAL_MODE "staging"');
+  });
+});
@@ -0,0 +1,18 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+// Minimal MCP server whose only tool answers after `ms` milliseconds
+const server = new Server({ name: 'slow-test-server', version: '1.0.0' }, { capabilities: { tools: {} } });
+
+server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  tools: [{ name: 'sleep', description: 'Respond after a delay', inputSchema: { type: 'object', properties: { ms: { type: 'number' } } } }]
+}));
+
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { ms = 0 } = request.params.arguments || {};
+  await new Promise(resolve => setTimeout(resolve, ms));
+  return { content: [{ type: 'text', text: JSON.stringify({ sleptMs: ms }) }] };
+});
+
+await server.connect(new StdioServerTransport());
@@ -0,0 +1,189 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  LLMClient,
+  MockProvider,
+  createLLMClientFromEnv,
+  isRetryableLLMError,
+  setLLMClient
+} from '../llm.js';
+import { ApplicationFailure } from '@temporalio/activity';
+import { performAIValidation, correctOCRText } from '../../activities/aiValidation.js';
+
+const httpError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+
+// No real waiting between retries; the requested delays are recorded instead
+const createClient = (providers, options = {}) => {
+  const delays = [];
+  const client = new LLMClient({ providers, sleep: async (ms) => { delays.push(ms); }, ...options });
+  return { client, delays };
+};
+
+describe('LLMClient', () => {
+  afterEach(() => {
+    setLLMClient(undefined);
+  });
+
+  it('should answer deterministically from the mock provider and count tokens', async () => {
+    const { client } = createClient([new MockProvider()]);
+
+    const first = await client.complete('Correct this text: SUGAR', { task: 'correction', input: 'SUGAR' });
+    const second = await client.complete('Correct this text: SUGAR', { task: 'correction', input: 'SUGAR' });
+
+    expect(first.text).toBe('SUGAR');
+    expect(second).toMatchObject({ text: first.text, provider: 'mock', model: 'mock-1', usage: first.usage });
+    expect(first.usage).toEqual({ inputTokens: 6, outputTokens: 2 });
+    expect(client.getUsage()).toEqual({
+      calls: 2,
+      inputTokens: 12,
+      outputTokens: 4,
+      byModel: { 'mock:mock-1': { calls: 2, inputTokens: 12, outputTokens: 4 } }
+    });
+  });
+
+  it('should retry transient errors with exponential backoff', async () => {
+    const provider = new MockProvider({ failures: [httpError(529, 'Overloaded'), httpError(500)] });
+    const { client, delays } = createClient([provider], { maxRetries: 2, retryBaseMs: 100 });
+
+    const result = await client.complete('prompt', { task: 'correction', input: 'ok' });
+
+    expect(result.text).toBe('ok');
+    expect(delays).toEqual([100, 200]);
+    expect(result.attempts.map(attempt => [attempt.attempt, attempt.error])).toEqual([
+      [1, 'Overloaded'],
+      [2, 'HTTP 500'],
+      [3, undefined]
+    ]);
+  });
+
+  it('should fall back to the next provider without retrying permanent errors', async () => {
+    const primary = new MockProvider({ model: 'primary', failures: [httpError(401, 'invalid x-api-key')] });
+    const backup = new MockProvider({ model: 'backup' });
+    const { client, delays } = createClient([primary, backup]);
+
+    const result = await client.complete('prompt', { task: 'correction', input: 'ok' });
+
+    expect(result.model).toBe('backup');
+    expect(primary.calls).toHaveLength(1);
+    expect(delays).toEqual([]);
+    expect(client.getUsage().byModel).toEqual({ 'mock:backup': expect.objectContaining({ calls: 1 }) });
+  });
+
+  it('should time out slow attempts and abort the request', async () => {
+    let signal;
+    const slow = {
+      name: 'slow',
+      model: 'slow-1',
+      complete: (request) => {
+        signal = request.signal;
+        return new Promise(() => {});
+      }
+    };
+    const { client } = createClient([slow], { maxRetries: 0, timeoutMs: 20 });
+
+    const error = await client.complete('prompt').catch(error => error);
+
+    expect(error.code).toBe('LLM_UNAVAILABLE');
+    expect(error.attempts).toEqual([expect.objectContaining({ error: 'slow slow-1 timed out after 20ms', retryable: true })]);
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should classify retryable errors', () => {
+    expect(isRetryableLLMError(httpError(429))).toBe(true);
+    expect(isRetryableLLMError(httpError(503))).toBe(true);
+    expect(isRetryableLLMError(httpError(400))).toBe(false);
+    expect(isRetryableLLMError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryableLLMError(new Error('Unexpected token'))).toBe(false);
+  });
+
+  describe('createLLMClientFromEnv', () => {
+    it('should build the chain in order with pinned and default models, skipping providers without keys', () => {
+      const client = createLLMClientFromEnv({
+        LLM_PROVIDERS: 'openai:gpt-4o, anthropic, mock',
+        ANTHROPIC_API_KEY: 'sk-ant-test',
+        ANTHROPIC_MODEL: 'claude-3-5-haiku-latest',
+        LLM_MAX_RETRIES: '0',
+        LLM_TIMEOUT_MS: '5000'
+      });
+
+      expect(client.providers.map(provider => `${provider.name}:${provider.model}`)).toEqual([
+        'anthropic:claude-3-5-haiku-latest',
+        'mock:mock-1'
+      ]);
+      expect(client.maxRetries).toBe(0);
+      expect(client.timeoutMs).toBe(5000);
+    });
+
+    it('should fall back to the default retry count for non-numeric values', () => {
+      expect(createLLMClientFromEnv({ LLM_PROVIDERS: 'mock', LLM_MAX_RETRIES: 'three' }).maxRetries).toBe(2);
+      expect(createLLMClientFromEnv({ LLM_PROVIDERS: 'mock', LLM_MAX_RETRIES: '' }).maxRetries).toBe(2);
+      expect(createLLMClientFromEnv({ LLM_PROVIDERS: 'mock' }).maxRetries).toBe(2);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createLLMClientFromEnv({ LLM_PROVIDERS: 'bard' })).toThrow('Unknown LLM provider "bard"');
+    });
+  });
+
+  describe('AI validation activities', () => {
+    const ocrQuality = { overall: 'good', confidence: 0.9 };
+
+    it('should validate through the shared client and report provider and tokens', async () => {
+      const { client } = createClient([new MockProvider()]);
+      setLLMClient(client);
+
+      const result = await performAIValidation({ ocrText: 'INGREDIENTS: Water', ocrQuality });
+
+      expect(result).toMatchObject({
+        isValid: true,
+        correctedText: 'INGREDIENTS: Water',
+        aiProvider: 'mock',
+        aiModel: 'mock-1',
+        providerAttempts: 1
+      });
+      expect(result.usage.inputTokens).toBeGreaterThan(0);
+    });
+
+    it('should report every provider error when the chain is exhausted', async () => {
+      const { client } = createClient([
+        new MockProvider({ model: 'a', failures: [httpError(401, 'bad key')] }),
+        new MockProvider({ model: 'b', failures: [httpError(400, 'bad request')] })
+      ]);
+      setLLMClient(client);
+
+      const result = await performAIValidation({ ocrText: 'INGREDIENTS: Water', ocrQuality });
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toMatchObject({
+        code: 'LLM_UNAVAILABLE',
+        details: { 'mock:a': 'bad key', 'mock:b': 'bad request' }
+      });
+      expect(result.aiModel).toBeNull();
+    });
+
+    it('should fail with a retryable error when a provider failed transiently', async () => {
+      const { client } = createClient([
+        new MockProvider({ model: 'a', failures: [httpError(529, 'Overloaded')] }),
+        new MockProvider({ model: 'b', failures: [httpError(401, 'bad key')] })
+      ], { maxRetries: 0 });
+      setLLMClient(client);
+
+      const failure = await performAIValidation({ ocrText: 'INGREDIENTS: Water', ocrQuality }).catch(error => error);
+
+      expect(failure).toBeInstanceOf(ApplicationFailure);
+      expect(failure).toMatchObject({ type: 'LLMUnavailable', nonRetryable: false });
+      expect(failure.cause.attempts.map(attempt => attempt.retryable)).toEqual([true, false]);
+    });
+
+    it('should fall back for text correction too', async () => {
+      const { client } = createClient([
+        new MockProvider({ model: 'primary', failures: [httpError(500)] }),
+        new MockProvider({ model: 'backup', responses: { correction: 'Net Wt 12 oz' } })
+      ], { maxRetries: 0 });
+      setLLMClient(client);
+
+      const result = await correctOCRText('Net Wt l2 oz');
+
+      expect(result).toMatchObject({ correctedText: 'Net Wt 12 oz', aiModel: 'backup' });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MCPClientSession } from '../mcpClient.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FDA_SERVER = path.join(__dirname, '../../../mcp-servers/fda-validation/index.js');
+const SLOW_SERVER = path.join(__dirname, 'fixtures/slowServer.js');
+
+// Talks to the real FDA MCP server over stdio; without FDA_API_KEY it stays offline
+const createSession = (options = {}) => new MCPClientSession({
+  name: 'fda-validation-test',
+  args: [FDA_SERVER],
+  env: { PATH: process.env.PATH },
+  ...options
+});
+
+const parse = (result) => JSON.parse(result.content[0].text);
+
+describe('MCPClientSession', () => {
+  let session;
+
+  beforeEach(() => {
+    session = createSession();
+  });
+
+  afterEach(async () => {
+    await session.close();
+  });
+
+  it('should initialize once and list the server tools', async () => {
+    const { tools } = await session.listTools();
+
+    expect(tools.map(tool => tool.name)).toEqual(expect.arrayContaining([
+      'validate_ingredients',
+      'check_additive_status',
+      'validate_nutritional_claims',
+      'check_allergen_requirements'
+    ]));
+    expect(session.getStatus()).toEqual({ name: 'fda-validation-test', connected: true, restarts: 0 });
+  }, 15000);
+
+  it('should multiplex concurrent tool calls over one server process', async () => {
+    await session.connect();
+    const transport = session.transport;
+
+    const [citric, red40, allergens] = await Promise.all([
+      session.callTool('check_additive_status', { additive: 'citric acid' }),
+      session.callTool('check_additive_status', { additive: 'red 40' }),
+      session.callTool('check_allergen_requirements', { ingredients: ['milk', 'wheat flour'] })
+    ]);
+
+    expect(parse(citric)).toMatchObject({ additive: 'citric acid', status: 'APPROVED' });
+    expect(parse(red40)).toMatchObject({ additive: 'red 40', cfr: '21 CFR 74.340' });
+    expect(parse(allergens).allergensFound).toBe(2);
+    expect(session.transport).toBe(transport);
+  }, 15000);
+
+  it('should restart the server after it crashes', async () => {
+    await session.connect();
+    session.transport._process.kill();
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    expect(session.getStatus()).toMatchObject({ connected: false, restarts: 1 });
+
+    const result = await session.callTool('check_additive_status', { additive: 'ascorbic acid' });
+    expect(parse(result).status).toBe('APPROVED');
+    expect(session.getStatus()).toMatchObject({ connected: true, restarts: 1 });
+  }, 15000);
+
+  it('should time out slow calls without breaking the session', async () => {
+    const slow = createSession({ args: [SLOW_SERVER], callTimeoutMs: 200 });
+
+    try {
+      await expect(slow.callTool('sleep', { ms: 2000 })).rejects.toMatchObject({ code: 'MCP_TIMEOUT' });
+
+      // Later and concurrent calls still get their own responses
+      const [fast, slower] = await Promise.all([
+        slow.callTool('sleep', { ms: 10 }),
+        slow.callTool('sleep', { ms: 50 }, { timeoutMs: 1000 })
+      ]);
+      expect(parse(fast)).toEqual({ sleptMs: 10 });
+      expect(parse(slower)).toEqual({ sleptMs: 50 });
+      expect(slow.getStatus().restarts).toBe(0);
+    } finally {
+      await slow.close();
+    }
+  }, 15000);
+
+  it('should surface tool errors as isError results', async () => {
+    const result = await session.callTool('unknown_tool', {});
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Unknown tool');
+  }, 15000);
+
+  it('should not count an intentional close as a crash', async () => {
+    await session.connect();
+    await session.close();
+
+    expect(session.getStatus()).toMatchObject({ connected: false, restarts: 0 });
+  }, 15000);
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const { mockCallTool } = vi.hoisted(() => ({ mockCallTool: vi.fn() }));
+
+vi.mock('../mcpClient.js', () => ({ callFDAMCPTool: mockCallTool }));
+
+import { ResultCache, hashBytes, setResultCache } from '../resultCache.js';
+import { LLMClient, MockProvider, setLLMClient } from '../llm.js';
+import { performAIValidation } from '../../activities/aiValidation.js';
+import { validateIngredientsWithFDA } from '../../activities/fdaValidation.js';
+
+describe('ResultCache', () => {
+  let dir;
+  let cache;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'result-cache-'));
+    cache = new ResultCache({ dir });
+    setResultCache(cache);
+    mockCallTool.mockReset();
+  });
+
+  afterEach(async () => {
+    setResultCache(undefined);
+    setLLMClient(undefined);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should hash label bytes with SHA-256', () => {
+    expect(hashBytes(Buffer.from('label'))).toBe('1aca80e8b55c802f7b43740da2990e1b5735bbb323d93eb5ebda8395b04025e2');
+  });
+
+  it('should compute once and serve later lookups from disk', async () => {
+    const compute = vi.fn(async () => ({ text: 'NUTRITION FACTS' }));
+
+    const first = await cache.resolve('ocr', { contentHash: 'abc' }, compute);
+    const second = await new ResultCache({ dir }).resolve('ocr', { contentHash: 'abc' }, compute);
+
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(first.cache).toMatchObject({ hit: false, bypassed: false, stage: 'ocr', pipelineVersion: '1' });
+    expect(second).toEqual({ value: { text: 'NUTRITION FACTS' }, cache: { ...first.cache, hit: true } });
+  });
+
+  it('should key entries by pipeline version and stage settings', async () => {
+    const compute = vi.fn(async () => ({}));
+
+    await cache.resolve('ocr', { contentHash: 'abc', languages: 'eng' }, compute);
+    await cache.resolve('ocr', { contentHash: 'abc', languages: 'eng+fra' }, compute);
+    await new ResultCache({ dir, pipelineVersion: '2' }).resolve('ocr', { contentHash: 'abc', languages: 'eng' }, compute);
+
+    expect(compute).toHaveBeenCalledTimes(3);
+  });
+
+  it('should refresh on bypass, skip failures and expire old entries', async () => {
+    await cache.resolve('ai', { contentHash: 'abc' }, async () => ({ n: 1 }));
+    const bypassed = await cache.resolve('ai', { contentHash: 'abc' }, async () => ({ n: 2 }), { bypass: true });
+    const refreshed = await cache.resolve('ai', { contentHash: 'abc' }, async () => ({ n: 3 }));
+
+    expect(bypassed.cache).toMatchObject({ hit: false, bypassed: true });
+    expect(refreshed).toMatchObject({ value: { n: 2 }, cache: { hit: true } });
+
+    await cache.resolve('ai', { contentHash: 'failed' }, async () => ({ error: 'x' }), { store: result => !result.error });
+    expect((await cache.resolve('ai', { contentHash: 'failed' }, async () => ({ ok: true }))).cache.hit).toBe(false);
+
+    const expired = new ResultCache({ dir, ttlMs: -1 });
+    expect((await expired.resolve('ai', { contentHash: 'abc' }, async () => ({ n: 4 }))).value).toEqual({ n: 4 });
+  });
+
+  it('should delete expired entries and abandoned temp files', async () => {
+    // No background sweep racing the one under test
+    const cache = new ResultCache({ dir, pruneIntervalMs: Infinity });
+    await cache.resolve('ocr', { contentHash: 'old' }, async () => ({ text: 'old' }));
+    await cache.resolve('ai', { contentHash: 'new' }, async () => ({ text: 'new' }));
+    const stale = new Date(Date.now() - 8 * 24 * 3600 * 1000);
+    const oldEntry = cache.entryPath('ocr', cache.key('ocr', { contentHash: 'old' }));
+    const abandoned = `${oldEntry}.1234.tmp`;
+    await fs.writeFile(abandoned, '{');
+    await fs.utimes(oldEntry, stale, stale);
+    await fs.utimes(abandoned, stale, stale);
+
+    expect(await cache.prune()).toBe(2);
+    expect(await fs.readdir(path.join(dir, 'ocr'))).toEqual([]);
+    expect(await fs.readdir(path.join(dir, 'ai'))).toHaveLength(1);
+
+    // An expired entry found on lookup is removed too
+    const expired = new ResultCache({ dir, ttlMs: -1 });
+    await expired.get('ai', cache.key('ai', { contentHash: 'new' }));
+    expect(await fs.readdir(path.join(dir, 'ai'))).toEqual([]);
+  });
+
+  it('should report nothing stored when the entry could not be written', async () => {
+    await fs.writeFile(path.join(dir, 'ocr'), 'not a directory');
+
+    const { value, cache: metadata } = await cache.resolve('ocr', { contentHash: 'abc' }, async () => ({ text: 'x' }));
+
+    expect(value).toEqual({ text: 'x' });
+    expect(metadata).toMatchObject({ hit: false, storedAt: null });
+  });
+
+  it('should cache AI validation by content hash and OCR text', async () => {
+    const provider = new MockProvider();
+    setLLMClient(new LLMClient({ providers: [provider], maxRetries: 0 }));
+    const data = { ocrText: 'INGREDIENTS: Water', ocrQuality: { overall: 'good' }, contentHash: 'abc' };
+
+    const first = await performAIValidation(data);
+    const second = await performAIValidation(data);
+    await performAIValidation({ ...data, ocrText: 'INGREDIENTS: Water, Salt' });
+    const bypassed = await performAIValidation({ ...data, bypassCache: true });
+
+    expect(provider.calls).toHaveLength(3);
+    expect(first.cache.hit).toBe(false);
+    expect(second).toMatchObject({ isValid: true, correctedText: 'INGREDIENTS: Water', cache: { hit: true } });
+    expect(bypassed.cache).toMatchObject({ hit: false, bypassed: true });
+  });
+
+  it('should cache FDA MCP lookups per label and arguments', async () => {
+    mockCallTool.mockResolvedValue({ validationResults: [{ ingredient: 'water', fdaApproved: true }] });
+    const data = { ingredients: ['water'], contentHash: 'abc' };
+
+    const first = await validateIngredientsWithFDA(data);
+    const second = await validateIngredientsWithFDA(data);
+    const uncached = await validateIngredientsWithFDA({ ingredients: ['water'] });
+
+    expect(mockCallTool).toHaveBeenCalledTimes(2);
+    expect(first.fdaValidation.cache.hit).toBe(false);
+    expect(second.fdaValidation).toMatchObject({ fdaApiResult: first.fdaValidation.fdaApiResult, cache: { hit: true, stage: 'mcp' } });
+    expect(uncached.fdaValidation.cache).toBeNull();
+  });
+});
@@ -1,21 +1,23 @@
 import { Client } from '@temporalio/client';
-import { createConnection } from './connection.js';
+import { createConnection, getTemporalConfig } from './connection.js';
 
 /**
  * Basic Temporal client for testing connection
  */
 export async function createTemporalClient() {
   try {
+    const config = getTemporalConfig();
+    
     // Create connection
-    const connection = await createConnection();
+    const connection = await createConnection(config);
     
     // Create client
     const client = new Client({
       connection,
-      namespace: process.env.TEMPORAL_NAMESPACE,
+      namespace: config.namespace,
     });
     
-    console.log(`✅ Temporal client created for namespace: ${process.env.TEMPORAL_NAMESPACE}`);
+    console.log(`✅ Temporal client created for namespace: ${config.namespace}`);
     return client;
   } catch (error) {
     console.error('❌ Failed to create Temporal client:', error);
@@ -39,10 +41,12 @@ export async function testConnection() {
     console.log('✅ Temporal connection test successful!');
     console.log(`📊 Current workflows in namespace: ${workflows.length || 0}`);
     
+    const { mode, namespace, address } = getTemporalConfig();
     return {
       success: true,
-      namespace: process.env.TEMPORAL_NAMESPACE,
-      address: process.env.TEMPORAL_ADDRESS,
+      mode,
+      namespace,
+      address,
       workflowCount: workflows.length || 0
     };
     
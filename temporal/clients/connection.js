@@ -5,23 +5,114 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 /**
- * Create Temporal Cloud connection
+ * Supported Temporal connection modes (TEMPORAL_MODE)
+ * - cloud: Temporal Cloud over TLS with an API key
+ * - local: `temporal server start-dev` or any self-hosted server without TLS
+ * - test:  in-process TestWorkflowEnvironment from @temporalio/testing
  */
-export async function createConnection() {
+export const TEMPORAL_MODES = ['cloud', 'local', 'test'];
+
+const MODE_DEFAULTS = {
+  cloud: { address: 'us-east-2.aws.api.temporal.io:7233', namespace: 'quickstart-regulate.sgw25' },
+  local: { address: 'localhost:7233', namespace: 'default' },
+  test: { address: null, namespace: 'default' }
+};
+
+let testEnvironment;
+
+/**
+ * Resolve connection settings from the environment
+ * TEMPORAL_MODE defaults to cloud when an API key is configured and local otherwise.
+ */
+export function getTemporalConfig(env = process.env) {
+  const mode = (env.TEMPORAL_MODE || (env.TEMPORAL_API_KEY ? 'cloud' : 'local')).toLowerCase();
+
+  if (!TEMPORAL_MODES.includes(mode)) {
+    throw new Error(`Unknown TEMPORAL_MODE "${mode}" (expected one of: ${TEMPORAL_MODES.join(', ')})`);
+  }
+
+  if (mode === 'cloud' && !env.TEMPORAL_API_KEY) {
+    throw new Error('TEMPORAL_API_KEY environment variable is required when TEMPORAL_MODE=cloud');
+  }
+
+  const defaults = MODE_DEFAULTS[mode];
+
+  return {
+    mode,
+    address: mode === 'test' ? null : env.TEMPORAL_ADDRESS || defaults.address,
+    namespace: mode === 'test' ? defaults.namespace : env.TEMPORAL_NAMESPACE || defaults.namespace,
+    tls: mode === 'cloud',
+    apiKey: mode === 'cloud' ? env.TEMPORAL_API_KEY : undefined
+  };
+}
+
+/**
+ * Start (once) the time-skipping TestWorkflowEnvironment used in test mode
+ * Set TEMPORAL_TEST_SERVER_PATH to use a pre-downloaded test server binary
+ * so tests never reach the network.
+ */
+export async function getTestWorkflowEnvironment() {
+  if (!testEnvironment) {
+    const { TestWorkflowEnvironment } = await import('@temporalio/testing');
+    const executablePath = process.env.TEMPORAL_TEST_SERVER_PATH;
+
+    testEnvironment = await TestWorkflowEnvironment.createTimeSkipping(
+      executablePath ? { server: { executable: { type: 'existing-path', path: executablePath } } } : undefined
+    );
+
+    console.log('✅ Temporal test environment started');
+  }
+  return testEnvironment;
+}
+
+/**
+ * Shut down the test environment started by getTestWorkflowEnvironment
+ */
+export async function closeTestWorkflowEnvironment() {
+  if (testEnvironment) {
+    await testEnvironment.teardown();
+    testEnvironment = undefined;
+  }
+}
+
+/**
+ * Create a client connection for the configured mode
+ */
+export async function createConnection(config = getTemporalConfig()) {
   try {
+    if (config.mode === 'test') {
+      return (await getTestWorkflowEnvironment()).connection;
+    }
+
     const connection = await Connection.connect({
-      address: process.env.TEMPORAL_ADDRESS,
-      tls: {
-        // For Temporal Cloud, we need TLS
-        serverNameOverride: 'us-east-2.aws.api.temporal.io',
-      },
-      apiKey: process.env.TEMPORAL_API_KEY,
+      address: config.address,
+      tls: config.tls,
+      apiKey: config.apiKey,
     });
-    
-    console.log('✅ Connected to Temporal Cloud');
+
+    console.log(`✅ Connected to Temporal (${config.mode}) at ${config.address}`);
     return connection;
   } catch (error) {
     console.error('❌ Failed to connect to Temporal:', error);
     throw error;
   }
 }
+
+/**
+ * Create the native connection a Worker needs for the configured mode
+ * @temporalio/worker is loaded lazily so client-only processes (the backend)
+ * never load the worker's native bridge.
+ */
+export async function createWorkerConnection(config = getTemporalConfig()) {
+  if (config.mode === 'test') {
+    return (await getTestWorkflowEnvironment()).nativeConnection;
+  }
+
+  const { NativeConnection } = await import('@temporalio/worker');
+
+  return NativeConnection.connect({
+    address: config.address,
+    tls: config.tls,
+    apiKey: config.apiKey,
+  });
+}
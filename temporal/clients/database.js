@@ -0,0 +1,21 @@
+let sharedClient;
+
+/**
+ * Shared Prisma client for activities that write validation results, created
+ * on first use so workers and tests that never touch the database don't need
+ * a generated client or DATABASE_URL
+ */
+export async function getPrismaClient() {
+  if (!sharedClient) {
+    const { PrismaClient } = await import('@prisma/client');
+    sharedClient = new PrismaClient();
+  }
+  return sharedClient;
+}
+
+/**
+ * Replace the shared client (e.g. with an in-memory fake in tests); pass nothing to create a real one on next use
+ */
+export function setPrismaClient(client) {
+  sharedClient = client;
+}
@@ -0,0 +1,347 @@
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+
+export const DEFAULT_MODELS = {
+  anthropic: 'claude-3-5-sonnet-20241022',
+  openai: 'gpt-4o-mini',
+  mock: 'mock-1'
+};
+
+const DEFAULT_PROVIDER_CHAIN = 'anthropic,openai';
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+
+let sharedClient;
+
+/**
+ * Reject with an LLM_TIMEOUT error (and abort the request) if it does not settle in time
+ */
+function withTimeout(run, timeoutMs, description) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${description} timed out after ${timeoutMs}ms`);
+      error.code = 'LLM_TIMEOUT';
+      controller.abort();
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Whether another attempt against the same provider can succeed
+ * Timeouts, rate limits, server errors and dropped connections are transient;
+ * bad requests and auth failures are not.
+ */
+export function isRetryableLLMError(error) {
+  if (error.code === 'LLM_TIMEOUT') return true;
+  if (typeof error.status === 'number') {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+  return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code);
+}
+
+/**
+ * Anthropic Messages API provider
+ * Images ({ mediaType, data } with base64 data) are sent as content blocks ahead of the prompt.
+ */
+export class AnthropicProvider {
+  constructor({ model = DEFAULT_MODELS.anthropic, apiKey = process.env.ANTHROPIC_API_KEY } = {}) {
+    this.name = 'anthropic';
+    this.model = model;
+    // Retries are handled by LLMClient so they count against one budget
+    this.client = new Anthropic({ apiKey, maxRetries: 0 });
+  }
+
+  async complete({ prompt, images = [], maxTokens, temperature, signal }) {
+    const content = images.length > 0
+      ? [
+        ...images.map(image => ({ type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } })),
+        { type: 'text', text: prompt }
+      ]
+      : prompt;
+
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: 'user', content }]
+    }, { signal });
+
+    return {
+      text: response.content[0].text,
+      usage: {
+        inputTokens: response.usage?.input_tokens || 0,
+        outputTokens: response.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+/**
+ * OpenAI Chat Completions provider
+ * Images are sent as data-URL image_url parts after the prompt.
+ */
+export class OpenAIProvider {
+  constructor({ model = DEFAULT_MODELS.openai, apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_KEY } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = new OpenAI({ apiKey, maxRetries: 0 });
+  }
+
+  async complete({ prompt, images = [], maxTokens, temperature, signal }) {
+    const content = images.length > 0
+      ? [
+        { type: 'text', text: prompt },
+        ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mediaType};base64,${image.data}` } }))
+      ]
+      : prompt;
+
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [{ role: 'user', content }],
+      temperature,
+      max_tokens: maxTokens
+    }, { signal });
+
+    return {
+      text: response.choices[0].message.content,
+      usage: {
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+/**
+ * Deterministic local provider for tests and offline development
+ * Replies depend only on the task and its input: validation echoes the input
+ * as a clean transcription (vision adds an empty layout review), correction
+ * returns it unchanged and extraction returns an empty object. `responses`
+ * overrides a task's reply with a string or a function of the request;
+ * `failures` are thrown, in order, before any reply.
+ * Token counts are estimated at four characters per token.
+ */
+export class MockProvider {
+  constructor({ model = DEFAULT_MODELS.mock, responses = {}, failures = [] } = {}) {
+    this.name = 'mock';
+    this.model = model;
+    this.responses = responses;
+    this.failures = [...failures];
+    this.calls = [];
+  }
+
+  async complete(request) {
+    this.calls.push(request);
+    if (this.failures.length > 0) {
+      throw this.failures.shift();
+    }
+
+    const override = this.responses[request.task];
+    const text = override === undefined
+      ? MockProvider.defaultResponse(request)
+      : typeof override === 'function' ? override(request) : override;
+
+    return {
+      text,
+      usage: {
+        inputTokens: Math.ceil(request.prompt.length / 4),
+        outputTokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  static defaultResponse({ task, input = '' }) {
+    switch (task) {
+      case 'validation':
+      case 'vision':
+        return JSON.stringify({
+          isValid: true,
+          confidence: 0.9,
+          correctedText: input,
+          extractedInformation: {},
+          ocrIssuesFound: [],
+          completenessScore: 7,
+          complianceIssues: [],
+          recommendations: [],
+          qualityImprovement: 'None',
+          ...(task === 'vision' ? { visualValidation: { layoutChecks: [], disagreements: [] } } : {})
+        });
+      case 'extraction':
+        return '{}';
+      default:
+        return input;
+    }
+  }
+}
+
+/**
+ * Build a provider from a chain entry ("anthropic" or "anthropic:model-id")
+ * Returns null for providers without credentials.
+ */
+export function createProvider(entry, env = process.env) {
+  const [name, ...modelParts] = entry.trim().split(':');
+  const model = modelParts.join(':') || env[`${name.toUpperCase()}_MODEL`] || DEFAULT_MODELS[name];
+
+  switch (name) {
+    case 'anthropic':
+      return env.ANTHROPIC_API_KEY ? new AnthropicProvider({ model, apiKey: env.ANTHROPIC_API_KEY }) : null;
+    case 'openai': {
+      const apiKey = env.OPENAI_API_KEY || env.OPENAI_KEY;
+      return apiKey ? new OpenAIProvider({ model, apiKey }) : null;
+    }
+    case 'mock':
+      return new MockProvider({ model });
+    default:
+      throw new Error(`Unknown LLM provider "${name}"`);
+  }
+}
+
+/**
+ * LLM client with an ordered provider fallback chain
+ * Each provider gets up to maxRetries extra attempts with exponential backoff
+ * on transient errors before the next provider is tried. Every attempt is
+ * bounded by timeoutMs, and token usage is accumulated per provider and model.
+ */
+export class LLMClient {
+  constructor({
+    providers,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryBaseMs = DEFAULT_RETRY_BASE_MS,
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+  }) {
+    this.providers = providers;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryBaseMs = retryBaseMs;
+    this.sleep = sleep;
+    this.usage = { calls: 0, inputTokens: 0, outputTokens: 0, byModel: {} };
+  }
+
+  /**
+   * Complete a prompt with the first provider that answers
+   * images are base64 { mediaType, data } attachments; task and input describe
+   * the request to the mock provider. Returns
+   * { text, provider, model, usage, attempts, durationMs }; when every provider
+   * fails the error has code LLM_UNAVAILABLE and the attempts made.
+   */
+  async complete(prompt, { task = 'completion', input, images = [], maxTokens = 2000, temperature = 0.1, timeoutMs = this.timeoutMs } = {}) {
+    const startTime = Date.now();
+    const attempts = [];
+
+    for (const provider of this.providers) {
+      for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+        const attemptStart = Date.now();
+        try {
+          const response = await withTimeout(
+            (signal) => provider.complete({ prompt, task, input, images, maxTokens, temperature, signal }),
+            timeoutMs,
+            `${provider.name} ${provider.model}`
+          );
+
+          attempts.push({ provider: provider.name, model: provider.model, attempt, durationMs: Date.now() - attemptStart });
+          this.recordUsage(provider, response.usage);
+
+          return {
+            text: response.text,
+            provider: provider.name,
+            model: provider.model,
+            usage: response.usage,
+            attempts,
+            durationMs: Date.now() - startTime
+          };
+        } catch (error) {
+          const retryable = isRetryableLLMError(error);
+          attempts.push({
+            provider: provider.name,
+            model: provider.model,
+            attempt,
+            durationMs: Date.now() - attemptStart,
+            error: error.message,
+            retryable
+          });
+
+          if (!retryable || attempt > this.maxRetries) {
+            console.warn(`⚠️ ${provider.name} (${provider.model}) failed: ${error.message}`);
+            break;
+          }
+
+          const delay = this.retryBaseMs * 2 ** (attempt - 1);
+          console.warn(`⚠️ ${provider.name} attempt ${attempt} failed (${error.message}); retrying in ${delay}ms`);
+          await this.sleep(delay);
+        }
+      }
+    }
+
+    const error = new Error(this.providers.length > 0
+      ? `All LLM providers failed: ${this.providers.map(provider => provider.name).join(', ')}`
+      : 'No LLM providers configured');
+    error.code = 'LLM_UNAVAILABLE';
+    error.attempts = attempts;
+    throw error;
+  }
+
+  recordUsage(provider, usage = {}) {
+    const key = `${provider.name}:${provider.model}`;
+    const entry = this.usage.byModel[key] || (this.usage.byModel[key] = { calls: 0, inputTokens: 0, outputTokens: 0 });
+
+    for (const totals of [this.usage, entry]) {
+      totals.calls += 1;
+      totals.inputTokens += usage.inputTokens || 0;
+      totals.outputTokens += usage.outputTokens || 0;
+    }
+  }
+
+  /**
+   * Token totals since the client was created
+   */
+  getUsage() {
+    return structuredClone(this.usage);
+  }
+}
+
+/**
+ * Build an LLM client from the environment
+ * LLM_PROVIDERS is the ordered chain ("anthropic,openai", "anthropic:claude-3-5-haiku-latest,openai",
+ * or "mock"); <PROVIDER>_MODEL sets a provider's default model. Providers without
+ * an API key are left out of the chain.
+ */
+export function createLLMClientFromEnv(env = process.env) {
+  const providers = (env.LLM_PROVIDERS || DEFAULT_PROVIDER_CHAIN)
+    .split(',')
+    .filter(entry => entry.trim())
+    .map(entry => createProvider(entry, env))
+    .filter(Boolean);
+  // 0 is a valid retry count, so only unset or non-numeric values fall back
+  const maxRetries = Number.parseInt(env.LLM_MAX_RETRIES, 10);
+
+  return new LLMClient({
+    providers,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    maxRetries: Number.isFinite(maxRetries) ? maxRetries : DEFAULT_MAX_RETRIES,
+    retryBaseMs: Number(env.LLM_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS
+  });
+}
+
+/**
+ * Shared LLM client for activities, built from the environment on first use
+ */
+export function getLLMClient() {
+  if (!sharedClient) {
+    sharedClient = createLLMClientFromEnv();
+  }
+  return sharedClient;
+}
+
+/**
+ * Replace the shared client (e.g. with a mock provider chain in tests); pass nothing to rebuild from the environment
+ */
+export function setLLMClient(client) {
+  sharedClient = client;
+}
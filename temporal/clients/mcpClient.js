@@ -0,0 +1,180 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FDA_MCP_SERVER_PATH = path.join(__dirname, '../../mcp-servers/fda-validation/index.js');
+
+const DEFAULT_CALL_TIMEOUT_MS = 30000;
+const DEFAULT_CONNECT_TIMEOUT_MS = 10000;
+
+let fdaClient;
+
+/**
+ * Reject with a timeout error if the promise does not settle in time
+ */
+function withTimeout(promise, timeoutMs, description) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${description} timed out after ${timeoutMs}ms`);
+      error.code = 'MCP_TIMEOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Long-lived MCP client session over stdio
+ * Spawns the server once, performs the initialize handshake and multiplexes
+ * concurrent requests over the same child process (the SDK matches responses
+ * to requests by JSON-RPC id). If the child exits unexpectedly the session is
+ * dropped and the next call starts a fresh server.
+ */
+export class MCPClientSession {
+  constructor({
+    name,
+    command = process.execPath,
+    args = [],
+    env,
+    callTimeoutMs = DEFAULT_CALL_TIMEOUT_MS,
+    connectTimeoutMs = DEFAULT_CONNECT_TIMEOUT_MS
+  }) {
+    this.name = name;
+    this.serverParams = { command, args, env };
+    this.callTimeoutMs = callTimeoutMs;
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.connecting = null;
+    this.client = null;
+    this.transport = null;
+    this.restarts = 0;
+  }
+
+  /**
+   * Start the server and complete the initialize handshake (once per child process)
+   */
+  async connect() {
+    if (this.client) return this.client;
+    if (!this.connecting) {
+      this.connecting = this.startSession().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async startSession() {
+    const transport = new StdioClientTransport(this.serverParams);
+    const client = new Client({ name: `regulate-ai-${this.name}-client`, version: '1.0.0' }, { capabilities: {} });
+
+    // Pending calls are rejected by the SDK; an intentional close() has already detached the transport
+    client.onclose = () => {
+      if (this.transport !== transport) return;
+
+      this.client = null;
+      this.transport = null;
+      this.restarts += 1;
+      console.warn(`⚠️ MCP server "${this.name}" exited; it will be restarted on the next call`);
+    };
+    client.onerror = (error) => {
+      console.error(`❌ MCP server "${this.name}" error:`, error.message);
+    };
+
+    this.transport = transport;
+    try {
+      // Client.connect sends initialize and notifications/initialized
+      await withTimeout(client.connect(transport), this.connectTimeoutMs, `MCP server "${this.name}" initialize`);
+    } catch (error) {
+      this.transport = null;
+      await transport.close().catch(() => {});
+      throw error;
+    }
+
+    this.client = client;
+    console.log(`🔌 MCP server "${this.name}" connected`);
+    return client;
+  }
+
+  /**
+   * Call a tool and return its result ({ content, isError })
+   */
+  async callTool(name, args = {}, { timeoutMs = this.callTimeoutMs } = {}) {
+    const client = await this.connect();
+    return withTimeout(
+      client.callTool({ name, arguments: args }),
+      timeoutMs,
+      `MCP tool "${name}"`
+    );
+  }
+
+  /**
+   * List the tools the server exposes
+   */
+  async listTools({ timeoutMs = this.callTimeoutMs } = {}) {
+    const client = await this.connect();
+    return withTimeout(client.listTools(), timeoutMs, `MCP server "${this.name}" tools/list`);
+  }
+
+  /**
+   * Snapshot of the session for health checks
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      connected: !!this.client,
+      restarts: this.restarts
+    };
+  }
+
+  /**
+   * Stop the server process; a later call starts a new one
+   */
+  async close() {
+    const transport = this.transport;
+    if (!transport) return;
+
+    this.client = null;
+    this.transport = null;
+    await transport.close();
+  }
+}
+
+/**
+ * Shared session for the FDA validation MCP server
+ * The child inherits the full environment so it sees FDA_API_KEY.
+ */
+export function getFDAMCPClient() {
+  if (!fdaClient) {
+    fdaClient = new MCPClientSession({
+      name: 'fda-validation',
+      args: [FDA_MCP_SERVER_PATH],
+      env: Object.fromEntries(Object.entries(process.env).filter(([, value]) => value !== undefined)),
+      callTimeoutMs: Number(process.env.FDA_MCP_TIMEOUT_MS) || DEFAULT_CALL_TIMEOUT_MS
+    });
+  }
+  return fdaClient;
+}
+
+/**
+ * Call an FDA MCP tool and parse its JSON text content
+ * Tool-level errors (isError) are raised as exceptions.
+ */
+export async function callFDAMCPTool(toolName, args, options) {
+  const result = await getFDAMCPClient().callTool(toolName, args, options);
+  const text = result.content?.find(item => item.type === 'text')?.text;
+
+  if (result.isError) {
+    throw new Error(`FDA MCP tool "${toolName}" failed: ${text || 'unknown error'}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Failed to parse FDA MCP response from "${toolName}": ${error.message}`);
+  }
+}
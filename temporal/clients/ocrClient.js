@@ -1,26 +1,33 @@
-import { Client, Connection } from '@temporalio/client';
-import { labelValidationWorkflow } from '../workflows/labelValidation.js';
+import { Client } from '@temporalio/client';
+import {
+  labelValidationWorkflow,
+  progressQuery,
+  openIssueCountQuery,
+  reviewQuery,
+  approveIssueSignal,
+  rejectIssueSignal,
+  revalidateSignal
+} from '../workflows/labelValidation.js';
+import { batchValidationWorkflow, batchReportQuery, batchStatusQuery, retryItemsSignal } from '../workflows/batchValidation.js';
+import { createConnection, getTemporalConfig } from './connection.js';
 
 let client;
 
 /**
- * Initialize Temporal client
+ * Initialize Temporal client for the configured TEMPORAL_MODE
  */
-async function getTemporalClient() {
+export async function getTemporalClient() {
   if (!client) {
     try {
-      const connection = await Connection.connect({
-        address: process.env.TEMPORAL_ADDRESS || 'us-east-2.aws.api.temporal.io:7233',
-        tls: true,
-        apiKey: process.env.TEMPORAL_API_KEY,
-      });
+      const config = getTemporalConfig();
+      const connection = await createConnection(config);
 
       client = new Client({
         connection,
-        namespace: process.env.TEMPORAL_NAMESPACE || 'quickstart-regulate.sgw25',
+        namespace: config.namespace,
       });
 
-      console.log('✅ Temporal client connected');
+      console.log(`✅ Temporal client connected (${config.mode})`);
     } catch (error) {
       console.error('❌ Failed to connect to Temporal:', error.message);
       throw error;
@@ -30,37 +37,153 @@ async function getTemporalClient() {
 }
 
 /**
- * Run OCR + AI validation workflow
+ * Drop the cached client so the next call reconnects with the current configuration
  */
-export async function runOCRValidationWorkflow(imageData) {
-  console.log('🚀 Starting OCR + AI validation workflow...');
+export function resetTemporalClient() {
+  client = undefined;
+}
+
+// Unique workflow ID with the given prefix
+const createWorkflowId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * labelValidationWorkflow input for an uploaded label
+ */
+function buildLabelWorkflowInput(imageData, workflowId) {
+  return {
+    workflowId,
+    filename: imageData.filename || 'uploaded-image',
+    contentType: imageData.contentType,
+    imageBuffer: imageData.buffer,
+    imageUrl: imageData.url,
+    type: imageData.type || 'product-label',
+    regulations: imageData.regulations || ['FDA', 'general'],
+    visionValidation: imageData.vision,
+    // Result cache key and bypass flag (see clients/resultCache.js)
+    contentHash: imageData.contentHash,
+    bypassCache: imageData.bypassCache,
+    // ValidatorAgent rows to fan out; every registry module on its defaults when omitted
+    validatorAgents: imageData.validatorAgents,
+    // Wait for reviewers after validating unless false (see labelValidationWorkflow)
+    awaitReview: imageData.awaitReview ?? true,
+    reviewTimeout: imageData.reviewTimeout,
+    s3Key: imageData.s3Key,
+    // Placeholder LabelProject the workflow saves its results into
+    projectId: imageData.projectId || null,
+    startedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Start the OCR + AI validation workflow without waiting for it to finish
+ */
+export async function startOCRValidationWorkflow(imageData) {
+  const temporalClient = await getTemporalClient();
+  
+  // Create unique workflow ID
+  const workflowId = createWorkflowId('ocr-validation');
+  
+  // Prepare workflow input
+  const workflowInput = buildLabelWorkflowInput(imageData, workflowId);
+  
+  console.log(`🔄 Starting workflow: ${workflowId}`);
+  
+  const handle = await temporalClient.workflow.start(labelValidationWorkflow, {
+    args: [workflowInput],
+    taskQueue: 'label-validation',
+    workflowId,
+    // No run timeout: each step's retry policy bounds how long it can take, and
+    // reviews, which can take days, are bounded by the workflow's review timeout
+  });
+  
+  return {
+    workflowId,
+    runId: handle.firstExecutionRunId,
+    handle
+  };
+}
+
+/**
+ * Start a batch validation workflow without waiting for it to finish
+ * items are { filename, contentType, url, s3Key, contentHash, projectId }
+ * uploads; options (regulations, vision, validatorAgents, bypassCache) apply
+ * to every item. Returns { batchId, runId, handle, items } where items carry
+ * their itemId and first-attempt workflowId.
+ */
+export async function startBatchValidationWorkflow({ items, concurrency, retryWindow, ...options }) {
+  const temporalClient = await getTemporalClient();
+  
+  const batchId = createWorkflowId('batch-validation');
+  const batchItems = items.map((item, index) => {
+    const itemId = String(index + 1);
+    const workflowId = `${batchId}-item-${itemId}`;
+    const input = buildLabelWorkflowInput({ ...options, ...item, awaitReview: false }, workflowId);
+    return { itemId, filename: input.filename, projectId: item.projectId || null, s3Key: item.s3Key || null, workflowId, input };
+  });
+  
+  console.log(`🔄 Starting batch workflow: ${batchId} (${batchItems.length} labels)`);
+  
+  const handle = await temporalClient.workflow.start(batchValidationWorkflow, {
+    args: [{ batchId, items: batchItems, concurrency, retryWindow }],
+    taskQueue: 'label-validation',
+    workflowId: batchId,
+  });
   
+  return {
+    batchId,
+    runId: handle.firstExecutionRunId,
+    handle,
+    items: batchItems.map(({ input, ...item }) => item)
+  };
+}
+
+/**
+ * Per-item status of a batch (see batchStatusQuery), or null when it can't be queried
+ */
+export async function getBatchStatus(batchId) {
   try {
     const temporalClient = await getTemporalClient();
+    return await temporalClient.workflow.getHandle(batchId).query(batchStatusQuery);
     
-    // Create unique workflow ID
-    const workflowId = `ocr-validation-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Prepare workflow input
-    const workflowInput = {
-      workflowId,
-      filename: imageData.filename || 'uploaded-image',
-      imageBuffer: imageData.buffer,
-      imageUrl: imageData.url,
-      type: imageData.type || 'product-label',
-      regulations: imageData.regulations || ['FDA', 'general'],
-      startedAt: new Date().toISOString()
-    };
-    
-    console.log(`🔄 Starting workflow: ${workflowId}`);
+  } catch (error) {
+    console.error('❌ Failed to query batch status:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Summary report of a batch: passed, needs review, failed and still pending
+ * labels (see buildBatchReport), or null when it can't be queried
+ */
+export async function getBatchReport(batchId) {
+  try {
+    const temporalClient = await getTemporalClient();
+    return await temporalClient.workflow.getHandle(batchId).query(batchReportQuery);
     
-    // Start the workflow
-    const handle = await temporalClient.workflow.start(labelValidationWorkflow, {
-      args: [workflowInput],
-      taskQueue: 'label-validation',
-      workflowId,
-      workflowRunTimeout: '5 minutes',
-    });
+  } catch (error) {
+    console.error('❌ Failed to query batch report:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Queue a batch's failed items again
+ * itemIds limits the retry to some items; imageUrls maps item ids to freshly signed URLs.
+ */
+export async function retryBatchItems(batchId, { itemIds, imageUrls } = {}) {
+  const temporalClient = await getTemporalClient();
+  await temporalClient.workflow.getHandle(batchId).signal(retryItemsSignal, { itemIds, imageUrls });
+}
+
+/**
+ * Run OCR + AI validation workflow
+ */
+export async function runOCRValidationWorkflow(imageData) {
+  console.log('🚀 Starting OCR + AI validation workflow...');
+  
+  try {
+    // Nobody is around to review, so the workflow ends after validating
+    const { workflowId, handle } = await startOCRValidationWorkflow({ ...imageData, awaitReview: false });
     
     console.log(`⏳ Workflow started, waiting for result...`);
     
@@ -94,14 +217,18 @@ export async function runSimpleOCR(imageData) {
   console.log('📖 Running simple OCR processing...');
   
   try {
-    // For testing, we'll use the local OCR function directly
-    const { performOCR } = await import('../activities/ocr.js');
+    // For testing, we'll use the local OCR functions directly
+    const { performOCR, preprocessImageForOCR } = await import('../activities/ocr.js');
     
-    const ocrResult = await performOCR({
+    const preprocessedData = await preprocessImageForOCR({
       filename: imageData.filename || 'test-image',
+      contentType: imageData.contentType,
       imageBuffer: imageData.buffer,
-      imageUrl: imageData.url
+      imageUrl: imageData.url,
+      contentHash: imageData.contentHash,
+      bypassCache: imageData.bypassCache
     });
+    const ocrResult = await performOCR(preprocessedData);
     
     return {
       success: true,
@@ -121,8 +248,10 @@ export async function runSimpleOCR(imageData) {
 
 /**
  * Simple AI validation without workflow
+ * imageData ({ buffer, contentType, filename, vision }) supplies the label image for vision validation;
+ * contentHash and bypassCache control the result cache.
  */
-export async function runSimpleAIValidation(ocrResult) {
+export async function runSimpleAIValidation(ocrResult, imageData = {}) {
   console.log('🤖 Running simple AI validation...');
   
   try {
@@ -135,7 +264,13 @@ export async function runSimpleAIValidation(ocrResult) {
         confidence: ocrResult.confidence,
         issues: []
       },
-      detectedSections: ocrResult.detectedSections || {}
+      detectedSections: ocrResult.detectedSections || {},
+      vision: imageData.vision,
+      imageBuffer: imageData.buffer,
+      contentType: imageData.contentType,
+      filename: imageData.filename,
+      contentHash: imageData.contentHash,
+      bypassCache: imageData.bypassCache
     });
     
     return {
@@ -181,3 +316,75 @@ export async function getWorkflowStatus(workflowId) {
     };
   }
 }
+
+/**
+ * Get workflow progress from the running workflow
+ */
+export async function getWorkflowProgress(workflowId) {
+  try {
+    const temporalClient = await getTemporalClient();
+    const handle = temporalClient.workflow.getHandle(workflowId);
+    
+    return await handle.query(progressQuery);
+    
+  } catch (error) {
+    console.error('❌ Failed to query workflow progress:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the review state of a running workflow
+ * Returns { phase, round, registeredRound, openIssues, totalIssues, decisions,
+ * revalidationRequested, s3Key }, or null when the workflow can't be queried.
+ */
+export async function getLabelReview(workflowId) {
+  try {
+    const temporalClient = await getTemporalClient();
+    const handle = temporalClient.workflow.getHandle(workflowId);
+    
+    return await handle.query(reviewQuery);
+    
+  } catch (error) {
+    console.error('❌ Failed to query label review:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Number of issues still open in a running workflow's review (null until registered)
+ */
+export async function getOpenIssueCount(workflowId) {
+  const temporalClient = await getTemporalClient();
+  return temporalClient.workflow.getHandle(workflowId).query(openIssueCountQuery);
+}
+
+// Review signals by name, for callers that don't import the workflow module
+const REVIEW_SIGNALS = {
+  approveIssue: approveIssueSignal,
+  rejectIssue: rejectIssueSignal,
+  revalidate: revalidateSignal
+};
+
+/**
+ * Send a review signal (approveIssue, rejectIssue or revalidate) to a workflow
+ */
+export async function signalLabelReview(workflowId, signal, payload) {
+  const definition = REVIEW_SIGNALS[signal];
+  if (!definition) {
+    throw new Error(`Unknown review signal "${signal}"`);
+  }
+  
+  const temporalClient = await getTemporalClient();
+  await temporalClient.workflow.getHandle(workflowId).signal(definition, payload);
+}
+
+/**
+ * Get the result of a completed workflow
+ */
+export async function getWorkflowResult(workflowId) {
+  const temporalClient = await getTemporalClient();
+  const handle = temporalClient.workflow.getHandle(workflowId);
+  
+  return handle.result();
+}
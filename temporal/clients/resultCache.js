@@ -0,0 +1,193 @@
+import { createHash, randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Bump when a change to OCR, AI validation or FDA processing makes stored results stale
+export const PIPELINE_VERSION = '1';
+
+const DEFAULT_CACHE_DIR = path.join(os.tmpdir(), 'regulate-ai-results');
+const DEFAULT_TTL_HOURS = 24 * 7;
+const DEFAULT_PRUNE_INTERVAL_MS = 3600 * 1000;
+
+let sharedCache;
+
+/**
+ * SHA-256 of a label's bytes, hex-encoded
+ */
+export function hashBytes(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * On-disk cache for pipeline results
+ * Entries live at <dir>/<stage>/<key>.json, where the key hashes the pipeline
+ * version, the stage and everything the result depends on (the label's content
+ * hash plus stage settings such as OCR languages or the LLM provider chain).
+ * Entries older than ttlMs are ignored and deleted: on lookup, and by a sweep
+ * of the whole directory at most every pruneIntervalMs while entries are
+ * written. Read and write failures are logged and treated as misses so a
+ * broken cache never fails a validation.
+ */
+export class ResultCache {
+  constructor({
+    dir = DEFAULT_CACHE_DIR,
+    ttlMs = DEFAULT_TTL_HOURS * 3600 * 1000,
+    enabled = true,
+    pipelineVersion = PIPELINE_VERSION,
+    pruneIntervalMs = DEFAULT_PRUNE_INTERVAL_MS
+  } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.enabled = enabled;
+    this.pipelineVersion = pipelineVersion;
+    this.pruneIntervalMs = pruneIntervalMs;
+    this.lastPrunedAt = 0;
+  }
+
+  key(stage, parts) {
+    return hashBytes(JSON.stringify({ pipelineVersion: this.pipelineVersion, stage, parts }));
+  }
+
+  entryPath(stage, key) {
+    return path.join(this.dir, stage, `${key}.json`);
+  }
+
+  async get(stage, key) {
+    try {
+      const file = this.entryPath(stage, key);
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (Date.now() - Date.parse(entry.storedAt) > this.ttlMs) {
+        await fs.rm(file, { force: true });
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Result cache read failed (${stage}/${key}):`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store a result; returns the entry, or null when it could not be written
+   */
+  async set(stage, key, value) {
+    const entry = { stage, key, pipelineVersion: this.pipelineVersion, storedAt: new Date().toISOString(), value };
+    const file = this.entryPath(stage, key);
+
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename so concurrent readers never see a partial entry
+      const temp = `${file}.${randomUUID()}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(entry));
+      await fs.rename(temp, file);
+    } catch (error) {
+      console.warn(`⚠️ Result cache write failed (${stage}/${key}):`, error.message);
+      return null;
+    }
+
+    if (Date.now() - this.lastPrunedAt >= this.pruneIntervalMs) {
+      this.lastPrunedAt = Date.now();
+      // Sweeps in the background; a slow directory scan must not hold up the activity
+      this.prune();
+    }
+    return entry;
+  }
+
+  /**
+   * Delete entries (and abandoned temp files) last written more than ttlMs ago
+   * Returns the number of files removed.
+   */
+  async prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    let removed = 0;
+
+    try {
+      const stages = await fs.readdir(this.dir, { withFileTypes: true });
+      for (const stage of stages.filter(entry => entry.isDirectory())) {
+        const stageDir = path.join(this.dir, stage.name);
+        for (const name of await fs.readdir(stageDir)) {
+          const file = path.join(stageDir, name);
+          // Null when a concurrent write renamed the file away
+          const stats = await fs.stat(file).catch(() => null);
+          if (stats && stats.mtimeMs < cutoff) {
+            await fs.rm(file, { force: true });
+            removed += 1;
+          }
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Result cache prune failed:', error.message);
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Result cache pruned ${removed} expired entries`);
+    }
+    return removed;
+  }
+
+  /**
+   * Return the cached result for a stage, or compute and store it
+   * bypass skips the lookup but still stores the fresh result; results that
+   * `store` rejects (failures) are not kept. Returns { value, cache } where
+   * cache is { hit, bypassed, stage, key, pipelineVersion, storedAt };
+   * storedAt is null when nothing was stored.
+   */
+  async resolve(stage, parts, compute, { bypass = false, store = () => true } = {}) {
+    if (!this.enabled) {
+      return { value: await compute(), cache: { hit: false, bypassed: false, enabled: false, stage } };
+    }
+
+    const key = this.key(stage, parts);
+    const metadata = { hit: false, bypassed: bypass, stage, key, pipelineVersion: this.pipelineVersion, storedAt: null };
+
+    if (!bypass) {
+      const entry = await this.get(stage, key);
+      if (entry) {
+        console.log(`♻️ Result cache hit: ${stage} (stored ${entry.storedAt})`);
+        return { value: entry.value, cache: { ...metadata, hit: true, storedAt: entry.storedAt } };
+      }
+    }
+
+    const value = await compute();
+    if (store(value)) {
+      const entry = await this.set(stage, key, value);
+      metadata.storedAt = entry?.storedAt ?? null;
+    }
+    return { value, cache: metadata };
+  }
+}
+
+/**
+ * Build the result cache from the environment
+ * RESULT_CACHE=off disables it; RESULT_CACHE_DIR and RESULT_CACHE_TTL_HOURS set
+ * where entries are kept and for how long.
+ */
+export function createResultCacheFromEnv(env = process.env) {
+  return new ResultCache({
+    dir: env.RESULT_CACHE_DIR || DEFAULT_CACHE_DIR,
+    ttlMs: (Number(env.RESULT_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS) * 3600 * 1000,
+    enabled: env.RESULT_CACHE !== 'off'
+  });
+}
+
+/**
+ * Shared result cache for activities, built from the environment on first use
+ */
+export function getResultCache() {
+  if (!sharedCache) {
+    sharedCache = createResultCacheFromEnv();
+  }
+  return sharedCache;
+}
+
+/**
+ * Replace the shared cache (e.g. with a temporary directory in tests); pass nothing to rebuild from the environment
+ */
+export function setResultCache(cache) {
+  sharedCache = cache;
+}
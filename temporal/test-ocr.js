@@ -21,14 +21,9 @@ async function testOCR() {
     console.log('📖 Testing OCR with sample image...');
     console.log('Image URL:', testData.imageUrl);
     
-    // Perform OCR
+    // Perform OCR (throws when the image can't be downloaded or read)
     const ocrResult = await performOCR(testData);
     
-    if (ocrResult.success === false) {
-      console.log('❌ OCR processing failed:', ocrResult.error);
-      return;
-    }
-    
     // Display results
     console.log('\\n✅ OCR Results:');
     console.log('================');
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { findUndeclaredAllergens } from '../allergen.js';
+
+describe('Allergen module', () => {
+  describe('findUndeclaredAllergens', () => {
+    it('should flag allergens missing from the Contains statement and ingredient list', () => {
+      const undeclared = findUndeclaredAllergens({ ingredients: ['Sugar', 'Butter', 'Soy lecithin', 'Tofu'] });
+
+      expect(undeclared).toEqual([
+        { allergen: 'milk', sources: ['Butter'] },
+        { allergen: 'soybeans', sources: ['Tofu'] }
+      ]);
+    });
+
+    it('should accept parenthetical and Contains declarations', () => {
+      const undeclared = findUndeclaredAllergens(
+        { ingredients: ['Whey (milk)', 'Tahini', 'Eggs'] },
+        'INGREDIENTS: ...\nCONTAINS: SESAME.'
+      );
+
+      expect(undeclared).toEqual([]);
+    });
+
+    it('should not mistake plant butters and milks for dairy', () => {
+      const undeclared = findUndeclaredAllergens({ ingredients: ['Cocoa butter', 'Coconut milk'] });
+
+      expect(undeclared).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  VALIDATOR_MODULES,
+  dispatchValidators,
+  planValidatorRuns,
+  resolveAgentConfig,
+  runValidatorAgent,
+  validateAgentConfig
+} from '../index.js';
+
+const agent = (type, overrides = {}) => ({ id: `agent-${type}`, name: VALIDATOR_MODULES[type].name, type, isActive: true, sourceRules: {}, ...overrides });
+
+const components = [
+  { type: 'full_label', extractedText: 'Oat Bar. Low sodium! Contains: milk' },
+  { type: 'ingredient_list', extractedText: 'Oats, whey, tahini, Red No. 3, titanium dioxide' },
+  { type: 'nutrition_panel', extractedText: 'Sodium 160mg 20%' }
+];
+
+const label = {
+  text: components.map(component => component.extractedText).join('\n'),
+  extractedInformation: {
+    ingredients: ['Oats', 'Whey', 'Tahini', 'Red No. 3', 'Titanium dioxide'],
+    allergens: ['Contains: milk'],
+    nutritionalInfo: { sodium: '160mg' }
+  }
+};
+
+describe('Validator registry', () => {
+  describe('planValidatorRuns', () => {
+    it('should pair active agents with their component types in a stable order', () => {
+      const agents = [agent('nutrition'), agent('chemical'), agent('allergen', { isActive: false }), { id: 'agent-ai', type: 'ai', isActive: true }];
+
+      const plan = planValidatorRuns(agents, components);
+
+      expect(plan.map(({ agent, component }) => `${agent.type}:${component.type}`)).toEqual([
+        'chemical:ingredient_list',
+        'nutrition:nutrition_panel'
+      ]);
+    });
+
+    it('should fall back to the full label when none of an agent\'s components were found', () => {
+      const plan = planValidatorRuns([agent('nutrition')], [components[0]]);
+
+      expect(plan).toHaveLength(1);
+      expect(plan[0].component.type).toBe('full_label');
+    });
+  });
+
+  describe('dispatchValidators', () => {
+    it('should tag every issue with the agent that found it', async () => {
+      const agents = Object.keys(VALIDATOR_MODULES).map(type => agent(type));
+
+      const runs = await dispatchValidators({ agents, components, label });
+      const issues = runs.flatMap(run => run.issues.map(issue => `${run.validatorId}:${issue.issueType}`));
+
+      expect(issues).toEqual(expect.arrayContaining([
+        'agent-allergen:ALLERGEN_UNDECLARED',
+        'agent-chemical:CHEMICAL_BANNED',
+        'agent-chemical:CHEMICAL_RESTRICTED',
+        'agent-claims:CLAIM_UNSUPPORTED'
+      ]));
+      expect(runs.find(run => run.validatorType === 'allergen').issues[0].notes).toContain('Tahini');
+    });
+
+    it('should apply an agent\'s own configuration over the module defaults', async () => {
+      const chemical = agent('chemical', { sourceRules: { ignore: ['Titanium dioxide'], minSeverity: 'medium' } });
+
+      const [run] = await dispatchValidators({ agents: [chemical], components, label });
+
+      expect(run.issues.map(issue => issue.issueType)).toEqual(['CHEMICAL_BANNED']);
+      expect(run.issues[0]).toMatchObject({ sourceTag: 'CHEMICAL-RULES', severity: 'high' });
+    });
+  });
+
+  describe('runValidatorAgent', () => {
+    it('should report a failing module as an error instead of throwing', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const broken = agent('chemical');
+      const config = { ...resolveAgentConfig(broken), substances: null };
+
+      const run = await runValidatorAgent(broken, components[1], label, config);
+
+      expect(run).toMatchObject({ validatorId: 'agent-chemical', componentType: 'ingredient_list', status: 'error', issues: [] });
+      expect(run.error).toBeTruthy();
+    });
+  });
+
+  describe('claims module', () => {
+    it('should check each claim once against the FDA claim catalog', async () => {
+      const claims = agent('claims', { sourceRules: { claims: ['very-low-sodium', 'high'] } });
+      const claimLabel = {
+        text: 'VERY LOW SODIUM. Low fat.',
+        extractedInformation: { claims: ['Very low sodium', 'Excellent source of fiber'], nutritionalInfo: { sodium: '30mg', totalFat: '5g' } }
+      };
+
+      const [run] = await dispatchValidators({ agents: [claims], components: [{ type: 'full_label', extractedText: claimLabel.text }], label: claimLabel });
+
+      expect(run.issues.map(issue => [issue.issueType, issue.severity])).toEqual([
+        ['CLAIM_UNVERIFIABLE', 'low'],
+        ['CLAIM_DISCLOSURE_REQUIRED', 'medium']
+      ]);
+      expect(run.issues[0].notes).toMatch(/^"Excellent source of fiber": Cannot verify .*21 CFR 101\.54\(b\)/);
+      expect(run.issues[1].notes).toContain('Contains 5 g total fat per serving');
+    });
+  });
+
+  describe('validateAgentConfig', () => {
+    it('should accept module options and reject unknown or invalid ones', () => {
+      expect(validateAgentConfig('allergen', { allergens: ['milk'], minSeverity: 'medium' })).toEqual({ valid: true, errors: [] });
+
+      const result = validateAgentConfig('allergen', { allergens: ['gluten'], threshold: 3 });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(expect.arrayContaining([
+        { path: '/', message: 'unknown option "threshold"' },
+        expect.objectContaining({ path: '/allergens/0' })
+      ]));
+
+      expect(validateAgentConfig('ai', {}).valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// Major food allergens (FALCPA, plus sesame under the FASTER Act).
+// `sources` are ingredient terms that indicate the allergen; `declaredAs` are
+// the names that satisfy the declaration requirement (species for fish,
+// shellfish and tree nuts).
+export const MAJOR_ALLERGENS = {
+  milk: {
+    sources: ['milk', 'cream', 'butter', 'cheese', 'whey', 'casein', 'lactose', 'yogurt', 'ghee'],
+    declaredAs: ['milk'],
+    lookalikes: /\b(peanut|cocoa|shea|nut|seed|apple)\s+butter|cream of tartar|coconut\s+(milk|cream)|(oat|almond|soy|rice)\s+milk/gi
+  },
+  eggs: { sources: ['egg', 'albumin', 'meringue'], declaredAs: ['egg'] },
+  fish: {
+    sources: ['fish', 'anchovy', 'anchovies', 'cod', 'salmon', 'tuna', 'tilapia', 'pollock'],
+    declaredAs: ['fish', 'anchovy', 'anchovies', 'cod', 'salmon', 'tuna', 'tilapia', 'pollock']
+  },
+  shellfish: {
+    sources: ['shrimp', 'crab', 'lobster', 'prawn', 'crayfish'],
+    declaredAs: ['shellfish', 'shrimp', 'crab', 'lobster', 'prawn', 'crayfish']
+  },
+  'tree nuts': {
+    sources: ['almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut'],
+    declaredAs: ['almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut']
+  },
+  peanuts: { sources: ['peanut'], declaredAs: ['peanut'] },
+  wheat: { sources: ['wheat', 'semolina', 'durum', 'spelt', 'farina'], declaredAs: ['wheat'] },
+  soybeans: { sources: ['soy', 'soya', 'edamame', 'tofu'], declaredAs: ['soy'] },
+  sesame: { sources: ['sesame', 'tahini'], declaredAs: ['sesame'] }
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+};
+
+const containsWord = (text, term) => new RegExp(`\\b${term}`, 'i').test(text);
+
+/**
+ * Allergens present in the ingredient list that are not declared either in a
+ * "Contains" statement or next to the ingredient, e.g. "whey (milk)"
+ */
+export function findUndeclaredAllergens(info = {}, labelText = '') {
+  const ingredients = toList(info.ingredients);
+  const declarations = [
+    ...toList(info.allergens),
+    ...toList(info.regulatoryInfo?.allergens),
+    ...(labelText.match(/contains[:\s][^\n.]*/gi) || [])
+  ].join(' ');
+
+  const undeclared = [];
+
+  for (const [allergen, { sources, declaredAs, lookalikes }] of Object.entries(MAJOR_ALLERGENS)) {
+    const matches = ingredients.filter(ingredient => {
+      const text = lookalikes ? ingredient.replace(lookalikes, '') : ingredient;
+      return sources.some(term => containsWord(text, term));
+    });
+    if (matches.length === 0) continue;
+
+    if (declaredAs.some(name => containsWord(declarations, name))) continue;
+
+    const undeclaredSources = matches.filter(ingredient => {
+      const namedAs = declaredAs.some(name => ingredient.trim().toLowerCase().startsWith(name));
+      const parenthetical = (ingredient.match(/\(([^)]*)\)/g) || []).join(' ');
+      return !namedAs && !declaredAs.some(name => containsWord(parenthetical, name));
+    });
+
+    if (undeclaredSources.length > 0) {
+      undeclared.push({ allergen, sources: undeclaredSources });
+    }
+  }
+
+  return undeclared;
+}
+
+/**
+ * Major food allergen declaration validator (FALCPA, FASTER Act)
+ * Flags allergens whose source ingredients appear on the label without a
+ * "Contains" statement or a parenthetical naming them.
+ */
+export const allergenValidator = {
+  type: 'allergen',
+  name: 'Allergen Declaration Checker',
+  componentTypes: ['ingredient_list'],
+  sourceTag: 'ALLERGEN-RULES',
+
+  defaultRules: {
+    allergens: Object.keys(MAJOR_ALLERGENS),
+    severity: 'high'
+  },
+
+  configSchema: {
+    allergens: { type: 'array', items: { type: 'string', enum: Object.keys(MAJOR_ALLERGENS) }, uniqueItems: true },
+    severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] }
+  },
+
+  validate({ component, label, config }) {
+    // "Contains" statements may sit in the warning panel rather than the ingredient list
+    const labelText = [component.extractedText, label.text].filter(Boolean).join('\n');
+
+    return findUndeclaredAllergens(label.extractedInformation || {}, labelText)
+      .filter(({ allergen }) => config.allergens.includes(allergen))
+      .map(({ allergen, sources }) => ({
+        issueType: 'ALLERGEN_UNDECLARED',
+        severity: config.severity,
+        notes: `Major allergen "${allergen}" (from ${sources.join(', ')}) is not declared (FALCPA, 21 U.S.C. 343(w))`
+      }));
+  }
+};
@@ -0,0 +1,98 @@
+// Food additives and ingredients that are no longer permitted, or only within limits.
+// `terms` are matched as whole words in the ingredient list.
+export const RESTRICTED_SUBSTANCES = [
+  {
+    name: 'FD&C Red No. 3 (erythrosine)',
+    terms: ['red no. 3', 'red 3', 'erythrosine'],
+    status: 'banned',
+    severity: 'high',
+    citation: '21 CFR 74.303 (food use authorization revoked January 2025)'
+  },
+  {
+    name: 'Brominated vegetable oil',
+    terms: ['brominated vegetable oil', 'bvo'],
+    status: 'banned',
+    severity: 'high',
+    citation: '21 CFR 180.30 (authorization revoked August 2024)'
+  },
+  {
+    name: 'Partially hydrogenated oils',
+    terms: ['partially hydrogenated'],
+    status: 'banned',
+    severity: 'high',
+    citation: 'FDA final determination on PHOs, 80 FR 34650'
+  },
+  {
+    name: 'Potassium bromate',
+    terms: ['potassium bromate', 'bromated flour'],
+    status: 'restricted',
+    severity: 'medium',
+    citation: '21 CFR 172.730; California Proposition 65 warning required'
+  },
+  {
+    name: 'Azodicarbonamide',
+    terms: ['azodicarbonamide'],
+    status: 'restricted',
+    severity: 'low',
+    citation: '21 CFR 172.806 (at most 45 ppm in flour)'
+  },
+  {
+    name: 'Titanium dioxide',
+    terms: ['titanium dioxide'],
+    status: 'restricted',
+    severity: 'low',
+    citation: '21 CFR 73.575 (at most 1% by weight; not permitted in the EU)'
+  }
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const mentions = (text, term) => new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}($|[^a-z0-9])`, 'i').test(text);
+
+/**
+ * Banned and restricted chemical validator
+ * Matches the ingredient list against RESTRICTED_SUBSTANCES (or the agent's
+ * own list) and reports each substance found once.
+ */
+export const chemicalValidator = {
+  type: 'chemical',
+  name: 'Restricted Chemical Checker',
+  componentTypes: ['ingredient_list'],
+  sourceTag: 'CHEMICAL-RULES',
+
+  defaultRules: {
+    substances: RESTRICTED_SUBSTANCES,
+    // Substance names to skip, e.g. for products sold only where they are allowed
+    ignore: []
+  },
+
+  configSchema: {
+    substances: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'terms', 'status', 'severity'],
+        properties: {
+          name: { type: 'string' },
+          terms: { type: 'array', items: { type: 'string', minLength: 2 }, minItems: 1 },
+          status: { type: 'string', enum: ['banned', 'restricted'] },
+          severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+          citation: { type: 'string' }
+        }
+      }
+    },
+    ignore: { type: 'array', items: { type: 'string' } }
+  },
+
+  validate({ component, label, config }) {
+    const ingredientText = [...(label.extractedInformation?.ingredients || []), component.extractedText || ''].join('\n');
+
+    return config.substances
+      .filter(substance => !config.ignore.includes(substance.name))
+      .filter(substance => substance.terms.some(term => mentions(ingredientText, term)))
+      .map(substance => ({
+        issueType: `CHEMICAL_${substance.status.toUpperCase()}`,
+        severity: substance.severity,
+        notes: `${substance.name} is ${substance.status === 'banned' ? 'no longer permitted' : 'restricted'} in food${substance.citation ? ` (${substance.citation})` : ''}`
+      }));
+  }
+};
@@ -0,0 +1,79 @@
+import { CLAIM_CATALOG, NUTRIENT_CLAIM_PATTERNS, matchClaim, validateClaim } from '../../mcp-servers/fda-validation/claims.js';
+
+// Catalog claim types plus the "high", "good source" and "more" nutrient families
+const CLAIM_TYPES = [...CLAIM_CATALOG.map(entry => entry.id), ...NUTRIENT_CLAIM_PATTERNS.map(family => family.id)];
+
+/**
+ * Claim wordings found in the label text, one per stretch of text
+ * The catalog lists specific wordings first, so "very low sodium" is not also
+ * read as "low sodium". Nutrient family claims ("good source of fiber") are
+ * only taken from the extracted claims, as their patterns match ordinary text.
+ */
+const findCatalogClaims = (text) => {
+  const lower = text.toLowerCase().replace(/[®™*]/g, '').replace(/\s+/g, ' ');
+  const spans = [];
+
+  for (const entry of CLAIM_CATALOG) {
+    for (const match of lower.matchAll(new RegExp(entry.pattern.source, 'g'))) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!spans.some(span => start < span.end && end > span.start)) spans.push({ start, end, claim: match[0] });
+    }
+  }
+
+  return spans.sort((a, b) => a.start - b.start).map(span => span.claim);
+};
+
+/**
+ * Nutrient content claim validator
+ * Finds claims such as "low sodium" or "good source of fiber" in the extracted
+ * claims and the label text and checks them against the Nutrition Facts with
+ * the FDA validation server's claim catalog.
+ */
+export const claimsValidator = {
+  type: 'claims',
+  name: 'Nutrient Content Claim Checker',
+  componentTypes: ['full_label'],
+  sourceTag: 'CLAIM-RULES',
+
+  defaultRules: {
+    claims: CLAIM_TYPES,
+    severity: 'high'
+  },
+
+  configSchema: {
+    claims: { type: 'array', items: { type: 'string', enum: CLAIM_TYPES }, uniqueItems: true },
+    severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] }
+  },
+
+  validate({ component, label, config }) {
+    const info = label.extractedInformation || {};
+    const claims = [...(info.claims || []), ...findCatalogClaims(component.extractedText || label.text || '')];
+    const checked = new Set();
+    const issues = [];
+
+    for (const claim of claims) {
+      const entry = matchClaim(claim);
+      if (!entry || checked.has(entry.id) || !config.claims.includes(entry.family || entry.id)) continue;
+      checked.add(entry.id);
+
+      const validation = validateClaim(claim, info.nutritionalInfo || {});
+      if (validation.status === 'INVALID') {
+        issues.push({ issueType: 'CLAIM_UNSUPPORTED', severity: config.severity, notes: `"${claim}": ${validation.reason}` });
+      } else if (validation.status === 'UNVERIFIED') {
+        issues.push({ issueType: 'CLAIM_UNVERIFIABLE', severity: 'low', notes: `"${claim}": ${validation.reason}` });
+      }
+
+      // Claims above the 101.13(h) disclosure levels need a referral statement on the label
+      for (const disclosure of validation.disclosures) {
+        issues.push({
+          issueType: 'CLAIM_DISCLOSURE_REQUIRED',
+          severity: 'medium',
+          notes: `"${claim}" requires the statement "${disclosure.statement}" (${disclosure.reason}, ${disclosure.cfr})`
+        });
+      }
+    }
+
+    return issues;
+  }
+};
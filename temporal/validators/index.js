@@ -0,0 +1,163 @@
+import Ajv from 'ajv';
+import { FULL_LABEL_COMPONENT } from '../activities/segmentation.js';
+import { allergenValidator } from './allergen.js';
+import { chemicalValidator } from './chemical.js';
+import { claimsValidator } from './claims.js';
+import { nutritionValidator } from './nutrition.js';
+
+/**
+ * Validator registry
+ * Each ValidatorAgent row names a module by its `type` and configures it with
+ * its `sourceRules` JSON. A module declares the LabelComponent types it
+ * validates, its default rules, a JSON schema for its options and a
+ * validate({ component, label, config }) function returning
+ * [{ issueType, severity, notes }]. Agents whose type has no module (the AI,
+ * FDA and compliance agents that the pipeline fills directly) are skipped.
+ */
+
+export const VALIDATOR_MODULES = Object.fromEntries(
+  [nutritionValidator, allergenValidator, claimsValidator, chemicalValidator].map(module => [module.type, module])
+);
+
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Options every agent accepts on top of its module's own
+const COMMON_CONFIG_SCHEMA = {
+  componentTypes: { type: 'array', items: { type: 'string' }, minItems: 1, uniqueItems: true },
+  // Findings below this severity are dropped
+  minSeverity: { type: 'string', enum: SEVERITIES }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const configValidators = new Map();
+
+export function getValidatorModule(type) {
+  return VALIDATOR_MODULES[type] || null;
+}
+
+/**
+ * One agent per module on its default rules (ids are the module types), for
+ * runs that are not handed the ValidatorAgent rows
+ */
+export function defaultValidatorAgents() {
+  return Object.values(VALIDATOR_MODULES).map(module => ({
+    id: module.type,
+    name: module.name,
+    type: module.type,
+    isActive: true,
+    sourceRules: {}
+  }));
+}
+
+/**
+ * An agent's effective configuration: module defaults overlaid with its sourceRules
+ */
+export function resolveAgentConfig(agent) {
+  const module = getValidatorModule(agent.type);
+  return {
+    componentTypes: module.componentTypes,
+    minSeverity: 'low',
+    ...module.defaultRules,
+    ...(agent.sourceRules || {})
+  };
+}
+
+/**
+ * Check an agent configuration against its module's options
+ * Returns { valid, errors: [{ path, message }] }.
+ */
+export function validateAgentConfig(type, config) {
+  const module = getValidatorModule(type);
+  if (!module) {
+    return { valid: false, errors: [{ path: '/', message: `No validator module for type "${type}"` }] };
+  }
+
+  let validate = configValidators.get(type);
+  if (!validate) {
+    validate = ajv.compile({
+      type: 'object',
+      properties: { ...COMMON_CONFIG_SCHEMA, ...module.configSchema },
+      additionalProperties: false
+    });
+    configValidators.set(type, validate);
+  }
+
+  const valid = validate(config);
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.map(error => ({
+      path: error.instancePath || '/',
+      message: error.keyword === 'additionalProperties'
+        ? `unknown option "${error.params.additionalProperty}"`
+        : error.message
+    }))
+  };
+}
+
+/**
+ * Every (agent, component) pair to run, in a stable order
+ * Only active agents with a module take part. An agent runs once on each of
+ * its component types present on the label, or on the full label (the
+ * component agents fall back to) when none are.
+ */
+export function planValidatorRuns(agents, components) {
+  const byType = new Map(components.map(component => [component.type, component]));
+  const plan = [];
+
+  for (const agent of agents) {
+    if (!agent.isActive || !getValidatorModule(agent.type)) continue;
+
+    const config = resolveAgentConfig(agent);
+    const targets = config.componentTypes.filter(type => byType.has(type));
+    if (targets.length === 0 && byType.has(FULL_LABEL_COMPONENT)) targets.push(FULL_LABEL_COMPONENT);
+
+    for (const type of targets) {
+      plan.push({ agent, component: byType.get(type), config });
+    }
+  }
+
+  return plan.sort((a, b) => `${a.agent.id}|${a.component.type}`.localeCompare(`${b.agent.id}|${b.component.type}`));
+}
+
+/**
+ * Run one agent on one component
+ * label is { text, extractedInformation }. Never throws: a failing module
+ * yields status 'error' so one broken validator does not stop the others.
+ * Returns { validatorId, validatorName, validatorType, componentType, status, issues, error }.
+ */
+export async function runValidatorAgent(agent, component, label, config = resolveAgentConfig(agent)) {
+  const module = getValidatorModule(agent.type);
+  const run = {
+    validatorId: agent.id,
+    validatorName: agent.name,
+    validatorType: agent.type,
+    componentType: component.type,
+    status: 'passed',
+    issues: [],
+    error: null
+  };
+
+  try {
+    const minRank = SEVERITIES.indexOf(config.minSeverity);
+    const findings = await module.validate({ component, label, config });
+
+    run.issues = findings
+      .filter(finding => SEVERITIES.indexOf(finding.severity) >= minRank)
+      .map(finding => ({ sourceTag: module.sourceTag, ...finding }));
+    run.status = run.issues.length > 0 ? 'failed' : 'passed';
+  } catch (error) {
+    console.error(`❌ Validator ${agent.name} failed on ${component.type}:`, error.message);
+    run.status = 'error';
+    run.error = error.message;
+  }
+
+  return run;
+}
+
+/**
+ * Run every active agent on the components it covers (see planValidatorRuns)
+ */
+export async function dispatchValidators({ agents, components, label }) {
+  const plan = planValidatorRuns(agents, components);
+  return Promise.all(plan.map(({ agent, component, config }) => runValidatorAgent(agent, component, label, config)));
+}
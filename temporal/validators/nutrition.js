@@ -0,0 +1,36 @@
+import { checkNutritionFacts } from '../activities/nutritionFacts.js';
+
+const FINDING_TYPES = ['ROUNDING', 'DV_MISMATCH', 'CALORIE_MISMATCH'];
+
+/**
+ * Nutrition Facts arithmetic validator
+ * Runs the %DV, 4/4/9 calorie and rounding checks on the AI-extracted panel.
+ */
+export const nutritionValidator = {
+  type: 'nutrition',
+  name: 'Nutrition Facts Checker',
+  componentTypes: ['nutrition_panel'],
+  sourceTag: 'NUTRITION-FACTS',
+
+  defaultRules: {
+    // Finding types to report
+    checks: FINDING_TYPES
+  },
+
+  configSchema: {
+    checks: { type: 'array', items: { type: 'string', enum: FINDING_TYPES }, uniqueItems: true }
+  },
+
+  validate({ label, config }) {
+    const nutritionalInfo = label.extractedInformation?.nutritionalInfo;
+    if (!nutritionalInfo || Object.keys(nutritionalInfo).length === 0) return [];
+
+    return checkNutritionFacts(nutritionalInfo).findings
+      .filter(finding => config.checks.includes(finding.type))
+      .map(finding => ({
+        issueType: `NUTRITION_${finding.type}`,
+        severity: finding.severity,
+        notes: finding.citation ? `${finding.message} (${finding.citation})` : finding.message
+      }));
+  }
+};
@@ -1,41 +1,34 @@
 import 'dotenv/config';
 import { Worker } from '@temporalio/worker';
-import { Connection } from '@temporalio/client';
 import * as activities from './activities/index.js';
+import { createWorkerConnection, getTemporalConfig } from './clients/connection.js';
 
 /**
- * Temporal Worker - Registers workflows and activities with Temporal Cloud
- * This will make workflows visible in cloud.temporal.io dashboard
+ * Temporal Worker - Registers workflows and activities with Temporal
+ * TEMPORAL_MODE selects Temporal Cloud (TLS + API key) or a local dev server
+ * (`temporal server start-dev`, no TLS, no key).
  */
 async function run() {
   try {
     console.log('🚀 Starting Temporal Worker...');
-    
-    const address = process.env.TEMPORAL_ADDRESS || 'us-east-2.aws.api.temporal.io:7233';
-    const namespace = process.env.TEMPORAL_NAMESPACE || 'quickstart-regulate.sgw25';
-    const apiKey = process.env.TEMPORAL_API_KEY;
-    
-    console.log('🌍 Connecting to:', address);
-    console.log('🏢 Namespace:', namespace);
-    console.log('🔑 API Key:', apiKey ? 'Configured' : 'Missing');
-    
-    if (!apiKey) {
-      throw new Error('TEMPORAL_API_KEY environment variable is required');
+
+    const config = getTemporalConfig();
+
+    console.log('🧭 Mode:', config.mode);
+    console.log('🌍 Connecting to:', config.address);
+    console.log('🏢 Namespace:', config.namespace);
+    if (config.mode === 'cloud') {
+      console.log('🔑 API Key: Configured');
     }
-    
-    // Create connection to Temporal Cloud
-    const connection = await Connection.connect({
-      address,
-      tls: true,
-      apiKey,
-    });
-    
-    console.log('✅ Connected to Temporal Cloud');
-    
+
+    const connection = await createWorkerConnection(config);
+
+    console.log(`✅ Connected to Temporal (${config.mode})`);
+
     // Create and run the Worker
     const worker = await Worker.create({
       connection,
-      namespace,
+      namespace: config.namespace,
       taskQueue: 'label-validation',
       workflowsPath: new URL('./workflows/index.js', import.meta.url).pathname,
       activities,
@@ -43,10 +36,12 @@ async function run() {
     });
 
     console.log('✅ Temporal Worker registered and running...');
-    console.log('📊 Check cloud.temporal.io to see registered workflows');
-    
+    console.log(config.mode === 'cloud'
+      ? '📊 Check cloud.temporal.io to see registered workflows'
+      : '📊 Check the local Temporal UI (http://localhost:8233) to see registered workflows');
+
     await worker.run();
-    
+
   } catch (error) {
     console.error('❌ Worker failed to start:', error);
     process.exit(1);
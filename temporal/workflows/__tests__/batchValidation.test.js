@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { ApplicationFailure } from '@temporalio/activity';
+import { getTestWorkflowEnvironment, closeTestWorkflowEnvironment } from '../../clients/connection.js';
+import {
+  startBatchValidationWorkflow,
+  getBatchStatus,
+  getBatchReport,
+  retryBatchItems,
+  resetTemporalClient
+} from '../../clients/ocrClient.js';
+import { attemptWorkflowId, buildBatchReport, itemStatusForResult, summarizeLabelResult } from '../batchReport.js';
+import { createActivities, runWithWorker } from './helpers/workflowWorker.js';
+
+const labels = (...filenames) => filenames.map((filename, index) => ({
+  filename,
+  url: `https://example.test/${filename}`,
+  s3Key: `labels/${filename}`,
+  projectId: `project-${index + 1}`
+}));
+
+describe('batch report', () => {
+  const item = (itemId, status, extra = {}) => ({
+    itemId,
+    filename: `${itemId}.png`,
+    workflowId: `batch-item-${itemId}`,
+    currentWorkflowId: `batch-item-${itemId}`,
+    attempts: 1,
+    status,
+    result: null,
+    error: null,
+    ...extra
+  });
+
+  it('should map label results to item outcomes', () => {
+    expect(itemStatusForResult({ status: 'APPROVED' })).toBe('passed');
+    expect(itemStatusForResult({ status: 'REQUIRES_REVIEW' })).toBe('needs_review');
+    expect(itemStatusForResult({})).toBe('needs_review');
+  });
+
+  it('should summarize scores, issues and failed validators', () => {
+    const summary = summarizeLabelResult({
+      status: 'REQUIRES_REVIEW',
+      complianceResult: { score: 80, violations: [{ ruleId: 'net-quantity' }] },
+      validatorRuns: [
+        { validatorName: 'Allergen Checker', componentType: 'ingredient_list', status: 'failed', issues: [{}, {}] },
+        { validatorName: 'Chemical Checker', componentType: 'ingredient_list', status: 'error', issues: [] }
+      ]
+    });
+
+    expect(summary).toEqual({
+      status: 'REQUIRES_REVIEW',
+      complianceScore: 80,
+      violations: 1,
+      validatorIssues: 2,
+      failedValidators: ['Chemical Checker (ingredient_list)']
+    });
+  });
+
+  it('should name every attempt after the item', () => {
+    const base = item('1', 'queued');
+    expect(attemptWorkflowId(base, 1)).toBe('batch-item-1');
+    expect(attemptWorkflowId(base, 3)).toBe('batch-item-1-retry-2');
+  });
+
+  it('should group items by outcome and list unfinished ones as pending', () => {
+    const report = buildBatchReport('batch-1', [
+      item('1', 'passed', { result: { status: 'APPROVED' } }),
+      item('2', 'failed', { error: 'Image could not be decoded', attempts: 2, currentWorkflowId: 'batch-item-2-retry-1' }),
+      item('3', 'needs_review'),
+      item('4', 'running')
+    ]);
+
+    expect(report.total).toBe(4);
+    expect(report.counts).toEqual({ queued: 0, running: 1, passed: 1, needs_review: 1, failed: 1 });
+    expect(report.passed.map(entry => entry.itemId)).toEqual(['1']);
+    expect(report.needsReview.map(entry => entry.itemId)).toEqual(['3']);
+    expect(report.pending.map(entry => entry.itemId)).toEqual(['4']);
+    expect(report.failed).toEqual([{
+      itemId: '2',
+      filename: '2.png',
+      projectId: null,
+      workflowId: 'batch-item-2-retry-1',
+      attempts: 2,
+      error: 'Image could not be decoded'
+    }]);
+  });
+});
+
+describe('batchValidationWorkflow', () => {
+  const previousMode = process.env.TEMPORAL_MODE;
+
+  beforeAll(async () => {
+    process.env.TEMPORAL_MODE = 'test';
+    resetTemporalClient();
+    await getTestWorkflowEnvironment();
+  }, 120000);
+
+  afterAll(async () => {
+    resetTemporalClient();
+    await closeTestWorkflowEnvironment();
+    process.env.TEMPORAL_MODE = previousMode;
+  });
+
+  it('should validate every label with no more than `concurrency` at a time', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const activities = createActivities({
+      performOCR: async () => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        running -= 1;
+        return { text: 'INGREDIENTS: Water', confidence: 0.9, detectedSections: { ingredients: 'water' } };
+      }
+    });
+    const { batchId, handle, items } = await startBatchValidationWorkflow({
+      items: labels('a.png', 'b.png', 'c.png', 'd.png', 'e.png'),
+      concurrency: 2
+    });
+
+    const report = await runWithWorker(activities, () => handle.result());
+
+    expect(maxRunning).toBeLessThanOrEqual(2);
+    expect(items.map(item => item.workflowId)).toEqual([1, 2, 3, 4, 5].map(n => `${batchId}-item-${n}`));
+    expect(report.total).toBe(5);
+    expect(report.passed.map(entry => entry.filename)).toEqual(['a.png', 'b.png', 'c.png', 'd.png', 'e.png']);
+    expect(report.passed[0]).toMatchObject({ projectId: 'project-1', attempts: 1, result: { status: 'APPROVED' } });
+    expect(report.failed).toEqual([]);
+  }, 60000);
+
+  it('should keep going past a failed label and retry it on request', async () => {
+    let brokenCalls = 0;
+    const activities = createActivities({
+      performOCR: async ({ filename, imageUrl }) => {
+        if (filename === 'broken.png' && !String(imageUrl).includes('fresh')) {
+          brokenCalls += 1;
+          throw ApplicationFailure.nonRetryable('Image could not be decoded', 'InvalidImage');
+        }
+        return { text: 'INGREDIENTS: Water', confidence: 0.9, detectedSections: { ingredients: 'water' } };
+      }
+    });
+    const { batchId, handle } = await startBatchValidationWorkflow({ items: labels('ok.png', 'broken.png') });
+
+    const report = await runWithWorker(activities, async () => {
+      await waitFor(async () => (await getBatchStatus(batchId))?.phase, 'awaiting_retry');
+      const status = await getBatchStatus(batchId);
+      expect(status.counts).toMatchObject({ passed: 1, failed: 1 });
+      expect(status.items[1].error).toBe('Image could not be decoded');
+      expect((await getBatchReport(batchId)).failed.map(entry => entry.itemId)).toEqual(['2']);
+
+      await retryBatchItems(batchId, { itemIds: ['2'], imageUrls: { 2: 'https://example.test/broken.png?fresh' } });
+      return handle.result();
+    });
+
+    expect(brokenCalls).toBe(1);
+    expect(report.failed).toEqual([]);
+    expect(report.passed.map(entry => entry.itemId)).toEqual(['1', '2']);
+    expect(report.passed[1]).toMatchObject({ attempts: 2, workflowId: `${batchId}-item-2-retry-1` });
+  }, 60000);
+
+  it('should report failed labels once the retry window passes', async () => {
+    const activities = createActivities({
+      performOCR: async () => {
+        throw ApplicationFailure.nonRetryable('Image could not be decoded', 'InvalidImage');
+      }
+    });
+    const { handle } = await startBatchValidationWorkflow({ items: labels('broken.png'), retryWindow: '1 minute' });
+
+    // The time-skipping test server jumps past the retry window while we wait
+    const report = await runWithWorker(activities, () => handle.result());
+
+    expect(report.counts.failed).toBe(1);
+    expect(report.failed[0]).toMatchObject({ itemId: '1', filename: 'broken.png', attempts: 1 });
+  }, 60000);
+});
@@ -0,0 +1,64 @@
+import { Worker } from '@temporalio/worker';
+import { getTestWorkflowEnvironment } from '../../../clients/connection.js';
+import { segmentLabel } from '../../../activities/segmentation.js';
+import { planComponentValidation, runComponentValidator } from '../../../activities/componentValidation.js';
+
+// Runs the workflows against the in-process TestWorkflowEnvironment with
+// stubbed activities, so no Temporal server, OCR engine or LLM is needed.
+// Set TEMPORAL_TEST_SERVER_PATH to a downloaded test server binary to run fully offline.
+
+export const TASK_QUEUE = 'label-validation';
+
+// Poll a query until it returns the expected value (signals are applied asynchronously)
+export const waitFor = async (read, expected) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const value = await read();
+    if (value === expected) return value;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return read();
+};
+
+// Stubbed label validation activities; any of them can be replaced per test
+export const createActivities = (overrides = {}) => ({
+  preprocessImageForOCR: async (labelData) => ({ ...labelData, preprocessed: true }),
+  performOCR: async () => ({
+    text: 'INGREDIENTS: Water, Sugar',
+    confidence: 0.92,
+    detectedSections: { ingredients: 'water, sugar' }
+  }),
+  assessOCRQuality: async () => ({ overall: 'good', score: 0.92 }),
+  performAIValidation: async ({ ocrText }) => ({
+    isValid: true,
+    correctedText: ocrText,
+    extractedInformation: { ingredients: ['Water', 'Sugar'] }
+  }),
+  // Segmentation and the registry validators are deterministic, so the real ones run
+  segmentLabel,
+  planComponentValidation,
+  runComponentValidator,
+  performComplianceCheck: async () => ({
+    compliant: true,
+    violations: [],
+    warnings: [],
+    score: 100,
+    checkedAt: new Date().toISOString()
+  }),
+  // Database writes are covered by activities/__tests__/persistence.test.js;
+  // without a recorded round the workflow finishes as REQUIRES_REVIEW
+  persistLabelResult: async () => null,
+  recordReviewRound: async () => null,
+  recordLabelApproval: async () => null,
+  ...overrides
+});
+
+export const runWithWorker = async (activities, fn) => {
+  const env = await getTestWorkflowEnvironment();
+  const worker = await Worker.create({
+    connection: env.nativeConnection,
+    taskQueue: TASK_QUEUE,
+    workflowsPath: new URL('../../index.js', import.meta.url).pathname,
+    activities
+  });
+  return worker.runUntil(fn);
+};
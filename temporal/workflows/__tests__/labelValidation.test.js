@@ -0,0 +1,276 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { ApplicationFailure } from '@temporalio/activity';
+import { getTestWorkflowEnvironment, closeTestWorkflowEnvironment } from '../../clients/connection.js';
+import {
+  startOCRValidationWorkflow,
+  getWorkflowProgress,
+  getLabelReview,
+  getOpenIssueCount,
+  signalLabelReview,
+  resetTemporalClient
+} from '../../clients/ocrClient.js';
+import { LABEL_VALIDATION_STEPS } from '../labelValidation.js';
+import { createActivities, runWithWorker, waitFor } from './helpers/workflowWorker.js';
+
+describe('labelValidationWorkflow', () => {
+  const previousMode = process.env.TEMPORAL_MODE;
+
+  beforeAll(async () => {
+    process.env.TEMPORAL_MODE = 'test';
+    resetTemporalClient();
+    await getTestWorkflowEnvironment();
+  }, 120000);
+
+  afterAll(async () => {
+    resetTemporalClient();
+    await closeTestWorkflowEnvironment();
+    process.env.TEMPORAL_MODE = previousMode;
+  });
+
+  it('should run every step and approve a compliant label', async () => {
+    const { workflowId, handle } = await startOCRValidationWorkflow({ filename: 'label.png', url: 'https://example.test/label.png', awaitReview: false });
+
+    const result = await runWithWorker(createActivities(), () => handle.result());
+
+    expect(result.workflowId).toBe(workflowId);
+    expect(result.status).toBe('APPROVED');
+    expect(result.ocrResult.text).toContain('INGREDIENTS');
+    expect(result.processingSteps).toEqual({
+      preprocessing: true,
+      ocrCompleted: true,
+      qualityAssessed: true,
+      aiValidated: true,
+      segmented: true,
+      componentsValidated: true,
+      complianceChecked: true
+    });
+  }, 60000);
+
+  it('should run every validator on its components in a stable order', async () => {
+    const { handle } = await startOCRValidationWorkflow({ filename: 'label.png', awaitReview: false });
+
+    const result = await runWithWorker(createActivities(), () => handle.result());
+
+    expect(result.components.map(component => component.type)).toEqual(['full_label', 'ingredient_list']);
+    expect(result.validatorRuns.map(run => `${run.validatorId}:${run.componentType}:${run.status}`)).toEqual([
+      'allergen:ingredient_list:passed',
+      'chemical:ingredient_list:passed',
+      'claims:full_label:passed',
+      // No nutrition panel was found, so the nutrition checker falls back to the full label
+      'nutrition:full_label:passed'
+    ]);
+  }, 60000);
+
+  it('should finish the label when one validator fails', async () => {
+    const activities = createActivities({
+      runComponentValidator: async (data) => {
+        if (data.agent.type === 'chemical') {
+          throw ApplicationFailure.nonRetryable('Substance list unavailable', 'ValidatorError');
+        }
+        return runComponentValidator(data);
+      }
+    });
+    const { handle } = await startOCRValidationWorkflow({ filename: 'label.png', awaitReview: false });
+
+    const result = await runWithWorker(activities, () => handle.result());
+
+    expect(result.status).toBe('REQUIRES_REVIEW');
+    expect(result.processingSteps.componentsValidated).toBe(false);
+    expect(result.validatorRuns).toHaveLength(4);
+    expect(result.validatorRuns.find(run => run.validatorType === 'chemical')).toMatchObject({
+      status: 'error',
+      issues: [],
+      error: 'Substance list unavailable'
+    });
+    expect(result.validatorRuns.filter(run => run.status === 'passed')).toHaveLength(3);
+  }, 60000);
+
+  it('should require review when a validator files issues', async () => {
+    const activities = createActivities({
+      performAIValidation: async ({ ocrText }) => ({
+        isValid: true,
+        correctedText: ocrText,
+        extractedInformation: { ingredients: ['Water', 'Sugar', 'Brominated vegetable oil'] }
+      })
+    });
+    const { handle } = await startOCRValidationWorkflow({ filename: 'label.png', awaitReview: false });
+
+    const result = await runWithWorker(activities, () => handle.result());
+
+    expect(result.status).toBe('REQUIRES_REVIEW');
+    expect(result.validatorRuns.find(run => run.validatorType === 'chemical').issues).toEqual([
+      expect.objectContaining({ issueType: 'CHEMICAL_BANNED', sourceTag: 'CHEMICAL-RULES' })
+    ]);
+  }, 60000);
+
+  it('should require review when the compliance check finds violations', async () => {
+    const activities = createActivities({
+      performComplianceCheck: async () => ({
+        compliant: false,
+        violations: [{ ruleId: 'net-quantity', message: 'Net quantity of contents not declared' }],
+        warnings: [],
+        score: 90,
+        checkedAt: new Date().toISOString()
+      })
+    });
+    const { handle } = await startOCRValidationWorkflow({ filename: 'label.png', awaitReview: false });
+
+    const result = await runWithWorker(activities, () => handle.result());
+
+    expect(result.status).toBe('REQUIRES_REVIEW');
+    expect(result.complianceResult.violations).toHaveLength(1);
+  }, 60000);
+
+  it('should report progress through the progress query', async () => {
+    const { workflowId, handle } = await startOCRValidationWorkflow({ filename: 'label.png', awaitReview: false });
+
+    const progress = await runWithWorker(createActivities(), async () => {
+      await handle.result();
+      return getWorkflowProgress(workflowId);
+    });
+
+    expect(progress).toEqual({
+      currentStep: null,
+      completedSteps: LABEL_VALIDATION_STEPS,
+      totalSteps: LABEL_VALIDATION_STEPS.length
+    });
+  }, 60000);
+
+  it('should wait for every issue to be closed before the final approval', async () => {
+    const approvals = [];
+    const activities = createActivities({
+      recordReviewRound: async ({ round }) => ({
+        round,
+        issues: [{ id: 'issue-1', status: 'open' }, { id: 'issue-2', status: 'investigating' }, { id: 'issue-3', status: 'resolved' }]
+      }),
+      recordLabelApproval: async (input) => {
+        approvals.push(input);
+        return { projectId: input.projectId, status: 'approved' };
+      }
+    });
+    const { workflowId, handle } = await startOCRValidationWorkflow({ filename: 'label.png', projectId: 'project-1' });
+
+    const { result, openAfterFirstDecision } = await runWithWorker(activities, async () => {
+      await waitFor(async () => (await getLabelReview(workflowId))?.phase, 'review');
+      await signalLabelReview(workflowId, 'approveIssue', { issueId: 'issue-1', reviewer: 'rita@example.com' });
+      const openAfterFirstDecision = await waitFor(() => getOpenIssueCount(workflowId), 1);
+
+      await signalLabelReview(workflowId, 'rejectIssue', { issueId: 'issue-1', reviewer: 'rita@example.com', note: 'Wrong allergen' });
+      await signalLabelReview(workflowId, 'approveIssue', { issueId: 'issue-1', reviewer: 'rita@example.com' });
+      await signalLabelReview(workflowId, 'approveIssue', { issueId: 'issue-2', status: 'resolved', reviewer: 'sam@example.com' });
+      return { result: await handle.result(), openAfterFirstDecision };
+    });
+
+    expect(openAfterFirstDecision).toBe(1);
+    expect(result.status).toBe('APPROVED');
+    expect(result.approval).toMatchObject({ approvedBy: 'sam@example.com', round: 1, issueCount: 3 });
+    expect(result.review.decisions.map(decision => `${decision.issueId}:${decision.decision}`)).toEqual([
+      'issue-1:approved',
+      'issue-1:rejected',
+      'issue-1:approved',
+      'issue-2:approved'
+    ]);
+    expect(approvals).toEqual([{ projectId: 'project-1', workflowId, approval: result.approval }]);
+  }, 60000);
+
+  it('should apply decisions made while the round was being recorded', async () => {
+    const activities = createActivities({
+      recordReviewRound: async ({ workflowId, round }) => {
+        // A reviewer signs off as soon as the issue is written
+        await signalLabelReview(workflowId, 'approveIssue', { issueId: 'issue-1', reviewer: 'rita@example.com' });
+        return { round, issues: [{ id: 'issue-1', status: 'open' }] };
+      }
+    });
+    const { handle } = await startOCRValidationWorkflow({ filename: 'label.png', projectId: 'project-1' });
+
+    const result = await runWithWorker(activities, () => handle.result());
+
+    expect(result.status).toBe('APPROVED');
+    expect(result.review.issues).toEqual([{ id: 'issue-1', status: 'approved' }]);
+  }, 60000);
+
+  it('should run another round when revalidation is requested', async () => {
+    let ocrRuns = 0;
+    const recordedRounds = [];
+    const activities = createActivities({
+      performOCR: async () => {
+        ocrRuns += 1;
+        return { text: `INGREDIENTS: Water, Sugar (run ${ocrRuns})`, confidence: 0.92, detectedSections: { ingredients: 'water, sugar' } };
+      },
+      recordReviewRound: async ({ round, result }) => {
+        recordedRounds.push([round, result.ocrResult.text]);
+        return { round, issues: [{ id: 'issue-1', status: round === 1 ? 'open' : 'resolved' }] };
+      }
+    });
+    const { workflowId, handle } = await startOCRValidationWorkflow({ filename: 'label.png', projectId: 'project-1' });
+
+    const result = await runWithWorker(activities, async () => {
+      await waitFor(async () => (await getLabelReview(workflowId))?.phase, 'review');
+      await signalLabelReview(workflowId, 'revalidate', { reason: 'Allergen agent reconfigured', requestedBy: 'rita@example.com' });
+      return handle.result();
+    });
+
+    expect(ocrRuns).toBe(2);
+    expect(recordedRounds).toEqual([[1, 'INGREDIENTS: Water, Sugar (run 1)'], [2, 'INGREDIENTS: Water, Sugar (run 2)']]);
+    expect(result.ocrResult.text).toContain('run 2');
+    expect(result.approval).toMatchObject({ round: 2, issueCount: 1 });
+  }, 60000);
+
+  it('should give up on a review that is never finished', async () => {
+    const activities = createActivities({
+      recordReviewRound: async ({ round }) => ({ round, issues: [{ id: 'issue-1', status: 'open' }] })
+    });
+    const { handle } = await startOCRValidationWorkflow({ filename: 'label.png', projectId: 'project-1', reviewTimeout: '1 second' });
+
+    // The time-skipping test server jumps past the review timeout while we wait
+    const result = await runWithWorker(activities, () => handle.result());
+
+    expect(result.status).toBe('REQUIRES_REVIEW');
+    expect(result.approval).toBeUndefined();
+    expect(result.review.issues).toEqual([{ id: 'issue-1', status: 'open' }]);
+  }, 60000);
+
+  it('should not wait for review of a round with no project to record into', async () => {
+    const { workflowId, handle } = await startOCRValidationWorkflow({ filename: 'label.png' });
+
+    const { result, review } = await runWithWorker(createActivities(), async () => ({
+      result: await handle.result(),
+      review: await getLabelReview(workflowId)
+    }));
+
+    expect(result.status).toBe('REQUIRES_REVIEW');
+    expect(result.review).toMatchObject({ rounds: 1, issues: [] });
+    expect(review.phase).toBe('unrecorded');
+  }, 60000);
+
+  it('should retry an activity that fails transiently', async () => {
+    let ocrAttempts = 0;
+    const activities = createActivities({
+      performOCR: async () => {
+        ocrAttempts += 1;
+        if (ocrAttempts === 1) {
+          throw ApplicationFailure.retryable('Failed to download label: 503 Service Unavailable', 'ImageDownloadFailed');
+        }
+        return { text: 'INGREDIENTS: Water', confidence: 0.9, detectedSections: { ingredients: 'water' } };
+      }
+    });
+    const { handle } = await startOCRValidationWorkflow({ filename: 'label.png', awaitReview: false });
+
+    // The time-skipping test server jumps past the retry backoff
+    const result = await runWithWorker(activities, () => handle.result());
+
+    expect(ocrAttempts).toBe(2);
+    expect(result.status).toBe('APPROVED');
+  }, 60000);
+
+  it('should fail the workflow when an activity fails permanently', async () => {
+    const activities = createActivities({
+      performOCR: async () => {
+        throw ApplicationFailure.nonRetryable('Image could not be decoded', 'InvalidImage');
+      }
+    });
+    const { handle } = await startOCRValidationWorkflow({ filename: 'broken.png', awaitReview: false });
+
+    await expect(runWithWorker(activities, () => handle.result())).rejects.toThrow('Workflow execution failed');
+  }, 60000);
+});
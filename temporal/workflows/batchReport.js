@@ -0,0 +1,80 @@
+/**
+ * Batch validation bookkeeping
+ * Plain functions over the per-item state batchValidationWorkflow keeps, so
+ * they run the same inside the workflow sandbox and in tests.
+ */
+
+// queued → running → passed | needs_review | failed; failed items can be queued again
+export const BATCH_ITEM_STATUSES = ['queued', 'running', 'passed', 'needs_review', 'failed'];
+
+// Item outcome for a label validation result status
+const OUTCOME_BY_LABEL_STATUS = {
+  APPROVED: 'passed',
+  REQUIRES_REVIEW: 'needs_review'
+};
+
+/**
+ * Batch item status for a completed label validation result
+ */
+export function itemStatusForResult(result) {
+  return OUTCOME_BY_LABEL_STATUS[result?.status] || 'needs_review';
+}
+
+/**
+ * The parts of a label validation result a batch keeps per item
+ */
+export function summarizeLabelResult(result) {
+  const validatorRuns = result.validatorRuns || [];
+  return {
+    status: result.status,
+    complianceScore: result.complianceResult?.score ?? null,
+    violations: result.complianceResult?.violations?.length || 0,
+    validatorIssues: validatorRuns.reduce((sum, run) => sum + run.issues.length, 0),
+    failedValidators: validatorRuns.filter(run => run.status === 'error').map(run => `${run.validatorName} (${run.componentType})`)
+  };
+}
+
+/**
+ * Number of items in each status
+ */
+export function countBatchItems(items) {
+  const counts = Object.fromEntries(BATCH_ITEM_STATUSES.map(status => [status, 0]));
+  for (const item of items) counts[item.status] += 1;
+  return counts;
+}
+
+/**
+ * Child workflow id for an item's attempt: the item's own id first, then a
+ * -retry-N suffix so every attempt is a separate execution
+ */
+export function attemptWorkflowId(item, attempt) {
+  return attempt <= 1 ? item.workflowId : `${item.workflowId}-retry-${attempt - 1}`;
+}
+
+/**
+ * Batch summary report: which labels passed, failed or need review
+ * items are the workflow's per-item state. Items still queued or running are
+ * listed as pending.
+ */
+export function buildBatchReport(batchId, items) {
+  const entry = (item) => ({
+    itemId: item.itemId,
+    filename: item.filename,
+    projectId: item.projectId || null,
+    workflowId: item.currentWorkflowId,
+    attempts: item.attempts,
+    ...(item.result && { result: item.result }),
+    ...(item.error && { error: item.error })
+  });
+  const withStatus = (...statuses) => items.filter(item => statuses.includes(item.status)).map(entry);
+
+  return {
+    batchId,
+    total: items.length,
+    counts: countBatchItems(items),
+    passed: withStatus('passed'),
+    needsReview: withStatus('needs_review'),
+    failed: withStatus('failed'),
+    pending: withStatus('queued', 'running')
+  };
+}
@@ -0,0 +1,134 @@
+import { defineQuery, defineSignal, setHandler, condition, executeChild } from '@temporalio/workflow';
+import { labelValidationWorkflow } from './labelValidation.js';
+import { failureMessage } from './failures.js';
+import {
+  attemptWorkflowId,
+  buildBatchReport,
+  countBatchItems,
+  itemStatusForResult,
+  summarizeLabelResult
+} from './batchReport.js';
+
+// Labels validated at once unless the batch asks for fewer or more
+const DEFAULT_CONCURRENCY = 3;
+
+// How long a batch with failed items stays open for retries
+const DEFAULT_RETRY_WINDOW = '24 hours';
+
+/**
+ * Query returning { batchId, phase, concurrency, counts, items } where items
+ * are { itemId, filename, projectId, s3Key, status, workflowId, attempts, result, error }
+ */
+export const batchStatusQuery = defineQuery('batchStatus');
+
+/**
+ * Query returning the summary report so far (see buildBatchReport); the same
+ * report the workflow returns once it completes
+ */
+export const batchReportQuery = defineQuery('batchReport');
+
+/**
+ * Signal { itemIds, imageUrls }: queue failed items again (all of them when
+ * itemIds is omitted). imageUrls maps item ids to freshly signed image URLs.
+ */
+export const retryItemsSignal = defineSignal('retryItems');
+
+/**
+ * Batch Validation Workflow
+ * Validates many labels as labelValidationWorkflow children, at most
+ * `concurrency` at a time so OCR and LLM work is throttled. Each item is
+ * { itemId, filename, projectId, s3Key, workflowId, input } where input is the
+ * child's labelData. Children do not wait for review; their result status
+ * decides whether the item passed or needs review, and a failed child marks
+ * the item failed without stopping the batch. While items are failed the
+ * batch stays open for retryItems signals until the retry window passes,
+ * then returns the summary report (see buildBatchReport).
+ */
+export async function batchValidationWorkflow(batch) {
+  const { batchId, concurrency = DEFAULT_CONCURRENCY, retryWindow = DEFAULT_RETRY_WINDOW } = batch;
+  console.log(`📦 Starting batch ${batchId}: ${batch.items.length} labels, ${concurrency} at a time`);
+
+  const items = batch.items.map(item => ({
+    ...item,
+    status: 'queued',
+    currentWorkflowId: null,
+    attempts: 0,
+    result: null,
+    error: null
+  }));
+  // running → awaiting_retry (when items failed) → completed
+  let phase = 'running';
+
+  setHandler(batchStatusQuery, () => ({
+    batchId,
+    phase,
+    concurrency,
+    counts: countBatchItems(items),
+    items: items.map(({ itemId, filename, projectId, s3Key, status, currentWorkflowId, attempts, result, error }) => ({
+      itemId, filename, projectId, s3Key, status, workflowId: currentWorkflowId, attempts, result, error
+    }))
+  }));
+
+  setHandler(batchReportQuery, () => buildBatchReport(batchId, items));
+
+  setHandler(retryItemsSignal, ({ itemIds, imageUrls = {} } = {}) => {
+    for (const item of items) {
+      if (item.status !== 'failed' || (itemIds && !itemIds.includes(item.itemId))) continue;
+
+      if (imageUrls[item.itemId]) item.input = { ...item.input, imageUrl: imageUrls[item.itemId] };
+      item.status = 'queued';
+      item.error = null;
+    }
+  });
+
+  const validateItem = async (item) => {
+    item.status = 'running';
+    item.attempts += 1;
+    item.currentWorkflowId = attemptWorkflowId(item, item.attempts);
+
+    try {
+      const result = await executeChild(labelValidationWorkflow, {
+        workflowId: item.currentWorkflowId,
+        args: [{ ...item.input, workflowId: item.currentWorkflowId, awaitReview: false }]
+      });
+      item.result = summarizeLabelResult(result);
+      item.status = itemStatusForResult(result);
+    } catch (error) {
+      item.error = failureMessage(error);
+      item.status = 'failed';
+      console.warn(`⚠️ Batch item ${item.itemId} (${item.filename}) failed on attempt ${item.attempts}: ${item.error}`);
+    }
+  };
+
+  // Workers take queued items one at a time, so at most `concurrency` children run
+  const drainQueue = async () => {
+    const nextQueued = () => items.find(item => item.status === 'queued');
+    const worker = async () => {
+      for (let item = nextQueued(); item; item = nextQueued()) {
+        await validateItem(item);
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, worker));
+  };
+
+  for (;;) {
+    phase = 'running';
+    await drainQueue();
+
+    // Retries signalled as the last workers finished are picked up by another pass
+    if (items.some(item => item.status === 'queued')) continue;
+
+    const failed = items.filter(item => item.status === 'failed').length;
+    if (failed === 0) break;
+
+    console.log(`⏸️ ${failed} batch items failed; waiting up to ${retryWindow} for retries`);
+    phase = 'awaiting_retry';
+    const retried = await condition(() => items.some(item => item.status === 'queued'), retryWindow);
+    if (!retried) break;
+  }
+
+  phase = 'completed';
+  const report = buildBatchReport(batchId, items);
+  console.log(`🎉 Batch ${batchId} completed: ${report.passed.length} passed, ${report.needsReview.length} need review, ${report.failed.length} failed`);
+  return report;
+}
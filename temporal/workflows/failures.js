@@ -0,0 +1,8 @@
+/**
+ * Innermost failure message: child workflow → activity → application failure
+ */
+export function failureMessage(error) {
+  let failure = error;
+  while (failure?.cause) failure = failure.cause;
+  return failure?.message || String(error);
+}
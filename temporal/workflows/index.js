@@ -1,3 +1,4 @@
 // Export all workflows for Temporal Worker registration
 
 export * from './labelValidation.js';
+export * from './batchValidation.js';
@@ -1,71 +1,422 @@
-import { proxyActivities } from '@temporalio/workflow';
+import { proxyActivities, defineQuery, defineSignal, setHandler, condition, executeChild, workflowInfo } from '@temporalio/workflow';
+import { failureMessage } from './failures.js';
+import { NON_RETRYABLE_ERROR_TYPES } from '../activities/errorTypes.js';
 
-// Proxy activities with timeout settings
+// Local, deterministic steps (preprocessing plan, quality, segmentation, rules):
+// a retry only helps if the worker itself went away
 const activities = proxyActivities({
   startToCloseTimeout: '1 minute',
+  retry: {
+    initialInterval: '1 second',
+    maximumAttempts: 3,
+    nonRetryableErrorTypes: NON_RETRYABLE_ERROR_TYPES
+  }
+});
+
+// OCR heartbeats Tesseract progress, so a stuck worker is noticed long before
+// a multi-page PDF runs out of time; unreadable or missing images fail at once
+const ocrActivities = proxyActivities({
+  startToCloseTimeout: '10 minutes',
+  heartbeatTimeout: '1 minute',
+  retry: {
+    initialInterval: '5 seconds',
+    backoffCoefficient: 2,
+    maximumAttempts: 3,
+    nonRetryableErrorTypes: NON_RETRYABLE_ERROR_TYPES
+  }
+});
+
+// The LLM client already retries and falls back between providers within an
+// attempt; these retries ride out longer outages and rate limits
+const llmActivities = proxyActivities({
+  startToCloseTimeout: '10 minutes',
+  retry: {
+    initialInterval: '30 seconds',
+    backoffCoefficient: 2,
+    maximumInterval: '5 minutes',
+    maximumAttempts: 4,
+    nonRetryableErrorTypes: NON_RETRYABLE_ERROR_TYPES
+  }
+});
+
+// Validators get a few quick retries; one that keeps failing is recorded as an
+// error run rather than failing the whole label
+const validatorActivities = proxyActivities({
+  startToCloseTimeout: '30 seconds',
+  retry: {
+    initialInterval: '1 second',
+    maximumAttempts: 3
+  }
 });
 
+// Database writes of results, review rounds and approvals: retried through
+// short outages, since a write that never lands leaves the LabelProject behind
+// the workflow
+const persistenceActivities = proxyActivities({
+  startToCloseTimeout: '1 minute',
+  retry: {
+    initialInterval: '5 seconds',
+    backoffCoefficient: 2,
+    maximumAttempts: 5
+  }
+});
+
+// Pipeline steps in execution order, reported through the progress query
+export const LABEL_VALIDATION_STEPS = ['preprocessing', 'ocr', 'qualityAssessment', 'aiValidation', 'segmentation', 'componentValidation', 'complianceCheck'];
+
+// ValidationIssue statuses that count as done for the "Green Check"
+export const CLOSED_ISSUE_STATUSES = ['resolved', 'approved'];
+
+// How long a validated label waits for reviewers before the workflow gives up
+const DEFAULT_REVIEW_TIMEOUT = '30 days';
+
+/**
+ * Query returning { currentStep, completedSteps, totalSteps } while the workflow runs
+ */
+export const progressQuery = defineQuery('progress');
+
+/**
+ * Query returning the number of registered issues not yet resolved or
+ * approved, or null until the round's issues are registered
+ */
+export const openIssueCountQuery = defineQuery('openIssueCount');
+
+/**
+ * Query returning the review state (see reviewState below)
+ */
+export const reviewQuery = defineQuery('review');
+
+/**
+ * Signal { issueId, status = 'approved', reviewer, note }: an issue was
+ * signed off (approved, or resolved through its card)
+ */
+export const approveIssueSignal = defineSignal('approveIssue');
+
+/**
+ * Signal { issueId, status = 'open', reviewer, note }: an issue was sent back
+ */
+export const rejectIssueSignal = defineSignal('rejectIssue');
+
+/**
+ * Signal { reason, requestedBy, ...labelData overrides }: validate the label
+ * again, e.g. with a fresh image URL or reconfigured validator agents
+ */
+export const revalidateSignal = defineSignal('revalidate');
+
+/**
+ * Combine the child workflow outcomes (Promise.allSettled) into validator runs
+ * Runs keep plan order whatever order the children finish in, and a failed
+ * child becomes a run with status 'error'.
+ */
+function aggregateValidatorRuns(plan, outcomes) {
+  const runs = plan.map(({ agent, componentType }, index) => {
+    const outcome = outcomes[index];
+    if (outcome.status === 'fulfilled') return outcome.value;
+
+    return {
+      validatorId: agent.id,
+      validatorName: agent.name,
+      validatorType: agent.type,
+      componentType,
+      status: 'error',
+      issues: [],
+      error: failureMessage(outcome.reason)
+    };
+  });
+
+  return {
+    runs,
+    issueCount: runs.reduce((sum, run) => sum + run.issues.length, 0),
+    failedRuns: runs.filter(run => run.status === 'error').length
+  };
+}
+
+/**
+ * Component Validation Workflow
+ * Runs one ValidatorAgent on one LabelComponent, as a child of labelValidationWorkflow
+ */
+export async function componentValidationWorkflow({ agent, component, label, config }) {
+  return validatorActivities.runComponentValidator({ agent, component, label, config });
+}
+
+/**
+ * Run the validation pipeline once: OCR and AI extraction, then segmentation
+ * and one child workflow per component × validator agent
+ */
+async function validateLabel(labelData, step, round) {
+  // Step 1: Image Preprocessing
+  console.log('🔧 Step 1: Image Preprocessing...');
+  const preprocessedData = await step('preprocessing', () => activities.preprocessImageForOCR(labelData));
+  
+  // Step 2: OCR Processing
+  console.log('📖 Step 2: OCR Processing...');
+  const ocrResult = await step('ocr', () => ocrActivities.performOCR(preprocessedData));
+  
+  // Step 3: OCR Quality Assessment
+  console.log('🔍 Step 3: OCR Quality Assessment...');
+  const qualityAssessment = await step('qualityAssessment', () => activities.assessOCRQuality(ocrResult));
+  
+  // Step 4: AI Validation
+  console.log('🤖 Step 4: AI Validation...');
+  const validationResult = await step('aiValidation', () => llmActivities.performAIValidation({
+    ocrText: ocrResult.text,
+    ocrQuality: qualityAssessment,
+    imageUrl: labelData.imageUrl,
+    contentType: labelData.contentType,
+    filename: labelData.filename,
+    labelType: labelData.type,
+    detectedSections: ocrResult.detectedSections,
+    vision: labelData.visionValidation,
+    contentHash: labelData.contentHash,
+    bypassCache: labelData.bypassCache,
+    // Buffered uploads only travel to this activity when vision needs the image
+    ...(labelData.visionValidation && !labelData.imageUrl ? { imageBuffer: labelData.imageBuffer } : {})
+  }));
+  
+  // Step 5: Segmentation into LabelComponents
+  console.log('✂️ Step 5: Segmentation...');
+  const components = await step('segmentation', () => activities.segmentLabel({ ocrResult }));
+  
+  // Step 6: Validators, one child workflow per component × agent in parallel
+  console.log('🧩 Step 6: Component Validation...');
+  const validation = await step('componentValidation', async () => {
+    const plan = await activities.planComponentValidation({ agents: labelData.validatorAgents, components });
+    const label = {
+      text: validationResult.correctedText || ocrResult.text || '',
+      extractedInformation: validationResult.extractedInformation || {}
+    };
+    
+    const { workflowId, runId } = workflowInfo();
+    const outcomes = await Promise.allSettled(plan.map(({ agent, componentType, config }) =>
+      executeChild(componentValidationWorkflow, {
+        // Unique per run, since a revalidated label runs the same pairs again
+        workflowId: `${workflowId}-${runId}-${round}-${agent.id}-${componentType}`,
+        args: [{ agent, component: components.find(component => component.type === componentType), label, config }]
+      })
+    ));
+    
+    return aggregateValidatorRuns(plan, outcomes);
+  });
+  if (validation.failedRuns > 0) {
+    console.warn(`⚠️ ${validation.failedRuns} of ${validation.runs.length} validator runs failed`);
+  }
+  
+  // Step 7: Compliance Check
+  console.log('✅ Step 7: Compliance Check...');
+  const complianceResult = await step('complianceCheck', () => activities.performComplianceCheck({
+    validationResult,
+    regulations: labelData.regulations
+  }));
+  
+  return {
+    workflowId: labelData.workflowId,
+    filename: labelData.filename,
+    // Failed validator runs leave the label unchecked, so they need review too
+    status: complianceResult.compliant && validation.issueCount === 0 && validation.failedRuns === 0 ? 'APPROVED' : 'REQUIRES_REVIEW',
+    ocrResult,
+    qualityAssessment,
+    validationResult,
+    components,
+    validatorRuns: validation.runs,
+    complianceResult,
+    processingSteps: {
+      preprocessing: preprocessedData.preprocessed,
+      ocrCompleted: !!ocrResult.text,
+      qualityAssessed: !!qualityAssessment.overall,
+      aiValidated: !!validationResult.isValid,
+      segmented: components.length > 0,
+      componentsValidated: validation.failedRuns === 0,
+      complianceChecked: !!complianceResult.checkedAt
+    },
+    completedAt: new Date().toISOString()
+  };
+}
+
 /**
  * Label Validation Workflow
- * Orchestrates the entire label validation process
+ * Orchestrates the entire label validation process. Runs with awaitReview false
+ * save their result into the run's LabelProject (labelData.projectId) and
+ * complete. Otherwise each validated round is recorded into the project and
+ * waits for reviewers: the recorded ValidationIssues are tracked through
+ * approveIssue / rejectIssue signals, and revalidate starts another round.
+ * Once every issue is resolved or approved (the "Green Check") the approval
+ * is recorded and the workflow completes with status APPROVED.
  */
 export async function labelValidationWorkflow(labelData) {
   console.log('🏭 Starting label validation workflow for:', labelData.filename);
   
+  const progress = {
+    currentStep: null,
+    completedSteps: [],
+    totalSteps: LABEL_VALIDATION_STEPS.length
+  };
+  setHandler(progressQuery, () => progress);
+  
+  // phase: validating → review → approved (or expired when reviewers never finish,
+  // unrecorded when the run has no project to review in)
+  const reviewState = {
+    phase: 'validating',
+    round: 0,
+    registeredRound: 0,
+    issues: {},
+    decisions: [],
+    revalidation: null,
+    s3Key: labelData.s3Key || null
+  };
+  
+  const openIssueCount = () => reviewState.registeredRound === reviewState.round
+    ? Object.values(reviewState.issues).filter(status => !CLOSED_ISSUE_STATUSES.includes(status)).length
+    : null;
+  
+  setHandler(openIssueCountQuery, openIssueCount);
+  setHandler(reviewQuery, () => ({
+    phase: reviewState.phase,
+    round: reviewState.round,
+    registeredRound: reviewState.registeredRound,
+    openIssues: openIssueCount(),
+    totalIssues: reviewState.registeredRound === reviewState.round ? Object.keys(reviewState.issues).length : null,
+    decisions: reviewState.decisions.length,
+    revalidationRequested: !!reviewState.revalidation,
+    s3Key: reviewState.s3Key
+  }));
+  
+  // Reviewers can act on a round's issues as soon as they are written, before
+  // recordReviewRound returns; their decisions wait here until it does
+  let pendingDecisions = [];
+  
+  const applyDecision = (entry) => {
+    if (!(entry.issueId in reviewState.issues)) {
+      console.warn(`⚠️ Ignoring ${entry.decision} for unknown issue ${entry.issueId}`);
+      return;
+    }
+    reviewState.issues[entry.issueId] = entry.status;
+    reviewState.decisions.push(entry);
+  };
+  
+  // Track the issues recorded for a round, then apply the decisions made meanwhile
+  const registerIssues = ({ round, issues }) => {
+    reviewState.issues = Object.fromEntries(issues.map(issue => [issue.id, issue.status]));
+    reviewState.registeredRound = round;
+    const pending = pendingDecisions;
+    pendingDecisions = [];
+    pending.forEach(applyDecision);
+  };
+  
+  // Record a reviewer decision on a registered issue
+  const decide = (decision, defaultStatus) => ({ issueId, status = defaultStatus, reviewer = null, note = null }) => {
+    const entry = { issueId, decision, status, reviewer, note, round: reviewState.round, at: new Date().toISOString() };
+    if (reviewState.registeredRound < reviewState.round) {
+      pendingDecisions.push(entry);
+      return;
+    }
+    applyDecision(entry);
+  };
+  setHandler(approveIssueSignal, decide('approved', 'approved'));
+  setHandler(rejectIssueSignal, decide('rejected', 'open'));
+  
+  setHandler(revalidateSignal, (request = {}) => {
+    reviewState.revalidation = request;
+  });
+  
   try {
-    // Step 1: Image Preprocessing
-    console.log('🔧 Step 1: Image Preprocessing...');
-    const preprocessedData = await activities.preprocessImageForOCR(labelData);
-    
-    // Step 2: OCR Processing
-    console.log('📖 Step 2: OCR Processing...');
-    const ocrResult = await activities.performOCR(preprocessedData);
-    
-    // Step 3: OCR Quality Assessment
-    console.log('🔍 Step 3: OCR Quality Assessment...');
-    const qualityAssessment = await activities.assessOCRQuality(ocrResult);
+    let input = labelData;
     
-    // Step 4: AI Validation
-    console.log('🤖 Step 4: AI Validation...');
-    const validationResult = await activities.performAIValidation({
-      ocrText: ocrResult.text,
-      ocrQuality: qualityAssessment,
-      imageUrl: labelData.imageUrl,
-      labelType: labelData.type,
-      detectedSections: ocrResult.detectedSections
-    });
-    
-    // Step 5: Compliance Check
-    console.log('✅ Step 5: Compliance Check...');
-    const complianceResult = await activities.performComplianceCheck({
-      validationResult,
-      regulations: labelData.regulations
-    });
-    
-    // Return final result
-    const finalResult = {
-      workflowId: labelData.workflowId,
-      filename: labelData.filename,
-      status: complianceResult.compliant ? 'APPROVED' : 'REQUIRES_REVIEW',
-      ocrResult,
-      qualityAssessment,
-      validationResult,
-      complianceResult,
-      processingSteps: {
-        preprocessing: preprocessedData.preprocessed,
-        ocrCompleted: !!ocrResult.text,
-        qualityAssessed: !!qualityAssessment.overall,
-        aiValidated: !!validationResult.isValid,
-        complianceChecked: !!complianceResult.compliant
-      },
-      completedAt: new Date().toISOString()
-    };
-    
-    console.log('🎉 Label validation workflow completed:', finalResult.status);
-    return finalResult;
+    for (;;) {
+      reviewState.round += 1;
+      reviewState.phase = 'validating';
+      reviewState.revalidation = null;
+      progress.completedSteps = [];
+      
+      // Run one pipeline step, recording it for the progress query
+      const step = async (name, run) => {
+        progress.currentStep = name;
+        const result = await run();
+        progress.completedSteps.push(name);
+        return result;
+      };
+      
+      const roundResult = await validateLabel(input, step, reviewState.round);
+      progress.currentStep = null;
+      
+      if (labelData.awaitReview === false) {
+        await persistenceActivities.persistLabelResult({
+          projectId: labelData.projectId,
+          workflowId: labelData.workflowId,
+          result: roundResult
+        });
+        console.log('🎉 Label validation workflow completed:', roundResult.status);
+        return roundResult;
+      }
+      
+      // Step 8: Human review until every issue is closed, or another round is requested
+      const recorded = await persistenceActivities.recordReviewRound({
+        projectId: labelData.projectId,
+        workflowId: labelData.workflowId,
+        round: reviewState.round,
+        result: roundResult
+      });
+      if (!recorded) {
+        // Nobody can review issues that were never written, so don't wait for them
+        reviewState.phase = 'unrecorded';
+        console.warn(`⚠️ Round ${reviewState.round} has no LabelProject to review in; finishing without review`);
+        return { ...roundResult, status: 'REQUIRES_REVIEW', review: summarizeReview(reviewState) };
+      }
+      registerIssues(recorded);
+      console.log(`👀 Step 8: Awaiting review of round ${reviewState.round}...`);
+      reviewState.phase = 'review';
+      const settled = await condition(
+        () => !!reviewState.revalidation || openIssueCount() === 0,
+        labelData.reviewTimeout || DEFAULT_REVIEW_TIMEOUT
+      );
+      
+      if (!settled) {
+        reviewState.phase = 'expired';
+        console.warn(`⏰ Review of round ${reviewState.round} timed out with ${openIssueCount() ?? 'unregistered'} open issues`);
+        return { ...roundResult, status: 'REQUIRES_REVIEW', review: summarizeReview(reviewState) };
+      }
+      
+      if (reviewState.revalidation) {
+        const { reason, requestedBy, ...overrides } = reviewState.revalidation;
+        console.log(`🔁 Revalidation requested${requestedBy ? ` by ${requestedBy}` : ''}${reason ? `: ${reason}` : ''}`);
+        input = { ...input, ...overrides };
+        continue;
+      }
+      
+      // Green Check: every ValidationIssue is resolved or approved
+      reviewState.phase = 'approved';
+      const lastDecision = reviewState.decisions[reviewState.decisions.length - 1];
+      const finalResult = {
+        ...roundResult,
+        status: 'APPROVED',
+        review: summarizeReview(reviewState),
+        approval: {
+          approvedAt: new Date().toISOString(),
+          approvedBy: lastDecision?.reviewer || null,
+          round: reviewState.round,
+          issueCount: Object.keys(reviewState.issues).length
+        }
+      };
+      
+      await persistenceActivities.recordLabelApproval({
+        projectId: labelData.projectId,
+        workflowId: labelData.workflowId,
+        approval: finalResult.approval
+      });
+      console.log('🎉 Label validation workflow completed:', finalResult.status);
+      return finalResult;
+    }
     
   } catch (error) {
     console.error('❌ Label validation workflow failed:', error);
     throw error;
   }
 }
+
+// Review record attached to the workflow result
+function summarizeReview(reviewState) {
+  return {
+    rounds: reviewState.round,
+    issues: Object.entries(reviewState.issues).map(([id, status]) => ({ id, status })),
+    decisions: reviewState.decisions
+  };
+}